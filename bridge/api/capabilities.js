@@ -0,0 +1,48 @@
+/**
+ * Capabilities API - Check what the connected plugin supports
+ */
+
+const { hasCapability } = require('../core/state');
+const { describeCapability } = require('../core/protocol');
+
+/**
+ * Check whether a file's plugin announced a capability (pure wrapper)
+ * @param {Object} context - { state }
+ * @param {string} capability - Capability name from CAPABILITIES
+ * @param {string} fileId - File to check (default: active file)
+ * @returns {boolean}
+ */
+function supportsCapability(context, capability, fileId) {
+  return hasCapability(context.state, capability, fileId);
+}
+
+/**
+ * Fail with an actionable error if a file's plugin lacks a capability
+ * Call before sending a script that depends on it, instead of letting it fail in Figma
+ * @param {Object} context - { state }
+ * @param {string} capability - Capability name from CAPABILITIES
+ * @param {string} fileId - File to check (default: active file)
+ * @param {string} feature - What needs it, e.g. the tool name (default: "This tool")
+ * @throws {Error} Error with code 'PLUGIN_OUTDATED'
+ */
+function requireCapability(context, capability, fileId, feature = 'This tool') {
+  const { state } = context;
+
+  // Not connected: leave the "not connected" error to the call itself
+  const entry = state.figmaClients.get(fileId || state.activeFileId);
+  if (!entry || hasCapability(state, capability, entry.fileId)) {
+    return;
+  }
+
+  const plugin = entry.version ? `plugin ${entry.version}, protocol v${entry.protocolVersion}` : `protocol v${entry.protocolVersion}`;
+  const error = new Error(
+    `${feature} needs a newer Figma plugin: the plugin in "${entry.fileName || entry.fileId}" ` +
+    `(${plugin}) does not support ${describeCapability(capability)}. ` +
+    'Please update the "AI Agent Bridge" plugin and run it again in this file.'
+  );
+  error.code = 'PLUGIN_OUTDATED';
+  error.capability = capability;
+  throw error;
+}
+
+module.exports = { supportsCapability, requireCapability };
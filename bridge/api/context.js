@@ -2,21 +2,24 @@
  * Context API - Get current Figma file context
  */
 
-const { generateRequestId, addPendingRequest, isClientConnected } = require('../core/state');
+const { generateRequestId, addPendingRequest, isClientConnected, getFigmaClient } = require('../core/state');
 const { createContextRequest } = require('../core/messageHandler');
+const { ERROR_CODES, createFigmaError } = require('../core/errors');
 
 const REQUEST_TIMEOUT = 10000; // 10 seconds
 
 /**
  * Get current Figma context
  * @param {Object} context - { state, setState, getState, logger }
+ * @param {string} fileId - Target file (default: active file)
  * @returns {Promise<Object>} Context data
  */
-async function getFigmaContext(context) {
+async function getFigmaContext(context, fileId) {
   const { state, setState, getState, logger } = context;
+  const targetFileId = fileId || state.activeFileId;
 
-  if (!isClientConnected(state)) {
-    throw new Error('Figma plugin not connected. Please open the plugin in Figma Desktop.');
+  if (!isClientConnected(state, targetFileId)) {
+    throw createFigmaError(ERROR_CODES.NOT_CONNECTED, 'Figma plugin not connected. Please open the plugin in Figma Desktop.');
   }
 
   const { state: newState, requestId } = generateRequestId(state);
@@ -28,12 +31,12 @@ async function getFigmaContext(context) {
     const stateWithRequest = addPendingRequest(
       newState,
       requestId,
-      { resolve, reject }
+      { resolve, reject, fileId: targetFileId }
     );
     setState(stateWithRequest);
 
     const command = createContextRequest(requestId);
-    state.figmaClient.send(command);
+    getFigmaClient(state, targetFileId).send(command);
 
     setTimeout(() => {
       const currentState = getState();
@@ -41,7 +44,7 @@ async function getFigmaContext(context) {
         const { removePendingRequest } = require('../core/state');
         const { state: cleanedState } = removePendingRequest(currentState, requestId);
         setState(cleanedState);
-        reject(new Error(`Request timeout after ${REQUEST_TIMEOUT}ms`));
+        reject(createFigmaError(ERROR_CODES.TIMEOUT, `Request timeout after ${REQUEST_TIMEOUT}ms`, { timeout: REQUEST_TIMEOUT }));
       }
     }, REQUEST_TIMEOUT);
   });
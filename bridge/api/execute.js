@@ -3,23 +3,179 @@
  * Handles side effects but uses pure core functions
  */
 
-const { generateRequestId, addPendingRequest, isClientConnected } = require('../core/state');
-const { createExecuteCommand } = require('../core/messageHandler');
+const {
+  generateRequestId,
+  addPendingRequest,
+  removePendingRequest,
+  isClientConnected,
+  getFigmaClient,
+  isReconnecting,
+  addReconnectWaiter,
+  removeReconnectWaiter,
+  hasCapability,
+  hasOperation,
+  addClientOperations
+} = require('../core/state');
+const {
+  createExecuteCommand,
+  createOperationCommand,
+  createDefineOperationsCommand,
+  createCancelCommand
+} = require('../core/messageHandler');
+const { CAPABILITIES } = require('../core/protocol');
+const { ERROR_CODES, createFigmaError } = require('../core/errors');
+const { acquireSlot } = require('./scheduler');
 
 const REQUEST_TIMEOUT = 300000; // 5 minutes
 
+/**
+ * Create the error used when a request is cancelled by the caller
+ * @param {string} requestId - Request identifier (if already sent)
+ * @returns {Error} Error with code 'CANCELLED'
+ */
+function createCancelledError(requestId) {
+  return createFigmaError(
+    ERROR_CODES.CANCELLED,
+    requestId ? `Request cancelled (request: ${requestId})` : 'Request cancelled'
+  );
+}
+
+/**
+ * Put script arguments in front of the script for plugins that can't take them separately
+ * Kept on the script's first line so line numbers in plugin stack traces still match
+ * @param {string} script - JavaScript code to execute
+ * @param {Object} args - Script arguments
+ * @returns {string} Script that declares `args` itself
+ */
+function inlineScriptArgs(script, args) {
+  return `const args = ${JSON.stringify(args)}; ${script}`;
+}
+
+/**
+ * Send an operation's script to a file's plugin unless it already has it
+ * Messages on a connection arrive in order, so it is defined before the execute that uses it
+ * @param {Object} context - { setState, getState }
+ * @param {string} fileId - Target file (must be connected)
+ * @param {Object} operation - { id, script }
+ */
+function defineOperation(context, fileId, operation) {
+  const state = context.getState();
+  if (hasOperation(state, fileId, operation.id)) return;
+
+  getFigmaClient(state, fileId).send(createDefineOperationsCommand([operation]));
+  context.setState(addClientOperations(state, fileId, [operation.id]));
+}
+
+/**
+ * Wait for a reloading plugin to reconnect
+ * Resolved or rejected by the bridge when the file reconnects or its grace window closes
+ * @param {Object} context - { setState, getState, logger }
+ * @param {string} fileId - File in its reconnect grace window
+ * @param {AbortSignal} signal - Optional cancellation
+ * @returns {Promise<void>}
+ */
+function waitForReconnect(context, fileId, signal) {
+  const { setState, getState, logger } = context;
+
+  logger.log(`Plugin reconnecting (file: ${fileId}) - queuing request`);
+
+  return new Promise((resolve, reject) => {
+    let onAbort = null;
+
+    const cleanup = () => {
+      if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+    };
+
+    const waiter = {
+      resolve: () => { cleanup(); resolve(); },
+      reject: (error) => { cleanup(); reject(error); }
+    };
+    setState(addReconnectWaiter(getState(), fileId, waiter));
+
+    if (signal) {
+      onAbort = () => {
+        setState(removeReconnectWaiter(getState(), fileId, waiter));
+        reject(createCancelledError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
 /**
  * Execute a script in Figma
- * @param {Object} context - { state, setState, logger }
+ * Writes to a file run one at a time; reads may run concurrently (see scheduler)
+ * @param {Object} context - { state, setState, getState, logger }
+ * @param {string} script - JavaScript code to execute
+ * @param {Object} options - Execution options
+ * @param {AbortSignal} options.signal - Aborts the request and tells the plugin to stop the script
+ * @param {string} options.fileId - Target file (default: active file)
+ * @param {boolean} options.readOnly - Script only reads: it runs alongside other reads, and is resent if the plugin reloads mid-request
+ * @param {Object} options.args - JSON-serializable values the script reads as `args`, so data never has to be spliced into code
+ * @param {string} options.operation - Operation ID the script is registered under (see operations/): plugins that support operations get { op, args } instead of the script
+ * @param {Function} options.onProgress - Called with { progress, total, status } when the script reports progress (plugins with the `progress` capability)
+ * @returns {Promise<any>} Script execution result
+ */
+async function executeInFigma(context, script, options = {}) {
+  const { signal } = options;
+  const fileId = options.fileId || context.state.activeFileId;
+
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+
+  // No file to queue for: runScript reports that the plugin isn't connected
+  if (!fileId) {
+    return runScript(context, script, options, fileId);
+  }
+
+  const release = await acquireSlot(context, fileId, {
+    readOnly: Boolean(options.readOnly),
+    signal,
+    onCancel: () => createCancelledError()
+  });
+
+  try {
+    return await runScript({ ...context, state: context.getState() }, script, options, fileId);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Send a script to the plugin and wait for its result
+ * Called once the scheduler has given the script its turn
+ * @param {Object} context - { state, setState, getState, logger }
  * @param {string} script - JavaScript code to execute
+ * @param {Object} options - Execution options (see executeInFigma)
+ * @param {string} fileId - Resolved target file
  * @returns {Promise<any>} Script execution result
  */
-async function executeInFigma(context, script) {
+async function runScript(context, script, options, fileId) {
   const { state, setState, logger } = context;
+  const { signal, args } = options;
+
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+
+  // Plugin is reloading: queue until it is back, then run on the new connection
+  if (!isClientConnected(state, fileId) && isReconnecting(state, fileId)) {
+    await waitForReconnect(context, fileId, signal);
+    return runScript({ ...context, state: context.getState() }, script, options, fileId);
+  }
 
   // Check connection (pure function)
-  if (!isClientConnected(state)) {
-    throw new Error(
+  if (options.fileId && !isClientConnected(state, fileId)) {
+    throw createFigmaError(
+      ERROR_CODES.NOT_CONNECTED,
+      `Figma file not connected: ${fileId}. Use list_connected_files to see connected files.`
+    );
+  }
+
+  if (!isClientConnected(state, fileId)) {
+    throw createFigmaError(
+      ERROR_CODES.NOT_CONNECTED,
       'Figma plugin not connected. Please:\n' +
       '1. Open Figma Desktop App\n' +
       '2. Open any design file\n' +
@@ -27,40 +183,103 @@ async function executeInFigma(context, script) {
     );
   }
 
+  const operation = options.operation && hasCapability(state, CAPABILITIES.OPERATIONS, fileId)
+    ? { id: options.operation, script }
+    : null;
+  if (operation) {
+    defineOperation(context, fileId, operation);
+  }
+
   // Generate request ID (pure function)
-  const { state: newState, requestId } = generateRequestId(state);
+  const { state: newState, requestId } = generateRequestId(context.getState());
   setState(newState);
 
-  logger.log(`Executing script (request: ${requestId})`);
-  logger.log(`Script preview: ${script.substring(0, 100)}...`);
+  if (operation) {
+    logger.log(`Running operation ${operation.id} (request: ${requestId}, file: ${fileId})`);
+  } else {
+    logger.log(`Executing script (request: ${requestId}, file: ${fileId})`);
+    logger.log(`Script preview: ${script.substring(0, 100)}...`);
+  }
 
   return new Promise((resolve, reject) => {
+    let timer = null;
+    let onAbort = null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+    };
+
+    // Create command (pure function)
+    let command;
+    if (operation) {
+      command = createOperationCommand(operation.id, requestId, args);
+    } else if (args === undefined || hasCapability(state, CAPABILITIES.SCRIPT_ARGS, fileId)) {
+      command = createExecuteCommand(script, requestId, args);
+    } else {
+      command = createExecuteCommand(inlineScriptArgs(script, args), requestId);
+    }
+
     // Add to pending requests (pure function)
     const stateWithRequest = addPendingRequest(
       newState,
       requestId,
-      { resolve, reject }
+      {
+        resolve: (value) => { cleanup(); resolve(value); },
+        reject: (error) => { cleanup(); reject(error); },
+        fileId,
+        script,
+        sentAt: Date.now(),
+        requestBytes: Buffer.byteLength(command),
+        replay: options.readOnly ? command : null,
+        operation,
+        onProgress: options.onProgress || null
+      }
     );
     setState(stateWithRequest);
 
-    // Create command (pure function)
-    const command = createExecuteCommand(script, requestId);
-
     // Send command (side effect)
-    state.figmaClient.send(command);
+    getFigmaClient(state, fileId).send(command);
 
     // Set timeout (side effect)
-    setTimeout(() => {
+    timer = setTimeout(() => {
       // Check if request is still pending
       const currentState = context.getState();
       if (currentState.pendingRequests.has(requestId)) {
-        const { removePendingRequest } = require('../core/state');
         const { state: cleanedState } = removePendingRequest(currentState, requestId);
         setState(cleanedState);
-        reject(new Error(`Request timeout after ${REQUEST_TIMEOUT}ms`));
+        cleanup();
+        reject(createFigmaError(ERROR_CODES.TIMEOUT, `Request timeout after ${REQUEST_TIMEOUT}ms`, { timeout: REQUEST_TIMEOUT }));
       }
     }, REQUEST_TIMEOUT);
+
+    // Cancellation (side effect): reject now, ask the plugin to stop
+    if (signal) {
+      onAbort = () => {
+        const currentState = context.getState();
+        if (!currentState.pendingRequests.has(requestId)) return;
+
+        const { state: cleanedState } = removePendingRequest(currentState, requestId);
+        setState(cleanedState);
+        cleanup();
+
+        logger.log(`✗ Execution cancelled (request: ${requestId})`);
+        if (!hasCapability(cleanedState, CAPABILITIES.CANCELLATION, fileId)) {
+          logger.log(`  Plugin does not support cancellation - the script keeps running in Figma (file: ${fileId})`);
+        }
+        if (isClientConnected(cleanedState, fileId)) {
+          try {
+            getFigmaClient(cleanedState, fileId).send(createCancelCommand(requestId));
+          } catch (error) {
+            logger.error(`Failed to send cancel for ${requestId}:`, error);
+          }
+        }
+
+        reject(createCancelledError(requestId));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
   });
 }
 
-module.exports = { executeInFigma };
+module.exports = { executeInFigma, defineOperation, createCancelledError };
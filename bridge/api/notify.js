@@ -2,7 +2,7 @@
  * Notify API - Send notifications to Figma UI
  */
 
-const { isClientConnected } = require('../core/state');
+const { isClientConnected, isReconnecting, getFigmaClient, listFigmaClients, setActiveFile } = require('../core/state');
 const { createNotifyCommand } = require('../core/messageHandler');
 
 /**
@@ -10,16 +10,17 @@ const { createNotifyCommand } = require('../core/messageHandler');
  * @param {Object} context - { state, logger }
  * @param {string} message - Notification message
  * @param {number} timeout - Display duration in ms
+ * @param {string} fileId - Target file (default: active file)
  */
-function notifyFigma(context, message, timeout = 3000) {
+function notifyFigma(context, message, timeout = 3000, fileId) {
   const { state, logger } = context;
 
-  if (!isClientConnected(state)) {
+  if (!isClientConnected(state, fileId)) {
     throw new Error('Figma plugin not connected');
   }
 
   const command = createNotifyCommand(message, timeout);
-  state.figmaClient.send(command);
+  getFigmaClient(state, fileId).send(command);
 
   logger.log(`Sent notification: "${message}"`);
 }
@@ -27,10 +28,55 @@ function notifyFigma(context, message, timeout = 3000) {
 /**
  * Check if Figma is connected (pure wrapper)
  * @param {Object} context - { state }
+ * @param {string} fileId - File to check (default: active file)
  * @returns {boolean}
  */
-function isConnected(context) {
-  return isClientConnected(context.state);
+function isConnected(context, fileId) {
+  return isClientConnected(context.state, fileId);
+}
+
+/**
+ * Check if a file is in its reconnect grace window (pure wrapper)
+ * Requests to it are held until the plugin reconnects
+ * @param {Object} context - { state }
+ * @param {string} fileId - File to check (default: active file)
+ * @returns {boolean}
+ */
+function isFileReconnecting(context, fileId) {
+  return isReconnecting(context.state, fileId);
+}
+
+/**
+ * List connected Figma files (pure wrapper)
+ * @param {Object} context - { state }
+ * @returns {Array} Connected files, active file flagged
+ */
+function listConnectedFiles(context) {
+  return listFigmaClients(context.state);
+}
+
+/**
+ * Make a connected file the default target for requests without a fileId
+ * @param {Object} context - { state, setState, logger }
+ * @param {string} fileId - File identifier from listConnectedFiles
+ * @returns {Object} The now-active file
+ */
+function setActiveFigmaFile(context, fileId) {
+  const { state, setState, logger } = context;
+
+  if (!state.figmaClients.has(fileId)) {
+    const connected = Array.from(state.figmaClients.keys());
+    throw new Error(
+      `Figma file not connected: ${fileId}. ` +
+      (connected.length > 0 ? `Connected files: ${connected.join(', ')}` : 'No files are connected.')
+    );
+  }
+
+  const newState = setActiveFile(state, fileId);
+  setState(newState);
+  logger.log(`Active file set to ${fileId}`);
+
+  return listFigmaClients(newState).find(file => file.fileId === fileId);
 }
 
 /**
@@ -49,5 +95,8 @@ function getStatus(context) {
 module.exports = {
   notifyFigma,
   isConnected,
+  isFileReconnecting,
+  listConnectedFiles,
+  setActiveFigmaFile,
   getStatus
 };
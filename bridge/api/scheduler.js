@@ -0,0 +1,82 @@
+/**
+ * Scheduler API - Orders scripts sent to each Figma file
+ * Scripts that change the document run one at a time per file, in the order
+ * they were sent, so two agents (or parallel tool calls) can't interleave
+ * edits. Read-only scripts share the file and run concurrently.
+ */
+
+const {
+  enqueueRequest,
+  startQueuedRequests,
+  finishQueuedRequest,
+  removeQueuedRequest
+} = require('../core/state');
+
+const MAX_CONCURRENT_READS = Math.max(1, parseInt(process.env.FIGMA_MAX_CONCURRENT_READS || '8', 10) || 8);
+
+/**
+ * Start every queued script for the file that may run now (side effect)
+ * @param {Object} context - { getState, setState }
+ * @param {string} fileId - Target file
+ */
+function drainQueue(context, fileId) {
+  const { state: newState, started } = startQueuedRequests(context.getState(), fileId, MAX_CONCURRENT_READS);
+  context.setState(newState);
+  started.forEach(entry => entry.start());
+}
+
+/**
+ * Wait for a turn to run a script in a file
+ * @param {Object} context - { getState, setState, logger }
+ * @param {string} fileId - Target file
+ * @param {Object} options - Scheduling options
+ * @param {boolean} options.readOnly - Script only reads, so it may run alongside other reads
+ * @param {AbortSignal} options.signal - Leaves the queue if aborted while waiting
+ * @param {Function} options.onCancel - Creates the error to reject with when aborted
+ * @returns {Promise<Function>} Resolves with release(), to call once the script has finished
+ */
+function acquireSlot(context, fileId, options = {}) {
+  const { getState, setState, logger } = context;
+  const { readOnly = false, signal, onCancel } = options;
+
+  return new Promise((resolve, reject) => {
+    let onAbort = null;
+
+    const cleanup = () => {
+      if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+    };
+
+    const entry = {
+      readOnly,
+      start: () => {
+        cleanup();
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          setState(finishQueuedRequest(getState(), fileId, readOnly));
+          drainQueue(context, fileId);
+        });
+      },
+      reject: (error) => { cleanup(); reject(error); }
+    };
+
+    if (signal) {
+      onAbort = () => {
+        setState(removeQueuedRequest(getState(), fileId, entry));
+        reject(onCancel());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    setState(enqueueRequest(getState(), fileId, entry));
+    drainQueue(context, fileId);
+
+    const queued = getState().requestQueues.get(fileId);
+    if (queued && queued.queue.includes(entry)) {
+      logger.log(`Queued ${readOnly ? 'read' : 'write'} behind running scripts (file: ${fileId}, waiting: ${queued.queue.length})`);
+    }
+  });
+}
+
+module.exports = { acquireSlot, MAX_CONCURRENT_READS };
@@ -11,9 +11,10 @@ const { executeInFigma } = require('./execute');
 /**
  * Get all local variables with complete details including modes and values
  * @param {Object} context - { state, setState, getState, logger }
+ * @param {Object} options - Execution options passed to executeInFigma ({ signal, fileId })
  * @returns {Promise<Object>} Complete variables data
  */
-async function getAllVariables(context) {
+async function getAllVariables(context, options) {
   const script = `
     // Get all local variables and collections
     const variables = await figma.variables.getLocalVariablesAsync();
@@ -113,7 +114,7 @@ async function getAllVariables(context) {
     };
   `;
 
-  const result = await executeInFigma(context, script);
+  const result = await executeInFigma(context, script, options);
   return result.result;
 }
 
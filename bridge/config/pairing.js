@@ -0,0 +1,72 @@
+/**
+ * Plugin Pairing Token
+ * The plugin must present this token in its handshake before the bridge
+ * sends it any scripts. Stored in ~/.figmatic/pairing-token (mode 0600)
+ * and reused across restarts so the plugin only needs pairing once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG_DIR } = require('./sessionWatcher');
+
+const TOKEN_FILE = path.join(CONFIG_DIR, 'pairing-token');
+
+/**
+ * Read the stored pairing token
+ * FIGMATIC_PAIRING_TOKEN overrides the file (CI, tests, shared setups)
+ * @returns {string|null} Token or null if none has been generated yet
+ */
+function readPairingToken() {
+  if (process.env.FIGMATIC_PAIRING_TOKEN) {
+    return process.env.FIGMATIC_PAIRING_TOKEN;
+  }
+
+  try {
+    const token = fs.readFileSync(TOKEN_FILE, 'utf-8').trim();
+    return token || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the pairing token, generating and storing one on first start
+ * @param {Object} options - Options
+ * @param {Object} options.logger - Logger instance
+ * @returns {string} Pairing token
+ */
+function loadPairingToken(options) {
+  const { logger } = options;
+
+  const existing = readPairingToken();
+  if (existing) {
+    return existing;
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(TOKEN_FILE, `${token}\n`, { mode: 0o600 });
+  logger.log(`✓ Generated plugin pairing token: ${TOKEN_FILE}`);
+
+  return token;
+}
+
+/**
+ * Compare a presented token against the expected one in constant time
+ * @param {string} expected - Pairing token
+ * @param {string} provided - Token from the plugin handshake
+ * @returns {boolean}
+ */
+function verifyPairingToken(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string') {
+    return false;
+  }
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { loadPairingToken, readPairingToken, verifyPairingToken, TOKEN_FILE };
@@ -0,0 +1,177 @@
+/**
+ * Error Model - Stable error codes shared by the bridge and the MCP server
+ * Pure functions: plugin failures are classified here so agents can react to
+ * a code (load the font and retry, look the node up again) instead of
+ * matching message text.
+ */
+
+const ERROR_CODES = {
+  NODE_NOT_FOUND: 'NODE_NOT_FOUND',
+  FONT_NOT_LOADED: 'FONT_NOT_LOADED',
+  INVALID_PROPERTY: 'INVALID_PROPERTY',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+  TIMEOUT: 'TIMEOUT',
+  SCRIPT_ERROR: 'SCRIPT_ERROR',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  TOOL_NOT_FOUND: 'TOOL_NOT_FOUND',
+  CANCELLED: 'CANCELLED',
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  PLUGIN_DISCONNECTED: 'PLUGIN_DISCONNECTED',
+  PLUGIN_UNRESPONSIVE: 'PLUGIN_UNRESPONSIVE',
+  PLUGIN_OUTDATED: 'PLUGIN_OUTDATED',
+  POLICY_VIOLATION: 'POLICY_VIOLATION',
+  TOOL_ERROR: 'TOOL_ERROR'
+};
+
+// JSON-RPC codes thrown by tools as { code, message }
+const JSON_RPC_CODES = {
+  '-32601': ERROR_CODES.TOOL_NOT_FOUND,
+  '-32602': ERROR_CODES.INVALID_PARAMS
+};
+
+// Checked in order against the plugin's error message; first match wins
+const PLUGIN_ERROR_PATTERNS = [
+  { code: ERROR_CODES.POLICY_VIOLATION, pattern: /^Script policy:/ },
+  { code: ERROR_CODES.FONT_NOT_LOADED, pattern: /unloaded font|loadFontAsync/i },
+  { code: ERROR_CODES.NODE_NOT_FOUND, pattern: /node (?:\S+ )?not found|not found: \d+:\d+|does not exist|has been removed/i },
+  { code: ERROR_CODES.PERMISSION_DENIED, pattern: /permission|not (?:allowed|permitted)|read-only (?:file|mode)|view-only|cannot edit/i },
+  { code: ERROR_CODES.INVALID_PROPERTY, pattern: /read only property|invalid (?:value|property|argument)|^in \w+: expected|expected .+ (?:got|received|but)|unknown property|is not a (?:valid|supported)|not extensible/i }
+];
+
+// Plugins run scripts with new AsyncFunction(...), whose generated source
+// starts with two header lines before the script's first line
+const SCRIPT_HEADER_LINES = 2;
+
+/**
+ * Create an error with a stable code (pure)
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Extra machine-readable fields (nodeId, font, line, ...)
+ * @returns {Error} Error with code and details
+ */
+function createFigmaError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Classify a plugin error message (pure)
+ * @param {string} message - Error message from the plugin
+ * @returns {string} Error code (SCRIPT_ERROR if nothing more specific matches)
+ */
+function classifyPluginError(message) {
+  const match = PLUGIN_ERROR_PATTERNS.find(({ pattern }) => pattern.test(message || ''));
+  return match ? match.code : ERROR_CODES.SCRIPT_ERROR;
+}
+
+/**
+ * Find the script line that threw (pure)
+ * @param {string} stack - Plugin stack trace
+ * @returns {Object|null} { line, column } in the submitted script, or null if the stack doesn't say
+ */
+function parseScriptLocation(stack) {
+  const match = /<anonymous>:(\d+):(\d+)/.exec(stack || '');
+  if (!match) return null;
+
+  const line = parseInt(match[1], 10) - SCRIPT_HEADER_LINES;
+  if (line < 1) return null;
+
+  return { line, column: parseInt(match[2], 10) };
+}
+
+/**
+ * Pull recovery hints out of a classified message (pure)
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Object} { font } for FONT_NOT_LOADED, { nodeId } for NODE_NOT_FOUND, else {}
+ */
+function extractRecoveryHints(code, message) {
+  if (code === ERROR_CODES.FONT_NOT_LOADED) {
+    const match = /family:\s*"([^"]+)",\s*style:\s*"([^"]+)"/.exec(message);
+    return match ? { font: { family: match[1], style: match[2] } } : {};
+  }
+
+  if (code === ERROR_CODES.NODE_NOT_FOUND) {
+    const match = /\b(I?\d+:\d+(?:;\d+:\d+)*)\b/.exec(message);
+    return match ? { nodeId: match[1] } : {};
+  }
+
+  return {};
+}
+
+/**
+ * Build the error for a failed execution-result (pure)
+ * @param {Object} result - { error, stack, code?, line? } from the plugin
+ * @param {string} script - Script that was sent (to quote the failing line)
+ * @returns {Error} Coded error carrying the plugin stack and failing line
+ */
+function createPluginError(result, script) {
+  const message = result.error || 'Script failed in Figma';
+  const code = ERROR_CODES[result.code] || classifyPluginError(message);
+  const location = result.line ? { line: result.line, column: result.column || null } : parseScriptLocation(result.stack);
+
+  const details = { ...extractRecoveryHints(code, message) };
+  if (location) {
+    details.line = location.line;
+    details.column = location.column;
+
+    const source = script ? script.split('\n')[location.line - 1] : undefined;
+    if (source !== undefined) {
+      details.source = source.trim();
+    }
+  }
+  if (result.stack) {
+    details.pluginStack = result.stack;
+  }
+
+  return createFigmaError(code, message, details);
+}
+
+/**
+ * Normalize anything a tool threw into a structured error (pure)
+ * Accepts coded Errors, plain { code, message } objects and plain Errors
+ * @param {*} error - Thrown value
+ * @returns {Object} { code, message, ...details }
+ */
+function toStructuredError(error) {
+  const thrown = error || {};
+  const message = thrown.message || String(error) || 'Tool execution failed';
+
+  let code = thrown.code;
+  if (typeof code === 'number') {
+    code = JSON_RPC_CODES[String(code)] || ERROR_CODES.TOOL_ERROR;
+  } else if (!code) {
+    code = ERROR_CODES.TOOL_ERROR;
+  }
+
+  const structured = { code, message, ...thrown.details };
+  if (thrown.capability) {
+    structured.capability = thrown.capability;
+  }
+  return structured;
+}
+
+/**
+ * Format a structured error for the text content of a tool result (pure)
+ * @param {Object} structured - Result of toStructuredError
+ * @returns {string} e.g. "FONT_NOT_LOADED: ... (script line 3: t.characters = 'Hi')"
+ */
+function formatStructuredError(structured) {
+  let text = `${structured.code}: ${structured.message}`;
+  if (structured.line) {
+    text += ` (script line ${structured.line}${structured.source ? `: ${structured.source}` : ''})`;
+  }
+  return text;
+}
+
+module.exports = {
+  ERROR_CODES,
+  createFigmaError,
+  classifyPluginError,
+  parseScriptLocation,
+  createPluginError,
+  toStructuredError,
+  formatStructuredError
+};
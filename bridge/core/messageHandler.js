@@ -3,6 +3,11 @@
  * All functions are pure and return actions to perform
  */
 
+const { PROTOCOL_VERSION, BRIDGE_CAPABILITIES, normalizeProtocolVersion } = require('./protocol');
+
+// Binary frame layout: [uint32 BE header length][UTF-8 JSON header][payload bytes]
+const BINARY_HEADER_LENGTH_BYTES = 4;
+
 /**
  * Parse incoming message (pure)
  * @param {string|Buffer} message - Raw message
@@ -16,6 +21,103 @@ function parseMessage(message) {
   }
 }
 
+/**
+ * Parse a binary frame into its JSON header and payload (pure)
+ * @param {Buffer} buffer - Raw binary frame
+ * @returns {Object|null} { header, payload } or null if malformed
+ */
+function parseBinaryFrame(buffer) {
+  if (buffer.length < BINARY_HEADER_LENGTH_BYTES) return null;
+
+  const headerLength = buffer.readUInt32BE(0);
+  const payloadStart = BINARY_HEADER_LENGTH_BYTES + headerLength;
+  if (payloadStart > buffer.length) return null;
+
+  try {
+    const header = JSON.parse(buffer.subarray(BINARY_HEADER_LENGTH_BYTES, payloadStart).toString('utf-8'));
+    return { header, payload: buffer.subarray(payloadStart) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encode a binary frame (pure)
+ * Plugins send Uint8Array results this way instead of JSON number arrays
+ * @param {Object} header - JSON header, e.g. { type: 'binary-part', requestId, partId }
+ * @param {Uint8Array|Buffer} payload - Raw bytes
+ * @returns {Buffer} Frame to send with binary: true
+ */
+function encodeBinaryFrame(header, payload) {
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf-8');
+  const lengthPrefix = Buffer.alloc(BINARY_HEADER_LENGTH_BYTES);
+  lengthPrefix.writeUInt32BE(headerBytes.length, 0);
+  return Buffer.concat([lengthPrefix, headerBytes, Buffer.from(payload)]);
+}
+
+/**
+ * Handle binary result part (pure)
+ * @param {Object} frame - Parsed binary frame { header, payload }
+ * @returns {Object|null} Action to perform or null
+ */
+function handleBinaryPart(frame) {
+  if (frame.header.type === 'binary-part') {
+    return {
+      type: 'BINARY_PART',
+      requestId: frame.header.requestId,
+      partId: frame.header.partId,
+      data: frame.payload
+    };
+  }
+  return null;
+}
+
+/**
+ * Handle one chunk of a message too large to send whole (pure)
+ * `data` is a slice of the full JSON message; chunks are joined by index
+ * @param {Object} data - Parsed message data
+ * @returns {Object|null} Action to perform or null
+ */
+function handleResultChunk(data) {
+  if (data.type === 'result-chunk') {
+    return {
+      type: 'RESULT_CHUNK',
+      requestId: data.requestId,
+      index: data.index,
+      total: data.total,
+      data: data.data
+    };
+  }
+  return null;
+}
+
+/**
+ * Replace { $binary: partId } placeholders with the received bytes (pure)
+ * @param {any} value - Result from an execution-result message
+ * @param {Map} parts - partId -> Buffer
+ * @returns {any} Result with Buffers in place of placeholders
+ */
+function restoreBinaryParts(value, parts) {
+  if (Array.isArray(value)) {
+    return value.map(item => restoreBinaryParts(item, parts));
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$binary' && parts.has(value.$binary)) {
+      return parts.get(value.$binary);
+    }
+
+    const restored = {};
+    keys.forEach(key => {
+      restored[key] = restoreBinaryParts(value[key], parts);
+    });
+    return restored;
+  }
+
+  return value;
+}
+
 /**
  * Handle handshake message (pure)
  * @param {Object} data - Parsed message data
@@ -24,9 +126,15 @@ function parseMessage(message) {
 function handleHandshake(data) {
   if (data.type === 'handshake' && data.source === 'figma-plugin') {
     return {
-      type: 'SET_FIGMA_CLIENT',
+      type: 'ADD_FIGMA_CLIENT',
       timestamp: data.timestamp,
-      version: data.version
+      version: data.version,
+      protocolVersion: normalizeProtocolVersion(data.protocolVersion),
+      fileKey: data.fileKey,
+      fileName: data.fileName,
+      token: data.token,
+      capabilities: Array.isArray(data.capabilities) ? data.capabilities : [],
+      operations: Array.isArray(data.operations) ? data.operations : []
     };
   }
   return null;
@@ -45,7 +153,9 @@ function handleExecutionResult(data) {
       success: data.success,
       result: data.result,
       error: data.error,
-      stack: data.stack
+      stack: data.stack,
+      code: data.code,
+      line: data.line
     };
   }
   return null;
@@ -68,12 +178,79 @@ function handleContextResponse(data) {
   return null;
 }
 
+/**
+ * Handle progress report from a running script (pure)
+ * progress: { requestId, progress, total?, status? }
+ * @param {Object} data - Parsed message data
+ * @returns {Object|null} Action to perform or null
+ */
+function handleProgress(data) {
+  if (data.type === 'progress' && typeof data.progress === 'number') {
+    return {
+      type: 'REQUEST_PROGRESS',
+      requestId: data.requestId,
+      progress: data.progress,
+      total: typeof data.total === 'number' ? data.total : undefined,
+      status: typeof data.status === 'string' ? data.status : undefined
+    };
+  }
+  return null;
+}
+
+// Events a plugin with the `events` capability pushes without being asked
+const EVENT_TYPES = new Set(['selection-changed', 'current-page-changed', 'document-changed']);
+
+/**
+ * Handle document event pushed by the plugin (pure)
+ * selection-changed: { pageId, selection: [{ id, name, type }] }
+ * current-page-changed: { page: { id, name } }
+ * document-changed: { changes: [{ type: 'CREATE' | 'DELETE' | 'PROPERTY_CHANGE' | ..., id, properties? }] }
+ * @param {Object} data - Parsed message data
+ * @returns {Object|null} Action to perform or null
+ */
+function handleFigmaEvent(data) {
+  if (EVENT_TYPES.has(data.type)) {
+    const { type, ...payload } = data;
+    return {
+      type: 'FIGMA_EVENT',
+      event: type,
+      payload
+    };
+  }
+  return null;
+}
+
+/**
+ * Handle heartbeat reply (pure)
+ * Local clients answer WebSocket ping frames; relayed clients answer ping messages
+ * @param {Object} data - Parsed message data
+ * @returns {Object|null} Action to perform or null
+ */
+function handlePong(data) {
+  if (data.type === 'pong') {
+    return {
+      type: 'HEARTBEAT',
+      timestamp: data.timestamp
+    };
+  }
+  return null;
+}
+
 /**
  * Process incoming message and determine action (pure)
  * @param {string|Buffer} message - Raw message
+ * @param {boolean} isBinary - Message arrived as a binary frame
  * @returns {Object|null} Action to perform or null
  */
-function processMessage(message) {
+function processMessage(message, isBinary = false) {
+  if (isBinary) {
+    const frame = parseBinaryFrame(Buffer.from(message));
+    if (!frame) {
+      return { type: 'INVALID_MESSAGE', message };
+    }
+    return handleBinaryPart(frame) || { type: 'UNKNOWN_MESSAGE', data: frame.header };
+  }
+
   const data = parseMessage(message);
   if (!data) {
     return { type: 'INVALID_MESSAGE', message };
@@ -83,6 +260,10 @@ function processMessage(message) {
   return handleHandshake(data) ||
          handleExecutionResult(data) ||
          handleContextResponse(data) ||
+         handleResultChunk(data) ||
+         handleProgress(data) ||
+         handleFigmaEvent(data) ||
+         handlePong(data) ||
          { type: 'UNKNOWN_MESSAGE', data };
 }
 
@@ -90,16 +271,88 @@ function processMessage(message) {
  * Create execute command (pure)
  * @param {string} script - JavaScript code to execute
  * @param {string} requestId - Request identifier
+ * @param {Object} args - Values the plugin exposes to the script as `args` (omitted if undefined)
  * @returns {string} JSON message to send
  */
-function createExecuteCommand(script, requestId) {
+function createExecuteCommand(script, requestId, args) {
   return JSON.stringify({
     type: 'execute',
     script,
+    requestId,
+    ...(args === undefined ? {} : { args })
+  });
+}
+
+/**
+ * Create execute command for an operation the plugin already has (pure)
+ * @param {string} op - Operation ID, e.g. 'modify_node@1'
+ * @param {string} requestId - Request identifier
+ * @param {Object} args - Values the plugin exposes to the operation as `args` (omitted if undefined)
+ * @returns {string} JSON message to send
+ */
+function createOperationCommand(op, requestId, args) {
+  return JSON.stringify({
+    type: 'execute',
+    op,
+    requestId,
+    ...(args === undefined ? {} : { args })
+  });
+}
+
+/**
+ * Create define-operations command (pure)
+ * The plugin keeps these scripts for the rest of the connection
+ * @param {Array} operations - [{ id, script }]
+ * @returns {string} JSON message to send
+ */
+function createDefineOperationsCommand(operations) {
+  return JSON.stringify({
+    type: 'define-operations',
+    operations: operations.map(({ id, script }) => ({ id, script }))
+  });
+}
+
+/**
+ * Create handshake acknowledgement (pure)
+ * Tells a paired plugin which protocol version and message types the bridge speaks
+ * @param {string} fileId - Identifier the bridge uses for the plugin's file
+ * @returns {string} JSON message to send
+ */
+function createHandshakeAck(fileId) {
+  return JSON.stringify({
+    type: 'handshake-ack',
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: BRIDGE_CAPABILITIES,
+    fileId,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Create cancel command (pure)
+ * Tells the plugin to stop a running script; scripts that check
+ * `cancellation.throwIfCancelled()` abort at their next checkpoint
+ * @param {string} requestId - Request identifier of the script to cancel
+ * @returns {string} JSON message to send
+ */
+function createCancelCommand(requestId) {
+  return JSON.stringify({
+    type: 'cancel',
     requestId
   });
 }
 
+/**
+ * Create heartbeat ping (pure)
+ * @returns {string} JSON message to send
+ */
+function createPingCommand() {
+  return JSON.stringify({
+    type: 'ping',
+    timestamp: Date.now()
+  });
+}
+
 /**
  * Create context request (pure)
  * @param {string} requestId - Request identifier
@@ -128,11 +381,24 @@ function createNotifyCommand(message, timeout = 3000) {
 
 module.exports = {
   parseMessage,
+  parseBinaryFrame,
+  encodeBinaryFrame,
+  handleBinaryPart,
+  handleResultChunk,
+  restoreBinaryParts,
   handleHandshake,
   handleExecutionResult,
   handleContextResponse,
+  handlePong,
+  handleProgress,
+  handleFigmaEvent,
   processMessage,
   createExecuteCommand,
+  createOperationCommand,
+  createDefineOperationsCommand,
+  createHandshakeAck,
+  createCancelCommand,
+  createPingCommand,
   createContextRequest,
   createNotifyCommand
 };
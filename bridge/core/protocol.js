@@ -0,0 +1,85 @@
+/**
+ * Bridge Protocol - version and capability names shared with the plugin
+ *
+ * Version 1: plugins that send no protocolVersion (execute, get-context, notify only)
+ * Version 2: handshake carries protocolVersion and capabilities, bridge answers with handshake-ack
+ */
+
+const PROTOCOL_VERSION = 2;
+
+// Assumed for plugins whose handshake has no protocolVersion
+const LEGACY_PROTOCOL_VERSION = 1;
+
+// Features a plugin can announce in its handshake
+const CAPABILITIES = {
+  // figma.getNodeByIdAsync and friends (plugins with documentAccess: dynamic-page)
+  ASYNC_NODE_LOOKUP: 'async-node-lookup',
+  // Uint8Array results sent as binary frames
+  BINARY_RESULTS: 'binary-results',
+  // Oversized results split into result-chunk messages
+  CHUNKED_RESULTS: 'chunked-results',
+  // `cancel` message stops scripts via the `cancellation` global
+  CANCELLATION: 'cancellation',
+  // Document events pushed to the bridge
+  EVENTS: 'events',
+  // `execute` carries a JSON `args` payload, exposed to the script as `args`
+  SCRIPT_ARGS: 'script-args',
+  // `define-operations` registers named scripts, `execute` may then carry `op` instead of `script`
+  OPERATIONS: 'operations',
+  // Answers `ping` messages with `pong` (needed behind a relay, which can't forward ping frames)
+  HEARTBEAT: 'heartbeat',
+  // Scripts report how far they are through the `progress` global, sent as `progress` messages
+  PROGRESS: 'progress'
+};
+
+// What each capability means to a user, for "please update the plugin" errors
+const CAPABILITY_DESCRIPTIONS = {
+  [CAPABILITIES.ASYNC_NODE_LOOKUP]: 'async node lookup',
+  [CAPABILITIES.BINARY_RESULTS]: 'binary results',
+  [CAPABILITIES.CHUNKED_RESULTS]: 'chunked results',
+  [CAPABILITIES.CANCELLATION]: 'script cancellation',
+  [CAPABILITIES.EVENTS]: 'document events',
+  [CAPABILITIES.SCRIPT_ARGS]: 'script arguments',
+  [CAPABILITIES.OPERATIONS]: 'named operations',
+  [CAPABILITIES.HEARTBEAT]: 'heartbeat messages',
+  [CAPABILITIES.PROGRESS]: 'progress reports'
+};
+
+// Message types this bridge understands beyond protocol version 1
+const BRIDGE_CAPABILITIES = [
+  CAPABILITIES.BINARY_RESULTS,
+  CAPABILITIES.CHUNKED_RESULTS,
+  CAPABILITIES.CANCELLATION,
+  CAPABILITIES.EVENTS,
+  CAPABILITIES.SCRIPT_ARGS,
+  CAPABILITIES.OPERATIONS,
+  CAPABILITIES.HEARTBEAT,
+  CAPABILITIES.PROGRESS
+];
+
+/**
+ * Describe a capability for error messages (pure)
+ * @param {string} capability - Capability name
+ * @returns {string}
+ */
+function describeCapability(capability) {
+  return CAPABILITY_DESCRIPTIONS[capability] || capability;
+}
+
+/**
+ * Normalize the protocol version a plugin announced (pure)
+ * @param {any} version - protocolVersion from the handshake
+ * @returns {number}
+ */
+function normalizeProtocolVersion(version) {
+  return Number.isInteger(version) && version > 0 ? version : LEGACY_PROTOCOL_VERSION;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  LEGACY_PROTOCOL_VERSION,
+  CAPABILITIES,
+  BRIDGE_CAPABILITIES,
+  describeCapability,
+  normalizeProtocolVersion
+};
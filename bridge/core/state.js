@@ -9,26 +9,273 @@
  */
 function createInitialState() {
   return {
-    figmaClient: null,
+    figmaClients: new Map(), // fileId -> { client, fileId, fileName, version, capabilities, operations, connectedAt, lastSeen }
+    activeFileId: null,
+    reconnecting: new Map(), // fileId -> { until, waiters: [{ resolve, reject }] } during the reconnect grace window
     requestCounter: 0,
     pendingRequests: new Map(),
+    transfers: new Map(), // requestId -> { chunks: [], received, binaryParts: Map } for results arriving in pieces
+    fileEvents: new Map(), // fileId -> { selection, currentPage, documentChanges, updatedAt } from plugin events
+    requestQueues: new Map(), // fileId -> { reads, writes, queue: [{ readOnly, start, reject }] } see enqueueRequest
     serverStartTime: Date.now()
   };
 }
 
 /**
- * Update Figma client connection (pure)
+ * Register a Figma plugin connection for a file (pure)
+ * A second connection for the same file replaces the first. The first file
+ * to connect becomes the active file.
  * @param {Object} state - Current state
- * @param {WebSocket|null} client - New client connection
+ * @param {string} fileId - File key reported in the plugin handshake
+ * @param {Object} connection - { client, fileName, version, protocolVersion, capabilities, operations }
+ *   operations lists the operation IDs the plugin was bundled with
  * @returns {Object} New state
  */
-function setFigmaClient(state, client) {
+function addFigmaClient(state, fileId, connection) {
+  const now = Date.now();
+  const newFigmaClients = new Map(state.figmaClients);
+  newFigmaClients.set(fileId, {
+    ...connection,
+    fileId,
+    connectedAt: now,
+    lastSeen: now
+  });
+
+  // The new connection may have another selection or page; its events fill them in again
+  const newFileEvents = new Map(state.fileEvents);
+  if (newFileEvents.has(fileId)) {
+    newFileEvents.set(fileId, { ...newFileEvents.get(fileId), selection: null, currentPage: null });
+  }
+
+  return {
+    ...state,
+    figmaClients: newFigmaClients,
+    fileEvents: newFileEvents,
+    activeFileId: state.activeFileId || fileId
+  };
+}
+
+/**
+ * Remove a Figma plugin connection (pure)
+ * If it was the active file, the longest-connected remaining file becomes active.
+ * @param {Object} state - Current state
+ * @param {WebSocket|Object} client - Connection that closed
+ * @returns {Object} { state: newState, fileId: string|null } fileId is null if the client was never registered
+ */
+function removeFigmaClient(state, client) {
+  const fileId = getFileIdForClient(state, client);
+  if (fileId === null) {
+    return { state, fileId: null };
+  }
+
+  const newFigmaClients = new Map(state.figmaClients);
+  newFigmaClients.delete(fileId);
+
+  let activeFileId = state.activeFileId;
+  if (activeFileId === fileId) {
+    const next = newFigmaClients.keys().next();
+    activeFileId = next.done ? null : next.value;
+  }
+
+  return {
+    state: {
+      ...state,
+      figmaClients: newFigmaClients,
+      activeFileId
+    },
+    fileId
+  };
+}
+
+/**
+ * Find the file a connection was registered for (pure)
+ * @param {Object} state - Current state
+ * @param {WebSocket|Object} client - Client connection
+ * @returns {string|null} fileId, or null if the client has not completed a handshake
+ */
+function getFileIdForClient(state, client) {
+  const entry = Array.from(state.figmaClients.values()).find(c => c.client === client);
+  return entry ? entry.fileId : null;
+}
+
+/**
+ * Record that a client is alive (pure)
+ * Called for every message and heartbeat reply; unregistered clients are ignored
+ * @param {Object} state - Current state
+ * @param {WebSocket|Object} client - Client connection
+ * @param {number} now - Timestamp (default: Date.now())
+ * @returns {Object} New state
+ */
+function touchFigmaClient(state, client, now = Date.now()) {
+  const fileId = getFileIdForClient(state, client);
+  if (fileId === null) {
+    return state;
+  }
+
+  const newFigmaClients = new Map(state.figmaClients);
+  newFigmaClients.set(fileId, { ...state.figmaClients.get(fileId), lastSeen: now });
+
+  return {
+    ...state,
+    figmaClients: newFigmaClients
+  };
+}
+
+/**
+ * Find clients that have not been heard from within the timeout (pure)
+ * @param {Object} state - Current state
+ * @param {number} timeoutMs - Maximum silence before a client counts as unresponsive
+ * @param {number} now - Timestamp (default: Date.now())
+ * @returns {Array} Stale connection entries
+ */
+function getStaleClients(state, timeoutMs, now = Date.now()) {
+  return Array.from(state.figmaClients.values()).filter(entry => now - entry.lastSeen > timeoutMs);
+}
+
+/**
+ * Start the reconnect grace window for a file that just disconnected (pure)
+ * If the file was active it stays active, so calls without a fileId wait for it
+ * instead of silently moving to another file.
+ * @param {Object} state - Current state (file already removed from figmaClients)
+ * @param {string} fileId - File identifier
+ * @param {Object} options - { until: timestamp the window closes, wasActive: boolean }
+ * @returns {Object} New state
+ */
+function startReconnectGrace(state, fileId, options) {
+  const newReconnecting = new Map(state.reconnecting);
+  newReconnecting.set(fileId, { until: options.until, waiters: [] });
+
+  return {
+    ...state,
+    reconnecting: newReconnecting,
+    activeFileId: options.wasActive ? fileId : state.activeFileId
+  };
+}
+
+/**
+ * Check whether a file is inside its reconnect grace window (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - File identifier (default: active file)
+ * @returns {boolean}
+ */
+function isReconnecting(state, fileId) {
+  return state.reconnecting.has(fileId || state.activeFileId);
+}
+
+/**
+ * Queue a caller until the file reconnects or the grace window closes (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - File identifier (must be reconnecting)
+ * @param {Object} waiter - { resolve, reject }
+ * @returns {Object} New state
+ */
+function addReconnectWaiter(state, fileId, waiter) {
+  const entry = state.reconnecting.get(fileId);
+  const newReconnecting = new Map(state.reconnecting);
+  newReconnecting.set(fileId, { ...entry, waiters: [...entry.waiters, waiter] });
+
+  return {
+    ...state,
+    reconnecting: newReconnecting
+  };
+}
+
+/**
+ * Drop a queued caller, e.g. when its request was cancelled (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - File identifier
+ * @param {Object} waiter - Waiter passed to addReconnectWaiter
+ * @returns {Object} New state
+ */
+function removeReconnectWaiter(state, fileId, waiter) {
+  const entry = state.reconnecting.get(fileId);
+  if (!entry) {
+    return state;
+  }
+
+  const newReconnecting = new Map(state.reconnecting);
+  newReconnecting.set(fileId, { ...entry, waiters: entry.waiters.filter(w => w !== waiter) });
+
+  return {
+    ...state,
+    reconnecting: newReconnecting
+  };
+}
+
+/**
+ * Close the reconnect grace window for a file (pure)
+ * If the file is still gone and was active, the longest-connected file becomes active.
+ * @param {Object} state - Current state
+ * @param {string} fileId - File identifier
+ * @returns {Object} { state: newState, waiters: Array } Queued callers to resolve or reject
+ */
+function endReconnectGrace(state, fileId) {
+  const entry = state.reconnecting.get(fileId);
+  if (!entry) {
+    return { state, waiters: [] };
+  }
+
+  const newReconnecting = new Map(state.reconnecting);
+  newReconnecting.delete(fileId);
+
+  let activeFileId = state.activeFileId;
+  if (activeFileId === fileId && !state.figmaClients.has(fileId)) {
+    const next = state.figmaClients.keys().next();
+    activeFileId = next.done ? null : next.value;
+  }
+
+  return {
+    state: {
+      ...state,
+      reconnecting: newReconnecting,
+      activeFileId
+    },
+    waiters: entry.waiters
+  };
+}
+
+/**
+ * Make a connected file the default target for requests without a fileId (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - File identifier (must be connected)
+ * @returns {Object} New state
+ */
+function setActiveFile(state, fileId) {
   return {
     ...state,
-    figmaClient: client
+    activeFileId: fileId
   };
 }
 
+/**
+ * Resolve the connection a request should go to (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - Target file (default: active file)
+ * @returns {WebSocket|Object|null} Client connection or null
+ */
+function getFigmaClient(state, fileId) {
+  const entry = state.figmaClients.get(fileId || state.activeFileId);
+  return entry ? entry.client : null;
+}
+
+/**
+ * List connected files (pure)
+ * @param {Object} state - Current state
+ * @returns {Array} [{ fileId, fileName, version, protocolVersion, capabilities, connectedAt, lastSeen, active }]
+ */
+function listFigmaClients(state) {
+  return Array.from(state.figmaClients.values()).map(({ fileId, fileName, version, protocolVersion, capabilities, connectedAt, lastSeen }) => ({
+    fileId,
+    fileName,
+    version,
+    protocolVersion,
+    capabilities,
+    connectedAt,
+    lastSeen,
+    active: fileId === state.activeFileId
+  }));
+}
+
 /**
  * Generate next request ID (pure)
  * @param {Object} state - Current state
@@ -48,7 +295,10 @@ function generateRequestId(state) {
  * Add pending request (pure)
  * @param {Object} state - Current state
  * @param {string} requestId - Request identifier
- * @param {Object} resolver - { resolve, reject } functions
+ * @param {Object} resolver - { resolve, reject, fileId, replay, operation }
+ *   fileId is the file the request was sent to; replay is the command to resend
+ *   after a reconnect (read-only requests only, null otherwise); operation is
+ *   the { id, script } a replayed `op` command needs defined first
  * @returns {Object} New state
  */
 function addPendingRequest(state, requestId, resolver) {
@@ -63,6 +313,7 @@ function addPendingRequest(state, requestId, resolver) {
 
 /**
  * Remove pending request (pure)
+ * Also drops any partially received chunks or binary parts for it
  * @param {Object} state - Current state
  * @param {string} requestId - Request identifier
  * @returns {Object} { state: newState, resolver: object|undefined }
@@ -72,27 +323,322 @@ function removePendingRequest(state, requestId) {
   const newPendingRequests = new Map(state.pendingRequests);
   newPendingRequests.delete(requestId);
 
+  let transfers = state.transfers;
+  if (transfers.has(requestId)) {
+    transfers = new Map(transfers);
+    transfers.delete(requestId);
+  }
+
   return {
     state: {
       ...state,
-      pendingRequests: newPendingRequests
+      pendingRequests: newPendingRequests,
+      transfers
     },
     resolver
   };
 }
 
 /**
- * Clear all pending requests (pure)
+ * Get or create the in-progress transfer for a request (pure helper)
  * @param {Object} state - Current state
+ * @param {string} requestId - Request identifier
+ * @returns {Object} { chunks, received, binaryParts }
+ */
+function getTransfer(state, requestId) {
+  return state.transfers.get(requestId) || { chunks: [], received: 0, binaryParts: new Map() };
+}
+
+/**
+ * Store one chunk of a chunked message (pure)
+ * @param {Object} state - Current state
+ * @param {Object} chunk - { requestId, index, total, data }
+ * @returns {Object} { state: newState, message: string|null } message is the joined JSON once every chunk arrived
+ */
+function addResultChunk(state, chunk) {
+  const { requestId, index, total, data } = chunk;
+  const transfer = getTransfer(state, requestId);
+
+  const chunks = transfer.chunks.slice();
+  const received = chunks[index] === undefined ? transfer.received + 1 : transfer.received;
+  chunks[index] = data;
+
+  const newTransfers = new Map(state.transfers);
+
+  if (received < total) {
+    newTransfers.set(requestId, { ...transfer, chunks, received });
+    return { state: { ...state, transfers: newTransfers }, message: null };
+  }
+
+  // Complete: keep binary parts (the joined message may reference them), drop the chunks
+  newTransfers.set(requestId, { ...transfer, chunks: [], received: 0 });
+  return { state: { ...state, transfers: newTransfers }, message: chunks.join('') };
+}
+
+/**
+ * Store one binary part of a result (pure)
+ * @param {Object} state - Current state
+ * @param {string} requestId - Request identifier
+ * @param {number} partId - Part referenced by a { $binary: partId } placeholder
+ * @param {Buffer} data - Raw bytes
+ * @returns {Object} New state
+ */
+function addBinaryPart(state, requestId, partId, data) {
+  const transfer = getTransfer(state, requestId);
+  const binaryParts = new Map(transfer.binaryParts);
+  binaryParts.set(partId, data);
+
+  const newTransfers = new Map(state.transfers);
+  newTransfers.set(requestId, { ...transfer, binaryParts });
+
+  return {
+    ...state,
+    transfers: newTransfers
+  };
+}
+
+/**
+ * Take the binary parts received for a request (pure)
+ * @param {Object} state - Current state
+ * @param {string} requestId - Request identifier
+ * @returns {Object} { state: newState, parts: Map } partId -> Buffer
+ */
+function takeBinaryParts(state, requestId) {
+  const transfer = state.transfers.get(requestId);
+  if (!transfer) {
+    return { state, parts: new Map() };
+  }
+
+  const newTransfers = new Map(state.transfers);
+  newTransfers.delete(requestId);
+
+  return {
+    state: { ...state, transfers: newTransfers },
+    parts: transfer.binaryParts
+  };
+}
+
+/**
+ * Check whether a file's plugin declared a capability in its handshake (pure)
+ * @param {Object} state - Current state
+ * @param {string} capability - e.g. 'binary-results'
+ * @param {string} fileId - File to check (default: active file)
+ * @returns {boolean}
+ */
+function hasCapability(state, capability, fileId) {
+  const entry = state.figmaClients.get(fileId || state.activeFileId);
+  return Boolean(entry && entry.capabilities && entry.capabilities.includes(capability));
+}
+
+/**
+ * Check whether a file's plugin already has an operation (pure)
+ * It has one if it was bundled with it or was sent it on this connection
+ * @param {Object} state - Current state
+ * @param {string} fileId - File to check (default: active file)
+ * @param {string} operationId - e.g. 'modify_node@1'
+ * @returns {boolean}
+ */
+function hasOperation(state, fileId, operationId) {
+  const entry = state.figmaClients.get(fileId || state.activeFileId);
+  return Boolean(entry && entry.operations && entry.operations.includes(operationId));
+}
+
+/**
+ * Record operations sent to a file's plugin (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - File the operations were sent to
+ * @param {Array<string>} operationIds - Operation IDs
+ * @returns {Object} New state (unchanged if the file isn't connected)
+ */
+function addClientOperations(state, fileId, operationIds) {
+  const entry = state.figmaClients.get(fileId);
+  if (!entry) return state;
+
+  const newFigmaClients = new Map(state.figmaClients);
+  newFigmaClients.set(fileId, {
+    ...entry,
+    operations: [...(entry.operations || []), ...operationIds]
+  });
+
+  return { ...state, figmaClients: newFigmaClients };
+}
+
+// Most recent document changes kept per file
+const MAX_DOCUMENT_CHANGES = 100;
+
+/**
+ * Record a document event pushed by a file's plugin (pure)
+ * Keeps the latest selection and page, and the last MAX_DOCUMENT_CHANGES changes
+ * @param {Object} state - Current state
+ * @param {string} fileId - File the event came from
+ * @param {string} event - 'selection-changed' | 'current-page-changed' | 'document-changed'
+ * @param {Object} payload - Event fields from the plugin message
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {Object} New state
+ */
+function recordFigmaEvent(state, fileId, event, payload, now = Date.now()) {
+  const previous = state.fileEvents.get(fileId) || { selection: null, currentPage: null, documentChanges: [] };
+  const next = { ...previous, updatedAt: now };
+
+  if (event === 'selection-changed') {
+    next.selection = Array.isArray(payload.selection) ? payload.selection : [];
+  } else if (event === 'current-page-changed') {
+    next.currentPage = payload.page || null;
+  } else if (event === 'document-changed') {
+    const changes = (Array.isArray(payload.changes) ? payload.changes : []).map(change => ({ ...change, timestamp: now }));
+    next.documentChanges = [...previous.documentChanges, ...changes].slice(-MAX_DOCUMENT_CHANGES);
+  }
+
+  const newFileEvents = new Map(state.fileEvents);
+  newFileEvents.set(fileId, next);
+
+  return {
+    ...state,
+    fileEvents: newFileEvents
+  };
+}
+
+/**
+ * Get what a file's plugin has reported through events (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - File identifier (default: active file)
+ * @returns {Object|null} { selection, currentPage, documentChanges, updatedAt } or null if no events yet
+ */
+function getFileEvents(state, fileId) {
+  return state.fileEvents.get(fileId || state.activeFileId) || null;
+}
+
+/**
+ * Get a file's request queue (pure helper)
+ * @param {Object} state - Current state
+ * @param {string} fileId - File identifier
+ * @returns {Object} { reads, writes, queue } (empty if the file has none)
+ */
+function getRequestQueue(state, fileId) {
+  return state.requestQueues.get(fileId) || { reads: 0, writes: 0, queue: [] };
+}
+
+/**
+ * Replace a file's request queue, dropping it once idle (pure helper)
+ */
+function setRequestQueue(state, fileId, requestQueue) {
+  const newRequestQueues = new Map(state.requestQueues);
+  if (requestQueue.reads === 0 && requestQueue.writes === 0 && requestQueue.queue.length === 0) {
+    newRequestQueues.delete(fileId);
+  } else {
+    newRequestQueues.set(fileId, requestQueue);
+  }
+
+  return {
+    ...state,
+    requestQueues: newRequestQueues
+  };
+}
+
+/**
+ * Queue a script for a file (pure)
+ * Call startQueuedRequests afterwards to run whatever may start now
+ * @param {Object} state - Current state
+ * @param {string} fileId - Target file
+ * @param {Object} entry - { readOnly, start, reject }; start() is called once it may run
+ * @returns {Object} New state
+ */
+function enqueueRequest(state, fileId, entry) {
+  const requestQueue = getRequestQueue(state, fileId);
+  return setRequestQueue(state, fileId, { ...requestQueue, queue: [...requestQueue.queue, entry] });
+}
+
+/**
+ * Take the queued scripts that may run now (pure)
+ * Strictly first in, first out: a write waits until everything before it has
+ * finished and runs alone; reads run together, up to maxReads at once, as long
+ * as no write is running or waiting ahead of them.
+ * @param {Object} state - Current state
+ * @param {string} fileId - Target file
+ * @param {number} maxReads - Most read-only scripts running at once
+ * @returns {Object} { state: newState, started: Array } entries now counted as running
+ */
+function startQueuedRequests(state, fileId, maxReads) {
+  let { reads, writes, queue } = getRequestQueue(state, fileId);
+  const started = [];
+
+  while (queue.length > 0 && writes === 0) {
+    const next = queue[0];
+    if (next.readOnly ? reads >= maxReads : reads > 0) break;
+
+    queue = queue.slice(1);
+    started.push(next);
+    if (next.readOnly) {
+      reads++;
+    } else {
+      writes++;
+    }
+  }
+
+  return {
+    state: setRequestQueue(state, fileId, { reads, writes, queue }),
+    started
+  };
+}
+
+/**
+ * Mark a running script as finished (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - Target file
+ * @param {boolean} readOnly - Whether it was a read
+ * @returns {Object} New state
+ */
+function finishQueuedRequest(state, fileId, readOnly) {
+  const requestQueue = getRequestQueue(state, fileId);
+  return setRequestQueue(state, fileId, {
+    ...requestQueue,
+    reads: readOnly ? Math.max(0, requestQueue.reads - 1) : requestQueue.reads,
+    writes: readOnly ? requestQueue.writes : Math.max(0, requestQueue.writes - 1)
+  });
+}
+
+/**
+ * Drop a script that is still waiting, e.g. because its caller cancelled (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - Target file
+ * @param {Object} entry - Entry passed to enqueueRequest
+ * @returns {Object} New state
+ */
+function removeQueuedRequest(state, fileId, entry) {
+  const requestQueue = getRequestQueue(state, fileId);
+  return setRequestQueue(state, fileId, { ...requestQueue, queue: requestQueue.queue.filter(e => e !== entry) });
+}
+
+/**
+ * Clear pending requests (pure)
+ * @param {Object} state - Current state
+ * @param {string} fileId - Only clear requests sent to this file (default: all)
+ * @param {Function} keep - Optional predicate (resolver) => boolean; matching requests stay pending
  * @returns {Object} { state: newState, resolvers: Array }
  */
-function clearPendingRequests(state) {
-  const resolvers = Array.from(state.pendingRequests.values());
+function clearPendingRequests(state, fileId, keep) {
+  const newPendingRequests = new Map();
+  const newTransfers = new Map(state.transfers);
+  const resolvers = [];
+
+  for (const [requestId, resolver] of state.pendingRequests) {
+    const matchesFile = fileId === undefined || resolver.fileId === fileId;
+
+    // Partial results from the old connection are useless, even for kept requests
+    if (matchesFile) newTransfers.delete(requestId);
+
+    if (matchesFile && !(keep && keep(resolver))) {
+      resolvers.push(resolver);
+    } else {
+      newPendingRequests.set(requestId, resolver);
+    }
+  }
 
   return {
     state: {
       ...state,
-      pendingRequests: new Map()
+      pendingRequests: newPendingRequests,
+      transfers: newTransfers
     },
     resolvers
   };
@@ -101,19 +647,16 @@ function clearPendingRequests(state) {
 /**
  * Check if Figma client is connected (pure)
  * @param {Object} state - Current state
+ * @param {string} fileId - File to check (default: active file)
  * @returns {boolean}
  */
-function isClientConnected(state) {
-  if (state.figmaClient === null) return false;
-
-  // Handle PartyKit proxy object (has isPartyKit flag)
-  if (state.figmaClient.isPartyKit) {
-    // PartyKit proxy is connected if it has a send function
-    return typeof state.figmaClient.send === 'function';
-  }
+function isClientConnected(state, fileId) {
+  const client = getFigmaClient(state, fileId);
+  if (client === null) return false;
 
-  // Handle regular WebSocket (check readyState)
-  return state.figmaClient.readyState === 1; // WebSocket.OPEN
+  // Local WebSockets and PartyKit proxies both expose readyState.
+  // Unresponsive clients are evicted by the heartbeat, so an open socket is live.
+  return client.readyState === 1; // WebSocket.OPEN
 }
 
 /**
@@ -124,7 +667,17 @@ function isClientConnected(state) {
 function getStats(state) {
   return {
     connected: isClientConnected(state),
+    connectedFiles: state.figmaClients.size,
+    activeFileId: state.activeFileId,
+    reconnectingFiles: Array.from(state.reconnecting.keys()),
     pendingRequests: state.pendingRequests.size,
+    queuedRequests: Array.from(state.requestQueues.values()).reduce((total, q) => total + q.queue.length, 0),
+    requestQueues: Array.from(state.requestQueues.entries()).map(([fileId, q]) => ({
+      fileId,
+      queued: q.queue.length,
+      runningReads: q.reads,
+      runningWrites: q.writes
+    })),
     totalRequests: state.requestCounter,
     uptime: Date.now() - state.serverStartTime
   };
@@ -132,10 +685,34 @@ function getStats(state) {
 
 module.exports = {
   createInitialState,
-  setFigmaClient,
+  addFigmaClient,
+  removeFigmaClient,
+  getFileIdForClient,
+  touchFigmaClient,
+  getStaleClients,
+  startReconnectGrace,
+  isReconnecting,
+  addReconnectWaiter,
+  removeReconnectWaiter,
+  endReconnectGrace,
+  setActiveFile,
+  getFigmaClient,
+  listFigmaClients,
   generateRequestId,
   addPendingRequest,
   removePendingRequest,
+  addResultChunk,
+  addBinaryPart,
+  takeBinaryParts,
+  hasCapability,
+  hasOperation,
+  addClientOperations,
+  recordFigmaEvent,
+  getFileEvents,
+  enqueueRequest,
+  startQueuedRequests,
+  finishQueuedRequest,
+  removeQueuedRequest,
   clearPendingRequests,
   isClientConnected,
   getStats
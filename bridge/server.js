@@ -3,11 +3,31 @@
  * Clean, modular, testable architecture
  */
 
-const { createInitialState, setFigmaClient, removePendingRequest, clearPendingRequests } = require('./core/state');
-const { processMessage } = require('./core/messageHandler');
-const { executeInFigma } = require('./api/execute');
+const {
+  createInitialState,
+  addFigmaClient,
+  removeFigmaClient,
+  getFileIdForClient,
+  touchFigmaClient,
+  getStaleClients,
+  startReconnectGrace,
+  isReconnecting,
+  endReconnectGrace,
+  removePendingRequest,
+  addResultChunk,
+  addBinaryPart,
+  takeBinaryParts,
+  recordFigmaEvent,
+  getFileEvents,
+  clearPendingRequests
+} = require('./core/state');
+const { processMessage, restoreBinaryParts, createHandshakeAck } = require('./core/messageHandler');
+const { PROTOCOL_VERSION, CAPABILITIES } = require('./core/protocol');
+const { ERROR_CODES, createFigmaError, createPluginError } = require('./core/errors');
+const { executeInFigma, defineOperation } = require('./api/execute');
 const { getFigmaContext } = require('./api/context');
-const { notifyFigma, isConnected, getStatus } = require('./api/notify');
+const { supportsCapability, requireCapability } = require('./api/capabilities');
+const { notifyFigma, isConnected, isFileReconnecting, listConnectedFiles, setActiveFigmaFile, getStatus } = require('./api/notify');
 const { getAllVariables, getVariablesByType, getVariablesByCollection } = require('./api/variables');
 const { createText, createStyledText, createAutoLayout, createRectangle } = require('./api/primitives');
 const {
@@ -32,12 +52,34 @@ const {
   getBoundVariables
 } = require('./api/variablesAdvanced');
 const { createTransport, getTransportMode } = require('./transports');
+const { loadPairingToken, verifyPairingToken, TOKEN_FILE } = require('./config/pairing');
 
 // ========================================
 // STATE
 // ========================================
 let state = createInitialState();
 let transport = null;
+let pairingToken = null;
+let unnamedFileCounter = 0; // for plugins that don't report a file key
+let heartbeatTimer = null;
+let reconnectGrace = 0;
+const graceTimers = new Map(); // fileId -> timer closing its reconnect grace window
+const eventListeners = new Set(); // ({ fileId, event, payload }) => void, see onFigmaEvent
+const requestListeners = new Set(); // ({ fileId, duration, requestBytes, responseBytes, success }) => void, see onRequestComplete
+const connectionWaiters = new Set(); // { fileId, resolve } waiting for a file's plugin to handshake, see switchFigmaFile
+
+// How long switch_figma_file waits for the new file's plugin to pair
+const SESSION_SWITCH_TIMEOUT = 10000; // 10 seconds
+
+// Heartbeat: ping every interval, evict clients silent for longer than the timeout
+const DEFAULT_HEARTBEAT_INTERVAL = 10000; // 10 seconds
+const DEFAULT_HEARTBEAT_TIMEOUT = 30000; // 30 seconds
+
+// Messages only a paired plugin may send: answers to requests, progress and document events
+const PAIRED_ACTIONS = new Set(['RESOLVE_REQUEST', 'RESOLVE_CONTEXT', 'RESULT_CHUNK', 'BINARY_PART', 'REQUEST_PROGRESS', 'FIGMA_EVENT']);
+
+// How long a disconnected file's requests wait for the plugin to come back (0 disables)
+const DEFAULT_RECONNECT_GRACE = 15000; // 15 seconds
 
 // ========================================
 // LOGGER (stderr only - stdout is reserved for JSON-RPC)
@@ -66,33 +108,135 @@ function createContext() {
 // ========================================
 // MESSAGE PROCESSOR
 // ========================================
-function handleMessage(client, message) {
-  const action = processMessage(message);
+function handleMessage(client, message, isBinary = false) {
+  const action = processMessage(message, isBinary);
 
   if (!action) return;
 
+  // Any message from a paired plugin proves it is alive
+  state = touchFigmaClient(state, client);
+
+  // Only a paired plugin may answer requests or push events
+  if (PAIRED_ACTIONS.has(action.type) && getFileIdForClient(state, client) === null) {
+    logger.log(`✗ Ignored ${action.type} from unpaired client ${client.remoteAddress || 'unknown'}`);
+    return;
+  }
+
   switch (action.type) {
-    case 'SET_FIGMA_CLIENT':
-      state = setFigmaClient(state, client);
-      logger.log('✓ Figma plugin authenticated successfully!');
-      logger.log('✓ Bridge is now active - AI agents can send commands\n');
+    case 'ADD_FIGMA_CLIENT':
+      // Anyone can join a relay session room, so relay clients need the token too
+      if (!verifyPairingToken(pairingToken, action.token)) {
+        logger.log(
+          `✗ Rejected plugin handshake from ${client.isPartyKit ? `relay session ${client.fileId}` : client.remoteAddress || 'unknown'}: ` +
+          `${action.token ? 'invalid' : 'missing'} pairing token (see ${TOKEN_FILE})`
+        );
+        // The relay session socket is shared with the real plugin, so it stays open
+        if (!client.isPartyKit) {
+          client.close(4001, 'Invalid pairing token');
+        }
+        break;
+      }
+
+      // A re-handshake on the same connection replaces its old registration
+      state = removeFigmaClient(state, client).state;
+
+      const fileId = action.fileKey || client.fileId || `file-${++unnamedFileCounter}`;
+      const replaced = state.figmaClients.has(fileId);
+      state = addFigmaClient(state, fileId, {
+        client,
+        fileName: action.fileName || null,
+        version: action.version || null,
+        protocolVersion: action.protocolVersion,
+        capabilities: action.capabilities,
+        operations: action.operations
+      });
+      client.send(createHandshakeAck(fileId));
+
+      logger.log(`✓ Figma plugin authenticated successfully! (file: ${action.fileName || 'unknown'}, ${fileId})`);
+      logger.log(
+        `  Protocol v${action.protocolVersion}, capabilities: ` +
+        (action.capabilities.length > 0 ? action.capabilities.join(', ') : 'none')
+      );
+      if (action.protocolVersion > PROTOCOL_VERSION) {
+        logger.log(`  ⚠ Plugin speaks protocol v${action.protocolVersion}, bridge only v${PROTOCOL_VERSION} - update figmatic`);
+      }
+      if (replaced) {
+        logger.log(`  Replaced previous connection for ${fileId}`);
+      }
+      logger.log(`✓ Bridge is now active - ${state.figmaClients.size} file(s) connected, active: ${state.activeFileId}\n`);
+
+      if (isReconnecting(state, fileId)) {
+        resumeAfterReconnect(fileId, client);
+      }
+
+      connectionWaiters.forEach(waiter => {
+        if (waiter.fileId === fileId) waiter.resolve(true);
+      });
+      break;
+
+    case 'RESULT_CHUNK':
+      // Chunks for requests that already timed out or were cancelled are dropped
+      if (!state.pendingRequests.has(action.requestId)) break;
+
+      const { state: chunkState, message: completeMessage } = addResultChunk(state, action);
+      state = chunkState;
+
+      if (completeMessage !== null) {
+        logger.log(`✓ Reassembled ${action.total} chunks (request: ${action.requestId})`);
+        handleMessage(client, completeMessage);
+      }
+      break;
+
+    case 'BINARY_PART':
+      if (!state.pendingRequests.has(action.requestId)) break;
+
+      state = addBinaryPart(state, action.requestId, action.partId, action.data);
+      break;
+
+    case 'REQUEST_PROGRESS':
+      // Reports for requests that already ended are dropped
+      const progressRequest = state.pendingRequests.get(action.requestId);
+      if (!progressRequest || !progressRequest.onProgress) break;
+
+      try {
+        progressRequest.onProgress({ progress: action.progress, total: action.total, status: action.status });
+      } catch (error) {
+        logger.error('Progress listener failed:', error);
+      }
       break;
 
     case 'RESOLVE_REQUEST':
-      const { state: newState, resolver } = removePendingRequest(state, action.requestId);
+      const { state: partsState, parts } = takeBinaryParts(state, action.requestId);
+      const { state: newState, resolver } = removePendingRequest(partsState, action.requestId);
       state = newState;
 
       if (resolver) {
+        reportRoundTrip(resolver, action, message, parts);
+
         if (action.success) {
           logger.log(`✓ Execution successful (request: ${action.requestId})`);
-          resolver.resolve({ success: true, result: action.result });
+          const result = parts.size > 0 ? restoreBinaryParts(action.result, parts) : action.result;
+          resolver.resolve({ success: true, result });
         } else {
           logger.log(`✗ Execution failed (request: ${action.requestId}): ${action.error}`);
-          resolver.reject(new Error(action.error));
+          resolver.reject(createPluginError(action, resolver.script));
         }
       }
       break;
 
+    case 'FIGMA_EVENT':
+      const eventFileId = getFileIdForClient(state, client);
+      state = recordFigmaEvent(state, eventFileId, action.event, action.payload);
+
+      eventListeners.forEach(listener => {
+        try {
+          listener({ fileId: eventFileId, event: action.event, payload: action.payload });
+        } catch (error) {
+          logger.error('Event listener failed:', error);
+        }
+      });
+      break;
+
     case 'RESOLVE_CONTEXT':
       const { state: contextState, resolver: contextResolver } = removePendingRequest(state, action.requestId);
       state = contextState;
@@ -108,6 +252,10 @@ function handleMessage(client, message) {
       }
       break;
 
+    case 'HEARTBEAT':
+      // lastSeen already updated above
+      break;
+
     case 'INVALID_MESSAGE':
       logger.error('Invalid JSON received');
       break;
@@ -123,56 +271,432 @@ function handleMessage(client, message) {
 // ========================================
 function onConnection(client) {
   // Client connected, but not authenticated yet
-  // Wait for handshake message to set figmaClient in state
+  // Wait for handshake message to register it in state.figmaClients
   logger.log('Client connected to transport');
 }
 
+/**
+ * Reject every pending request that was sent to a file
+ * @param {string} fileId - File identifier
+ * @param {Error} error - Rejection error
+ * @param {Function} keep - Optional predicate (resolver) => boolean for requests to leave pending
+ */
+function failPendingRequests(fileId, error, keep) {
+  const { state: cleanedState, resolvers } = clearPendingRequests(state, fileId, keep);
+  state = cleanedState;
+
+  resolvers.forEach(resolver => {
+    resolver.reject(error);
+  });
+}
+
 function onDisconnection(client) {
-  // Check if this was the authenticated Figma client
-  if (client === state.figmaClient) {
-    state = setFigmaClient(state, null);
-    logger.log('⚠ Figma plugin disconnected - waiting for reconnection...\n');
-
-    // Reject all pending requests
-    const { state: cleanedState, resolvers } = clearPendingRequests(state);
-    state = cleanedState;
-
-    resolvers.forEach(resolver => {
-      resolver.reject(new Error('Figma plugin disconnected'));
-    });
+  // Check if this was an authenticated Figma client
+  const { state: removedState, fileId } = removeFigmaClient(state, client);
+  if (fileId !== null) {
+    const wasActive = state.activeFileId === fileId;
+    state = removedState;
+
+    if (reconnectGrace > 0) {
+      startGracePeriod(fileId, wasActive);
+      return;
+    }
+
+    logger.log(`⚠ Figma plugin disconnected (file: ${fileId}) - waiting for reconnection...`);
+    if (state.activeFileId) {
+      logger.log(`  Active file is now ${state.activeFileId}`);
+    }
+    logger.log('');
+
+    // Reject pending requests sent to that file
+    failPendingRequests(fileId, createFigmaError(ERROR_CODES.PLUGIN_DISCONNECTED, 'Figma plugin disconnected'));
   }
 }
 
-function onMessage(client, message) {
+function onMessage(client, message, isBinary) {
   // Pass the client reference so handleMessage can update state with it
-  handleMessage(client, message);
+  handleMessage(client, message, isBinary);
+}
+
+function onHeartbeat(client) {
+  state = touchFigmaClient(state, client);
+}
+
+// ========================================
+// RECONNECT GRACE PERIOD
+// ========================================
+/**
+ * Hold a disconnected file's requests while the plugin reloads
+ * New calls queue, read-only requests in flight are replayed on reconnect,
+ * and writes in flight fail (they may already have been applied).
+ * @param {string} fileId - File that disconnected
+ * @param {boolean} wasActive - Whether it was the active file
+ */
+function startGracePeriod(fileId, wasActive) {
+  state = startReconnectGrace(state, fileId, { until: Date.now() + reconnectGrace, wasActive });
+
+  logger.log(`⚠ Figma plugin disconnected (file: ${fileId}) - holding requests for ${reconnectGrace / 1000}s while it reconnects...\n`);
+
+  failPendingRequests(
+    fileId,
+    createFigmaError(
+      ERROR_CODES.PLUGIN_DISCONNECTED,
+      'Figma plugin disconnected while the request was running. It may or may not have been applied.'
+    ),
+    resolver => resolver.replay !== null && resolver.replay !== undefined
+  );
+
+  const timer = setTimeout(() => expireGracePeriod(fileId), reconnectGrace);
+  timer.unref();
+  graceTimers.set(fileId, timer);
+}
+
+/**
+ * Plugin came back for the same file: replay read-only requests, release queued calls
+ * @param {string} fileId - File that reconnected
+ * @param {WebSocket|Object} client - New connection
+ */
+function resumeAfterReconnect(fileId, client) {
+  clearTimeout(graceTimers.get(fileId));
+  graceTimers.delete(fileId);
+
+  const { state: endedState, waiters } = endReconnectGrace(state, fileId);
+  state = endedState;
+
+  const replayed = Array.from(state.pendingRequests.values())
+    .filter(resolver => resolver.fileId === fileId && resolver.replay);
+  replayed.forEach(resolver => {
+    // The new connection starts without the operations sent to the old one
+    if (resolver.operation) {
+      defineOperation(createContext(), fileId, resolver.operation);
+    }
+    client.send(resolver.replay);
+  });
+
+  logger.log(`✓ Plugin reconnected (file: ${fileId}) - replayed ${replayed.length} request(s), releasing ${waiters.length} queued`);
+
+  waiters.forEach(waiter => waiter.resolve());
+}
+
+/**
+ * Grace window closed without a reconnect: fail everything held for the file
+ * @param {string} fileId - File that stayed disconnected
+ */
+function expireGracePeriod(fileId) {
+  graceTimers.delete(fileId);
+
+  const { state: endedState, waiters } = endReconnectGrace(state, fileId);
+  state = endedState;
+
+  logger.log(`⚠ Figma plugin did not reconnect within ${reconnectGrace / 1000}s (file: ${fileId})\n`);
+
+  const error = createFigmaError(
+    ERROR_CODES.PLUGIN_DISCONNECTED,
+    `Figma plugin disconnected and did not reconnect within ${reconnectGrace / 1000}s (file: ${fileId})`
+  );
+  failPendingRequests(fileId, error);
+  waiters.forEach(waiter => waiter.reject(error));
+}
+
+// ========================================
+// HEARTBEAT
+// ========================================
+/**
+ * Evict clients that stopped answering, then ping the rest
+ * @param {number} timeout - Maximum silence in ms
+ */
+function checkHeartbeats(timeout) {
+  const now = Date.now();
+
+  getStaleClients(state, timeout, now).filter(isHeartbeatWatched).forEach(entry => {
+    const silentFor = ((now - entry.lastSeen) / 1000).toFixed(1);
+    const { state: removedState, fileId } = removeFigmaClient(state, entry.client);
+    state = removedState;
+
+    logger.log(`⚠ Figma plugin unresponsive (file: ${fileId}) - no heartbeat for ${silentFor}s, evicting`);
+
+    const error = createFigmaError(
+      ERROR_CODES.PLUGIN_UNRESPONSIVE,
+      `Figma plugin unresponsive (file: ${fileId}): no heartbeat for ${silentFor}s. ` +
+      'The plugin may be frozen or the computer asleep - reopen the plugin to reconnect.'
+    );
+    failPendingRequests(fileId, error);
+
+    // A relayed plugin can't be disconnected from here; rejoining the session
+    // room asks it to pair again once it answers
+    if (entry.client.isPartyKit) {
+      entry.client.reconnect();
+    } else {
+      entry.client.terminate();
+    }
+  });
+
+  for (const entry of state.figmaClients.values()) {
+    if (!isHeartbeatWatched(entry)) continue;
+
+    try {
+      entry.client.ping();
+    } catch (error) {
+      logger.error('Heartbeat ping failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Check whether the heartbeat pings and evicts a plugin
+ * Local clients answer WebSocket ping frames on their own. Relayed clients
+ * get ping messages, which only plugins with the heartbeat capability answer.
+ * @param {Object} entry - Figma client entry
+ * @returns {boolean}
+ */
+function isHeartbeatWatched(entry) {
+  return !entry.client.isPartyKit || entry.capabilities.includes(CAPABILITIES.HEARTBEAT);
+}
+
+/**
+ * Tell request listeners how long a script's round trip took and how big it was
+ * @param {Object} resolver - Pending request (execute requests carry sentAt and requestBytes)
+ * @param {Object} action - RESOLVE_REQUEST action
+ * @param {string|Buffer} message - Raw execution-result (reassembled if it was chunked)
+ * @param {Map} parts - Binary parts sent with the result
+ */
+function reportRoundTrip(resolver, action, message, parts) {
+  if (requestListeners.size === 0 || !resolver.sentAt) return;
+
+  const messageBytes = typeof message === 'string' ? Buffer.byteLength(message) : message.length;
+  const partBytes = Array.from(parts.values()).reduce((total, part) => total + part.length, 0);
+  const report = {
+    fileId: resolver.fileId,
+    duration: Date.now() - resolver.sentAt,
+    requestBytes: resolver.requestBytes,
+    responseBytes: messageBytes + partBytes,
+    success: Boolean(action.success)
+  };
+
+  requestListeners.forEach(listener => {
+    try {
+      listener(report);
+    } catch (error) {
+      logger.error('Request listener failed:', error);
+    }
+  });
+}
+
+// ========================================
+// RELAY SESSIONS (partykit mode)
+// ========================================
+/**
+ * Get the transport's session controls
+ * @returns {Object} Transport with getState, switchToSession and pinFile
+ * @throws {Error} If the transport joins files directly instead of through session rooms
+ */
+function requireSessionTransport() {
+  if (!transport || typeof transport.switchToSession !== 'function') {
+    throw new Error(
+      `Figma file sessions are only available in partykit mode (current mode: ${getTransportMode()}). ` +
+      'Use list_connected_files and set_active_file instead.'
+    );
+  }
+  return transport;
+}
+
+/**
+ * Wait for a file's plugin to pair
+ * @param {string} fileId - File to wait for
+ * @param {number} timeout - Maximum wait in ms
+ * @returns {Promise<boolean>} false if it didn't pair in time
+ */
+function waitForFileConnection(fileId, timeout) {
+  if (state.figmaClients.has(fileId)) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const waiter = {
+      fileId,
+      resolve: (connected) => {
+        clearTimeout(timer);
+        connectionWaiters.delete(waiter);
+        resolve(connected);
+      }
+    };
+    const timer = setTimeout(() => waiter.resolve(false), timeout);
+    connectionWaiters.add(waiter);
+  });
+}
+
+/**
+ * List files announced in the relay's discovery room
+ * @returns {Object} { activeFileId, pinnedFileId, files: [{ fileId, fileName, lastSeen, active, pinned, stale, connected }] }
+ */
+function listFigmaFiles() {
+  const { activeFileId, pinnedFileId, discoveredFiles } = requireSessionTransport().getState();
+
+  return {
+    activeFileId,
+    pinnedFileId,
+    files: discoveredFiles.map(file => ({ ...file, connected: state.figmaClients.has(file.fileId) }))
+  };
+}
+
+/**
+ * Join a file's session room and make it the active file once its plugin pairs
+ * @param {string} fileId - File to switch to
+ * @param {Object} options - { timeout, reason }
+ * @returns {Promise<Object>} { fileId, fileName, previousFileId, connected, pinned }
+ */
+async function switchFigmaFile(fileId, options = {}) {
+  const { timeout = SESSION_SWITCH_TIMEOUT, reason = 'agent' } = options;
+  const sessions = requireSessionTransport();
+  const previousFileId = sessions.getState().activeFileId;
+
+  sessions.switchToSession(fileId, reason);
+  const connected = await waitForFileConnection(fileId, timeout);
+
+  if (connected) {
+    setActiveFigmaFile(createContext(), fileId);
+  } else {
+    logger.log(`⚠ Switched to ${fileId}, but its plugin did not pair within ${timeout / 1000}s`);
+  }
+
+  const { pinnedFileId, discoveredFiles } = sessions.getState();
+  const file = discoveredFiles.find(entry => entry.fileId === fileId);
+
+  return {
+    fileId,
+    fileName: file ? file.fileName : null,
+    previousFileId,
+    connected,
+    pinned: pinnedFileId === fileId
+  };
+}
+
+/**
+ * Pin a file so it stays active while it briefly stops announcing
+ * Pinning another file switches to it first
+ * @param {string} fileId - File to pin (default: the session's active file)
+ * @param {boolean} pinned - false to unpin
+ * @returns {Promise<Object>} { fileId, pinnedFileId, connected }
+ */
+async function pinFigmaFile(fileId, pinned = true) {
+  const sessions = requireSessionTransport();
+  const { activeFileId } = sessions.getState();
+  const target = fileId || activeFileId;
+
+  if (!pinned) {
+    sessions.pinFile(null);
+    return { fileId: target, pinnedFileId: null, connected: state.figmaClients.has(target) };
+  }
+
+  if (!target) {
+    throw new Error('No Figma file to pin. Use list_figma_files to see announced files.');
+  }
+
+  const connected = target === activeFileId
+    ? state.figmaClients.has(target)
+    : (await switchFigmaFile(target, { reason: 'pin' })).connected;
+  sessions.pinFile(target);
+
+  return { fileId: target, pinnedFileId: sessions.getState().pinnedFileId, connected };
 }
 
 // ========================================
 // SERVER SETUP
 // ========================================
-function startServer(port = null) {
+
+/**
+ * Listen for document events pushed by any connected plugin
+ * @param {Function} listener - ({ fileId, event, payload }) => void
+ * @returns {Function} Unsubscribe
+ */
+function onFigmaEvent(listener) {
+  eventListeners.add(listener);
+  return () => eventListeners.delete(listener);
+}
+
+/**
+ * Listen for scripts the plugin answered, e.g. to record round-trip metrics
+ * @param {Function} listener - ({ fileId, duration, requestBytes, responseBytes, success }) => void
+ * @returns {Function} Unsubscribe
+ */
+function onRequestComplete(listener) {
+  requestListeners.add(listener);
+  return () => requestListeners.delete(listener);
+}
+
+/**
+ * Start the transport and the heartbeat
+ * @param {number} port - Port for the local transport (default: FIGMA_WS_PORT)
+ * @returns {Promise<void>} Rejects if the transport fails to start
+ */
+async function startServer(port = null) {
   if (transport) {
     logger.log('Transport already started');
     return;
   }
 
+  pairingToken = loadPairingToken({ logger });
+
   // Create transport based on FIGMATIC_MODE
   transport = createTransport({
     onConnection,
     onDisconnection,
     onMessage,
+    onHeartbeat,
     logger,
     port
   });
 
   // Start transport
-  transport.start();
+  try {
+    await transport.start();
+  } catch (error) {
+    transport = null;
+    logger.error(`✗ Bridge failed to start (${getTransportMode()} transport):`, error.message);
+    throw error;
+  }
+
+  const heartbeatInterval = parseInt(process.env.FIGMA_HEARTBEAT_INTERVAL_MS || DEFAULT_HEARTBEAT_INTERVAL, 10);
+  const heartbeatTimeout = parseInt(process.env.FIGMA_HEARTBEAT_TIMEOUT_MS || DEFAULT_HEARTBEAT_TIMEOUT, 10);
+  heartbeatTimer = setInterval(() => checkHeartbeats(heartbeatTimeout), heartbeatInterval);
+  heartbeatTimer.unref();
+
+  reconnectGrace = parseInt(process.env.FIGMA_RECONNECT_GRACE_MS || DEFAULT_RECONNECT_GRACE, 10);
+}
+
+function stopServer() {
+  if (!transport) return;
+
+  transport.stop();
+  transport = null;
+
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+
+  graceTimers.forEach(timer => clearTimeout(timer));
+  graceTimers.clear();
+  connectionWaiters.forEach(waiter => waiter.resolve(false));
+
+  // Fail anything still waiting on the plugin
+  const { state: cleanedState, resolvers } = clearPendingRequests(state);
+  const waiters = Array.from(state.reconnecting.values()).flatMap(entry => entry.waiters);
+  const queued = Array.from(state.requestQueues.values()).flatMap(entry => entry.queue);
+  state = {
+    ...cleanedState,
+    figmaClients: new Map(),
+    activeFileId: null,
+    reconnecting: new Map(),
+    transfers: new Map(),
+    fileEvents: new Map(),
+    requestQueues: new Map()
+  };
+
+  [...resolvers, ...waiters, ...queued].forEach(resolver => {
+    resolver.reject(new Error('Bridge stopped'));
+  });
 }
 
 // Start server if this is the main module
 if (require.main === module) {
-  startServer();
+  startServer().catch(() => process.exit(1));
 }
 
 // ========================================
@@ -180,14 +704,25 @@ if (require.main === module) {
 // ========================================
 module.exports = {
   // Core APIs
-  executeInFigma: (script) => executeInFigma(createContext(), script),
-  getFigmaContext: () => getFigmaContext(createContext()),
-  notifyFigma: (message, timeout) => notifyFigma(createContext(), message, timeout),
-  isConnected: () => isConnected(createContext()),
+  executeInFigma: (script, options) => executeInFigma(createContext(), script, options),
+  getFigmaContext: (fileId) => getFigmaContext(createContext(), fileId),
+  notifyFigma: (message, timeout, fileId) => notifyFigma(createContext(), message, timeout, fileId),
+  isConnected: (fileId) => isConnected(createContext(), fileId),
+  isReconnecting: (fileId) => isFileReconnecting(createContext(), fileId),
+  getFileEvents: (fileId) => getFileEvents(state, fileId),
+  onFigmaEvent,
+  onRequestComplete,
+  listFigmaFiles,
+  switchFigmaFile,
+  pinFigmaFile,
+  hasCapability: (capability, fileId) => supportsCapability(createContext(), capability, fileId),
+  requireCapability: (capability, fileId, feature) => requireCapability(createContext(), capability, fileId, feature),
+  listConnectedFiles: () => listConnectedFiles(createContext()),
+  setActiveFile: (fileId) => setActiveFigmaFile(createContext(), fileId),
   getStatus: () => getStatus(createContext()),
 
   // Variables API
-  getAllVariables: () => getAllVariables(createContext()),
+  getAllVariables: (options) => getAllVariables(createContext(), options),
   getVariablesByType: (type) => getVariablesByType(createContext(), type),
   getVariablesByCollection: (name) => getVariablesByCollection(createContext(), name),
 
@@ -219,5 +754,6 @@ module.exports = {
   getBoundVariables: (nodeId) => getBoundVariables(createContext(), nodeId),
 
   // Server control
-  startServer
+  startServer,
+  stopServer
 };
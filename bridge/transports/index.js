@@ -1,10 +1,44 @@
 /**
  * Transport Factory
- * Selects and creates the appropriate transport based on FIGMATIC_MODE environment variable
+ * Selects and creates the appropriate transport based on FIGMATIC_MODE environment variable,
+ * or loads a custom transport module from FIGMATIC_TRANSPORT_MODULE
  */
 
+const path = require('path');
 const { createLocalTransport } = require('./local');
 const { createPartyKitTransport } = require('./partykit');
+const { createSocketTransport } = require('./socket');
+
+const TRANSPORTS = {
+  local: createLocalTransport,
+  partykit: createPartyKitTransport,
+  socket: createSocketTransport
+};
+
+/**
+ * Load a transport factory from a module path
+ * The module exports createTransport(options), or is that function itself,
+ * and the transport it returns has start() and stop() like the built-in ones
+ * @param {string} modulePath - Path to the module (relative paths resolve from the working directory)
+ * @returns {Function} Transport factory
+ */
+function loadCustomTransport(modulePath) {
+  const resolved = path.resolve(modulePath);
+  const exported = require(resolved);
+  const factory = typeof exported === 'function' ? exported : exported.createTransport;
+
+  if (typeof factory !== 'function') {
+    throw new Error(`Custom transport ${resolved} must export a createTransport(options) function`);
+  }
+
+  return (options) => {
+    const transport = factory(options);
+    if (!transport || typeof transport.start !== 'function' || typeof transport.stop !== 'function') {
+      throw new Error(`Custom transport ${resolved} must return an object with start() and stop()`);
+    }
+    return transport;
+  };
+}
 
 /**
  * Create transport based on environment configuration
@@ -12,30 +46,37 @@ const { createPartyKitTransport } = require('./partykit');
  * @param {Function} options.onConnection - Called when client connects
  * @param {Function} options.onDisconnection - Called when client disconnects
  * @param {Function} options.onMessage - Called when message received
+ * @param {Function} options.onHeartbeat - Called when a client answers a heartbeat ping
  * @param {Object} options.logger - Logger instance
  * @returns {Object} Transport instance
  */
 function createTransport(options) {
-  const mode = (process.env.FIGMATIC_MODE || 'local').toLowerCase();
-
-  if (mode === 'partykit') {
-    return createPartyKitTransport(options);
-  } else if (mode === 'local') {
-    return createLocalTransport(options);
-  } else {
-    throw new Error(`Invalid FIGMATIC_MODE: ${mode}. Must be 'local' or 'partykit'.`);
+  if (process.env.FIGMATIC_TRANSPORT_MODULE) {
+    return loadCustomTransport(process.env.FIGMATIC_TRANSPORT_MODULE)(options);
   }
+
+  const mode = getTransportMode();
+
+  if (!TRANSPORTS[mode]) {
+    throw new Error(`Invalid FIGMATIC_MODE: ${mode}. Must be 'local', 'partykit' or 'socket'.`);
+  }
+
+  return TRANSPORTS[mode](options);
 }
 
 /**
  * Get current transport mode
- * @returns {string} 'local' or 'partykit'
+ * @returns {string} 'local', 'partykit', 'socket', or 'custom' when FIGMATIC_TRANSPORT_MODULE is set
  */
 function getTransportMode() {
+  if (process.env.FIGMATIC_TRANSPORT_MODULE) {
+    return 'custom';
+  }
   return (process.env.FIGMATIC_MODE || 'local').toLowerCase();
 }
 
 module.exports = {
   createTransport,
-  getTransportMode
+  getTransportMode,
+  loadCustomTransport
 };
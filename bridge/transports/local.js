@@ -1,27 +1,106 @@
 /**
  * Local WebSocket Transport
  * Creates a WebSocket server on localhost for direct plugin connections
+ * Binds to 127.0.0.1 and refuses browser origins other than Figma's,
+ * so other machines and web pages cannot reach the bridge
  */
 
 const WebSocket = require('ws');
 
+// Figma plugin UIs connect from a sandboxed iframe (Origin: null) or figma.com.
+// Non-browser clients (mock plugin, scripts) send no Origin at all.
+const DEFAULT_ALLOWED_ORIGINS = ['null', 'https://www.figma.com', 'https://figma.com'];
+
+/**
+ * Read allowed origins from FIGMA_WS_ALLOWED_ORIGINS (comma-separated)
+ * @returns {Array<string>} Allowed Origin header values
+ */
+function getAllowedOrigins() {
+  if (!process.env.FIGMA_WS_ALLOWED_ORIGINS) {
+    return DEFAULT_ALLOWED_ORIGINS;
+  }
+  return process.env.FIGMA_WS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Create a ws verifyClient callback that only admits allowed browser origins
+ * @param {Object} logger - Logger instance
+ * @returns {Function} verifyClient(info, done)
+ */
+function createOriginVerifier(logger) {
+  const allowedOrigins = getAllowedOrigins();
+
+  return (info, done) => {
+    const origin = info.req.headers.origin;
+    if (origin === undefined || allowedOrigins.includes(origin)) {
+      return done(true);
+    }
+
+    logger.log(`✗ Rejected connection from ${info.req.socket.remoteAddress || 'local socket'}: origin not allowed (${origin})`);
+    done(false, 403, 'Origin not allowed');
+  };
+}
+
+/**
+ * Wire a new plugin connection to the transport callbacks
+ * Shared by every transport that runs its own ws server
+ * @param {WebSocket} ws - Accepted connection
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {Object} options - Transport options (onConnection, onDisconnection, onMessage, onHeartbeat, logger)
+ */
+function attachClient(ws, req, options) {
+  const { onConnection, onDisconnection, onMessage, onHeartbeat, logger } = options;
+
+  // Unix socket connections have no remote address
+  const clientIp = req.socket.remoteAddress || 'local socket';
+  logger.log(`New client connected from ${clientIp}`);
+
+  // Set flag for state handling
+  ws.isPartyKit = false;
+  ws.remoteAddress = clientIp;
+
+  // Notify parent of connection
+  if (onConnection) onConnection(ws);
+
+  // Message handler
+  ws.on('message', (message, isBinary) => {
+    if (onMessage) onMessage(ws, message, isBinary);
+  });
+
+  // Heartbeat handler (browsers answer ping frames automatically)
+  ws.on('pong', () => {
+    if (onHeartbeat) onHeartbeat(ws);
+  });
+
+  // Disconnect handler
+  ws.on('close', () => {
+    logger.log('Client disconnected');
+    if (onDisconnection) onDisconnection(ws);
+  });
+
+  // Error handler
+  ws.on('error', (error) => {
+    logger.error('WebSocket error:', error);
+  });
+}
+
 /**
  * Create local WebSocket transport
  * @param {Object} options - Transport options
  * @param {Function} options.onConnection - Called when client connects (ws)
  * @param {Function} options.onDisconnection - Called when client disconnects (ws)
- * @param {Function} options.onMessage - Called when message received (ws, message)
+ * @param {Function} options.onMessage - Called when message received (ws, message, isBinary)
+ * @param {Function} options.onHeartbeat - Called when a client answers a ping frame (ws)
  * @param {Object} options.logger - Logger instance
  * @param {number} options.port - Port to listen on (default: 8080)
+ * @param {string} options.host - Interface to bind (default: FIGMA_WS_HOST or 127.0.0.1)
  * @returns {Object} Transport instance
  */
 function createLocalTransport(options) {
   const {
-    onConnection,
-    onDisconnection,
-    onMessage,
     logger,
-    port
+    port,
+    host = process.env.FIGMA_WS_HOST || '127.0.0.1'
   } = options;
 
   // Use provided port, environment variable, or default to 8080
@@ -32,6 +111,7 @@ function createLocalTransport(options) {
   return {
     /**
      * Start the local WebSocket server
+     * @returns {Promise<void>} Resolves once listening, rejects if the port can't be bound
      */
     async start() {
       if (wss) {
@@ -41,66 +121,48 @@ function createLocalTransport(options) {
 
       try {
         wss = new WebSocket.Server({
+          host,
           port: wsPort,
-          perMessageDeflate: false
-        });
-
-        // Startup banner
-        process.stderr.write('╔════════════════════════════════════════╗\n');
-        process.stderr.write('║   Figma AI Bridge - LOCAL MODE        ║\n');
-        process.stderr.write('╚════════════════════════════════════════╝\n');
-        process.stderr.write('\n');
-        process.stderr.write(`WebSocket server running on ws://localhost:${wsPort}\n`);
-        process.stderr.write('Waiting for Figma plugin connections...\n');
-        process.stderr.write('\n');
-
-        // Connection handler
-        wss.on('connection', (ws, req) => {
-          const clientIp = req.socket.remoteAddress;
-          logger.log(`New client connected from ${clientIp}`);
-
-          // Set flag for state handling
-          ws.isPartyKit = false;
-
-          // Notify parent of connection
-          if (onConnection) onConnection(ws);
-
-          // Message handler
-          ws.on('message', (message) => {
-            if (onMessage) onMessage(ws, message);
-          });
-
-          // Disconnect handler
-          ws.on('close', () => {
-            logger.log('Client disconnected');
-            if (onDisconnection) onDisconnection(ws);
-          });
-
-          // Error handler
-          ws.on('error', (error) => {
-            logger.error('WebSocket error:', error);
-          });
+          perMessageDeflate: false,
+          verifyClient: createOriginVerifier(logger)
         });
 
-        // Server error handler
-        wss.on('error', (error) => {
-          if (error.code === 'EADDRINUSE') {
-            process.stderr.write(`\n❌ ERROR: Port ${wsPort} is already in use!\n\n`);
-            process.stderr.write('To fix this, either:\n');
-            process.stderr.write(`1. Stop the process using port ${wsPort}\n`);
-            process.stderr.write(`2. Use a different port by setting FIGMA_WS_PORT environment variable\n\n`);
-            process.stderr.write('Example:\n');
-            process.stderr.write('  export FIGMA_WS_PORT=8081\n\n');
-            throw error;
-          }
-          logger.error('Server error:', error);
+        await new Promise((resolve, reject) => {
+          wss.once('listening', resolve);
+          wss.once('error', reject);
         });
-
-        logger.log('✓ Local transport initialized successfully\n');
       } catch (error) {
-        logger.error('Failed to start local transport:', error);
+        wss = null;
+        if (error.code === 'EADDRINUSE') {
+          process.stderr.write(`\n❌ ERROR: Port ${wsPort} is already in use!\n\n`);
+          process.stderr.write('To fix this, either:\n');
+          process.stderr.write(`1. Stop the process using port ${wsPort}\n`);
+          process.stderr.write(`2. Use a different port by setting FIGMA_WS_PORT environment variable\n\n`);
+          process.stderr.write('Example:\n');
+          process.stderr.write('  export FIGMA_WS_PORT=8081\n\n');
+        }
+        logger.error('Failed to start local transport:', error.message);
         throw error;
       }
+
+      // Startup banner
+      process.stderr.write('╔════════════════════════════════════════╗\n');
+      process.stderr.write('║   Figma AI Bridge - LOCAL MODE        ║\n');
+      process.stderr.write('╚════════════════════════════════════════╝\n');
+      process.stderr.write('\n');
+      process.stderr.write(`WebSocket server running on ws://${host}:${wsPort}\n`);
+      process.stderr.write('Waiting for Figma plugin connections...\n');
+      process.stderr.write('\n');
+
+      // Connection handler
+      wss.on('connection', (ws, req) => attachClient(ws, req, options));
+
+      // Server error handler
+      wss.on('error', (error) => {
+        logger.error('Server error:', error);
+      });
+
+      logger.log('✓ Local transport initialized successfully\n');
     },
 
     /**
@@ -117,4 +179,4 @@ function createLocalTransport(options) {
   };
 }
 
-module.exports = { createLocalTransport };
+module.exports = { createLocalTransport, createOriginVerifier, attachClient };
@@ -1,21 +1,27 @@
 /**
  * PartyKit WebSocket Transport
  * Connects to PartyKit cloud relay for multi-file and cross-network support
+ * PARTYKIT_HOST=localhost:1999 uses the self-hosted relay in relay/ instead
  */
 
 const { PartySocket } = require('partysocket');
+const WebSocket = require('ws');
 const { createSessionWatcher } = require('../config/sessionWatcher');
+const { createPingCommand } = require('../core/messageHandler');
 
 const FILE_TIMEOUT_MS = 30000; // 30 seconds - remove files that haven't announced
+const PRUNE_INTERVAL_MS = 15000; // 15 seconds - how often stale files are checked
 
 /**
  * Create PartyKit transport
  * @param {Object} options - Transport options
  * @param {Function} options.onConnection - Called when connected to session (proxy)
  * @param {Function} options.onDisconnection - Called when disconnected from session (proxy)
- * @param {Function} options.onMessage - Called when message received (proxy, message)
+ * @param {Function} options.onMessage - Called when message received (proxy, message, isBinary)
  * @param {Object} options.logger - Logger instance
  * @param {string} options.host - PartyKit host (default: env or figmatic-relay-experiment.uxfreak.partykit.dev)
+ * @param {number} options.fileTimeout - Silence after which a discovered file is dropped (ms)
+ * @param {number} options.pruneInterval - How often to look for silent files (ms)
  * @returns {Object} Transport instance
  */
 function createPartyKitTransport(options) {
@@ -24,26 +30,40 @@ function createPartyKitTransport(options) {
     onDisconnection,
     onMessage,
     logger,
-    host = process.env.PARTYKIT_HOST || 'figmatic-relay-experiment.uxfreak.partykit.dev'
+    host = process.env.PARTYKIT_HOST || 'figmatic-relay-experiment.uxfreak.partykit.dev',
+    fileTimeout = FILE_TIMEOUT_MS,
+    pruneInterval = PRUNE_INTERVAL_MS
   } = options;
 
   // State
   let discoverySocket = null;
   let sessionSocket = null;
   let activeFileId = null;
+  let pinnedFileId = null; // Kept active even when it goes quiet, see pinFile
   let discoveredFiles = new Map(); // fileId -> { fileName, lastSeen }
   let sessionProxy = null; // Proxy object that looks like WebSocket
   let sessionWatcher = null; // Config file watcher
+  let pruneTimer = null;
 
   /**
    * Create a proxy object that mimics WebSocket interface
    * This allows the rest of the code to treat PartyKit and local WS the same
+   * fileId keys the connection when the plugin handshake has no fileKey
+   * The relay can't forward WebSocket ping frames, so ping() sends a ping
+   * message that plugins with the heartbeat capability answer with { type: 'pong' }.
+   * reconnect() rejoins the room, which asks the plugin to pair again.
    */
-  function createSessionProxy(socket) {
+  function createSessionProxy(socket, fileId) {
     return {
       send: (data) => socket.send(data),
       close: () => socket.close(),
+      ping: () => socket.send(createPingCommand()),
+      reconnect: () => socket.reconnect(),
+      get readyState() {
+        return socket.readyState;
+      },
       isPartyKit: true, // Flag for state.js to recognize
+      fileId,
       _socket: socket
     };
   }
@@ -63,43 +83,47 @@ function createPartyKitTransport(options) {
 
     logger.log(`📡 Connecting to session room: ${sessionRoomId}`);
 
-    sessionSocket = new PartySocket({
+    const socket = new PartySocket({
       host,
       party: 'main',
-      room: sessionRoomId
+      room: sessionRoomId,
+      WebSocket // Node < 22 has no global WebSocket
     });
+    socket.binaryType = 'arraybuffer';
+    sessionSocket = socket;
 
-    // Create proxy for state management
-    sessionProxy = createSessionProxy(sessionSocket);
+    // Create proxy for state management. It lives as long as the socket, which
+    // reconnects on its own, so handlers use it instead of sessionProxy
+    // (already replaced when an old socket's close event arrives after a switch)
+    const proxy = createSessionProxy(socket, fileId);
+    sessionProxy = proxy;
 
-    sessionSocket.addEventListener('open', () => {
+    socket.addEventListener('open', () => {
       logger.log(`✅ Connected to session room for file: ${fileId}`);
 
       // Notify parent of connection
-      if (onConnection) onConnection(sessionProxy);
+      if (onConnection) onConnection(proxy);
 
       // Send handshake
-      sessionSocket.send(JSON.stringify({
+      socket.send(JSON.stringify({
         type: 'handshake',
         source: 'mcp-server'
       }));
     });
 
-    sessionSocket.addEventListener('message', (event) => {
-      // Forward to message handler
-      if (onMessage) onMessage(sessionProxy, event.data);
+    socket.addEventListener('message', (event) => {
+      // Forward to message handler (binary frames arrive as Buffer/ArrayBuffer)
+      if (onMessage) onMessage(proxy, event.data, typeof event.data !== 'string');
     });
 
-    sessionSocket.addEventListener('close', () => {
+    socket.addEventListener('close', () => {
       logger.log(`Session room disconnected for file: ${fileId}`);
 
       // Notify parent of disconnection
-      if (onDisconnection) onDisconnection(sessionProxy);
-
-      sessionProxy = null;
+      if (onDisconnection) onDisconnection(proxy);
     });
 
-    sessionSocket.addEventListener('error', (error) => {
+    socket.addEventListener('error', (error) => {
       logger.error('Session room error:', error);
     });
   }
@@ -125,6 +149,12 @@ function createPartyKitTransport(options) {
 
     logger.log(`🔄 Switching to file: ${fileInfo?.fileName || fileId} (${fileId}) - ${reason}`);
 
+    // Leaving the pinned file on purpose releases the pin
+    if (pinnedFileId && pinnedFileId !== fileId) {
+      logger.log(`📌 Unpinned file: ${pinnedFileId}`);
+      pinnedFileId = null;
+    }
+
     // Notify parent that old session is disconnecting
     if (sessionProxy && onDisconnection) {
       onDisconnection(sessionProxy);
@@ -157,15 +187,36 @@ function createPartyKitTransport(options) {
     }
   }
 
+  /**
+   * Pin a file: make it active and keep it there while it is quiet
+   * @param {string|null} fileId - File to pin, or null to unpin
+   */
+  function pinFile(fileId) {
+    if (fileId === null) {
+      if (pinnedFileId) logger.log(`📌 Unpinned file: ${pinnedFileId}`);
+      pinnedFileId = null;
+      return;
+    }
+
+    if (fileId !== activeFileId) {
+      switchToSession(fileId, 'pin');
+    }
+    pinnedFileId = fileId;
+    logger.log(`📌 Pinned file: ${discoveredFiles.get(fileId)?.fileName || fileId} (${fileId})`);
+  }
+
   /**
    * Remove stale files that haven't announced recently
+   * The pinned file stays (and stays active) until it announces again
    */
   function pruneStaleFiles() {
     const now = Date.now();
     let removed = 0;
 
     for (const [fileId, fileInfo] of discoveredFiles.entries()) {
-      if (now - fileInfo.lastSeen > FILE_TIMEOUT_MS) {
+      if (fileId === pinnedFileId) continue;
+
+      if (now - fileInfo.lastSeen > fileTimeout) {
         logger.log(`⏱ Removing stale file: ${fileInfo.fileName} (${fileId})`);
         discoveredFiles.delete(fileId);
         removed++;
@@ -205,7 +256,8 @@ function createPartyKitTransport(options) {
     discoverySocket = new PartySocket({
       host,
       party: 'main',
-      room: discoveryRoomId
+      room: discoveryRoomId,
+      WebSocket
     });
 
     discoverySocket.addEventListener('open', () => {
@@ -240,10 +292,13 @@ function createPartyKitTransport(options) {
       logger.error('Discovery room error:', error);
     });
 
-    // Start pruning stale files every 15 seconds
-    setInterval(() => {
-      pruneStaleFiles();
-    }, 15000);
+    // Start pruning stale files
+    if (!pruneTimer) {
+      pruneTimer = setInterval(() => {
+        pruneStaleFiles();
+      }, pruneInterval);
+      pruneTimer.unref();
+    }
   }
 
   return {
@@ -286,6 +341,11 @@ function createPartyKitTransport(options) {
         sessionWatcher = null;
       }
 
+      if (pruneTimer) {
+        clearInterval(pruneTimer);
+        pruneTimer = null;
+      }
+
       if (discoverySocket) {
         discoverySocket.close();
         discoverySocket = null;
@@ -299,23 +359,33 @@ function createPartyKitTransport(options) {
 
       discoveredFiles.clear();
       activeFileId = null;
+      pinnedFileId = null;
 
       logger.log('✓ PartyKit transport stopped');
     },
 
     /**
-     * Get current state (for debugging)
+     * Get current state
+     * @returns {Object} { activeFileId, pinnedFileId, discoveredFiles: [{ fileId, fileName, lastSeen, active, pinned, stale }] }
      */
     getState() {
+      const now = Date.now();
       return {
         activeFileId,
+        pinnedFileId,
         discoveredFiles: Array.from(discoveredFiles.entries()).map(([fileId, info]) => ({
           fileId,
           fileName: info.fileName,
-          lastSeen: new Date(info.lastSeen).toLocaleTimeString()
+          lastSeen: info.lastSeen,
+          active: fileId === activeFileId,
+          pinned: fileId === pinnedFileId,
+          stale: now - info.lastSeen > fileTimeout
         }))
       };
-    }
+    },
+
+    switchToSession,
+    pinFile
   };
 }
 
@@ -0,0 +1,163 @@
+/**
+ * Unix Domain Socket Transport
+ * Serves the same WebSocket protocol as the local transport on a socket file
+ * (a named pipe on Windows) instead of a TCP port. The socket lives in the
+ * user's ~/.figmatic and is mode 0600, so users on a shared machine can't
+ * collide on port 8080 or reach each other's bridge.
+ *
+ * The Figma plugin can only open ws://host:port URLs; run the TCP shim
+ * (socketShim.js) to give it one that forwards to the socket.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const WebSocket = require('ws');
+const { createOriginVerifier, attachClient } = require('./local');
+const { CONFIG_DIR } = require('../config/sessionWatcher');
+
+/**
+ * Default socket path for the current user
+ * @returns {string} ~/.figmatic/bridge.sock, or \\.\pipe\figmatic-<user> on Windows
+ */
+function getDefaultSocketPath() {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\figmatic-${os.userInfo().username}`;
+  }
+  return path.join(CONFIG_DIR, 'bridge.sock');
+}
+
+/**
+ * Check whether a socket file is left over from a bridge that exited
+ * @param {string} socketPath - Socket path
+ * @returns {Promise<boolean>} true if nothing is listening on it
+ */
+function isStaleSocket(socketPath) {
+  return new Promise((resolve) => {
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(false);
+    });
+    probe.once('error', (error) => resolve(error.code === 'ECONNREFUSED'));
+  });
+}
+
+/**
+ * Create Unix domain socket transport
+ * @param {Object} options - Transport options
+ * @param {Function} options.onConnection - Called when client connects (ws)
+ * @param {Function} options.onDisconnection - Called when client disconnects (ws)
+ * @param {Function} options.onMessage - Called when message received (ws, message, isBinary)
+ * @param {Function} options.onHeartbeat - Called when a client answers a ping frame (ws)
+ * @param {Object} options.logger - Logger instance
+ * @param {string} options.socketPath - Socket to listen on (default: FIGMA_WS_SOCKET or getDefaultSocketPath())
+ * @returns {Object} Transport instance
+ */
+function createSocketTransport(options) {
+  const {
+    logger,
+    socketPath = process.env.FIGMA_WS_SOCKET || getDefaultSocketPath()
+  } = options;
+
+  const isPipe = process.platform === 'win32';
+
+  let server = null;
+  let wss = null;
+
+  function listen() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  return {
+    /**
+     * Start the WebSocket server on the socket
+     */
+    async start() {
+      if (server) {
+        logger.log('Socket transport already started');
+        return;
+      }
+
+      if (!isPipe) {
+        fs.mkdirSync(path.dirname(socketPath), { recursive: true, mode: 0o700 });
+      }
+
+      server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('WebSocket connections only');
+      });
+
+      try {
+        await listen();
+      } catch (error) {
+        if (error.code !== 'EADDRINUSE' || isPipe || !(await isStaleSocket(socketPath))) {
+          process.stderr.write(`\n❌ ERROR: Socket ${socketPath} is already in use by another bridge!\n\n`);
+          process.stderr.write('Stop the other MCP server, or set FIGMA_WS_SOCKET to a different path.\n\n');
+          server = null;
+          throw error;
+        }
+
+        // Left behind by a bridge that crashed
+        logger.log(`Removing stale socket: ${socketPath}`);
+        fs.unlinkSync(socketPath);
+        await listen();
+      }
+
+      if (!isPipe) {
+        fs.chmodSync(socketPath, 0o600);
+      }
+
+      wss = new WebSocket.Server({
+        server,
+        perMessageDeflate: false,
+        verifyClient: createOriginVerifier(logger)
+      });
+
+      // Connection handler
+      wss.on('connection', (ws, req) => attachClient(ws, req, options));
+
+      // Startup banner
+      process.stderr.write('╔════════════════════════════════════════╗\n');
+      process.stderr.write('║   Figma AI Bridge - SOCKET MODE       ║\n');
+      process.stderr.write('╚════════════════════════════════════════╝\n');
+      process.stderr.write('\n');
+      process.stderr.write(`WebSocket server running on ${socketPath}\n`);
+      process.stderr.write('Start the TCP shim (npm run shim) for the Figma plugin to connect\n');
+      process.stderr.write('\n');
+
+      logger.log('✓ Socket transport initialized successfully\n');
+    },
+
+    /**
+     * Stop the server and remove the socket file
+     */
+    stop() {
+      if (server) {
+        logger.log('Stopping socket transport...');
+        if (wss) {
+          wss.clients.forEach(client => client.terminate());
+          wss.close();
+        }
+        server.close();
+        wss = null;
+        server = null;
+
+        if (!isPipe && fs.existsSync(socketPath)) {
+          fs.unlinkSync(socketPath);
+        }
+        logger.log('✓ Socket transport stopped');
+      }
+    }
+  };
+}
+
+module.exports = { createSocketTransport, getDefaultSocketPath };
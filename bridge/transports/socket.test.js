@@ -0,0 +1,115 @@
+/**
+ * Tests for the Unix socket transport, the TCP shim and custom transport modules
+ *
+ * bridge (FIGMATIC_MODE=socket) <- shim <- mock plugin
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SHIM_PORT = parseInt(process.env.SOCKET_TEST_PORT || '18095', 10);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'figmatic-socket-test-'));
+const socketPath = path.join(dir, 'bridge.sock');
+process.env.FIGMATIC_MODE = 'socket';
+process.env.FIGMA_WS_SOCKET = socketPath;
+process.env.FIGMATIC_PAIRING_TOKEN = 'socket-test-token';
+
+const assert = require('assert');
+const bridge = require('../server');
+const { executeTool } = require('../../tools');
+const { createAPIContext } = require('../../utils/context');
+const { createMockPlugin, seedDemoDocument } = require('../../mock-plugin');
+const { createSocketShim } = require('./socketShim');
+const { createTransport, getTransportMode } = require('./index');
+
+const noop = () => {};
+
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function run() {
+  // Left behind by a crashed bridge: a regular file nobody listens on
+  fs.writeFileSync(socketPath, '');
+
+  await bridge.startServer();
+  const shim = createSocketShim({ port: SHIM_PORT, socketPath });
+  const plugin = createMockPlugin({ url: `ws://localhost:${SHIM_PORT}` });
+  await seedDemoDocument(plugin.figma);
+
+  try {
+    console.log('Testing socket transport...');
+
+    await waitFor(() => fs.existsSync(socketPath) && fs.statSync(socketPath).isSocket());
+    assert.strictEqual(fs.statSync(socketPath).mode & 0o777, 0o600, 'Socket is private to the user');
+
+    await shim.start();
+    await plugin.connect();
+    await waitFor(() => bridge.isConnected());
+
+    const page = await executeTool('get_page_structure', {}, noop, createAPIContext());
+    assert.strictEqual(page.totalNodes, 2);
+
+    console.log('✓ Socket transport passed');
+  } finally {
+    await plugin.disconnect();
+    await shim.stop();
+    bridge.stopServer();
+  }
+  assert.ok(!fs.existsSync(socketPath), 'Socket file is removed on stop');
+
+  console.log('\nTesting custom transport modules...');
+
+  const modulePath = path.join(dir, 'custom-transport.js');
+  fs.writeFileSync(modulePath, `
+    module.exports.createTransport = (options) => ({
+      options,
+      start() {},
+      stop() {}
+    });
+  `);
+  process.env.FIGMATIC_TRANSPORT_MODULE = modulePath;
+
+  const logger = { log: noop, error: noop };
+  const custom = createTransport({ logger });
+  assert.strictEqual(getTransportMode(), 'custom');
+  assert.strictEqual(custom.options.logger, logger, 'Custom transports get the bridge callbacks');
+
+  // A transport that fails to start fails startServer, which can then be retried
+  fs.writeFileSync(path.join(dir, 'failing-transport.js'), `
+    module.exports.createTransport = () => ({
+      start: async () => { throw new Error('relay unreachable'); },
+      stop() {}
+    });
+  `);
+  process.env.FIGMATIC_TRANSPORT_MODULE = path.join(dir, 'failing-transport.js');
+  await assert.rejects(bridge.startServer(), /relay unreachable/);
+  process.env.FIGMATIC_TRANSPORT_MODULE = modulePath;
+  await bridge.startServer();
+  bridge.stopServer();
+
+  fs.writeFileSync(path.join(dir, 'broken-transport.js'), 'module.exports = { start() {} };');
+  process.env.FIGMATIC_TRANSPORT_MODULE = path.join(dir, 'broken-transport.js');
+  assert.throws(() => createTransport({ logger }), /must export a createTransport/);
+
+  delete process.env.FIGMATIC_TRANSPORT_MODULE;
+  console.log('✓ Custom transport modules passed');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('\n✅ All socket transport tests passed!\n');
+}
+
+run().then(
+  () => process.exit(0),
+  (error) => {
+    console.error('\n❌ Socket transport tests failed:', error);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+);
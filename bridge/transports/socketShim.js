@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * TCP-to-Socket Shim
+ * Gives the Figma plugin a ws://127.0.0.1:<port> URL for a bridge running
+ * in socket mode. Bytes are piped unchanged in both directions, so the
+ * WebSocket handshake, Origin check and pairing all happen in the bridge.
+ *
+ * CLI usage:
+ *   node bridge/transports/socketShim.js       # or: npm run shim
+ */
+
+const net = require('net');
+const { getDefaultSocketPath } = require('./socket');
+
+/**
+ * Create the shim
+ * @param {Object} options - Shim options
+ * @param {number} options.port - TCP port for the plugin (default: FIGMA_WS_PORT or 8080)
+ * @param {string} options.host - Interface to bind (default: FIGMA_WS_HOST or 127.0.0.1)
+ * @param {string} options.socketPath - Bridge socket (default: FIGMA_WS_SOCKET or the bridge default)
+ * @param {Object} options.logger - Logger instance (default: silent)
+ * @returns {Object} Shim instance
+ */
+function createSocketShim(options = {}) {
+  const {
+    port = parseInt(process.env.FIGMA_WS_PORT || '8080', 10),
+    host = process.env.FIGMA_WS_HOST || '127.0.0.1',
+    socketPath = process.env.FIGMA_WS_SOCKET || getDefaultSocketPath(),
+    logger = { log: () => {}, error: () => {} }
+  } = options;
+
+  let server = null;
+  const connections = new Set();
+
+  function handleConnection(client) {
+    const upstream = net.connect(socketPath);
+    connections.add(client);
+    connections.add(upstream);
+
+    const close = () => {
+      client.destroy();
+      upstream.destroy();
+      connections.delete(client);
+      connections.delete(upstream);
+    };
+
+    upstream.on('error', (error) => {
+      logger.error(`Bridge socket unavailable (${socketPath}):`, error.message);
+      close();
+    });
+    client.on('error', close);
+    client.on('close', close);
+    upstream.on('close', close);
+
+    client.pipe(upstream).pipe(client);
+  }
+
+  return {
+    /**
+     * Start listening for the plugin
+     * @returns {Promise<void>} Resolves once the port is bound
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server = net.createServer(handleConnection);
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          logger.log(`✓ Forwarding ws://${host}:${port} to ${socketPath}`);
+          resolve();
+        });
+      });
+    },
+
+    /**
+     * Stop listening and drop forwarded connections
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        connections.forEach(connection => connection.destroy());
+        connections.clear();
+        server.close(() => resolve());
+        server = null;
+      });
+    }
+  };
+}
+
+module.exports = { createSocketShim };
+
+// CLI usage
+if (require.main === module) {
+  const shim = createSocketShim({
+    logger: {
+      log: (message) => process.stderr.write(`[shim] ${message}\n`),
+      error: (message, error) => process.stderr.write(`[shim] ${message} ${error}\n`)
+    }
+  });
+
+  shim.start().catch((error) => {
+    process.stderr.write(`[shim] Failed to start: ${error.message}\n`);
+    process.exit(1);
+  });
+
+  const shutdown = () => shim.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
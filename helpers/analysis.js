@@ -562,9 +562,10 @@ function createAnalysisScript(nodeName, options = {}) {
 
   // Inline the analyzer functions in the script
   return `
-    const node = figma.root.findOne(n => n.name === '${nodeName}');
+    const nodeName = ${JSON.stringify(nodeName)};
+    const node = figma.root.findOne(n => n.name === nodeName);
     if (!node) {
-      throw new Error('Node "${nodeName}" not found');
+      throw new Error('Node "' + nodeName + '" not found');
     }
 
     // Helper functions (inlined)
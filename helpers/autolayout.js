@@ -62,24 +62,27 @@ function createVerticalFrame(name, options = {}) {
     paddingBottom = padding.bottom || 0;
   }
 
+  // Values are written as JSON literals, so names with quotes can't break out of the string
+  const literal = JSON.stringify;
+
   return `
 const frame = figma.createFrame();
-frame.name = "${name}";
+frame.name = ${literal(name)};
 frame.layoutMode = 'VERTICAL';
-frame.primaryAxisSizingMode = '${primaryAxisSizing}';
-frame.counterAxisSizingMode = '${counterAxisSizing}';
-frame.primaryAxisAlignItems = '${primaryAlign}';
-frame.counterAxisAlignItems = '${counterAlign}';
-frame.itemSpacing = ${itemSpacing};
-frame.paddingLeft = ${paddingLeft};
-frame.paddingRight = ${paddingRight};
-frame.paddingTop = ${paddingTop};
-frame.paddingBottom = ${paddingBottom};
-frame.fills = ${JSON.stringify(fills)};
-frame.layoutAlign = '${layoutAlign}';
-frame.layoutGrow = ${layoutGrow};
-${width ? `frame.resize(${width}, frame.height);` : ''}
-${height ? `frame.resize(frame.width, ${height});` : ''}
+frame.primaryAxisSizingMode = ${literal(primaryAxisSizing)};
+frame.counterAxisSizingMode = ${literal(counterAxisSizing)};
+frame.primaryAxisAlignItems = ${literal(primaryAlign)};
+frame.counterAxisAlignItems = ${literal(counterAlign)};
+frame.itemSpacing = ${literal(itemSpacing)};
+frame.paddingLeft = ${literal(paddingLeft)};
+frame.paddingRight = ${literal(paddingRight)};
+frame.paddingTop = ${literal(paddingTop)};
+frame.paddingBottom = ${literal(paddingBottom)};
+frame.fills = ${literal(fills)};
+frame.layoutAlign = ${literal(layoutAlign)};
+frame.layoutGrow = ${literal(layoutGrow)};
+${width ? `frame.resize(${literal(width)}, frame.height);` : ''}
+${height ? `frame.resize(frame.width, ${literal(height)});` : ''}
 `.trim();
 }
 
@@ -20,20 +20,18 @@
  * console.log(backButton.id);
  */
 async function findComponent(name, executeInFigmaFn) {
-  const escapedName = name.replace(/'/g, "\\'");
-
   const result = await executeInFigmaFn(`
     const component = figma.root.findOne(node =>
       node.type === 'COMPONENT' &&
-      node.name === '${escapedName}'
+      node.name === args.name
     );
 
     if (!component) {
-      throw new Error('Component "${escapedName}" not found');
+      throw new Error('Component "' + args.name + '" not found');
     }
 
     return { id: component.id, name: component.name };
-  `);
+  `, { name });
 
   return result.result;
 }
@@ -56,7 +54,7 @@ async function findComponent(name, executeInFigmaFn) {
  */
 async function findComponents(names, executeInFigmaFn) {
   const result = await executeInFigmaFn(`
-    const names = ${JSON.stringify(names)};
+    const { names } = args;
     const components = {};
     const missing = [];
 
@@ -78,7 +76,7 @@ async function findComponents(names, executeInFigmaFn) {
     }
 
     return components;
-  `);
+  `, { names });
 
   return result.result;
 }
@@ -94,14 +92,12 @@ async function findComponents(names, executeInFigmaFn) {
  * const titleStyle = await findTextStyle('Title', api.executeInFigma);
  */
 async function findTextStyle(name, executeInFigmaFn) {
-  const escapedName = name.replace(/'/g, "\\'");
-
   const result = await executeInFigmaFn(`
     const textStyles = figma.getLocalTextStyles();
-    const style = textStyles.find(s => s.name === '${escapedName}');
+    const style = textStyles.find(s => s.name === args.name);
 
     if (!style) {
-      throw new Error('Text style "${escapedName}" not found');
+      throw new Error('Text style "' + args.name + '" not found');
     }
 
     return {
@@ -109,7 +105,7 @@ async function findTextStyle(name, executeInFigmaFn) {
       name: style.name,
       fontName: style.fontName
     };
-  `);
+  `, { name });
 
   return result.result;
 }
@@ -123,7 +119,7 @@ async function findTextStyle(name, executeInFigmaFn) {
  */
 async function findTextStyles(names, executeInFigmaFn) {
   const result = await executeInFigmaFn(`
-    const names = ${JSON.stringify(names)};
+    const { names } = args;
     const allStyles = figma.getLocalTextStyles();
     const styles = {};
     const missing = [];
@@ -147,7 +143,7 @@ async function findTextStyles(names, executeInFigmaFn) {
     }
 
     return styles;
-  `);
+  `, { names });
 
   return result.result;
 }
@@ -172,7 +168,7 @@ async function createComponentInstance(componentId, options, executeInFigmaFn) {
   const { layoutAlign, x, y } = options;
 
   const result = await executeInFigmaFn(`
-    const component = figma.getNodeById('${componentId}');
+    const component = figma.getNodeById(args.componentId);
 
     if (!component) {
       throw new Error('Component not found');
@@ -180,12 +176,12 @@ async function createComponentInstance(componentId, options, executeInFigmaFn) {
 
     const instance = component.createInstance();
 
-    ${layoutAlign ? `instance.layoutAlign = '${layoutAlign}';` : ''}
-    ${x !== undefined ? `instance.x = ${x};` : ''}
-    ${y !== undefined ? `instance.y = ${y};` : ''}
+    if (args.layoutAlign) instance.layoutAlign = args.layoutAlign;
+    if (args.x !== undefined) instance.x = args.x;
+    if (args.y !== undefined) instance.y = args.y;
 
     return { id: instance.id };
-  `);
+  `, { componentId, layoutAlign, x, y });
 
   return result.result;
 }
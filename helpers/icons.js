@@ -198,12 +198,15 @@ function generateColorApplicationCode(color, colorVariable, iconType) {
     colorCode = `{ r: ${r.toFixed(3)}, g: ${g.toFixed(3)}, b: ${b.toFixed(3)} }`;
   }
 
+  // Variable name as a JSON literal, so quotes in it can't break out of the string
+  const variableName = JSON.stringify(colorVariable);
+
   // Generate code based on icon type
   if (iconType === 'stroke') {
     if (colorVariable) {
       return `
     // Apply stroke color from variable to all vector paths
-    const colorVar = figma.variables.getLocalVariables().find(v => v.name === "${colorVariable}");
+    const colorVar = figma.variables.getLocalVariables().find(v => v.name === ${variableName});
     if (colorVar) {
       vectors.forEach(vector => {
         const paint = { type: 'SOLID', color: { r: 0, g: 0, b: 0 } };
@@ -212,7 +215,7 @@ function generateColorApplicationCode(color, colorVariable, iconType) {
         if (vector.strokeWeight === 0) vector.strokeWeight = 2;
       });
     } else {
-      throw new Error("Variable not found: ${colorVariable}");
+      throw new Error("Variable not found: " + ${variableName});
     }`;
     } else {
       return `
@@ -226,7 +229,7 @@ function generateColorApplicationCode(color, colorVariable, iconType) {
     if (colorVariable) {
       return `
     // Apply fill color from variable to all vector paths
-    const colorVar = figma.variables.getLocalVariables().find(v => v.name === "${colorVariable}");
+    const colorVar = figma.variables.getLocalVariables().find(v => v.name === ${variableName});
     if (colorVar) {
       vectors.forEach(vector => {
         const paint = { type: 'SOLID', color: { r: 0, g: 0, b: 0 } };
@@ -234,7 +237,7 @@ function generateColorApplicationCode(color, colorVariable, iconType) {
         vector.setBoundVariable('fills', colorVar);
       });
     } else {
-      throw new Error("Variable not found: ${colorVariable}");
+      throw new Error("Variable not found: " + ${variableName});
     }`;
     } else {
       return `
@@ -248,7 +251,7 @@ function generateColorApplicationCode(color, colorVariable, iconType) {
     if (colorVariable) {
       return `
     // Apply duotone colors from variable (primary + opacity variation)
-    const colorVar = figma.variables.getLocalVariables().find(v => v.name === "${colorVariable}");
+    const colorVar = figma.variables.getLocalVariables().find(v => v.name === ${variableName});
     if (colorVar) {
       vectors.forEach((vector, index) => {
         const opacity = index === 0 ? 0.3 : 1.0; // First layer lighter
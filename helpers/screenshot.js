@@ -35,19 +35,22 @@ function createScreenshotHelper(api) {
     async screenshotById(nodeId, options = {}) {
       const { scale = 2, format = 'PNG', filename } = options;
 
+      // Plugins that send binary frames get the raw bytes; older ones need a JSON array
+      const binary = Boolean(api.hasCapability && api.hasCapability('binary-results'));
+
       const result = await api.executeInFigma(`
-        const node = figma.getNodeById('${nodeId}');
+        const node = figma.getNodeById(args.nodeId);
 
         if (!node) {
-          throw new Error('Node not found: ${nodeId}');
+          throw new Error('Node not found: ' + args.nodeId);
         }
 
         // Export node as image
-        const bytes = await node.exportAsync({
-          format: '${format}',
-          ${format === 'PNG' || format === 'JPG' ? `constraint: { type: 'SCALE', value: ${scale} },` : ''}
-          contentsOnly: true
-        });
+        const settings = { format: args.format, contentsOnly: true };
+        if (args.format === 'PNG' || args.format === 'JPG') {
+          settings.constraint = { type: 'SCALE', value: args.scale };
+        }
+        const bytes = await node.exportAsync(settings);
 
         return {
           nodeId: node.id,
@@ -55,11 +58,11 @@ function createScreenshotHelper(api) {
           nodeType: node.type,
           width: node.width,
           height: node.height,
-          bytes: Array.from(bytes),
-          format: '${format}',
-          scale: ${scale}
+          bytes: typeof bytes === 'string' || args.binary ? bytes : Array.from(bytes),
+          format: args.format,
+          scale: args.scale
         };
-      `);
+      `, { nodeId, format, scale, binary });
 
       const { nodeId: id, nodeName, nodeType, width, height, bytes, format: fmt } = result.result;
 
@@ -71,7 +74,7 @@ function createScreenshotHelper(api) {
       const filePath = path.join(tmpDir, finalFilename);
 
       // Write bytes to file
-      const buffer = Buffer.from(bytes);
+      const buffer = typeof bytes === 'string' ? Buffer.from(bytes, 'utf-8') : Buffer.from(bytes);
       fs.writeFileSync(filePath, buffer);
 
       return {
@@ -95,14 +98,14 @@ function createScreenshotHelper(api) {
      */
     async screenshotByName(nodeName, options = {}) {
       const result = await api.executeInFigma(`
-        const node = figma.currentPage.findOne(n => n.name === '${nodeName}');
+        const node = figma.currentPage.findOne(n => n.name === args.nodeName);
 
         if (!node) {
-          throw new Error('Node not found: ${nodeName}');
+          throw new Error('Node not found: ' + args.nodeName);
         }
 
         return { nodeId: node.id };
-      `);
+      `, { nodeName });
 
       return this.screenshotById(result.result.nodeId, options);
     },
@@ -143,7 +146,7 @@ function createScreenshotHelper(api) {
       const regexPattern = pattern.replace(/\*/g, '.*');
 
       const result = await api.executeInFigma(`
-        const regex = new RegExp('${regexPattern}', 'i');
+        const regex = new RegExp(args.regexPattern, 'i');
         const components = figma.currentPage.findAll(n =>
           (n.type === 'COMPONENT' || n.type === 'COMPONENT_SET') &&
           regex.test(n.name)
@@ -153,7 +156,7 @@ function createScreenshotHelper(api) {
           nodeIds: components.map(c => c.id),
           nodeNames: components.map(c => c.name)
         };
-      `);
+      `, { regexPattern });
 
       const { nodeIds, nodeNames } = result.result;
 
@@ -174,15 +177,15 @@ function createScreenshotHelper(api) {
         let componentSet;
 
         // Try as ID first, then as name
-        componentSet = figma.getNodeById('${componentSetId}');
+        componentSet = figma.getNodeById(args.componentSetId);
         if (!componentSet) {
           componentSet = figma.currentPage.findOne(n =>
-            n.type === 'COMPONENT_SET' && n.name === '${componentSetId}'
+            n.type === 'COMPONENT_SET' && n.name === args.componentSetId
           );
         }
 
         if (!componentSet || componentSet.type !== 'COMPONENT_SET') {
-          throw new Error('Component set not found: ${componentSetId}');
+          throw new Error('Component set not found: ' + args.componentSetId);
         }
 
         return {
@@ -191,7 +194,7 @@ function createScreenshotHelper(api) {
           variantIds: componentSet.children.map(c => c.id),
           variantNames: componentSet.children.map(c => c.name)
         };
-      `);
+      `, { componentSetId });
 
       const { componentSetName, variantIds, variantNames } = result.result;
 
@@ -36,14 +36,14 @@ function runScript(name, fn, options = {}) {
   const { delay = 5000 } = options;
 
   console.log(`🎯 ${name}\n`);
-  startServer();
+  startServer().catch(() => process.exit(1));
 
   setTimeout(async () => {
     console.log(`\n🚀 Starting: ${name}...\n`);
 
     // Provide API helpers to script function
     const api = {
-      executeInFigma,
+      executeInFigma: (script, args) => executeInFigma(script, { args }),
       getAllVariables,
       bindVariable,
       bindVariableToPaint,
@@ -97,7 +97,7 @@ function generateFontLoadingCode(family, style) {
   const stylesToTry = normalizeFontStyle(style);
 
   return `
-// Try multiple font style variations (normalized from "${style}")
+// Try multiple font style variations (normalized from ${JSON.stringify(style)})
 const fontFamily = ${JSON.stringify(family)};
 const stylesToTry = ${JSON.stringify(stylesToTry)};
 let loadedFont = null;
@@ -149,26 +149,27 @@ function createTextWithStyle(textContent, styleId, options = {}) {
     name = 'Text'
   } = options;
 
-  const escapedText = textContent.replace(/'/g, "\\'").replace(/\n/g, '\\n');
+  // Values are written as JSON literals, so text with quotes can't break out of the string
+  const literal = JSON.stringify;
 
   return `
 const text = figma.createText();
 
 // Load default font (text nodes default to Inter Regular)
 await figma.loadFontAsync({ family: 'Inter', style: 'Regular' });
-text.characters = '${escapedText}';
+text.characters = ${literal(textContent)};
 
 // Get text style and load its font
-const style = figma.getStyleById('${styleId}');
+const style = figma.getStyleById(${literal(styleId)});
 if (style && style.fontName) {
   await figma.loadFontAsync(style.fontName);
 }
 
 // Apply text style
-text.textStyleId = '${styleId}';
-text.name = '${name}';
-text.layoutAlign = '${layoutAlign}';
-text.textAlignHorizontal = '${textAlign}';
+text.textStyleId = ${literal(styleId)};
+text.name = ${literal(name)};
+text.layoutAlign = ${literal(layoutAlign)};
+text.textAlignHorizontal = ${literal(textAlign)};
 `.trim();
 }
 
@@ -192,20 +193,20 @@ function createTextWithFont(textContent, fontConfig, options = {}) {
   } = options;
 
   const { family, style, size } = fontConfig;
-  const escapedText = textContent.replace(/'/g, "\\'").replace(/\n/g, '\\n');
+  const literal = JSON.stringify;
 
   return `
 const text = figma.createText();
 
 // Load the specified font
-await figma.loadFontAsync({ family: '${family}', style: '${style}' });
-
-text.characters = '${escapedText}';
-text.fontName = { family: '${family}', style: '${style}' };
-text.fontSize = ${size};
-text.name = '${name}';
-text.layoutAlign = '${layoutAlign}';
-text.textAlignHorizontal = '${textAlign}';
+await figma.loadFontAsync({ family: ${literal(family)}, style: ${literal(style)} });
+
+text.characters = ${literal(textContent)};
+text.fontName = { family: ${literal(family)}, style: ${literal(style)} };
+text.fontSize = ${literal(size)};
+text.name = ${literal(name)};
+text.layoutAlign = ${literal(layoutAlign)};
+text.textAlignHorizontal = ${literal(textAlign)};
 `.trim();
 }
 
@@ -219,10 +220,8 @@ text.textAlignHorizontal = '${textAlign}';
  * @returns {Promise<void>}
  */
 async function updateText(nodeId, newText, executeInFigmaFn) {
-  const escapedText = newText.replace(/'/g, "\\'").replace(/\n/g, '\\n');
-
   await executeInFigmaFn(`
-    const textNode = figma.getNodeById('${nodeId}');
+    const textNode = figma.getNodeById(args.nodeId);
 
     if (!textNode || textNode.type !== 'TEXT') {
       throw new Error('Node is not a text node');
@@ -232,10 +231,10 @@ async function updateText(nodeId, newText, executeInFigmaFn) {
     await figma.loadFontAsync(textNode.fontName);
 
     // Update text
-    textNode.characters = '${escapedText}';
+    textNode.characters = args.newText;
 
     return { success: true };
-  `);
+  `, { nodeId, newText });
 }
 
 /**
@@ -248,10 +247,8 @@ async function updateText(nodeId, newText, executeInFigmaFn) {
  * @returns {Promise<void>}
  */
 async function updateInstanceText(instanceId, newText, executeInFigmaFn) {
-  const escapedText = newText.replace(/'/g, "\\'").replace(/\n/g, '\\n');
-
   await executeInFigmaFn(`
-    const instance = figma.getNodeById('${instanceId}');
+    const instance = figma.getNodeById(args.instanceId);
 
     if (!instance) {
       throw new Error('Instance not found');
@@ -268,10 +265,10 @@ async function updateInstanceText(instanceId, newText, executeInFigmaFn) {
     await figma.loadFontAsync(textNode.fontName);
 
     // Update text
-    textNode.characters = '${escapedText}';
+    textNode.characters = args.newText;
 
     return { success: true };
-  `);
+  `, { instanceId, newText });
 }
 
 module.exports = {
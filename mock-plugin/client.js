@@ -0,0 +1,390 @@
+/**
+ * Mock Plugin Client
+ *
+ * Connects to the bridge the same way the "AI Agent Bridge" plugin does
+ * (handshake, then execute / cancel / get-context / notify / ping messages) and runs
+ * every script against an in-memory document from ./document.js.
+ *
+ * Results containing Uint8Array values go out as binary frames, and results
+ * larger than `chunkSize` are split into `result-chunk` messages, like the
+ * real plugin does for big exports and page dumps.
+ *
+ * Behind a PartyKit relay, `url` is the file's session room and
+ * `discoveryUrl` the discovery room the file is announced in.
+ *
+ * With the `events` capability, selection, current page and document changes
+ * in the mock document are pushed to the bridge as they happen.
+ *
+ * Scripts get three globals: `figma`, `cancellation` and `args` (the JSON
+ * `args` of the execute message). Long loops can call
+ * `cancellation.throwIfCancelled()` to stop once the bridge sends `cancel`.
+ * With the `progress` capability they also get `progress`, and
+ * `progress.report(done, total, status)` sends a `progress` message.
+ *
+ * With the `operations` capability, scripts sent in `define-operations` (or
+ * bundled through options.operations) run when an execute names their `op`.
+ */
+
+const WebSocket = require('ws');
+const { createMockFigma } = require('./document');
+const { readPairingToken } = require('../bridge/config/pairing');
+const { encodeBinaryFrame } = require('../bridge/core/messageHandler');
+const { PROTOCOL_VERSION, CAPABILITIES } = require('../bridge/core/protocol');
+
+const ANNOUNCE_INTERVAL_MS = 10000;
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+/**
+ * Create a mock plugin client
+ * @param {Object} options - Client options
+ * @param {string} options.url - Bridge URL (default: ws://localhost:$FIGMA_WS_PORT or 8080)
+ * @param {string} options.discoveryUrl - Relay discovery room to announce the file in (default: none, direct connection)
+ * @param {Object} options.figma - Existing mock figma global (default: fresh document)
+ * @param {string} options.version - Plugin version reported in the handshake
+ * @param {string} options.token - Pairing token (default: FIGMATIC_PAIRING_TOKEN or ~/.figmatic/pairing-token)
+ * @param {number} options.protocolVersion - Protocol version reported in the handshake (default: current; null sends none, like old plugins)
+ * @param {string[]} options.capabilities - Capabilities reported in the handshake (default: all)
+ * @param {Array} options.operations - Operations the plugin ships with, [{ id, script }] (see operations/)
+ * @param {number} options.chunkSize - Largest result message sent whole, in characters (default: 256 KiB)
+ * @param {Object} options.logger - Logger instance (default: silent)
+ * @returns {Object} Client instance
+ */
+function createMockPlugin(options = {}) {
+  const {
+    url = `ws://localhost:${process.env.FIGMA_WS_PORT || '8080'}`,
+    discoveryUrl = null,
+    figma = createMockFigma(options),
+    version = '1.0.0-mock',
+    token = readPairingToken(),
+    protocolVersion = PROTOCOL_VERSION,
+    capabilities = [
+      CAPABILITIES.ASYNC_NODE_LOOKUP,
+      CAPABILITIES.BINARY_RESULTS,
+      CAPABILITIES.CHUNKED_RESULTS,
+      CAPABILITIES.CANCELLATION,
+      CAPABILITIES.EVENTS,
+      CAPABILITIES.SCRIPT_ARGS,
+      CAPABILITIES.OPERATIONS,
+      CAPABILITIES.HEARTBEAT,
+      CAPABILITIES.PROGRESS
+    ],
+    chunkSize = 256 * 1024,
+    logger = { log: () => {}, error: () => {} }
+  } = options;
+
+  let socket = null;
+  let discovery = null;
+  let announceTimer = null;
+  const running = new Map(); // requestId -> cancellation token
+  let answersPings = true;
+  const operations = new Map((options.operations || []).map(({ id, script }) => [id, script])); // id -> script
+
+  /**
+   * Create the cancellation token exposed to a running script
+   * @returns {Object} { isCancelled(), throwIfCancelled(), cancel() }
+   */
+  function createCancellation() {
+    let cancelled = false;
+    return {
+      isCancelled: () => cancelled,
+      throwIfCancelled() {
+        if (cancelled) throw new Error('Script cancelled');
+      },
+      cancel() {
+        cancelled = true;
+      }
+    };
+  }
+
+  /**
+   * Create the progress reporter exposed to a running script
+   * @param {string} requestId - Request the script runs for
+   * @returns {Object} { report(progress, total, status) }
+   */
+  function createProgress(requestId) {
+    return {
+      report(progress, total, status) {
+        send({ type: 'progress', requestId, progress, total, status });
+      }
+    };
+  }
+
+  /**
+   * Run a script the way the plugin sandbox does: as the body of an async function
+   * @param {string} script - Plugin script
+   * @param {Object} cancellation - Token from createCancellation (default: never cancelled)
+   * @param {Object} args - JSON arguments from the execute message, exposed as `args` (script-args plugins only)
+   * @param {Object} progress - Reporter from createProgress, exposed as `progress` (progress plugins only)
+   * @returns {Promise<any>} Script return value
+   */
+  async function runScript(script, cancellation = createCancellation(), args = {}, progress = null) {
+    // Plugins from before script-args only ever had `figma` in scope
+    if (protocolVersion === null || !capabilities.includes(CAPABILITIES.SCRIPT_ARGS)) {
+      return new AsyncFunction('figma', 'cancellation', script)(figma, cancellation);
+    }
+
+    if (progress && capabilities.includes(CAPABILITIES.PROGRESS)) {
+      return new AsyncFunction('figma', 'cancellation', 'args', 'progress', script)(figma, cancellation, args, progress);
+    }
+
+    const fn = new AsyncFunction('figma', 'cancellation', 'args', script);
+    return fn(figma, cancellation, args);
+  }
+
+  function sendHandshake() {
+    send({
+      type: 'handshake',
+      source: 'figma-plugin',
+      version,
+      fileKey: figma.fileKey,
+      fileName: figma.root.name,
+      token,
+      ...(protocolVersion === null ? {} : { protocolVersion, capabilities, operations: Array.from(operations.keys()) }),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Announce the file in the relay discovery room, like the plugin does while open
+   */
+  function startAnnouncing() {
+    const announce = () => {
+      if (discovery && discovery.readyState === WebSocket.OPEN) {
+        discovery.send(JSON.stringify({ type: 'figma-file-announce', fileId: figma.fileKey, fileName: figma.root.name }));
+      }
+    };
+
+    discovery = new WebSocket(discoveryUrl);
+    discovery.on('open', announce);
+    discovery.on('error', (error) => logger.error('Mock plugin discovery error:', error.message));
+    announceTimer = setInterval(announce, ANNOUNCE_INTERVAL_MS);
+    announceTimer.unref();
+  }
+
+  function stopAnnouncing() {
+    clearInterval(announceTimer);
+    announceTimer = null;
+    if (discovery) {
+      discovery.close();
+      discovery = null;
+    }
+  }
+
+  function send(data) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(data));
+    }
+  }
+
+  /**
+   * Send an execution result, moving bytes into binary frames and
+   * splitting oversized messages when the bridge was told we can
+   * @param {string} requestId - Request identifier
+   * @param {any} result - Script return value
+   */
+  function sendResult(requestId, result) {
+    let nextPartId = 0;
+    const json = JSON.stringify({ type: 'execution-result', requestId, success: true, result }, (key, value) => {
+      if (value instanceof Uint8Array && capabilities.includes(CAPABILITIES.BINARY_RESULTS)) {
+        const partId = nextPartId++;
+        socket.send(encodeBinaryFrame({ type: 'binary-part', requestId, partId }, value), { binary: true });
+        return { $binary: partId };
+      }
+      return value instanceof Uint8Array ? Array.from(value) : value;
+    });
+
+    if (json.length <= chunkSize || !capabilities.includes(CAPABILITIES.CHUNKED_RESULTS)) {
+      socket.send(json);
+      return;
+    }
+
+    const total = Math.ceil(json.length / chunkSize);
+    for (let index = 0; index < total; index++) {
+      send({ type: 'result-chunk', requestId, index, total, data: json.slice(index * chunkSize, (index + 1) * chunkSize) });
+    }
+  }
+
+  async function handleExecute(data) {
+    const cancellation = createCancellation();
+    running.set(data.requestId, cancellation);
+
+    try {
+      if (data.op && !operations.has(data.op)) {
+        throw new Error(`Unknown operation: ${data.op}`);
+      }
+
+      const script = data.op ? operations.get(data.op) : data.script;
+      const result = await runScript(script, cancellation, data.args, createProgress(data.requestId));
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        sendResult(data.requestId, result);
+      }
+    } catch (error) {
+      logger.error(`Script failed (request: ${data.requestId}):`, error.message);
+      send({
+        type: 'execution-result',
+        requestId: data.requestId,
+        success: false,
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      running.delete(data.requestId);
+    }
+  }
+
+  /**
+   * Push document events to the bridge, like the plugin's figma.on() handlers
+   */
+  function forwardEvents() {
+    const describe = (node) => ({ id: node.id, name: node.name, type: node.type });
+
+    figma.on('selectionchange', () => {
+      send({ type: 'selection-changed', pageId: figma.currentPage.id, selection: figma.currentPage.selection.map(describe) });
+    });
+    figma.on('currentpagechange', () => {
+      send({ type: 'current-page-changed', page: { id: figma.currentPage.id, name: figma.currentPage.name } });
+    });
+    figma.on('documentchange', (event) => {
+      send({
+        type: 'document-changed',
+        changes: event.documentChanges.map(change => ({
+          type: change.type,
+          id: change.id,
+          ...(change.properties ? { properties: change.properties } : {})
+        }))
+      });
+    });
+  }
+
+  if (capabilities.includes(CAPABILITIES.EVENTS)) {
+    forwardEvents();
+  }
+
+  function handleCancel(data) {
+    const cancellation = running.get(data.requestId);
+    if (cancellation) {
+      logger.log(`Cancelling script (request: ${data.requestId})`);
+      cancellation.cancel();
+    }
+  }
+
+  function handleGetContext(data) {
+    send({
+      type: 'context-response',
+      requestId: data.requestId,
+      context: {
+        fileKey: figma.fileKey,
+        fileName: figma.root.name,
+        currentPage: { id: figma.currentPage.id, name: figma.currentPage.name },
+        selection: figma.currentPage.selection.map(n => ({ id: n.id, name: n.name, type: n.type }))
+      }
+    });
+  }
+
+  function handleMessage(raw) {
+    let data;
+    try {
+      data = JSON.parse(raw.toString());
+    } catch (error) {
+      logger.error('Invalid JSON from bridge:', error.message);
+      return;
+    }
+
+    switch (data.type) {
+      case 'execute':
+        handleExecute(data);
+        break;
+      case 'cancel':
+        handleCancel(data);
+        break;
+      case 'define-operations':
+        data.operations.forEach(({ id, script }) => {
+          logger.log(`Defined operation ${id}`);
+          operations.set(id, script);
+        });
+        break;
+      case 'get-context':
+        handleGetContext(data);
+        break;
+      case 'notify':
+        figma.notify(data.message, { timeout: data.timeout });
+        break;
+      case 'handshake':
+        // Through a relay the MCP server may join after us; pair again when it says hello
+        if (data.source === 'mcp-server') sendHandshake();
+        break;
+      case 'handshake-ack':
+        logger.log(`Paired as ${data.fileId} (bridge protocol v${data.protocolVersion})`);
+        break;
+      case 'ping':
+        if (answersPings && capabilities.includes(CAPABILITIES.HEARTBEAT)) {
+          send({ type: 'pong', timestamp: data.timestamp });
+        }
+        break;
+      default:
+        logger.log(`Ignoring message: ${data.type}`);
+    }
+  }
+
+  return {
+    figma,
+    runScript,
+
+    /**
+     * Connect to the bridge and send the plugin handshake
+     * @returns {Promise<void>} Resolves once the handshake has been sent
+     */
+    connect() {
+      return new Promise((resolve, reject) => {
+        socket = new WebSocket(url);
+
+        socket.on('open', () => {
+          sendHandshake();
+          if (discoveryUrl) startAnnouncing();
+          logger.log(`Mock plugin connected to ${url}`);
+          resolve();
+        });
+
+        socket.on('message', handleMessage);
+
+        socket.on('error', (error) => {
+          logger.error('Mock plugin socket error:', error.message);
+          reject(error);
+        });
+
+        socket.on('close', () => {
+          logger.log('Mock plugin disconnected');
+          socket = null;
+        });
+      });
+    },
+
+    /**
+     * Close the connection to the bridge
+     * @returns {Promise<void>} Resolves once the socket is closed
+     */
+    disconnect() {
+      stopAnnouncing();
+      return new Promise((resolve) => {
+        if (!socket) return resolve();
+        socket.once('close', () => resolve());
+        socket.close();
+      });
+    },
+
+    isConnected() {
+      return socket !== null && socket.readyState === WebSocket.OPEN;
+    },
+
+    /**
+     * Stop or resume answering ping messages, like a plugin on a sleeping laptop
+     * @param {boolean} answering - Whether to reply with pong
+     */
+    setAnswersPings(answering) {
+      answersPings = answering;
+    }
+  };
+}
+
+module.exports = { createMockPlugin };
@@ -0,0 +1,991 @@
+/**
+ * Mock Figma Document
+ *
+ * In-memory stand-in for the `figma` global that plugin scripts run against:
+ * - Document, pages and scene nodes (frames, text, shapes, components, instances)
+ * - Variable collections, variables and paint bindings
+ * - Text, paint and effect styles
+ * - Font loading that fails like Figma does when a font was not loaded first
+ *
+ * Only the part of the Plugin API that the tools in tools/ rely on is modelled.
+ * Anything else is simply undefined, which surfaces as a script error - the same
+ * way a missing API would fail inside the real plugin sandbox.
+ */
+
+const DEFAULT_FONT_STYLES = ['Thin', 'Light', 'Regular', 'Medium', 'Semi Bold', 'Bold', 'Extra Bold', 'Black'];
+
+const DEFAULT_FONTS = [
+  ...DEFAULT_FONT_STYLES.map(style => ({ family: 'Inter', style })),
+  ...['Light', 'Regular', 'Medium', 'Bold'].map(style => ({ family: 'Roboto', style }))
+];
+
+const CONTAINER_TYPES = new Set([
+  'DOCUMENT', 'PAGE', 'FRAME', 'GROUP', 'SECTION', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'
+]);
+
+const FRAME_TYPES = new Set(['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE']);
+
+// Text properties that Figma refuses to write until the node's font is loaded
+const FONT_GATED_PROPERTIES = ['characters', 'fontSize', 'lineHeight', 'letterSpacing', 'textAutoResize'];
+
+const DEFAULT_NAMES = {
+  PAGE: 'Page',
+  FRAME: 'Frame',
+  GROUP: 'Group',
+  SECTION: 'Section',
+  COMPONENT: 'Component',
+  COMPONENT_SET: 'Component Set',
+  TEXT: 'Text',
+  RECTANGLE: 'Rectangle',
+  ELLIPSE: 'Ellipse',
+  LINE: 'Line',
+  VECTOR: 'Vector'
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Deep copy plain data (paints, effects, font names)
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy of value
+ */
+function copyData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Parse "Prop=Value, Other=Value" variant names
+ * @param {string} name - Variant component name
+ * @returns {Object} Map of property name to value
+ */
+function parseVariantName(name) {
+  const props = {};
+  name.split(',').forEach(part => {
+    const [key, value] = part.split('=').map(s => s && s.trim());
+    if (key && value !== undefined) {
+      props[key] = value;
+    }
+  });
+  return props;
+}
+
+/**
+ * Create an in-memory `figma` global
+ * @param {Object} options - Document options
+ * @param {string} options.fileKey - File key reported by figma.fileKey (default: 'mock-file')
+ * @param {string} options.fileName - Document name (default: 'Mock File')
+ * @param {Array<Object>} options.fonts - Fonts that loadFontAsync accepts (default: Inter + Roboto)
+ * @returns {Object} Object implementing the subset of the Plugin API used by the tools
+ */
+function createMockFigma(options = {}) {
+  const {
+    fileKey = 'mock-file',
+    fileName = 'Mock File',
+    fonts = DEFAULT_FONTS
+  } = options;
+
+  const nodes = new Map();
+  const internals = new WeakMap();
+  const loadedFonts = new Set();
+  const availableFonts = new Set(fonts.map(f => `${f.family}::${f.style}`));
+  const collections = new Map();
+  const variables = new Map();
+  const styles = new Map();
+  const notifications = [];
+
+  let idCounter = 0;
+  let currentPage = null;
+
+  // figma.on() listeners; documentchange is batched like Figma does
+  const listeners = new Map(); // event type -> Set<callback>
+  let pendingChanges = [];
+
+  function emit(type, event) {
+    (listeners.get(type) || new Set()).forEach(callback => callback(event));
+  }
+
+  function queueDocumentChange(change) {
+    if (!listeners.has('documentchange')) return;
+    if (pendingChanges.length === 0) {
+      setImmediate(() => {
+        const documentChanges = pendingChanges;
+        pendingChanges = [];
+        emit('documentchange', { documentChanges });
+      });
+    }
+    pendingChanges.push(change);
+  }
+
+  function nextId() {
+    idCounter += 1;
+    return `1:${idCounter}`;
+  }
+
+  function fontKey(fontName) {
+    return `${fontName.family}::${fontName.style}`;
+  }
+
+  function readOnlyError(property) {
+    return new TypeError(`Cannot assign to read only property '${property}' of object`);
+  }
+
+  function unloadedFontError(property, fontName) {
+    return new Error(
+      `in set_${property}: Cannot write to node with unloaded font "${fontName.family} ${fontName.style}". ` +
+      `Please call figma.loadFontAsync({ family: "${fontName.family}", style: "${fontName.style}" }) ` +
+      'and await the returned promise first.'
+    );
+  }
+
+  // ========================================
+  // TREE HELPERS
+  // ========================================
+
+  function register(node) {
+    nodes.set(node.id, node);
+    const inner = internals.get(node);
+    if (inner.children) inner.children.forEach(register);
+  }
+
+  function unregister(node) {
+    nodes.delete(node.id);
+    const inner = internals.get(node);
+    inner.removed = true;
+    if (inner.children) inner.children.forEach(unregister);
+  }
+
+  function detach(node) {
+    const inner = internals.get(node);
+    if (!inner.parent) return;
+    const siblings = internals.get(inner.parent).children;
+    const index = siblings.indexOf(node);
+    if (index !== -1) siblings.splice(index, 1);
+    inner.parent = null;
+  }
+
+  function insert(parent, child, index) {
+    const parentInner = internals.get(parent);
+    if (!parentInner.children) {
+      throw new Error(`Node of type ${parent.type} cannot have children`);
+    }
+    if (child.type === 'PAGE' && parent.type !== 'DOCUMENT') {
+      throw new Error('Pages can only be children of the document');
+    }
+
+    // Reject cycles (appending an ancestor into its own subtree)
+    for (let p = parent; p; p = internals.get(p).parent) {
+      if (p === child) throw new Error('Cannot move node into its own descendant');
+    }
+
+    detach(child);
+    const siblings = parentInner.children;
+    const position = index === undefined ? siblings.length : Math.max(0, Math.min(index, siblings.length));
+    siblings.splice(position, 0, child);
+    internals.get(child).parent = parent;
+    if (!nodes.has(child.id)) {
+      register(child);
+      queueDocumentChange({ type: 'CREATE', id: child.id, node: child });
+    }
+  }
+
+  function walk(node, visit) {
+    for (const child of internals.get(node).children || []) {
+      if (visit(child) === false) return false;
+      if (walk(child, visit) === false) return false;
+    }
+    return true;
+  }
+
+  // ========================================
+  // NODE FACTORY
+  // ========================================
+
+  /**
+   * Create a node and register it in the document
+   * @param {string} type - Figma node type
+   * @param {Object} init - Initial property values
+   * @returns {Object} Node object
+   */
+  function createNode(type, init = {}) {
+    const id = init.id || nextId();
+    const inner = {
+      parent: null,
+      children: CONTAINER_TYPES.has(type) ? [] : null,
+      width: init.width !== undefined ? init.width : 100,
+      height: init.height !== undefined ? init.height : 100,
+      removed: false,
+      pluginData: new Map(),
+      mainComponent: init.mainComponent || null,
+      propertyDefinitions: {},
+      componentProperties: {},
+      fontName: { family: 'Inter', style: 'Regular' },
+      text: {}
+    };
+
+    const node = {};
+    internals.set(node, inner);
+
+    Object.defineProperties(node, {
+      id: { value: id, enumerable: true },
+      type: { value: type, enumerable: true },
+      parent: { get: () => inner.parent },
+      removed: { get: () => inner.removed }
+    });
+
+    if (inner.children) {
+      Object.defineProperty(node, 'children', { get: () => inner.children.slice() });
+      Object.assign(node, containerMethods(node));
+    }
+
+    if (type === 'DOCUMENT') {
+      node.name = fileName;
+      return node;
+    }
+
+    node.name = DEFAULT_NAMES[type] || type;
+
+    if (type === 'PAGE') {
+      let selection = [];
+      Object.defineProperty(node, 'selection', {
+        get: () => selection.slice(),
+        set: (value) => {
+          selection = Array.from(value);
+          if (node === currentPage) emit('selectionchange');
+        },
+        enumerable: true
+      });
+      node.backgrounds = [{ type: 'SOLID', color: { r: 0.96, g: 0.96, b: 0.96 }, visible: true, opacity: 1 }];
+      return node;
+    }
+
+    // Scene node properties shared by every layer type
+    Object.defineProperties(node, {
+      width: {
+        get: () => inner.width,
+        set: () => { throw readOnlyError('width'); },
+        enumerable: true
+      },
+      height: {
+        get: () => inner.height,
+        set: () => { throw readOnlyError('height'); },
+        enumerable: true
+      }
+    });
+
+    Object.assign(node, {
+      visible: true,
+      locked: false,
+      opacity: 1,
+      blendMode: 'PASS_THROUGH',
+      x: 0,
+      y: 0,
+      rotation: 0,
+      fills: type === 'TEXT' ? [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 }, visible: true, opacity: 1 }] : [],
+      strokes: [],
+      strokeWeight: 1,
+      strokeAlign: 'INSIDE',
+      effects: [],
+      fillStyleId: '',
+      strokeStyleId: '',
+      effectStyleId: '',
+      boundVariables: {},
+      constraints: { horizontal: 'MIN', vertical: 'MIN' },
+      layoutAlign: 'INHERIT',
+      layoutGrow: 0,
+      layoutPositioning: 'AUTO',
+      layoutSizingHorizontal: 'FIXED',
+      layoutSizingVertical: 'FIXED'
+    });
+
+    if (type === 'RECTANGLE' || FRAME_TYPES.has(type)) {
+      Object.assign(node, {
+        cornerRadius: 0,
+        topLeftRadius: 0,
+        topRightRadius: 0,
+        bottomLeftRadius: 0,
+        bottomRightRadius: 0
+      });
+    }
+
+    if (FRAME_TYPES.has(type)) {
+      Object.assign(node, {
+        fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, visible: true, opacity: 1 }],
+        clipsContent: true,
+        layoutMode: 'NONE',
+        layoutWrap: 'NO_WRAP',
+        itemSpacing: 0,
+        counterAxisSpacing: 0,
+        paddingLeft: 0,
+        paddingRight: 0,
+        paddingTop: 0,
+        paddingBottom: 0,
+        primaryAxisSizingMode: 'AUTO',
+        counterAxisSizingMode: 'AUTO',
+        primaryAxisAlignItems: 'MIN',
+        counterAxisAlignItems: 'MIN'
+      });
+    }
+
+    if (type === 'TEXT') {
+      Object.assign(inner.text, {
+        characters: '',
+        fontSize: 12,
+        lineHeight: { unit: 'AUTO' },
+        letterSpacing: { unit: 'PERCENT', value: 0 },
+        textAutoResize: 'WIDTH_AND_HEIGHT'
+      });
+      FONT_GATED_PROPERTIES.forEach(property => {
+        Object.defineProperty(node, property, {
+          get: () => inner.text[property],
+          set: (value) => {
+            if (!loadedFonts.has(fontKey(inner.fontName))) {
+              throw unloadedFontError(property, inner.fontName);
+            }
+            inner.text[property] = value;
+          },
+          enumerable: true
+        });
+      });
+      Object.defineProperty(node, 'fontName', {
+        get: () => copyData(inner.fontName),
+        set: (value) => {
+          if (!loadedFonts.has(fontKey(value))) {
+            throw unloadedFontError('fontName', value);
+          }
+          inner.fontName = copyData(value);
+        },
+        enumerable: true
+      });
+      Object.assign(node, {
+        textAlignHorizontal: 'LEFT',
+        textAlignVertical: 'TOP',
+        textCase: 'ORIGINAL',
+        textDecoration: 'NONE',
+        textTruncation: 'DISABLED',
+        maxLines: null,
+        textStyleId: '',
+        componentPropertyReferences: null
+      });
+    }
+
+    if (type === 'COMPONENT' || type === 'COMPONENT_SET') {
+      node.description = '';
+      node.key = `mock-key-${id.replace(':', '-')}`;
+      Object.defineProperty(node, 'componentPropertyDefinitions', {
+        get: () => propertyDefinitionsFor(node),
+        enumerable: true
+      });
+      Object.assign(node, componentPropertyMethods(node));
+    }
+
+    if (type === 'COMPONENT') {
+      node.createInstance = () => createInstanceOf(node);
+    }
+
+    if (type === 'COMPONENT_SET') {
+      Object.defineProperty(node, 'variantGroupProperties', {
+        get: () => {
+          const groups = {};
+          inner.children.forEach(variant => {
+            Object.entries(parseVariantName(variant.name)).forEach(([key, value]) => {
+              groups[key] = groups[key] || { values: [] };
+              if (!groups[key].values.includes(value)) groups[key].values.push(value);
+            });
+          });
+          return groups;
+        }
+      });
+      Object.defineProperty(node, 'defaultVariant', { get: () => inner.children[0] || null });
+    }
+
+    if (type === 'COMPONENT' || type === 'INSTANCE') {
+      Object.defineProperty(node, 'variantProperties', {
+        get: () => {
+          const component = type === 'COMPONENT' ? node : inner.mainComponent;
+          if (!component || !component.parent || component.parent.type !== 'COMPONENT_SET') return null;
+          return parseVariantName(component.name);
+        }
+      });
+    }
+
+    if (type === 'INSTANCE') {
+      node.isExposedInstance = false;
+      Object.defineProperties(node, {
+        mainComponent: { get: () => inner.mainComponent },
+        componentProperties: {
+          get: () => {
+            const result = {};
+            const defs = inner.mainComponent ? propertyDefinitionsFor(inner.mainComponent) : {};
+            Object.entries(defs).forEach(([key, def]) => {
+              const value = key in inner.componentProperties ? inner.componentProperties[key] : def.defaultValue;
+              result[key] = { type: def.type, value };
+            });
+            return result;
+          }
+        },
+        exposedInstances: {
+          get: () => {
+            const exposed = [];
+            walk(node, child => {
+              if (child.type === 'INSTANCE' && child.isExposedInstance) exposed.push(child);
+            });
+            return exposed;
+          }
+        }
+      });
+      Object.assign(node, instanceMethods(node));
+    }
+
+    Object.assign(node, sceneMethods(node));
+    return node;
+  }
+
+  function containerMethods(node) {
+    return {
+      appendChild(child) {
+        insert(node, child);
+      },
+      insertChild(index, child) {
+        insert(node, child, index);
+      },
+      findChildren(callback = () => true) {
+        return internals.get(node).children.filter(callback);
+      },
+      findChild(callback) {
+        return internals.get(node).children.find(callback) || null;
+      },
+      findAll(callback = () => true) {
+        const found = [];
+        walk(node, child => {
+          if (callback(child)) found.push(child);
+        });
+        return found;
+      },
+      findOne(callback) {
+        let found = null;
+        walk(node, child => {
+          if (callback(child)) {
+            found = child;
+            return false;
+          }
+          return true;
+        });
+        return found;
+      },
+      findAllWithCriteria(criteria = {}) {
+        const types = criteria.types || null;
+        return this.findAll(child => !types || types.includes(child.type));
+      }
+    };
+  }
+
+  function sceneMethods(node) {
+    const inner = internals.get(node);
+    return {
+      resize(width, height) {
+        if (width < 0.01 || height < 0.01) {
+          throw new Error('in resize: Expected width and height to be >= 0.01');
+        }
+        inner.width = width;
+        inner.height = height;
+        queueDocumentChange({ type: 'PROPERTY_CHANGE', id: node.id, node, properties: ['width', 'height'] });
+      },
+      resizeWithoutConstraints(width, height) {
+        this.resize(width, height);
+      },
+      remove() {
+        if (inner.removed) {
+          throw new Error(`The node with id "${node.id}" has been removed`);
+        }
+        if (inner.parent && inner.parent.type === 'INSTANCE') {
+          throw new Error('Cannot remove children of instance nodes');
+        }
+        detach(node);
+        unregister(node);
+        queueDocumentChange({ type: 'DELETE', id: node.id, node });
+      },
+      clone() {
+        const copy = cloneNode(node);
+        if (inner.parent) {
+          const siblings = internals.get(inner.parent).children;
+          insert(inner.parent, copy, siblings.indexOf(node) + 1);
+        } else {
+          insert(currentPage, copy);
+        }
+        return copy;
+      },
+      setBoundVariable(field, variable) {
+        const bound = { ...node.boundVariables };
+        if (variable) {
+          bound[field] = { type: 'VARIABLE_ALIAS', id: variable.id };
+        } else {
+          delete bound[field];
+        }
+        node.boundVariables = bound;
+      },
+      getPluginData(key) {
+        return inner.pluginData.get(key) || '';
+      },
+      setPluginData(key, value) {
+        inner.pluginData.set(key, String(value));
+      },
+      getPluginDataKeys() {
+        return Array.from(inner.pluginData.keys());
+      },
+      async exportAsync(settings = {}) {
+        const format = settings.format || 'PNG';
+        if (format === 'SVG_STRING') {
+          return `<svg xmlns="http://www.w3.org/2000/svg" width="${inner.width}" height="${inner.height}" data-node-id="${node.id}"></svg>`;
+        }
+        const scale = settings.constraint && settings.constraint.type === 'SCALE' ? settings.constraint.value : 1;
+        const descriptor = Buffer.from(`mock:${node.id}:${inner.width * scale}x${inner.height * scale}`);
+        const signature = format === 'JPG' ? [0xff, 0xd8, 0xff] : PNG_SIGNATURE;
+        return new Uint8Array([...signature, ...descriptor]);
+      },
+      toJSON() {
+        return { id: node.id, type: node.type, name: node.name };
+      }
+    };
+  }
+
+  function propertyDefinitionsFor(component) {
+    // Variants share the property definitions of their component set
+    const owner = component.parent && component.parent.type === 'COMPONENT_SET' ? component.parent : component;
+    const defs = copyData(internals.get(owner).propertyDefinitions);
+    if (owner.type === 'COMPONENT_SET') {
+      Object.entries(owner.variantGroupProperties).forEach(([key, group]) => {
+        defs[key] = { type: 'VARIANT', defaultValue: group.values[0], variantOptions: group.values };
+      });
+    }
+    return defs;
+  }
+
+  function componentPropertyMethods(component) {
+    const defs = () => internals.get(component).propertyDefinitions;
+    return {
+      addComponentProperty(propertyName, type, defaultValue, options = {}) {
+        const key = type === 'VARIANT' ? propertyName : `${propertyName}#${nextId().split(':')[1]}:0`;
+        defs()[key] = { type, defaultValue };
+        if (options.preferredValues) defs()[key].preferredValues = options.preferredValues;
+        return key;
+      },
+      editComponentProperty(propertyName, newValue) {
+        if (!defs()[propertyName]) {
+          throw new Error(`in editComponentProperty: Component property ${propertyName} not found`);
+        }
+        const def = defs()[propertyName];
+        if (newValue.defaultValue !== undefined) def.defaultValue = newValue.defaultValue;
+        if (newValue.preferredValues !== undefined) def.preferredValues = newValue.preferredValues;
+        if (newValue.name !== undefined && newValue.name !== propertyName.split('#')[0]) {
+          const suffix = propertyName.includes('#') ? propertyName.slice(propertyName.indexOf('#')) : '';
+          const newKey = `${newValue.name}${suffix}`;
+          defs()[newKey] = def;
+          delete defs()[propertyName];
+          return newKey;
+        }
+        return propertyName;
+      },
+      deleteComponentProperty(propertyName) {
+        if (!defs()[propertyName]) {
+          throw new Error(`in deleteComponentProperty: Component property ${propertyName} not found`);
+        }
+        delete defs()[propertyName];
+      }
+    };
+  }
+
+  function instanceMethods(instance) {
+    const inner = internals.get(instance);
+    return {
+      async getMainComponentAsync() {
+        return inner.mainComponent;
+      },
+      setProperties(properties) {
+        const defs = inner.mainComponent ? propertyDefinitionsFor(inner.mainComponent) : {};
+        Object.entries(properties).forEach(([key, value]) => {
+          if (!defs[key]) {
+            throw new Error(`in setProperties: Could not find a component property with name: '${key}'`);
+          }
+          inner.componentProperties[key] = value;
+        });
+      },
+      swapComponent(component) {
+        if (!component || component.type !== 'COMPONENT') {
+          throw new Error('in swapComponent: Expected a ComponentNode');
+        }
+        inner.mainComponent = component;
+        inner.componentProperties = {};
+        instance.name = component.name;
+      },
+      detachInstance() {
+        const frame = createNode('FRAME', { width: inner.width, height: inner.height });
+        copyDataProperties(instance, frame);
+        inner.children.slice().forEach(child => insert(frame, child));
+        const parent = inner.parent;
+        if (parent) {
+          insert(parent, frame, internals.get(parent).children.indexOf(instance));
+        }
+        detach(instance);
+        unregister(instance);
+        return frame;
+      }
+    };
+  }
+
+  function copyDataProperties(source, target) {
+    Object.keys(source).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(source, key);
+      if (!('value' in descriptor) || typeof descriptor.value === 'function') return;
+      if (key === 'id' || key === 'type' || !(key in target)) return;
+      target[key] = copyData(descriptor.value);
+    });
+
+    // Font-gated text properties live in internals, not on the node itself
+    if (source.type === 'TEXT' && target.type === 'TEXT') {
+      Object.assign(internals.get(target).text, copyData(internals.get(source).text));
+      internals.get(target).fontName = copyData(internals.get(source).fontName);
+    }
+  }
+
+  function cloneNode(source, idFor = () => undefined) {
+    const sourceInner = internals.get(source);
+    const copy = createNode(source.type, {
+      id: idFor(source),
+      width: sourceInner.width,
+      height: sourceInner.height,
+      mainComponent: sourceInner.mainComponent
+    });
+    copyDataProperties(source, copy);
+    Object.assign(internals.get(copy).componentProperties, copyData(sourceInner.componentProperties));
+    if (source.type === 'COMPONENT' || source.type === 'COMPONENT_SET') {
+      internals.get(copy).propertyDefinitions = copyData(sourceInner.propertyDefinitions);
+    }
+    (sourceInner.children || []).forEach(child => {
+      const childCopy = cloneNode(child, idFor);
+      internals.get(copy).children.push(childCopy);
+      internals.get(childCopy).parent = copy;
+    });
+    return copy;
+  }
+
+  function createInstanceOf(component) {
+    const componentInner = internals.get(component);
+    const instance = createNode('INSTANCE', {
+      width: componentInner.width,
+      height: componentInner.height,
+      mainComponent: component
+    });
+    copyDataProperties(component, instance);
+    instance.name = component.name;
+
+    // Instance sublayers get Figma-style "I<instance>;<source>" IDs
+    componentInner.children.forEach(child => {
+      const childCopy = cloneNode(child, source => `I${instance.id};${source.id}`);
+      internals.get(instance).children.push(childCopy);
+      internals.get(childCopy).parent = instance;
+    });
+
+    insert(currentPage, instance);
+    return instance;
+  }
+
+  // ========================================
+  // DOCUMENT
+  // ========================================
+
+  const root = createNode('DOCUMENT', { id: '0:0' });
+  register(root);
+
+  function createPage(name) {
+    const page = createNode('PAGE', { id: `0:${root.children.length + 1}` });
+    page.name = name || `Page ${root.children.length + 1}`;
+    insert(root, page);
+    return page;
+  }
+
+  currentPage = createPage('Page 1');
+
+  function createSceneNode(type) {
+    const node = createNode(type);
+    insert(currentPage, node);
+    return node;
+  }
+
+  // ========================================
+  // VARIABLES
+  // ========================================
+
+  function createVariableCollection(name) {
+    const index = collections.size + 1;
+    const defaultModeId = `${index}:0`;
+    const modes = [{ modeId: defaultModeId, name: 'Mode 1' }];
+    const collection = {
+      id: `VariableCollectionId:${index}:0`,
+      name,
+      defaultModeId,
+      get modes() {
+        return modes.map(m => ({ ...m }));
+      },
+      get variableIds() {
+        return Array.from(variables.values())
+          .filter(v => v.variableCollectionId === collection.id)
+          .map(v => v.id);
+      },
+      addMode(modeName) {
+        const modeId = `${index}:${modes.length}`;
+        modes.push({ modeId, name: modeName });
+        return modeId;
+      },
+      renameMode(modeId, newName) {
+        const mode = modes.find(m => m.modeId === modeId);
+        if (!mode) throw new Error(`in renameMode: Mode ${modeId} not found`);
+        mode.name = newName;
+      },
+      remove() {
+        collection.variableIds.forEach(id => variables.delete(id));
+        collections.delete(collection.id);
+      }
+    };
+    collections.set(collection.id, collection);
+    return collection;
+  }
+
+  function createVariable(name, collectionOrId, resolvedType) {
+    const collection = typeof collectionOrId === 'string' ? collections.get(collectionOrId) : collectionOrId;
+    if (!collection) {
+      throw new Error('in createVariable: Variable collection not found');
+    }
+    const valuesByMode = {};
+    const variable = {
+      id: `VariableID:${collection.id.split(':')[1]}:${variables.size + 1}`,
+      name,
+      resolvedType,
+      description: '',
+      scopes: ['ALL_SCOPES'],
+      variableCollectionId: collection.id,
+      get valuesByMode() {
+        return copyData(valuesByMode);
+      },
+      setValueForMode(modeId, value) {
+        if (!collection.modes.some(m => m.modeId === modeId)) {
+          throw new Error(`in setValueForMode: Mode ${modeId} not found in collection`);
+        }
+        valuesByMode[modeId] = copyData(value);
+      },
+      remove() {
+        variables.delete(variable.id);
+      }
+    };
+    variables.set(variable.id, variable);
+    return variable;
+  }
+
+  function localVariables(type) {
+    return Array.from(variables.values()).filter(v => !type || v.resolvedType === type);
+  }
+
+  const variablesApi = {
+    getLocalVariableCollections: () => Array.from(collections.values()),
+    getLocalVariableCollectionsAsync: async () => Array.from(collections.values()),
+    getLocalVariables: (type) => localVariables(type),
+    getLocalVariablesAsync: async (type) => localVariables(type),
+    getVariableById: (id) => variables.get(id) || null,
+    getVariableByIdAsync: async (id) => variables.get(id) || null,
+    getVariableCollectionById: (id) => collections.get(id) || null,
+    getVariableCollectionByIdAsync: async (id) => collections.get(id) || null,
+    createVariableCollection,
+    createVariable,
+    createVariableAlias: (variable) => ({ type: 'VARIABLE_ALIAS', id: variable.id }),
+    setBoundVariableForPaint(paint, field, variable) {
+      const bound = copyData(paint);
+      bound.boundVariables = { ...(bound.boundVariables || {}) };
+      if (variable) {
+        bound.boundVariables[field] = { type: 'VARIABLE_ALIAS', id: variable.id };
+      } else {
+        delete bound.boundVariables[field];
+      }
+      return bound;
+    }
+  };
+
+  // ========================================
+  // STYLES
+  // ========================================
+
+  function createStyle(type, defaults) {
+    // Local style IDs in Figma carry a trailing comma
+    const style = {
+      id: `S:${type.toLowerCase()}-${styles.size + 1},`,
+      type,
+      name: '',
+      description: '',
+      ...defaults,
+      remove() {
+        styles.delete(style.id);
+      }
+    };
+    styles.set(style.id, style);
+    return style;
+  }
+
+  function localStyles(type) {
+    return Array.from(styles.values()).filter(s => s.type === type);
+  }
+
+  // ========================================
+  // FIGMA GLOBAL
+  // ========================================
+
+  const figma = {
+    fileKey,
+    editorType: 'figma',
+    apiVersion: '1.0.0',
+    mixed: Symbol('figma.mixed'),
+    root,
+    viewport: {
+      center: { x: 0, y: 0 },
+      zoom: 1,
+      scrollAndZoomIntoView() {}
+    },
+    variables: variablesApi,
+
+    get currentPage() {
+      return currentPage;
+    },
+    set currentPage(page) {
+      if (!page || page.type !== 'PAGE') {
+        throw new Error('in set_currentPage: Expected a PageNode');
+      }
+      if (page !== currentPage) {
+        currentPage = page;
+        emit('currentpagechange');
+      }
+    },
+    async setCurrentPageAsync(page) {
+      figma.currentPage = page;
+    },
+
+    getNodeById: (id) => nodes.get(id) || null,
+    getNodeByIdAsync: async (id) => nodes.get(id) || null,
+
+    createPage,
+    createFrame: () => createSceneNode('FRAME'),
+    createComponent: () => createSceneNode('COMPONENT'),
+    createRectangle: () => createSceneNode('RECTANGLE'),
+    createEllipse: () => createSceneNode('ELLIPSE'),
+    createLine: () => createSceneNode('LINE'),
+    createText: () => {
+      const text = createSceneNode('TEXT');
+      internals.get(text).width = 0;
+      internals.get(text).height = 14;
+      return text;
+    },
+    createNodeFromSvg(svg) {
+      if (typeof svg !== 'string' || !svg.includes('<svg')) {
+        throw new Error('in createNodeFromSvg: Failed to parse SVG');
+      }
+      const frame = createSceneNode('FRAME');
+      frame.fills = [];
+      frame.appendChild(createNode('VECTOR'));
+      return frame;
+    },
+    createComponentFromNode(source) {
+      if (!source || !FRAME_TYPES.has(source.type) && source.type !== 'GROUP') {
+        throw new Error('in createComponentFromNode: Node cannot be converted to a component');
+      }
+      const sourceInner = internals.get(source);
+      const component = createNode('COMPONENT', { width: sourceInner.width, height: sourceInner.height });
+      copyDataProperties(source, component);
+      sourceInner.children.slice().forEach(child => insert(component, child));
+      const parent = sourceInner.parent || currentPage;
+      insert(parent, component, internals.get(parent).children.indexOf(source));
+      detach(source);
+      unregister(source);
+      return component;
+    },
+    combineAsVariants(components, parent) {
+      if (!components || components.length === 0 || components.some(c => c.type !== 'COMPONENT')) {
+        throw new Error('in combineAsVariants: Expected an array of ComponentNodes');
+      }
+      const set = createNode('COMPONENT_SET');
+      set.fills = [];
+      insert(parent || currentPage, set);
+      components.forEach(component => insert(set, component));
+      return set;
+    },
+    group(children, parent) {
+      if (!children || children.length === 0) {
+        throw new Error('in group: First argument must be an array of at least one node');
+      }
+      const group = createNode('GROUP');
+      insert(parent || currentPage, group);
+      children.forEach(child => insert(group, child));
+      return group;
+    },
+
+    createImage(bytes) {
+      return { hash: `mock-image-${bytes.length}` };
+    },
+    async createImageAsync(url) {
+      return { hash: `mock-image-${Buffer.from(String(url)).toString('hex').slice(0, 16)}` };
+    },
+
+    async loadFontAsync(fontName) {
+      if (!fontName || !availableFonts.has(fontKey(fontName))) {
+        throw new Error(`The font "${fontName && fontName.family} ${fontName && fontName.style}" could not be loaded.`);
+      }
+      loadedFonts.add(fontKey(fontName));
+    },
+    async listAvailableFontsAsync() {
+      return fonts.map(f => ({ fontName: { ...f } }));
+    },
+
+    createTextStyle: () => createStyle('TEXT', {
+      fontName: { family: 'Inter', style: 'Regular' },
+      fontSize: 12,
+      lineHeight: { unit: 'AUTO' },
+      letterSpacing: { unit: 'PERCENT', value: 0 }
+    }),
+    createPaintStyle: () => createStyle('PAINT', { paints: [] }),
+    createEffectStyle: () => createStyle('EFFECT', { effects: [] }),
+    getLocalTextStyles: () => localStyles('TEXT'),
+    getLocalTextStylesAsync: async () => localStyles('TEXT'),
+    getLocalPaintStyles: () => localStyles('PAINT'),
+    getLocalPaintStylesAsync: async () => localStyles('PAINT'),
+    getLocalEffectStyles: () => localStyles('EFFECT'),
+    getLocalEffectStylesAsync: async () => localStyles('EFFECT'),
+    getStyleById: (id) => styles.get(id) || null,
+    getStyleByIdAsync: async (id) => styles.get(id) || null,
+
+    on(type, callback) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(callback);
+    },
+    off(type, callback) {
+      if (listeners.has(type)) listeners.get(type).delete(callback);
+    },
+
+    notify(message, options = {}) {
+      notifications.push({ message, timeout: options.timeout });
+      return { cancel() {} };
+    },
+    closePlugin() {}
+  };
+
+  // Test-side accessors (not part of the Plugin API)
+  Object.defineProperty(figma, '__mock', {
+    value: {
+      notifications,
+      loadedFonts,
+      nodeCount: () => nodes.size
+    }
+  });
+
+  return figma;
+}
+
+module.exports = {
+  createMockFigma,
+  parseVariantName,
+  DEFAULT_FONTS
+};
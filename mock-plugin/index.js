@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Mock Figma Plugin
+ *
+ * Offline replacement for Figma Desktop + the "AI Agent Bridge" plugin.
+ * Lets every tool run end to end in CI or on machines without Figma.
+ *
+ * @example
+ * const { createMockPlugin } = require('./mock-plugin');
+ *
+ * const plugin = createMockPlugin({ url: 'ws://localhost:8080' });
+ * await plugin.connect();
+ * plugin.figma.createFrame().name = 'Seeded frame';
+ *
+ * CLI usage (connects to a running MCP server with a small seeded document):
+ *   node mock-plugin/index.js
+ *
+ * Through a relay (see relay/) instead of a direct connection:
+ *   MOCK_RELAY_HOST=localhost:1999 node mock-plugin/index.js
+ */
+
+const { createMockFigma, parseVariantName, DEFAULT_FONTS } = require('./document');
+const { createMockPlugin } = require('./client');
+
+/**
+ * Seed a document with a frame, a button component and a color variable
+ * @param {Object} figma - Mock figma global
+ * @returns {Object} IDs of the seeded nodes
+ */
+async function seedDemoDocument(figma) {
+  await figma.loadFontAsync({ family: 'Inter', style: 'Regular' });
+
+  const collection = figma.variables.createVariableCollection('Tokens');
+  const primary = figma.variables.createVariable('Colors/primary', collection, 'COLOR');
+  primary.setValueForMode(collection.defaultModeId, { r: 0.2, g: 0.4, b: 1, a: 1 });
+
+  const button = figma.createComponent();
+  button.name = 'Button';
+  button.resize(120, 40);
+  button.layoutMode = 'HORIZONTAL';
+  const label = figma.createText();
+  label.name = 'Label';
+  label.characters = 'Click me';
+  button.appendChild(label);
+
+  const screen = figma.createFrame();
+  screen.name = 'Screen';
+  screen.resize(390, 844);
+  screen.x = 200;
+
+  return { buttonId: button.id, labelId: label.id, screenId: screen.id, variableId: primary.id };
+}
+
+module.exports = {
+  createMockFigma,
+  createMockPlugin,
+  seedDemoDocument,
+  parseVariantName,
+  DEFAULT_FONTS
+};
+
+// CLI usage
+if (require.main === module) {
+  // Set these to run a second mock file next to the first
+  const fileKey = process.env.MOCK_FILE_KEY || 'mock-file';
+  const relayHost = process.env.MOCK_RELAY_HOST;
+
+  const plugin = createMockPlugin({
+    fileKey,
+    fileName: process.env.MOCK_FILE_NAME,
+    ...(relayHost ? {
+      url: `ws://${relayHost}/parties/main/session-${fileKey}`,
+      discoveryUrl: `ws://${relayHost}/parties/main/discovery`
+    } : {}),
+    logger: {
+      log: (message) => process.stderr.write(`[mock-plugin] ${message}\n`),
+      error: (message, error) => process.stderr.write(`[mock-plugin] ${message} ${error}\n`)
+    }
+  });
+
+  seedDemoDocument(plugin.figma)
+    .then(() => plugin.connect())
+    .catch((error) => {
+      process.stderr.write(`[mock-plugin] Failed to connect: ${error.message}\n`);
+      process.exit(1);
+    });
+}
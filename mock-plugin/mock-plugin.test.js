@@ -0,0 +1,964 @@
+/**
+ * Tests for the Mock Figma Plugin
+ *
+ * Runs real tools end to end: bridge -> WebSocket -> mock plugin -> in-memory document
+ */
+
+// Pair with a fixed token instead of generating one in ~/.figmatic
+process.env.FIGMATIC_PAIRING_TOKEN = 'mock-plugin-test-token';
+
+// Fast heartbeat so the unresponsive-plugin test finishes quickly
+process.env.FIGMA_HEARTBEAT_INTERVAL_MS = '100';
+process.env.FIGMA_HEARTBEAT_TIMEOUT_MS = '400';
+process.env.FIGMA_RECONNECT_GRACE_MS = '1000';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const bridge = require('../bridge/server');
+const { executeTool, getToolCatalog } = require('../tools');
+const { createAPIContext } = require('../utils/context');
+const { createMockPlugin, seedDemoDocument } = require('./index');
+const resources = require('../resources');
+const { getOperation, listOperations } = require('../operations');
+const { toStructuredError, formatStructuredError } = require('../bridge/core/errors');
+
+const PORT = parseInt(process.env.MOCK_PLUGIN_TEST_PORT || '18080', 10);
+
+// Bridge logs go to stderr; keep test output readable
+const noop = () => {};
+
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+let sessions = 0;
+
+/**
+ * Connect a freshly seeded 'mock-file' before each test of the enclosing describe
+ * and disconnect it after, so no test sees another test's edits.
+ * Each test also gets its own session, which keeps change history apart.
+ * @returns {Object} Filled in before each test: { plugin, seeded, api, call, readJson }
+ */
+function useMockFile() {
+  const file = {
+    call: (name, args = {}) => executeTool(name, args, noop, file.api),
+    readJson: async (uri) => JSON.parse((await resources.readResource(uri, file.api)).contents[0].text)
+  };
+
+  beforeEach(async () => {
+    file.plugin = createMockPlugin({ url: `ws://localhost:${PORT}` });
+    file.seeded = await seedDemoDocument(file.plugin.figma);
+    await file.plugin.connect();
+    await waitFor(() => bridge.isConnected('mock-file'));
+    file.api = createAPIContext({ sessionId: `mock-plugin-test-${++sessions}` });
+  });
+
+  // The next test's plugin reconnects within the grace window, like a plugin reload
+  afterEach(async () => {
+    await file.plugin.disconnect();
+    await waitFor(() => !bridge.isConnected('mock-file'));
+  });
+
+  return file;
+}
+
+describe('mock plugin end to end', () => {
+  before(() => bridge.startServer(PORT));
+  after(() => bridge.stopServer());
+
+  describe('read tools', () => {
+    const file = useMockFile();
+
+    it('reads pages, components and nodes', async () => {
+      const { seeded, api, call } = file;
+      const page = await call('get_page_structure');
+      assert.strictEqual(page.totalNodes, 2, 'Seeded page should have two top-level nodes');
+
+      // MCP clients may leave out `arguments` for tools without required parameters
+      const unargued = await executeTool('get_page_structure', undefined, noop, api);
+      assert.strictEqual(unargued.totalNodes, 2);
+
+      const structure = await call('get_component_structure', { nodeId: seeded.buttonId });
+      assert.strictEqual(structure.type, 'COMPONENT');
+      assert.strictEqual(structure.children[0].text, 'Click me');
+
+      const details = await call('get_node_details', { nodeId: seeded.screenId });
+      assert.deepStrictEqual(details.dimensions, { width: 390, height: 844 });
+    });
+
+    it('reads the design system and screenshots', async () => {
+      const { seeded, call } = file;
+      const designSystem = await call('get_design_system');
+      assert.strictEqual(designSystem.collections.Tokens.variables[0].name, 'Colors/primary');
+
+      const screenshot = await call('get_screenshot', { nodeId: seeded.buttonId, scale: 1 });
+      assert.ok(screenshot.size > 0, 'Screenshot should write bytes to disk');
+      assert.strictEqual(fs.readFileSync(screenshot.path)[0], 0x89, 'Binary frame should carry the PNG bytes unchanged');
+      fs.unlinkSync(screenshot.path);
+    });
+  });
+
+  describe('write tools', () => {
+    const file = useMockFile();
+
+    it('creates, modifies and deletes nodes', async () => {
+      const { plugin, seeded, call } = file;
+      const component = await call('create_component', { name: 'Card', width: 200, height: 120 });
+      assert.strictEqual(component.name, 'Card');
+      assert.ok(plugin.figma.getNodeById(component.id), 'Component should exist in the mock document');
+
+      const modified = await call('modify_node', {
+        nodeId: component.id,
+        properties: { width: 240, opacity: 0.5, fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 0.5 } }] }
+      });
+      assert.strictEqual(modified.modified.width, 240);
+      const card = plugin.figma.getNodeById(component.id);
+      assert.strictEqual(card.width, 240);
+      assert.strictEqual(card.opacity, 0.5);
+      assert.strictEqual(card.fills[0].opacity, 0.5, 'Alpha should be normalized to paint opacity');
+
+      const instance = await call('create_instance', { componentId: seeded.buttonId, x: 10, y: 20 });
+      assert.strictEqual(plugin.figma.getNodeById(instance.id).mainComponent.id, seeded.buttonId);
+
+      const text = await call('create_text_node', { characters: 'Hello', fontStyle: 'SemiBold' });
+      assert.deepStrictEqual(text.fontName, { family: 'Inter', style: 'Semi Bold' });
+
+      await call('delete_node', { nodeId: component.id });
+      assert.strictEqual(plugin.figma.getNodeById(component.id), null, 'Deleted node should be gone');
+    });
+
+    it('renames nodes with names that look like code', async () => {
+      const { plugin, seeded, call } = file;
+      const renamed = await call('rename_node', { nodeId: seeded.screenId, name: 'Home "v2"' });
+      assert.strictEqual(renamed.newName, 'Home "v2"');
+
+      // Arguments travel as JSON, so names that look like code stay names
+      const trickyName = 'C:\\Temp\\`${figma.root.name}` \'it\'s\'';
+      await call('rename_node', { nodeId: seeded.screenId, name: trickyName });
+      assert.strictEqual(plugin.figma.getNodeById(seeded.screenId).name, trickyName);
+      const quotedName = 'Say "hi" \\n it\'s `done`';
+      await call('rename_node', { nodeId: seeded.screenId, name: quotedName });
+      const found = await call('find_nodes_by_name', { searchTerm: quotedName });
+      assert.deepStrictEqual(found.matches.map(m => m.id), [seeded.screenId]);
+    });
+  });
+
+  describe('error propagation', () => {
+    const file = useMockFile();
+
+    it('gives tool and script failures typed errors', async () => {
+      const { plugin, seeded, api, call } = file;
+      await assert.rejects(
+        call('get_node_details', { nodeId: '999:999' }),
+        (error) => error.code === 'NODE_NOT_FOUND' && error.details.nodeId === '999:999' && /Node not found: 999:999/.test(error.message)
+      );
+
+      // Typed errors carry what an agent needs to recover, plus where the script failed
+      await assert.rejects(
+        api.executeInFigma('const t = figma.createText();\nt.fontName = { family: "Comic Sans", style: "Regular" };'),
+        (error) => {
+          assert.strictEqual(error.code, 'FONT_NOT_LOADED');
+          assert.deepStrictEqual(error.details.font, { family: 'Comic Sans', style: 'Regular' });
+          assert.strictEqual(error.details.line, 2);
+          assert.strictEqual(error.details.source, 't.fontName = { family: "Comic Sans", style: "Regular" };');
+          assert.ok(/unloaded font/.test(error.details.pluginStack), 'Plugin stack is kept');
+
+          const structured = toStructuredError(error);
+          assert.strictEqual(structured.code, 'FONT_NOT_LOADED');
+          assert.ok(/^FONT_NOT_LOADED: .* \(script line 2: t\.fontName/.test(formatStructuredError(structured)));
+          return true;
+        }
+      );
+      await assert.rejects(
+        api.executeInFigma(`figma.getNodeById("${seeded.screenId}").resize(-1, 10);`),
+        (error) => error.code === 'INVALID_PROPERTY' && error.details.line === 1
+      );
+      await assert.rejects(api.executeInFigma('missingVariable.x = 1;'), (error) => error.code === 'SCRIPT_ERROR');
+      assert.strictEqual(toStructuredError({ code: -32602, message: 'Missing required parameter: nodeId' }).code, 'INVALID_PARAMS');
+
+      await assert.rejects(
+        plugin.runScript('const t = figma.createText(); t.fontName = { family: "Comic Sans", style: "Regular" };'),
+        /unloaded font/
+      );
+    });
+
+    it('checks execute_figma_script before sending it and limits it in the plugin', async () => {
+      const { plugin, call } = file;
+      await assert.rejects(
+        call('execute_figma_script', { script: 'const a = 1;\nconst b = ;' }),
+        (error) => error.code === 'SCRIPT_ERROR' && error.details.line === 2 && /Unexpected token/.test(error.message)
+      );
+      await assert.rejects(call('execute_figma_script', { script: 'figma.closePlugin();' }), (error) => error.code === 'POLICY_VIOLATION');
+
+      const policyFile = path.join(os.tmpdir(), `figmatic-policy-${process.pid}.json`);
+      fs.writeFileSync(policyFile, JSON.stringify({ maxCreatedNodes: 2 }));
+      process.env.FIGMATIC_SCRIPT_POLICY = policyFile;
+      try {
+        const framesBefore = plugin.figma.currentPage.children.length;
+        await assert.rejects(
+          call('execute_figma_script', { script: 'for (let i = 0; i < 5; i++) figma.createFrame();' }),
+          (error) => error.code === 'POLICY_VIOLATION' && /more than 2 nodes created/.test(error.message)
+        );
+        assert.strictEqual(plugin.figma.currentPage.children.length, framesBefore + 2);
+        await assert.rejects(
+          call('execute_figma_script', { script: 'const screen = figma.currentPage.children[0];\nfor (let i = 0; i < 5; i++) screen.clone();' }),
+          (error) => error.code === 'POLICY_VIOLATION',
+          'Copies of existing nodes count too'
+        );
+        assert.strictEqual(plugin.figma.currentPage.children.length, framesBefore + 4);
+      } finally {
+        delete process.env.FIGMATIC_SCRIPT_POLICY;
+        fs.unlinkSync(policyFile);
+      }
+    });
+  });
+
+  describe('read-only mode', () => {
+    const file = useMockFile();
+
+    beforeEach(() => {
+      process.env.FIGMATIC_READ_ONLY = '1';
+    });
+
+    afterEach(() => {
+      delete process.env.FIGMATIC_READ_ONLY;
+    });
+
+    it('hides and refuses edits', async () => {
+      const { plugin, seeded, call } = file;
+      const readOnlyNames = getToolCatalog().map(tool => tool.name);
+      assert.ok(readOnlyNames.includes('get_page_structure'));
+      assert.ok(readOnlyNames.includes('execute_figma_script'), 'Scripts that pass the read-only checks may run');
+      assert.ok(!readOnlyNames.includes('rename_node'), 'Write tools are hidden');
+      assert.ok(!readOnlyNames.includes('create_icon_component'), 'Icon creation is hidden');
+
+      const screen = plugin.figma.getNodeById(seeded.screenId);
+      await assert.rejects(
+        call('rename_node', { nodeId: seeded.screenId, name: 'Audited' }),
+        (error) => error.code === 'PERMISSION_DENIED' && /read-only mode/.test(error.message)
+      );
+      assert.strictEqual(screen.name, 'Screen', 'Rejected before reaching the plugin');
+
+      await assert.rejects(
+        call('execute_figma_script', { script: `figma.getNodeById("${seeded.screenId}").name = "Audited";` }),
+        (error) => error.code === 'POLICY_VIOLATION' && error.details.line === 1
+      );
+
+      // Edits the text checks can't see are refused while the script runs
+      const framesBefore = plugin.figma.currentPage.children.length;
+      const hidden = [
+        `figma.getNodeById("${seeded.screenId}")['na' + 'me'] = "Audited";`,
+        `Object.assign(figma.currentPage.children[0], { name: "Audited" });`,
+        `figma.currentPage.findAll(node => node.type === 'TEXT')[0]['remove']();`,
+        'const { createFrame: make } = figma;\nmake.call(figma);',
+        "await figma.variables['createVariable' + 'Collection']('Audit');"
+      ];
+      for (const script of hidden) {
+        await assert.rejects(
+          call('execute_figma_script', { script }),
+          (error) => error.code === 'POLICY_VIOLATION' && /read-only mode/.test(error.message),
+          script
+        );
+      }
+      assert.strictEqual(screen.name, 'Screen');
+      assert.strictEqual(plugin.figma.currentPage.children.length, framesBefore);
+      assert.ok(plugin.figma.getNodeById(seeded.labelId), 'Nothing was removed');
+
+      const audit = await call('execute_figma_script', {
+        script: 'return figma.currentPage.findAll(node => node.visible).map(node => figma.getNodeById(node.id).name);'
+      });
+      assert.ok(audit.includes('Screen'), 'Scripts that only read run as usual');
+    });
+
+    it('brings write tools back when it is turned off', () => {
+      delete process.env.FIGMATIC_READ_ONLY;
+      assert.ok(getToolCatalog().some(tool => tool.name === 'rename_node'), 'Write tools are back');
+    });
+  });
+
+  describe('dry runs', () => {
+    const file = useMockFile();
+
+    it('offers dryRun on edit tools only', () => {
+      const dryRunTools = getToolCatalog().filter(tool => tool.inputSchema.properties.dryRun).map(tool => tool.name);
+      assert.ok(dryRunTools.includes('modify_node') && dryRunTools.includes('create_icon_component'));
+      assert.ok(!dryRunTools.includes('get_node_details'), 'Read tools have no dryRun');
+    });
+
+    it('plans changes without making them', async () => {
+      const { plugin, seeded, call } = file;
+      const screenNode = plugin.figma.getNodeById(seeded.screenId);
+      const planned = await call('modify_node', { nodeId: seeded.screenId, properties: { name: 'Checkout', opacity: 0.5 }, dryRun: true });
+      assert.strictEqual(planned.dryRun, true);
+      assert.deepStrictEqual(planned.changes.modified[0].properties.opacity, { before: 1, after: 0.5 });
+      assert.deepStrictEqual(planned.changes.modified[0].properties.name, { before: 'Screen', after: 'Checkout' });
+      assert.strictEqual(screenNode.opacity, 1, 'Nothing was changed');
+
+      const plannedDelete = await call('delete_node', { nodeId: seeded.labelId, dryRun: true });
+      assert.deepStrictEqual(plannedDelete.changes.deleted.map(node => node.nodeId), [seeded.labelId]);
+      assert.ok(plugin.figma.getNodeById(seeded.labelId), 'The node is still there');
+
+      const pageChildren = plugin.figma.currentPage.children.length;
+      const plannedWrap = await call('wrap_in_container', {
+        nodeIds: [seeded.screenId],
+        containerSpec: { name: 'Review wrapper', layoutMode: 'VERTICAL', padding: 16 },
+        dryRun: true
+      });
+      assert.strictEqual(plannedWrap.result.containerId, 'dry-run:1');
+      assert.deepStrictEqual(plannedWrap.changes.created.map(node => [node.id, node.type, node.name]), [['dry-run:1', 'FRAME', 'Review wrapper']]);
+      assert.deepStrictEqual(plannedWrap.changes.moved.map(node => [node.nodeId, node.toParentId]), [[seeded.screenId, 'dry-run:1']]);
+      assert.strictEqual(plugin.figma.currentPage.children.length, pageChildren);
+    });
+  });
+
+  describe('transactions', () => {
+    const file = useMockFile();
+
+    it('rolls back every edit made inside it', async () => {
+      const { plugin, seeded, call } = file;
+      const screen = plugin.figma.getNodeById(seeded.screenId);
+      const label = plugin.figma.getNodeById(seeded.labelId);
+
+      const tx = await call('begin_transaction', { label: 'Rename screen' });
+      assert.ok(tx.transactionId);
+      await assert.rejects(call('begin_transaction'), (error) => error.code === 'INVALID_PARAMS', 'One transaction per file');
+
+      await call('rename_node', { nodeId: seeded.screenId, name: 'Checkout' });
+      await call('modify_node', { nodeId: seeded.screenId, properties: { opacity: 0.5 } });
+      await call('delete_node', { nodeId: seeded.labelId });
+      assert.strictEqual(screen.name, 'Checkout', 'Edits are applied inside a transaction');
+      assert.strictEqual(label.visible, false, 'Deleted nodes are hidden until commit');
+
+      const rolledBack = await call('rollback_transaction');
+      assert.deepStrictEqual(rolledBack.tools, ['rename_node', 'modify_node', 'delete_node']);
+      assert.deepStrictEqual(rolledBack.skipped, []);
+      assert.strictEqual(screen.name, 'Screen');
+      assert.strictEqual(screen.opacity, 1);
+      assert.strictEqual(label.visible, true);
+      await assert.rejects(call('commit_transaction'), (error) => error.code === 'INVALID_PARAMS');
+    });
+
+    it('rolls back everything before a failing tool', async () => {
+      const { plugin, seeded, call } = file;
+      const pageSize = plugin.figma.currentPage.children.length;
+      await call('begin_transaction');
+      await call('execute_figma_script', { script: 'const frame = figma.createFrame(); frame.name = "Draft"; return frame.id;' });
+      await call('rename_node', { nodeId: seeded.screenId, name: 'Half done' });
+      assert.strictEqual(plugin.figma.currentPage.children.length, pageSize + 1);
+      await assert.rejects(
+        call('modify_node', { nodeId: '999:999', properties: { opacity: 0.5 } }),
+        (error) => error.code === 'NODE_NOT_FOUND' && error.details.transaction.rolledBack === true
+      );
+      assert.strictEqual(plugin.figma.currentPage.children.length, pageSize, 'Created nodes are removed');
+      assert.strictEqual(plugin.figma.getNodeById(seeded.screenId).name, 'Screen');
+    });
+
+    it('removes nodes deleted inside it on commit', async () => {
+      const { plugin, call } = file;
+      const doomedId = plugin.figma.createRectangle().id;
+      await call('begin_transaction');
+      await call('delete_node', { nodeId: doomedId });
+      const committed = await call('commit_transaction');
+      assert.strictEqual(committed.committed, true);
+      assert.strictEqual(committed.removedNodes, 1);
+      assert.strictEqual(plugin.figma.getNodeById(doomedId), null);
+    });
+
+    it('keeps other sessions out while it is open', async () => {
+      const { plugin, seeded, call } = file;
+      const other = createAPIContext({ sessionId: 'transaction-test-other' });
+      const inOther = (name, args = {}) => executeTool(name, args, noop, other);
+      const screen = plugin.figma.getNodeById(seeded.screenId);
+
+      const tx = await call('begin_transaction');
+      await call('rename_node', { nodeId: seeded.screenId, name: 'Checkout' });
+
+      const refused = (error) => error.code === 'INVALID_PARAMS' && error.details.transactionId === tx.transactionId && /another session/.test(error.message);
+      await assert.rejects(inOther('modify_node', { nodeId: seeded.buttonId, properties: { opacity: 0.5 } }), refused);
+      await assert.rejects(inOther('undo_last_changes'), refused);
+      await assert.rejects(inOther('rollback_transaction'), refused);
+      await assert.rejects(inOther('commit_transaction'), refused);
+      assert.strictEqual(plugin.figma.getNodeById(seeded.buttonId).opacity, 1, 'Refused before reaching the plugin');
+      assert.strictEqual((await inOther('get_node_details', { nodeId: seeded.screenId })).identity.name, 'Checkout', 'Reads are not blocked');
+
+      // A failing tool rolls back only the owner's edits
+      await assert.rejects(
+        call('modify_node', { nodeId: '999:999', properties: { opacity: 0.5 } }),
+        (error) => error.details.transaction.rolledBack === true
+      );
+      assert.strictEqual(screen.name, 'Screen');
+
+      await inOther('modify_node', { nodeId: seeded.buttonId, properties: { opacity: 0.5 } });
+      assert.strictEqual(plugin.figma.getNodeById(seeded.buttonId).opacity, 0.5, 'Other sessions can edit once it ends');
+    });
+  });
+
+  describe('change history', () => {
+    const file = useMockFile();
+
+    it('records edits per session and undoes them', async () => {
+      const { plugin, seeded, call } = file;
+      const screen = plugin.figma.getNodeById(seeded.screenId);
+
+      await call('rename_node', { nodeId: seeded.screenId, name: 'Orders' });
+      await call('modify_node', { nodeId: seeded.screenId, properties: { opacity: 0.4 } });
+      await call('get_node_details', { nodeId: seeded.screenId });
+
+      const history = await call('get_change_history');
+      assert.deepStrictEqual(history.changes.map(change => change.tool), ['modify_node', 'rename_node'], 'Only edits are recorded, newest first');
+      assert.deepStrictEqual(history.changes[1].arguments, { nodeId: seeded.screenId, name: 'Orders' });
+      assert.deepStrictEqual(history.changes[1].entries, [
+        { nodeId: seeded.screenId, kind: 'set', property: 'name', before: 'Screen', after: 'Orders' }
+      ]);
+      const otherSession = createAPIContext({ sessionId: 'history-test-other' });
+      assert.deepStrictEqual((await executeTool('get_change_history', {}, noop, otherSession)).changes, [], 'History is kept per session');
+
+      const undo = await call('undo_last_changes');
+      assert.deepStrictEqual(undo.undone.map(change => change.tool), ['modify_node']);
+      assert.strictEqual(screen.opacity, 1);
+      assert.strictEqual(screen.name, 'Orders', 'Only the last change is undone');
+
+      await call('undo_last_changes', { n: 5 });
+      assert.strictEqual(screen.name, 'Screen');
+      assert.ok((await call('get_change_history')).changes.every(change => change.undone));
+      assert.deepStrictEqual(await call('undo_last_changes'), { undone: [], restored: 0, skipped: [] });
+    });
+
+    it('marks rolled back transactions undone', async () => {
+      const { seeded, call } = file;
+      await call('begin_transaction');
+      await call('rename_node', { nodeId: seeded.screenId, name: 'Draft' });
+      // Undo waits for the transaction to end
+      await assert.rejects(call('undo_last_changes'), (error) => error.code === 'INVALID_PARAMS');
+      await call('rollback_transaction');
+      const [rolledBackChange] = (await call('get_change_history', { limit: 1 })).changes;
+      assert.strictEqual(rolledBackChange.tool, 'rename_node');
+      assert.ok(rolledBackChange.transactionId && rolledBackChange.undone);
+    });
+  });
+
+  describe('cancellation', () => {
+    const file = useMockFile();
+
+    it('stops scripts and tool calls', async () => {
+      const { call } = file;
+      const controller = new AbortController();
+      const cancellable = createAPIContext({ signal: controller.signal });
+      const longScript = `
+        let i = 0;
+        while (true) {
+          cancellation.throwIfCancelled();
+          await new Promise(resolve => setTimeout(resolve, 10));
+          i++;
+        }
+      `;
+      const inFlight = cancellable.executeInFigma(longScript);
+      setTimeout(() => controller.abort(), 50);
+      await assert.rejects(inFlight, (error) => error.code === 'CANCELLED');
+
+      await assert.rejects(
+        executeTool('get_page_structure', {}, noop, cancellable),
+        (error) => error instanceof Error && error.code === 'CANCELLED' && /Tool call cancelled: get_page_structure/.test(error.message)
+      );
+
+      // Bridge still serves calls after a cancellation
+      const after = await call('get_page_structure');
+      assert.strictEqual(after.totalNodes, 2);
+    });
+  });
+
+  describe('progress', () => {
+    const file = useMockFile();
+
+    it('reports batch tools item by item', async () => {
+      const { api, seeded } = file;
+      const updates = [];
+      const nodeIds = [seeded.screenId, seeded.buttonId, seeded.labelId];
+      await executeTool('batch_modify_nodes', {
+        modifications: nodeIds.map(nodeId => ({ nodeId, properties: { opacity: 0.5 } }))
+      }, (update) => updates.push(update), api);
+
+      assert.deepStrictEqual(updates.map(u => [u.progress, u.total]), [[0, 3], [0, 3], [1, 3], [2, 3], [3, 3]]);
+      assert.deepStrictEqual(updates.slice(1, 4).map(u => u.status), nodeIds.map(id => `Modifying ${id}`), 'Each item reports from the plugin');
+    });
+  });
+
+  describe('request scheduling', () => {
+    const file = useMockFile();
+    let timeline;
+    const step = (label) => `
+      figma.track('${label} start');
+      await new Promise(resolve => setTimeout(resolve, 30));
+      figma.track('${label} end');
+    `;
+
+    beforeEach(() => {
+      timeline = [];
+      file.plugin.figma.track = (label) => timeline.push(label);
+    });
+
+    it('runs writes one at a time and reads side by side', async () => {
+      const { api } = file;
+      const readOnlyApi = createAPIContext({ readOnly: true });
+
+      const scheduled = Promise.all([
+        api.executeInFigma(step('write1')),
+        api.executeInFigma(step('write2')),
+        readOnlyApi.executeInFigma(step('read1')),
+        readOnlyApi.executeInFigma(step('read2'))
+      ]);
+      const queuedStats = bridge.getStatus();
+      assert.strictEqual(queuedStats.queuedRequests, 3, 'Everything behind the first write waits');
+      assert.deepStrictEqual(queuedStats.requestQueues, [{ fileId: 'mock-file', queued: 3, runningReads: 0, runningWrites: 1 }]);
+      await scheduled;
+
+      assert.deepStrictEqual(timeline.slice(0, 4), ['write1 start', 'write1 end', 'write2 start', 'write2 end'], 'Writes do not interleave');
+      assert.deepStrictEqual(timeline.slice(4, 6).sort(), ['read1 start', 'read2 start'], 'Reads run concurrently');
+      assert.strictEqual(bridge.getStatus().queuedRequests, 0);
+      assert.deepStrictEqual(bridge.getStatus().requestQueues, [], 'Idle queues are dropped');
+    });
+
+    it('drops calls cancelled while queued', async () => {
+      const { api } = file;
+      const blocker = api.executeInFigma(step('write3'));
+      const queuedController = new AbortController();
+      const queuedWrite = createAPIContext({ signal: queuedController.signal }).executeInFigma(step('write4'));
+      queuedController.abort();
+      await assert.rejects(queuedWrite, (error) => error.code === 'CANCELLED');
+      await blocker;
+      assert.ok(!timeline.includes('write4 start'), 'Cancelled write never reaches the plugin');
+    });
+  });
+
+  describe('round-trip reports', () => {
+    const file = useMockFile();
+
+    it('reports duration and size of each request', async () => {
+      const { api } = file;
+      const roundTrips = [];
+      const stopReporting = bridge.onRequestComplete(report => roundTrips.push(report));
+      await api.executeInFigma('await new Promise(resolve => setTimeout(resolve, 20)); return new Uint8Array(1000);');
+      await assert.rejects(api.executeInFigma('throw new Error("boom");'));
+      stopReporting();
+
+      assert.strictEqual(roundTrips.length, 2);
+      assert.strictEqual(roundTrips[0].fileId, 'mock-file');
+      assert.ok(roundTrips[0].duration >= 20, 'Round trip includes the script run time');
+      assert.ok(roundTrips[0].requestBytes > 50);
+      assert.ok(roundTrips[0].responseBytes >= 1000, 'Binary parts count toward the response size');
+      assert.strictEqual(roundTrips[1].success, false);
+    });
+  });
+
+  describe('operations', () => {
+    useMockFile();
+    let definitions;
+    let opsPlugins;
+
+    const opsPlugin = (fileKey, pluginOptions) => {
+      definitions[fileKey] = [];
+      const logger = { log: (line) => /^Defined operation/.test(line) && definitions[fileKey].push(line), error: noop };
+      return createMockPlugin({ url: `ws://localhost:${PORT}`, fileKey, logger, ...pluginOptions });
+    };
+
+    beforeEach(async () => {
+      definitions = {};
+      opsPlugins = [
+        opsPlugin('ops-fresh'),
+        opsPlugin('ops-bundled', { operations: listOperations() }),
+        opsPlugin('ops-old', { capabilities: ['script-args'] })
+      ];
+      for (const p of opsPlugins) {
+        p.figma.createFrame().name = 'Target';
+        await p.connect();
+      }
+      await waitFor(() => opsPlugins.every(p => bridge.isConnected(p.figma.fileKey)));
+    });
+
+    afterEach(async () => {
+      for (const p of opsPlugins) await p.disconnect();
+      await waitFor(() => opsPlugins.every(p => !bridge.isReconnecting(p.figma.fileKey)), 3000);
+    });
+
+    it('sends each operation once per connection, or its script to older plugins', async () => {
+      const modifyScript = getOperation('modify_node').script;
+      const opTrips = [];
+      const stopOpReports = bridge.onRequestComplete(report => opTrips.push(report));
+
+      for (const p of opsPlugins) {
+        const fileKey = p.figma.fileKey;
+        const fileApi = createAPIContext({ fileId: fileKey });
+        const target = p.figma.currentPage.children[0];
+
+        for (const width of [120, 140]) {
+          await executeTool('modify_node', { nodeId: target.id, properties: { width } }, noop, fileApi);
+          assert.strictEqual(target.width, width, `${fileKey}: operation ran`);
+        }
+
+        // Failures point into the operation's script like any other script
+        await assert.rejects(
+          executeTool('modify_node', { nodeId: '999:999', properties: { width: 1 } }, noop, fileApi),
+          (error) => error.code === 'NODE_NOT_FOUND' && modifyScript.split('\n')[error.details.line - 1].includes('Node not found')
+        );
+
+        // Read tools run operations too
+        assert.strictEqual((await executeTool('get_page_structure', {}, noop, fileApi)).nodes[0].name, 'Target');
+      }
+      stopOpReports();
+
+      // modify_node edits the file, so it runs journaled
+      assert.deepStrictEqual(
+        definitions['ops-fresh'],
+        ['Defined operation modify_node@1+journal.2', 'Defined operation get_page_structure@1'],
+        'Sent once per connection'
+      );
+      assert.deepStrictEqual(definitions['ops-bundled'], [], 'Bundled operations are not sent');
+      assert.deepStrictEqual(definitions['ops-old'], []);
+
+      const sizes = (fileKey) => opTrips.filter(trip => trip.fileId === fileKey).map(trip => trip.requestBytes);
+      assert.ok(sizes('ops-fresh').every(size => size < 200), 'Only { op, args } is sent');
+      const shortestScript = Math.min(modifyScript.length, getOperation('get_page_structure').script.length);
+      assert.ok(sizes('ops-old').every(size => size > shortestScript), 'Older plugins get the script');
+    });
+  });
+
+  describe('document events', () => {
+    const file = useMockFile();
+    let received;
+    let stopListening;
+
+    beforeEach(() => {
+      received = [];
+      stopListening = bridge.onFigmaEvent(event => received.push(event));
+    });
+
+    afterEach(() => stopListening());
+
+    it('updates selection, document changes and current page', async () => {
+      const { plugin, seeded, readJson } = file;
+      // Nothing pushed yet: the selection is fetched from the plugin once
+      assert.deepStrictEqual((await readJson('figma://selection')).selection, []);
+
+      plugin.figma.currentPage.selection = [plugin.figma.getNodeById(seeded.screenId)];
+      await waitFor(() => received.some(e => e.event === 'selection-changed'));
+      assert.deepStrictEqual(
+        resources.resourceUrisForEvent(received[0], 'mock-file'),
+        ['figma://files/mock-file/selection', 'figma://selection']
+      );
+      assert.strictEqual((await readJson('figma://files/mock-file/selection')).selection[0].id, seeded.screenId);
+
+      const created = plugin.figma.createFrame();
+      plugin.figma.getNodeById(seeded.buttonId).resize(140, 40);
+      await waitFor(() => received.some(e => e.event === 'document-changed'));
+      const { changes } = await readJson('figma://document-changes');
+      assert.ok(changes.some(c => c.type === 'CREATE' && c.id === created.id), 'Created node ID is reported');
+      assert.ok(changes.some(c => c.type === 'PROPERTY_CHANGE' && c.id === seeded.buttonId && c.properties.includes('width')));
+
+      const secondPage = plugin.figma.createPage('Page 2');
+      plugin.figma.currentPage = secondPage;
+      await waitFor(() => received.some(e => e.event === 'current-page-changed'));
+      assert.strictEqual((await readJson('figma://current-page')).currentPage.name, 'Page 2');
+    });
+
+    it('checks subscriptions', () => {
+      const { api } = file;
+      resources.checkSubscription('figma://selection', api);
+      assert.throws(() => resources.checkSubscription('figma://nope', api), /Resource not found/);
+    });
+  });
+
+  describe('data resources', () => {
+    const file = useMockFile();
+
+    it('lists resources and templates', () => {
+      assert.ok(resources.listResources().some(r => r.uri === 'figma://design-system'));
+      assert.ok(resources.listResourceTemplates().some(t => t.uriTemplate === 'figma://pages/{pageId}'));
+    });
+
+    it('reads the design system and variables', async () => {
+      const { readJson } = file;
+      const designSystemResource = await readJson('figma://design-system');
+      assert.strictEqual(designSystemResource.fileId, 'mock-file');
+      assert.strictEqual(designSystemResource.collections.Tokens.variables[0].name, 'Colors/primary');
+
+      const tokens = await readJson('figma://variables/Tokens');
+      assert.strictEqual(tokens.collection, 'Tokens');
+      assert.strictEqual(tokens.variables[0].name, 'Colors/primary');
+      await assert.rejects(readJson('figma://variables/Missing'), /Variable collection not found: Missing/);
+    });
+
+    it('re-reads the design system after the file changes', async () => {
+      const { plugin, seeded, call, readJson } = file;
+      const variableNames = async () => (await readJson('figma://variables/Tokens')).variables.map(variable => variable.name);
+      assert.deepStrictEqual(await variableNames(), ['Colors/primary']);
+
+      // Edits through tools
+      await call('create_variable', { collectionName: 'Tokens', variableName: 'Colors/secondary', variableType: 'COLOR', value: { r: 1, g: 0, b: 0, a: 1 } });
+      assert.deepStrictEqual(await variableNames(), ['Colors/primary', 'Colors/secondary']);
+
+      // Edits made in Figma, reported by document-changed events
+      const received = [];
+      const stopListening = bridge.onFigmaEvent(event => received.push(event));
+      const [collection] = plugin.figma.variables.getLocalVariableCollections();
+      plugin.figma.variables.createVariable('Colors/accent', collection, 'COLOR');
+      plugin.figma.getNodeById(seeded.screenId).resize(400, 844);
+      await waitFor(() => received.some(e => e.event === 'document-changed'));
+      stopListening();
+      assert.deepStrictEqual(await variableNames(), ['Colors/primary', 'Colors/secondary', 'Colors/accent']);
+    });
+
+    it('reads pages, components and screenshots', async () => {
+      const { plugin, seeded, api, readJson } = file;
+      // Any page, not just the current one
+      const archive = plugin.figma.createPage('Archive');
+      const pageResource = await readJson(`figma://files/mock-file/pages/${encodeURIComponent(archive.id)}`);
+      assert.strictEqual(pageResource.pageName, 'Archive');
+      assert.strictEqual(plugin.figma.currentPage.name, 'Page 1', 'Reading a page does not switch to it');
+      const firstPage = await readJson(`figma://pages/${plugin.figma.currentPage.id}`);
+      assert.ok(firstPage.nodes.find(node => node.id === seeded.screenId).children, 'Pages include children');
+      await assert.rejects(readJson(`figma://pages/${seeded.screenId}`), (error) => /Page not found/.test(error.message));
+
+      const componentResource = await readJson(`figma://components/${seeded.buttonId}`);
+      assert.strictEqual(componentResource.id, seeded.buttonId);
+      assert.strictEqual(componentResource.type, 'COMPONENT');
+
+      const [image] = (await resources.readResource(`figma://screenshots/${seeded.buttonId}`, api)).contents;
+      assert.strictEqual(image.mimeType, 'image/png');
+      assert.strictEqual(Buffer.from(image.blob, 'base64')[0], 0x89);
+
+      await assert.rejects(resources.readResource('figma://pages', api), /Resource not found/);
+    });
+
+    it('updates with any edit to their file', () => {
+      const { seeded } = file;
+      const documentChange = { fileId: 'mock-file', event: 'document-changed' };
+      assert.ok(resources.isUpdatedByEvent(`figma://components/${seeded.buttonId}`, documentChange, 'mock-file'));
+      assert.ok(resources.isUpdatedByEvent('figma://files/mock-file/design-system', documentChange, 'other-file'));
+      assert.ok(!resources.isUpdatedByEvent('figma://design-system', documentChange, 'other-file'));
+      assert.ok(!resources.isUpdatedByEvent('figma://design-system', { fileId: 'mock-file', event: 'selection-changed' }, 'mock-file'));
+    });
+  });
+
+  describe('multiple files', () => {
+    const file = useMockFile();
+    let library;
+
+    beforeEach(async () => {
+      library = createMockPlugin({ url: `ws://localhost:${PORT}`, fileKey: 'library', fileName: 'Library' });
+      library.figma.createComponent().name = 'Library Button';
+      await library.connect();
+      await waitFor(() => bridge.listConnectedFiles().length === 2);
+    });
+
+    afterEach(async () => {
+      if (library.isConnected()) await library.disconnect();
+      await waitFor(() => !bridge.isConnected('library') && !bridge.isReconnecting('library'), 3000);
+    });
+
+    it('routes calls to the file they name or the active file', async () => {
+      const { call } = file;
+      const listed = await call('list_connected_files');
+      assert.strictEqual(listed.activeFileId, 'mock-file', 'First file to connect stays active');
+      assert.deepStrictEqual(listed.files.map(f => f.fileName).sort(), ['Library', 'Mock File']);
+
+      const routed = await executeTool('get_page_structure', {}, noop, createAPIContext({ fileId: 'library' }));
+      assert.deepStrictEqual(routed.nodes.map(n => n.name), ['Library Button']);
+
+      await call('set_active_file', { fileId: 'library' });
+      assert.strictEqual((await call('get_page_structure')).nodes[0].name, 'Library Button');
+
+      await assert.rejects(call('set_active_file', { fileId: 'nope' }), /not connected: nope/);
+      await assert.rejects(call('list_figma_files'), /only available in partykit mode \(current mode: local\)/);
+      await assert.rejects(
+        createAPIContext({ fileId: 'nope' }).executeInFigma('return 1'),
+        /Figma file not connected: nope/
+      );
+    });
+
+    it('holds the active file during the reconnect grace window', async () => {
+      const { call } = file;
+      await call('set_active_file', { fileId: 'library' });
+      await library.disconnect();
+
+      await waitFor(() => bridge.listConnectedFiles().length === 1);
+      const reloading = await call('list_connected_files');
+      assert.strictEqual(reloading.activeFileId, 'library', 'Active file is held during the reconnect grace window');
+      assert.deepStrictEqual(reloading.reconnectingFiles, ['library']);
+
+      await waitFor(() => !bridge.isReconnecting('library'), 3000);
+      assert.strictEqual((await call('list_connected_files')).activeFileId, 'mock-file', 'Active file falls back when it does not reconnect');
+    });
+  });
+
+  describe('protocol negotiation and large results', () => {
+    const file = useMockFile();
+    let chunked;
+    let legacy;
+
+    beforeEach(async () => {
+      chunked = createMockPlugin({ url: `ws://localhost:${PORT}`, fileKey: 'chunked', chunkSize: 64 });
+      // Plugins from before protocol v2 send no protocolVersion or capabilities
+      legacy = createMockPlugin({ url: `ws://localhost:${PORT}`, fileKey: 'legacy', protocolVersion: null });
+      for (const p of [chunked, legacy]) {
+        for (let i = 0; i < 20; i++) p.figma.createFrame().name = `Frame ${i}`;
+        await p.connect();
+      }
+      await waitFor(() => bridge.isConnected('chunked') && bridge.isConnected('legacy'));
+    });
+
+    afterEach(async () => {
+      await chunked.disconnect();
+      await legacy.disconnect();
+      await waitFor(() => !bridge.isReconnecting('chunked') && !bridge.isReconnecting('legacy'), 3000);
+    });
+
+    it('negotiates capabilities with each plugin', async () => {
+      const { call } = file;
+      const negotiated = (await call('list_connected_files')).files;
+      assert.strictEqual(negotiated.find(f => f.fileId === 'legacy').protocolVersion, 1);
+      assert.deepStrictEqual(negotiated.find(f => f.fileId === 'legacy').capabilities, []);
+      assert.ok(negotiated.find(f => f.fileId === 'chunked').capabilities.includes('cancellation'));
+
+      assert.throws(
+        () => createAPIContext({ fileId: 'legacy' }).requireCapability('events', 'subscribe_figma_events'),
+        (error) => error.code === 'PLUGIN_OUTDATED' && /subscribe_figma_events needs a newer Figma plugin.*document events.*update/.test(error.message)
+      );
+      createAPIContext({ fileId: 'chunked' }).requireCapability('cancellation');
+
+      // Tools that look nodes up with figma.getNodeByIdAsync check for it first
+      const legacyApi = createAPIContext({ fileId: 'legacy', sessionId: 'legacy-session' });
+      const pageId = legacy.figma.currentPage.id;
+      for (const [name, args] of [['get_page_structure', { pageId }], ['begin_transaction', {}]]) {
+        await assert.rejects(
+          executeTool(name, args, noop, legacyApi),
+          (error) => error.code === 'PLUGIN_OUTDATED' && /async node lookup/.test(error.message),
+          name
+        );
+      }
+      assert.strictEqual((await executeTool('get_page_structure', {}, noop, legacyApi)).totalNodes, 20);
+      assert.throws(
+        () => resources.checkSubscription('figma://files/legacy/selection', createAPIContext({ fileId: 'legacy' })),
+        (error) => error.code === 'PLUGIN_OUTDATED'
+      );
+    });
+
+    it('delivers large and binary results in chunks or whole', async () => {
+      for (const fileId of ['chunked', 'legacy']) {
+        const fileApi = createAPIContext({ fileId });
+        const big = await executeTool('get_page_structure', {}, noop, fileApi);
+        assert.strictEqual(big.totalNodes, 20, `${fileId}: full page structure arrives`);
+
+        const shot = await executeTool('get_screenshot', { nodeId: big.nodes[0].id, scale: 1 }, noop, fileApi);
+        assert.strictEqual(fs.readFileSync(shot.path)[0], 0x89, `${fileId}: screenshot bytes survive the transfer`);
+        fs.unlinkSync(shot.path);
+      }
+    });
+
+    it('declares script arguments for plugins without script-args', async () => {
+      await assert.rejects(
+        createAPIContext({ fileId: 'legacy' }).executeInFigma('const node = figma.getNodeById(args.nodeId);\nnode.name = args.name;', { nodeId: '999:999', name: 'x' }),
+        (error) => error.details.line === 2 && error.details.source === 'node.name = args.name;'
+      );
+    });
+  });
+
+  describe('pairing', () => {
+    useMockFile();
+
+    it('refuses plugins with the wrong token', async () => {
+      const impostor = createMockPlugin({ url: `ws://localhost:${PORT}`, fileKey: 'impostor', token: 'wrong-token' });
+      await impostor.connect();
+      await waitFor(() => !impostor.isConnected());
+      assert.deepStrictEqual(bridge.listConnectedFiles().map(f => f.fileId), ['mock-file'], 'Wrong token must not pair');
+    });
+
+    it('refuses web pages', async () => {
+      const webPage = new WebSocket(`ws://localhost:${PORT}`, { origin: 'https://evil.example' });
+      await assert.rejects(
+        new Promise((resolve, reject) => {
+          webPage.on('open', resolve);
+          webPage.on('error', reject);
+        }),
+        /403/
+      );
+    });
+  });
+
+  describe('heartbeat', () => {
+    useMockFile();
+
+    it('drops plugins that stop answering', async () => {
+      // Pairs, then never answers anything - like a frozen plugin or a sleeping laptop
+      const frozen = new WebSocket(`ws://localhost:${PORT}`, { autoPong: false });
+      await new Promise(resolve => frozen.on('open', resolve));
+      frozen.send(JSON.stringify({
+        type: 'handshake',
+        source: 'figma-plugin',
+        fileKey: 'frozen',
+        token: process.env.FIGMATIC_PAIRING_TOKEN
+      }));
+      await waitFor(() => bridge.isConnected('frozen'));
+
+      const started = Date.now();
+      await assert.rejects(
+        createAPIContext({ fileId: 'frozen' }).executeInFigma('return 1'),
+        (error) => error.code === 'PLUGIN_UNRESPONSIVE' && /unresponsive/.test(error.message)
+      );
+      assert.ok(Date.now() - started < 2000, 'Pending request should fail long before the request timeout');
+      await waitFor(() => frozen.readyState === WebSocket.CLOSED);
+      assert.ok(bridge.isConnected('mock-file'), 'Responsive plugin must survive heartbeats');
+    });
+  });
+
+  describe('reconnect grace period', () => {
+    useMockFile();
+
+    it('replays reads and queues calls until the plugin reconnects', async () => {
+      const reloaded = createMockPlugin({ url: `ws://localhost:${PORT}`, fileKey: 'reload', fileName: 'Reload' });
+      reloaded.figma.createFrame().name = 'Survivor';
+      await reloaded.connect();
+      await waitFor(() => bridge.isConnected('reload'));
+
+      const reader = createAPIContext({ fileId: 'reload', readOnly: true });
+      const writer = createAPIContext({ fileId: 'reload' });
+      const slowRead = 'await new Promise(r => setTimeout(r, 100)); return figma.currentPage.children.map(n => n.name);';
+
+      const writeFailed = assert.rejects(
+        writer.executeInFigma('await new Promise(r => setTimeout(r, 100)); return "written";'),
+        /may or may not have been applied/,
+        'Writes in flight are not replayed'
+      );
+      await reloaded.disconnect();
+      await writeFailed;
+      assert.ok(bridge.isReconnecting('reload'));
+      const queued = writer.executeInFigma('return "queued";');
+
+      // The reloaded plugin is a new instance
+      const restarted = createMockPlugin({ url: `ws://localhost:${PORT}`, figma: reloaded.figma });
+      await restarted.connect();
+      assert.strictEqual((await queued).result, 'queued', 'Calls made during the grace window run after reconnect');
+
+      // Reads wait for writes, so a read in flight gets its own reload
+      const inFlightRead = reader.executeInFigma(slowRead);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await restarted.disconnect();
+
+      // Only a replay can answer the read
+      const reconnected = createMockPlugin({ url: `ws://localhost:${PORT}`, figma: reloaded.figma });
+      await reconnected.connect();
+      assert.deepStrictEqual((await inFlightRead).result, ['Survivor'], 'Read in flight is replayed after reconnect');
+
+      await reconnected.disconnect();
+      await waitFor(() => bridge.isReconnecting('reload'));
+      await assert.rejects(reader.executeInFigma('return 1'), /did not reconnect within 1s/);
+    });
+  });
+});
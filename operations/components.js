@@ -0,0 +1,1774 @@
+/**
+ * Component Operations
+ *
+ * Scripts behind the component and instance tools.
+ * Each reads its inputs from `args`; see operations/index.js.
+ */
+
+module.exports = {
+  get_component_structure: {
+    version: 1,
+    description: 'Map a component\'s layers with their node IDs',
+    script: `
+      const { nodeId, includeText, depth } = args;
+      const root = figma.getNodeById(nodeId);
+
+      if (!root) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      function mapNode(node, currentDepth = 0) {
+        const info = {
+          name: node.name,
+          type: node.type,
+          id: node.id
+        };
+
+        if (node.type === "INSTANCE" && node.mainComponent) {
+          info.component = node.mainComponent.name;
+          info.componentId = node.mainComponent.id;
+        }
+
+        if (includeText && node.type === "TEXT") {
+          info.text = (node.characters || "").substring(0, 60);
+        }
+
+        const maxDepth = depth;
+        if (node.children && (maxDepth === -1 || currentDepth < maxDepth)) {
+          info.children = node.children.map(c => mapNode(c, currentDepth + 1));
+        }
+
+        return info;
+      }
+
+      return mapNode(root);
+    `
+  },
+
+  get_components: {
+    version: 1,
+    description: 'List local components, optionally filtered by name',
+    script: `
+      const components = figma.root.findAll(node => node.type === 'COMPONENT');
+
+      let filtered = components;
+
+      // Filter by search term if provided
+      if (args.searchTerm) {
+        const search = args.searchTerm.toLowerCase();
+        filtered = components.filter(c => c.name.toLowerCase().includes(search));
+      }
+
+      // Limit results
+      const limited = filtered.slice(0, args.limit);
+
+      return limited.map(comp => ({
+        id: comp.id,
+        name: comp.name,
+        description: comp.description || '',
+        width: comp.width,
+        height: comp.height
+      }));
+    `
+  },
+
+  get_component_metadata: {
+    version: 1,
+    description: 'Read a component\'s properties, description and location',
+    script: `
+      const component = figma.getNodeById(args.componentId);
+      if (!component) {
+        throw new Error("Component not found: " + args.componentId);
+      }
+
+      // Validate component type
+      if (component.type !== 'COMPONENT' && component.type !== 'COMPONENT_SET') {
+        throw new Error("Node is not a component. Type: " + component.type);
+      }
+
+      // Basic metadata
+      const metadata = {
+        id: component.id,
+        name: component.name,
+        type: component.type,
+        description: component.description || "",
+        dimensions: {
+          width: component.width,
+          height: component.height
+        }
+      };
+
+      // Parent information
+      if (component.parent) {
+        metadata.parent = {
+          type: component.parent.type,
+          name: component.parent.name,
+          id: component.parent.id
+        };
+      }
+
+      // Component properties (reuse existing logic)
+      if (component.type === 'COMPONENT') {
+        metadata.properties = {};
+        const propDefs = component.componentPropertyDefinitions;
+
+        if (propDefs) {
+          for (const [key, def] of Object.entries(propDefs)) {
+            metadata.properties[key] = {
+              type: def.type,
+              defaultValue: def.defaultValue
+            };
+
+            // Add preferred values for TEXT properties
+            if (def.type === 'TEXT' && def.preferredValues) {
+              metadata.properties[key].preferredValues = def.preferredValues;
+            }
+
+            // Add preferred values for INSTANCE_SWAP
+            if (def.type === 'INSTANCE_SWAP' && def.preferredValues) {
+              metadata.properties[key].preferredValues = def.preferredValues.map(v => v.id);
+            }
+          }
+        }
+
+        metadata.variantGroupProperties = null;
+      }
+
+      // ComponentSet-specific: variant group properties
+      if (component.type === 'COMPONENT_SET') {
+        metadata.variantGroupProperties = {};
+
+        // Extract variant properties from children
+        const variantProps = component.variantGroupProperties;
+        if (variantProps) {
+          for (const [propName, propValues] of Object.entries(variantProps)) {
+            metadata.variantGroupProperties[propName] = propValues.values || [];
+          }
+        }
+
+        // Also get component properties for the set
+        metadata.properties = {};
+        const propDefs = component.componentPropertyDefinitions;
+        if (propDefs) {
+          for (const [key, def] of Object.entries(propDefs)) {
+            metadata.properties[key] = {
+              type: def.type,
+              defaultValue: def.defaultValue
+            };
+          }
+        }
+      }
+
+      return metadata;
+    `
+  },
+
+  get_component_variants: {
+    version: 1,
+    description: 'List the variants of a component set',
+    script: `
+      const { componentSetId } = args;
+      const componentSet = figma.getNodeById(componentSetId);
+
+      if (!componentSet) {
+        throw new Error("ComponentSet not found: " + componentSetId);
+      }
+
+      if (componentSet.type !== "COMPONENT_SET") {
+        throw new Error("Node is not a ComponentSet. Found type: " + componentSet.type);
+      }
+
+      // Extract variants
+      const variants = componentSet.children.map(variant => {
+        // Parse variant properties from name (e.g., "State=On" -> {State: "On"})
+        const properties = {};
+        if (variant.name.includes('=')) {
+          const pairs = variant.name.split(',').map(p => p.trim());
+          pairs.forEach(pair => {
+            const [key, value] = pair.split('=').map(s => s.trim());
+            if (key && value) {
+              properties[key] = value;
+            }
+          });
+        }
+
+        return {
+          id: variant.id,
+          name: variant.name,
+          type: variant.type,
+          properties: properties,
+          position: {
+            x: variant.x,
+            y: variant.y
+          },
+          dimensions: {
+            width: variant.width,
+            height: variant.height
+          },
+          childCount: variant.children ? variant.children.length : 0
+        };
+      });
+
+      return {
+        componentSetId: componentSet.id,
+        componentSetName: componentSet.name,
+        totalVariants: variants.length,
+        variants: variants
+      };
+    `
+  },
+
+  get_nested_instance_tree: {
+    version: 1,
+    description: 'Walk an instance\'s nested instances with their properties and bindings',
+    script: `
+      const { instanceId, depth: maxDepth } = args;
+      const instance = figma.getNodeById(instanceId);
+
+      if (!instance) {
+        throw new Error("Instance not found: " + instanceId);
+      }
+
+      if (instance.type !== "INSTANCE") {
+        throw new Error("Node is not an instance. Found type: " + instance.type);
+      }
+
+      // Recursive function to build instance tree
+      function buildInstanceTree(node, currentDepth = 0) {
+        const tree = {
+          id: node.id,
+          name: node.name,
+          type: node.type
+        };
+
+        // Add main component info if instance
+        if (node.type === "INSTANCE" && node.mainComponent) {
+          tree.mainComponent = {
+            id: node.mainComponent.id,
+            name: node.mainComponent.name,
+            key: node.mainComponent.key
+          };
+        }
+
+        // Extract component properties (for instances)
+        if (node.type === "INSTANCE" && node.componentProperties) {
+          tree.properties = [];
+          Object.entries(node.componentProperties).forEach(([key, value]) => {
+            const propEntry = {
+              key: key,
+              value: value
+            };
+
+            // Determine property type from component definition
+            if (node.mainComponent && node.mainComponent.componentPropertyDefinitions) {
+              const propDef = node.mainComponent.componentPropertyDefinitions[key];
+              if (propDef) {
+                propEntry.type = propDef.type;
+
+                // For INSTANCE_SWAP, resolve to component name
+                if (propDef.type === "INSTANCE_SWAP" && typeof value === "string") {
+                  const swappedComp = figma.getNodeById(value);
+                  if (swappedComp) {
+                    propEntry.componentName = swappedComp.name;
+                  }
+                }
+              }
+            }
+
+            tree.properties.push(propEntry);
+          });
+        }
+
+        // Extract exposed instances
+        if (node.type === "INSTANCE" && node.exposedInstances && node.exposedInstances.length > 0) {
+          tree.exposedInstances = node.exposedInstances.map(expInst => {
+            const expData = {
+              id: expInst.id,
+              name: expInst.name,
+              isExposed: true
+            };
+
+            // Get exposed instance properties
+            if (expInst.componentProperties) {
+              expData.properties = [];
+              Object.entries(expInst.componentProperties).forEach(([key, value]) => {
+                const propEntry = {
+                  key: key,
+                  value: value
+                };
+
+                // Determine property type
+                if (expInst.mainComponent && expInst.mainComponent.componentPropertyDefinitions) {
+                  const propDef = expInst.mainComponent.componentPropertyDefinitions[key];
+                  if (propDef) {
+                    propEntry.type = propDef.type;
+                  }
+                }
+
+                expData.properties.push(propEntry);
+              });
+            }
+
+            return expData;
+          });
+        }
+
+        // Extract property bindings (componentPropertyReferences)
+        if (node.componentPropertyReferences) {
+          tree.propertyBindings = [];
+          Object.entries(node.componentPropertyReferences).forEach(([targetField, propertyKey]) => {
+            tree.propertyBindings.push({
+              targetField: targetField,
+              propertyKey: propertyKey
+            });
+          });
+        }
+
+        // Extract variable bindings
+        if (node.boundVariables) {
+          tree.variableBindings = [];
+          Object.entries(node.boundVariables).forEach(([field, binding]) => {
+            if (binding && binding.id) {
+              tree.variableBindings.push({
+                field: field,
+                variableId: binding.id
+              });
+            }
+          });
+        }
+
+        // Extract children (recursive traversal with depth limit)
+        if (node.children && node.children.length > 0 && (maxDepth === -1 || currentDepth < maxDepth)) {
+          tree.children = node.children.map(child => {
+            // For instances, recursively build tree
+            if (child.type === "INSTANCE") {
+              return buildInstanceTree(child, currentDepth + 1);
+            } else {
+              // For non-instances, just return basic info
+              return {
+                id: child.id,
+                name: child.name,
+                type: child.type
+              };
+            }
+          });
+        } else if (node.children && node.children.length > 0) {
+          // If depth limit reached, just list children without recursion
+          tree.childrenSummary = {
+            count: node.children.length,
+            types: node.children.map(c => ({ name: c.name, type: c.type, id: c.id }))
+          };
+        }
+
+        return tree;
+      }
+
+      const tree = buildInstanceTree(instance);
+
+      return tree;
+    `
+  },
+
+  create_component: {
+    version: 1,
+    description: 'Create an empty component',
+    script: `
+      const { name, width, height, fills, cornerRadius, layoutMode } = args;
+
+      const component = figma.createComponent();
+      component.name = name;
+      component.resize(width, height);
+
+      // Set fills if provided
+      if (fills.length > 0) {
+        component.fills = fills;
+      }
+
+      // Set corner radius
+      if (cornerRadius > 0) {
+        component.cornerRadius = cornerRadius;
+      }
+
+      // Set layout mode if auto-layout
+      if (layoutMode !== "NONE") {
+        component.layoutMode = layoutMode;
+        component.primaryAxisAlignItems = "CENTER";
+        component.counterAxisAlignItems = "CENTER";
+        component.itemSpacing = 8;
+        component.paddingLeft = 16;
+        component.paddingRight = 16;
+        component.paddingTop = 16;
+        component.paddingBottom = 16;
+      }
+
+      // Add to current page
+      figma.currentPage.appendChild(component);
+
+      // Center in viewport
+      figma.viewport.scrollAndZoomIntoView([component]);
+
+      return {
+        id: component.id,
+        name: component.name,
+        width: component.width,
+        height: component.height,
+        layoutMode: component.layoutMode,
+        success: true
+      };
+    `
+  },
+
+  convert_to_component: {
+    version: 1,
+    description: 'Turn a node into a component with properties and bindings',
+    script: `
+      // ===== HELPER FUNCTIONS =====
+
+      /**
+       * Navigate tree by name path array
+       * @param {SceneNode} rootNode - Starting node
+       * @param {string[]} path - Array of node names to traverse
+       * @returns {SceneNode | null}
+       */
+      function findNodeByPath(rootNode, path) {
+        if (!Array.isArray(path)) return null;
+
+        let currentNode = rootNode;
+
+        for (const targetName of path) {
+          if (!('children' in currentNode)) {
+            throw new Error(\`Node '\${currentNode.name}' has no children. Cannot navigate to '\${targetName}'\`);
+          }
+
+          const child = currentNode.children.find(c => c.name === targetName);
+
+          if (!child) {
+            const availableNames = currentNode.children.map(c => c.name).join(', ');
+            throw new Error(
+              \`Child '\${targetName}' not found in '\${currentNode.name}'. Available: \${availableNames}\`
+            );
+          }
+
+          currentNode = child;
+        }
+
+        return currentNode;
+      }
+
+      /**
+       * Resolve node path specification to actual node
+       * @param {ComponentNode} component - Component root
+       * @param {string | string[] | null} nodePath - Path specification
+       * @returns {SceneNode | null}
+       */
+      function resolveNodePath(component, nodePath) {
+        if (!nodePath || nodePath === "$self") {
+          return component;
+        } else if (typeof nodePath === 'string') {
+          // Assume it's a node ID
+          return figma.getNodeById(nodePath);
+        } else if (Array.isArray(nodePath)) {
+          return findNodeByPath(component, nodePath);
+        }
+        throw new Error("Invalid nodePath: must be string, array, or $self");
+      }
+
+      // ===== PHASE 1: BASIC CONVERSION =====
+
+      const node = figma.getNodeById(args.nodeId);
+      if (!node) {
+        throw new Error("Node not found: " + args.nodeId);
+      }
+
+      // Check if node is already a component
+      if (node.type === 'COMPONENT') {
+        throw new Error("Node is already a component");
+      }
+
+      // Check if node type can be converted
+      const convertibleTypes = ['FRAME', 'GROUP', 'BOOLEAN_OPERATION', 'VECTOR', 'STAR', 'LINE', 'ELLIPSE', 'POLYGON', 'RECTANGLE', 'TEXT'];
+      if (!convertibleTypes.includes(node.type)) {
+        throw new Error("Cannot convert " + node.type + " to component. Only FRAME, GROUP, and other scene nodes can be converted.");
+      }
+
+      // Convert to component using Figma API
+      const component = figma.createComponentFromNode(node);
+
+      // Set custom name if provided
+      if (args.componentName) {
+        component.name = args.componentName;
+      }
+
+      // Set description if provided
+      if (args.description) {
+        component.description = args.description;
+      }
+
+      // Move to Components page if requested
+      if (args.moveToComponentsPage) {
+        let componentsPage = figma.root.children.find(p => p.name === "Components");
+        if (!componentsPage) {
+          componentsPage = figma.createPage();
+          componentsPage.name = "Components";
+        }
+        componentsPage.appendChild(component);
+      }
+
+      // ===== PHASE 2: COMPONENT PROPERTIES =====
+
+      const propertiesResult = { added: [], warnings: [] };
+      const componentPropertiesArray = args.componentProperties;
+
+      if (componentPropertiesArray && Array.isArray(componentPropertiesArray)) {
+        for (const propSpec of componentPropertiesArray) {
+          try {
+            // Add component property
+            const propertyKey = component.addComponentProperty(
+              propSpec.name,
+              propSpec.type,
+              propSpec.defaultValue
+            );
+
+            const result = {
+              propertyName: propSpec.name,
+              propertyKey: propertyKey,
+              type: propSpec.type,
+              defaultValue: propSpec.defaultValue
+            };
+
+            // Auto-bind if requested
+            if (propSpec.bindToNode) {
+              const targetNode = resolveNodePath(component, propSpec.bindToNode);
+
+              if (targetNode) {
+                if (propSpec.type === "TEXT" && targetNode.type === "TEXT") {
+                  targetNode.componentPropertyReferences = {
+                    'characters': propertyKey
+                  };
+                  result.boundTo = {
+                    nodeId: targetNode.id,
+                    nodeName: targetNode.name,
+                    attribute: 'characters'
+                  };
+                } else if (propSpec.type === "BOOLEAN") {
+                  targetNode.componentPropertyReferences = {
+                    'visible': propertyKey
+                  };
+                  result.boundTo = {
+                    nodeId: targetNode.id,
+                    nodeName: targetNode.name,
+                    attribute: 'visible'
+                  };
+                } else if (propSpec.type === "INSTANCE_SWAP" && targetNode.type === "INSTANCE") {
+                  targetNode.componentPropertyReferences = {
+                    'mainComponent': propertyKey
+                  };
+                  result.boundTo = {
+                    nodeId: targetNode.id,
+                    nodeName: targetNode.name,
+                    attribute: 'mainComponent'
+                  };
+                }
+              } else {
+                propertiesResult.warnings.push({
+                  property: propSpec.name,
+                  error: "Bind target node not found"
+                });
+              }
+            }
+
+            propertiesResult.added.push(result);
+          } catch (error) {
+            propertiesResult.warnings.push({
+              property: propSpec.name,
+              error: error.message
+            });
+          }
+        }
+      }
+
+      // ===== PHASE 3: AUTO-EXPOSE INSTANCES =====
+
+      const exposedResult = { exposed: [], count: 0 };
+      const autoExpose = args.autoExposeInstances;
+      const selectiveExposeArray = args.exposeInstances;
+
+      if (autoExpose || selectiveExposeArray) {
+        function traverse(node, path = []) {
+          if (node.type === 'INSTANCE' && node.parent.type !== 'INSTANCE') {
+            const nodePath = [...path, node.name];
+            const shouldExpose = autoExpose ||
+                                (selectiveExposeArray && selectiveExposeArray.some(expPath =>
+                                  JSON.stringify(expPath) === JSON.stringify(nodePath)
+                                ));
+
+            if (shouldExpose) {
+              node.isExposedInstance = true;
+              exposedResult.exposed.push({
+                nodeId: node.id,
+                nodeName: node.name,
+                path: nodePath,
+                mainComponentId: node.mainComponent?.id,
+                mainComponentName: node.mainComponent?.name
+              });
+              exposedResult.count++;
+            }
+          }
+
+          if ('children' in node) {
+            for (const child of node.children) {
+              traverse(child, [...path, node.name]);
+            }
+          }
+        }
+
+        traverse(component, []);
+      }
+
+      // ===== PHASE 4: VARIABLE BINDINGS =====
+
+      const bindingsResult = { applied: [], warnings: [], successCount: 0, failureCount: 0 };
+      const variableBindingsArray = args.variableBindings;
+
+      if (variableBindingsArray && Array.isArray(variableBindingsArray) && variableBindingsArray.length > 0) {
+        const allVars = await figma.variables.getLocalVariablesAsync();
+
+        for (const binding of variableBindingsArray) {
+          try {
+            const variable = allVars.find(v => v.name === binding.variableName);
+            if (!variable) {
+              bindingsResult.warnings.push({
+                nodePath: binding.nodePath,
+                property: binding.property,
+                variableName: binding.variableName,
+                error: "Variable not found"
+              });
+              bindingsResult.failureCount++;
+              continue;
+            }
+
+            const targetNode = resolveNodePath(component, binding.nodePath);
+            if (!targetNode) {
+              bindingsResult.warnings.push({
+                nodePath: binding.nodePath,
+                property: binding.property,
+                variableName: binding.variableName,
+                error: "Node not found"
+              });
+              bindingsResult.failureCount++;
+              continue;
+            }
+
+            const property = binding.property;
+
+            if (property === 'fills') {
+              const fills = targetNode.fills?.length > 0
+                ? targetNode.fills
+                : [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, visible: true }];
+              const boundPaint = figma.variables.setBoundVariableForPaint(fills[0], 'color', variable);
+              boundPaint.visible = true;
+              targetNode.fills = [boundPaint];
+            } else if (property === 'strokes') {
+              const strokes = targetNode.strokes?.length > 0
+                ? targetNode.strokes
+                : [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 }, visible: true }];
+              const boundPaint = figma.variables.setBoundVariableForPaint(strokes[0], 'color', variable);
+              boundPaint.visible = true;
+              targetNode.strokes = [boundPaint];
+            } else {
+              targetNode.setBoundVariable(property, variable);
+            }
+
+            bindingsResult.applied.push({
+              nodeId: targetNode.id,
+              nodeName: targetNode.name,
+              property,
+              variableName: variable.name,
+              variableId: variable.id
+            });
+            bindingsResult.successCount++;
+          } catch (error) {
+            bindingsResult.warnings.push({
+              nodePath: binding.nodePath,
+              property: binding.property,
+              variableName: binding.variableName,
+              error: error.message
+            });
+            bindingsResult.failureCount++;
+          }
+        }
+      }
+
+      // ===== PHASE 5: TEXT STYLES =====
+
+      const textStylesResult = { applied: [], warnings: [] };
+      const textStylesArray = args.textStyles;
+
+      if (textStylesArray && Array.isArray(textStylesArray)) {
+        for (const styleSpec of textStylesArray) {
+          try {
+            const textNode = resolveNodePath(component, styleSpec.nodePath);
+
+            if (!textNode || textNode.type !== 'TEXT') {
+              textStylesResult.warnings.push({
+                nodePath: styleSpec.nodePath,
+                error: "Text node not found"
+              });
+              continue;
+            }
+
+            let styleId = styleSpec.textStyleId;
+
+            if (!styleId && styleSpec.textStyleName) {
+              const allStyles = figma.getLocalTextStyles();
+              const style = allStyles.find(s => s.name === styleSpec.textStyleName);
+              if (style) styleId = style.id;
+            }
+
+            if (!styleId) {
+              textStylesResult.warnings.push({
+                nodePath: styleSpec.nodePath,
+                error: "Text style not found"
+              });
+              continue;
+            }
+
+            const textStyle = figma.getStyleById(styleId);
+            if (textStyle && textStyle.type === 'TEXT') {
+              await figma.loadFontAsync(textStyle.fontName);
+              textNode.textStyleId = styleId;
+              textStylesResult.applied.push({
+                nodeId: textNode.id,
+                nodeName: textNode.name,
+                styleId,
+                styleName: textStyle.name
+              });
+            }
+          } catch (error) {
+            textStylesResult.warnings.push({
+              nodePath: styleSpec.nodePath,
+              error: error.message
+            });
+          }
+        }
+      }
+
+      // ===== PHASE 6: EFFECT STYLES =====
+
+      const effectsResult = { applied: [], warnings: [] };
+
+      // Apply to component itself
+      const componentEffectStyleId = args.effectStyleId;
+      if (componentEffectStyleId) {
+        try {
+          component.effectStyleId = componentEffectStyleId;
+          const style = figma.getStyleById(componentEffectStyleId);
+          effectsResult.applied.push({
+            nodeId: component.id,
+            nodeName: component.name,
+            styleId: componentEffectStyleId,
+            styleName: style?.name
+          });
+        } catch (error) {
+          effectsResult.warnings.push({ target: "$self", error: error.message });
+        }
+      }
+
+      // Apply to specific children
+      const effectsArray = args.effects;
+      if (effectsArray && Array.isArray(effectsArray)) {
+        for (const effectSpec of effectsArray) {
+          try {
+            const targetNode = resolveNodePath(component, effectSpec.nodePath);
+            if (targetNode) {
+              targetNode.effectStyleId = effectSpec.effectStyleId;
+              const style = figma.getStyleById(effectSpec.effectStyleId);
+              effectsResult.applied.push({
+                nodeId: targetNode.id,
+                nodeName: targetNode.name,
+                styleId: effectSpec.effectStyleId,
+                styleName: style?.name
+              });
+            }
+          } catch (error) {
+            effectsResult.warnings.push({
+              nodePath: effectSpec.nodePath,
+              error: error.message
+            });
+          }
+        }
+      }
+
+      // ===== PHASE 7: FILL/STROKE STYLES =====
+
+      const stylesApplied = {};
+
+      const componentFillStyleId = args.fillStyleId;
+      if (componentFillStyleId) {
+        try {
+          component.fillStyleId = componentFillStyleId;
+          stylesApplied.fillStyleId = componentFillStyleId;
+        } catch (error) {
+          // Log warning but don't fail
+        }
+      }
+
+      const componentStrokeStyleId = args.strokeStyleId;
+      if (componentStrokeStyleId) {
+        try {
+          component.strokeStyleId = componentStrokeStyleId;
+          stylesApplied.strokeStyleId = componentStrokeStyleId;
+        } catch (error) {
+          // Log warning but don't fail
+        }
+      }
+
+      // ===== RETURN COMPREHENSIVE RESULT =====
+
+      return {
+        success: true,
+        componentId: component.id,
+        componentName: component.name,
+        originalNodeId: args.nodeId,
+        width: component.width,
+        height: component.height,
+        childCount: component.children?.length || 0,
+        location: {
+          pageId: component.parent.id,
+          pageName: component.parent.name
+        },
+
+        // Enhancement results
+        componentProperties: propertiesResult,
+        exposedInstances: exposedResult,
+        variableBindings: bindingsResult,
+        textStyles: textStylesResult,
+        effects: effectsResult,
+        ...stylesApplied
+      };
+    `
+  },
+
+  create_instance: {
+    version: 1,
+    description: 'Place an instance of a component',
+    script: `
+      let component = null;
+
+      if (args.componentId) {
+        // Find by ID
+        component = figma.getNodeById(args.componentId);
+        if (!component || component.type !== "COMPONENT") {
+          throw new Error("Component not found or invalid: " + args.componentId);
+        }
+      } else {
+        // Find by name
+        const components = await figma.getLocalComponentsAsync();
+        component = components.find(c => c.name === args.componentName);
+
+        if (!component) {
+          throw new Error("Component not found: " + args.componentName);
+        }
+      }
+
+      // Create instance
+      const instance = component.createInstance();
+      instance.x = args.x;
+      instance.y = args.y;
+
+      // Add to current page
+      figma.currentPage.appendChild(instance);
+
+      // Center in viewport
+      figma.viewport.scrollAndZoomIntoView([instance]);
+
+      return {
+        id: instance.id,
+        name: instance.name,
+        componentName: component.name,
+        componentId: component.id,
+        x: instance.x,
+        y: instance.y,
+        width: instance.width,
+        height: instance.height,
+        success: true
+      };
+    `
+  },
+
+  create_multiple_instances: {
+    version: 2,
+    description: 'Place several instances of a component, laid out or configured one by one',
+    script: `
+      const {
+        componentId,
+        parentId,
+        layout: layoutType,
+        spacing,
+        columns,
+        namingPattern,
+        instanceCount,
+        isAdvancedMode,
+        instanceConfigs
+      } = args;
+
+      // Get component
+      const component = figma.getNodeById(componentId);
+      if (!component || component.type !== 'COMPONENT') {
+        throw new Error("Component not found or invalid: " + componentId);
+      }
+
+      // Get parent (or use current page)
+      let parent = parentId ? figma.getNodeById(parentId) : figma.currentPage;
+      if (parentId && !parent) {
+        throw new Error("Parent node not found: " + parentId);
+      }
+
+      // Helper: Apply naming pattern
+      function applyNamingPattern(pattern, index, componentName) {
+        return pattern
+          .replace(/{componentName}/g, componentName)
+          .replace(/{index}/g, String(index + 1))
+          .replace(/{index0}/g, String(index));
+      }
+
+      // Helper: Calculate position based on layout
+      function calculatePosition(index, width, height) {
+        const startX = 0;
+        const startY = 0;
+
+        switch (layoutType) {
+          case 'horizontal':
+            return {
+              x: startX + (index * (width + spacing)),
+              y: startY
+            };
+
+          case 'grid':
+            const row = Math.floor(index / columns);
+            const col = index % columns;
+            return {
+              x: startX + (col * (width + spacing)),
+              y: startY + (row * (height + spacing))
+            };
+
+          case 'vertical':
+          default:
+            return {
+              x: startX,
+              y: startY + (index * (height + spacing))
+            };
+        }
+      }
+
+      // Create instances
+      const instances = [];
+      const componentWidth = component.width;
+      const componentHeight = component.height;
+
+      for (let i = 0; i < instanceCount; i++) {
+        // Stop here if the MCP client cancelled (older plugins don't provide cancellation)
+        if (typeof cancellation !== 'undefined') cancellation.throwIfCancelled();
+        // Report how far the batch is (older plugins don't provide progress)
+        if (typeof progress !== 'undefined') progress.report(i, instanceCount, 'Creating instance ' + (i + 1));
+
+        // Create instance
+        const instance = component.createInstance();
+
+        // Get config (advanced mode) or use defaults
+        const config = isAdvancedMode ? instanceConfigs[i] : {};
+
+        // Set name
+        if (config.name) {
+          instance.name = config.name;
+        } else {
+          instance.name = applyNamingPattern(namingPattern, i, component.name);
+        }
+
+        // Set position
+        if (config.x !== undefined && config.y !== undefined) {
+          // Advanced mode with explicit position
+          instance.x = config.x;
+          instance.y = config.y;
+        } else {
+          // Auto-layout based on layout type
+          const pos = calculatePosition(i, componentWidth, componentHeight);
+          instance.x = pos.x;
+          instance.y = pos.y;
+        }
+
+        // Apply component properties if specified
+        if (config.componentProperties) {
+          for (const [propName, propValue] of Object.entries(config.componentProperties)) {
+            // Find property key in component
+            const propDef = Object.entries(component.componentPropertyDefinitions || {})
+              .find(([key, def]) => def.name === propName || key === propName);
+
+            if (propDef) {
+              const [propKey] = propDef;
+              instance.setProperties({ [propKey]: propValue });
+            }
+          }
+        }
+
+        // Add to parent
+        parent.appendChild(instance);
+
+        // Collect instance info
+        instances.push({
+          id: instance.id,
+          name: instance.name,
+          x: instance.x,
+          y: instance.y,
+          width: instance.width,
+          height: instance.height
+        });
+      }
+
+      // Scroll into view (show first and last instance)
+      if (instances.length > 0) {
+        const firstInstance = figma.getNodeById(instances[0].id);
+        const lastInstance = figma.getNodeById(instances[instances.length - 1].id);
+        figma.viewport.scrollAndZoomIntoView([firstInstance, lastInstance]);
+      }
+
+      return {
+        success: true,
+        instancesCreated: instances.length,
+        instances,
+        layout: {
+          type: layoutType,
+          spacing,
+          columns: layoutType === 'grid' ? columns : null
+        },
+        parent: {
+          id: parent.id,
+          name: parent.name
+        },
+        component: {
+          id: component.id,
+          name: component.name
+        }
+      };
+    `
+  },
+
+  add_component_property: {
+    version: 1,
+    description: 'Add a TEXT, BOOLEAN or INSTANCE_SWAP property to a component',
+    script: `
+      const { componentId, propertyName, propertyType, defaultValue } = args;
+
+      const component = figma.getNodeById(componentId);
+      if (!component) {
+        throw new Error("Component not found: " + componentId);
+      }
+
+      if (component.type !== "COMPONENT" && component.type !== "COMPONENT_SET") {
+        throw new Error("Node is not a component or component set: " + component.type);
+      }
+
+      // Add the component property
+      const propertyKey = component.addComponentProperty(
+        propertyName,
+        propertyType,
+        defaultValue
+      );
+
+      return {
+        propertyKey: propertyKey,
+        propertyName: propertyName,
+        propertyType: propertyType,
+        componentId: component.id,
+        componentName: component.name,
+        success: true
+      };
+    `
+  },
+
+  edit_component_property: {
+    version: 1,
+    description: 'Change a component property\'s name, default or preferred values',
+    script: `
+      const { componentId, propertyName } = args;
+
+      const component = figma.getNodeById(componentId);
+      if (!component) {
+        throw new Error("Component not found: " + componentId);
+      }
+
+      if (component.type !== "COMPONENT" && component.type !== "COMPONENT_SET") {
+        throw new Error("Node is not a component or component set: " + component.type);
+      }
+
+      // Find the full property key (includes unique ID suffix)
+      const propDefs = component.componentPropertyDefinitions || {};
+      const propertyKey = Object.keys(propDefs).find(key =>
+        key === propertyName || key.startsWith(propertyName + "#")
+      );
+
+      if (!propertyKey) {
+        throw new Error("Property '" + propertyName + "' not found on component");
+      }
+
+      // Edit the property
+      const newPropertyKey = component.editComponentProperty(
+        propertyKey,
+        args.newDefinition
+      );
+
+      // Get updated property definition
+      const updatedDef = component.componentPropertyDefinitions[newPropertyKey];
+
+      return {
+        success: true,
+        componentId: component.id,
+        componentName: component.name,
+        componentType: component.type,
+        oldPropertyName: propertyName,
+        newPropertyKey: newPropertyKey,
+        updatedDefinition: {
+          type: updatedDef.type,
+          defaultValue: updatedDef.defaultValue,
+          preferredValues: updatedDef.preferredValues,
+          variantOptions: updatedDef.variantOptions
+        }
+      };
+    `
+  },
+
+  delete_component_property: {
+    version: 1,
+    description: 'Remove a component property definition',
+    script: `
+      const { componentId, propertyName } = args;
+
+      const component = figma.getNodeById(componentId);
+      if (!component) {
+        throw new Error("Component not found: " + componentId);
+      }
+
+      if (component.type !== "COMPONENT" && component.type !== "COMPONENT_SET") {
+        throw new Error("Node is not a component or component set: " + component.type);
+      }
+
+      // Store property info before deletion
+      const propDefs = component.componentPropertyDefinitions || {};
+      const propertyKey = Object.keys(propDefs).find(key =>
+        key === propertyName || key.startsWith(propertyName + "#")
+      );
+
+      if (!propertyKey) {
+        throw new Error("Property '" + propertyName + "' not found on component");
+      }
+
+      const deletedPropDef = propDefs[propertyKey];
+
+      // Delete the property
+      component.deleteComponentProperty(propertyKey);
+
+      return {
+        success: true,
+        deleted: true,
+        componentId: component.id,
+        componentName: component.name,
+        componentType: component.type,
+        deletedPropertyKey: propertyKey,
+        deletedPropertyDefinition: {
+          type: deletedPropDef.type,
+          defaultValue: deletedPropDef.defaultValue,
+          preferredValues: deletedPropDef.preferredValues,
+          variantOptions: deletedPropDef.variantOptions
+        },
+        remainingProperties: Object.keys(component.componentPropertyDefinitions || {}).length
+      };
+    `
+  },
+
+  bind_text_to_property: {
+    version: 1,
+    description: 'Bind a text node\'s characters to a component property',
+    script: `
+      const { textNodeId, propertyKey } = args;
+
+      const textNode = figma.getNodeById(textNodeId);
+      if (!textNode) {
+        throw new Error("Text node not found: " + textNodeId);
+      }
+
+      if (textNode.type !== "TEXT") {
+        throw new Error("Node is not a text node: " + textNode.type);
+      }
+
+      // Bind the text characters to the component property
+      textNode.componentPropertyReferences = {
+        characters: propertyKey
+      };
+
+      return {
+        textNodeId: textNode.id,
+        textNodeName: textNode.name,
+        propertyKey: propertyKey,
+        success: true
+      };
+    `
+  },
+
+  set_instance_properties: {
+    version: 1,
+    description: 'Set component property values on an instance',
+    script: `
+      const { instanceId, properties } = args;
+
+      const instance = figma.getNodeById(instanceId);
+      if (!instance) {
+        throw new Error("Instance not found: " + instanceId);
+      }
+
+      if (instance.type !== "INSTANCE") {
+        throw new Error("Node is not an instance: " + instance.type);
+      }
+
+      // Update the instance properties
+      instance.setProperties(properties);
+
+      return {
+        instanceId: instance.id,
+        instanceName: instance.name,
+        propertiesSet: Object.keys(properties),
+        success: true
+      };
+    `
+  },
+
+  swap_component: {
+    version: 1,
+    description: 'Swap a nested instance inside an instance',
+    script: `
+      const instance = figma.getNodeById(args.instanceId);
+      if (!instance) {
+        throw new Error("Instance not found");
+      }
+
+      const newComponent = figma.getNodeById(args.newComponentId);
+      if (!newComponent || newComponent.type !== "COMPONENT") {
+        throw new Error("New component not found");
+      }
+
+      // Navigate to the child instance using the path
+      const pathParts = args.childPath;
+      let targetNode = instance;
+
+      for (const part of pathParts) {
+        targetNode = targetNode.children.find(c => c.name === part);
+        if (!targetNode) {
+          throw new Error("Child path not found: " + part);
+        }
+      }
+
+      // Find the instance to swap (should be the final node or an instance child)
+      let instanceToSwap = targetNode.type === "INSTANCE" ? targetNode : targetNode.children.find(c => c.type === "INSTANCE");
+
+      if (!instanceToSwap) {
+        throw new Error("No instance found to swap");
+      }
+
+      // Perform the swap
+      instanceToSwap.swapComponent(newComponent);
+
+      return {
+        instanceId: args.instanceId,
+        swappedNode: instanceToSwap.name,
+        newComponent: newComponent.name,
+        success: true
+      };
+    `
+  },
+
+  get_component_properties: {
+    version: 1,
+    description: 'List a component\'s property definitions',
+    script: `
+      const component = figma.getNodeById(args.componentId);
+      if (!component || (component.type !== "COMPONENT" && component.type !== "COMPONENT_SET")) {
+        throw new Error("Node is not a component");
+      }
+
+      const properties = Object.entries(component.componentPropertyDefinitions || {}).map(([key, prop]) => ({
+        key: key,
+        name: prop.name || key,
+        type: prop.type,
+        defaultValue: prop.defaultValue,
+        preferredValues: prop.preferredValues || null
+      }));
+
+      return {
+        componentId: component.id,
+        componentName: component.name,
+        properties: properties,
+        totalProperties: properties.length
+      };
+    `
+  },
+
+  get_instance_properties: {
+    version: 1,
+    description: 'List an instance\'s properties, including exposed nested instances',
+    script: `
+      const instance = figma.getNodeById(args.instanceId);
+      if (!instance || instance.type !== "INSTANCE") {
+        throw new Error("Node is not an instance");
+      }
+
+      const properties = Object.entries(instance.componentProperties || {}).map(([key, value]) => ({
+        key: key,
+        value: value
+      }));
+
+      // Check for exposed instances
+      const exposedInstances = instance.exposedInstances?.map(exp => {
+        const expProperties = Object.entries(exp.componentProperties || {}).map(([key, value]) => ({
+          key: key,
+          value: value
+        }));
+        return {
+          id: exp.id,
+          name: exp.name,
+          properties: expProperties
+        };
+      }) || [];
+
+      return {
+        instanceId: instance.id,
+        instanceName: instance.name,
+        properties: properties,
+        totalProperties: properties.length,
+        exposedInstances: exposedInstances
+      };
+    `
+  },
+
+  create_component_variants: {
+    version: 1,
+    description: 'Duplicate a component into variants and combine them into a set',
+    script: `
+      const originalComponent = figma.getNodeById(args.componentId);
+      if (!originalComponent || originalComponent.type !== "COMPONENT") {
+        throw new Error("Original component not found or is not a component");
+      }
+
+      const variantSpecs = args.variants;
+
+      // Load all fonts that will be needed
+      const fontsToLoad = [];
+      for (const spec of variantSpecs) {
+        if (spec.modifications && spec.modifications.textNodes) {
+          for (const textMod of spec.modifications.textNodes) {
+            if (textMod.fontName) {
+              fontsToLoad.push(textMod.fontName);
+            }
+          }
+        }
+      }
+
+      // Load unique fonts
+      const uniqueFonts = Array.from(new Set(fontsToLoad.map(f => JSON.stringify(f)))).map(f => JSON.parse(f));
+      for (const font of uniqueFonts) {
+        await figma.loadFontAsync(font);
+      }
+
+      // Store original name and position BEFORE renaming
+      const originalName = originalComponent.name;
+      const originalX = originalComponent.x;
+      const originalY = originalComponent.y;
+
+      // Create variant components
+      const variantComponents = [];
+
+      for (let i = 0; i < variantSpecs.length; i++) {
+        const spec = variantSpecs[i];
+
+        // For the first variant, use the original component (preserves existing instances)
+        // For subsequent variants, clone the original
+        const variantComponent = i === 0 ? originalComponent : originalComponent.clone();
+        variantComponent.name = spec.name;
+
+        // Position cloned components to the right
+        if (i > 0) {
+          variantComponent.x = originalComponent.x + (i * 400);
+        }
+
+        // Apply modifications if specified
+        if (spec.modifications) {
+          const mods = spec.modifications;
+
+          // Modify nodes by path
+          if (mods.nodes) {
+            for (const nodeMod of mods.nodes) {
+              let targetNode = variantComponent;
+
+              // Navigate to the target node using path
+              for (const pathSegment of nodeMod.path) {
+                targetNode = targetNode.children.find(child => child.name === pathSegment);
+                if (!targetNode) break;
+              }
+
+              if (targetNode) {
+                // Apply opacity
+                if (nodeMod.opacity !== undefined) {
+                  targetNode.opacity = nodeMod.opacity;
+                }
+
+                // Swap component (for nested instances)
+                if (nodeMod.swapComponentId) {
+                  const newComponent = figma.getNodeById(nodeMod.swapComponentId);
+                  const instanceToSwap = targetNode.children.find(child => child.type === "INSTANCE");
+                  if (instanceToSwap && newComponent) {
+                    instanceToSwap.swapComponent(newComponent);
+                  }
+                }
+              }
+            }
+          }
+
+          // Modify text nodes
+          if (mods.textNodes) {
+            for (const textMod of mods.textNodes) {
+              let targetNode = variantComponent;
+
+              // Navigate to the text node using path
+              for (const pathSegment of textMod.path) {
+                targetNode = targetNode.children.find(child => child.name === pathSegment);
+                if (!targetNode) break;
+              }
+
+              if (targetNode && targetNode.type === "TEXT") {
+                // Change font
+                if (textMod.fontName) {
+                  targetNode.fontName = textMod.fontName;
+                }
+
+                // Bind variable to fill color
+                if (textMod.fillVariableName) {
+                  const variable = figma.variables.getLocalVariables().find(v => v.name === textMod.fillVariableName);
+                  if (variable && targetNode.fills && targetNode.fills.length > 0) {
+                    const boundPaint = figma.variables.setBoundVariableForPaint(targetNode.fills[0], "color", variable);
+                    targetNode.fills = [boundPaint];
+                  }
+                }
+              }
+            }
+          }
+        }
+
+        variantComponents.push(variantComponent);
+      }
+
+      // Combine as variants
+      const variantSet = figma.combineAsVariants(variantComponents, originalComponent.parent);
+      variantSet.name = originalName;
+      variantSet.x = originalX;
+      variantSet.y = originalY;
+
+      return {
+        variantSetId: variantSet.id,
+        variantSetName: variantSet.name,
+        variants: variantComponents.map(v => ({ id: v.id, name: v.name })),
+        totalVariants: variantComponents.length
+      };
+    `
+  },
+
+  add_variant_to_component_set: {
+    version: 1,
+    description: 'Clone a variant into a component set with new property values',
+    script: `
+      const componentSet = figma.getNodeById(args.componentSetId);
+      if (!componentSet || componentSet.type !== "COMPONENT_SET") {
+        throw new Error("ComponentSet not found or invalid type");
+      }
+
+      const sourceVariant = figma.getNodeById(args.sourceVariantId);
+      if (!sourceVariant || sourceVariant.type !== "COMPONENT") {
+        throw new Error("Source variant not found or is not a component");
+      }
+
+      // Clone the source variant
+      const newVariant = sourceVariant.clone();
+      newVariant.name = args.variantName;
+
+      // Position the clone
+      const posX = args.position.x !== undefined ? args.position.x : 400;
+      const posY = args.position.y !== undefined ? args.position.y : 0;
+      newVariant.x = sourceVariant.x + posX;
+      newVariant.y = sourceVariant.y + posY;
+
+      // Apply modifications if provided
+      const modifications = args.modifications;
+
+      // Load fonts for text modifications
+      if (modifications.textNodes) {
+        for (const textMod of modifications.textNodes) {
+          if (textMod.fontName) {
+            await figma.loadFontAsync(textMod.fontName);
+          }
+        }
+      }
+
+      // Apply text node modifications
+      if (modifications.textNodes) {
+        for (const textMod of modifications.textNodes) {
+          let targetNode = newVariant;
+
+          // Navigate to target node using path
+          for (const pathSegment of textMod.path) {
+            targetNode = targetNode.findOne(child => child.name === pathSegment);
+            if (!targetNode) break;
+          }
+
+          if (targetNode && targetNode.type === "TEXT") {
+            // Load current font if not already loaded
+            await figma.loadFontAsync(targetNode.fontName);
+
+            // Change characters
+            if (textMod.characters !== undefined) {
+              targetNode.characters = textMod.characters;
+            }
+
+            // Change font
+            if (textMod.fontName) {
+              targetNode.fontName = textMod.fontName;
+            }
+          }
+        }
+      }
+
+      // Apply general node modifications
+      if (modifications.nodes) {
+        for (const nodeMod of modifications.nodes) {
+          let targetNode = newVariant;
+
+          // Navigate to target node using path
+          for (const pathSegment of nodeMod.path) {
+            targetNode = targetNode.findOne(child => child.name === pathSegment);
+            if (!targetNode) break;
+          }
+
+          if (targetNode) {
+            if (nodeMod.opacity !== undefined) {
+              targetNode.opacity = nodeMod.opacity;
+            }
+            if (nodeMod.visible !== undefined) {
+              targetNode.visible = nodeMod.visible;
+            }
+          }
+        }
+      }
+
+      // Add to ComponentSet
+      componentSet.appendChild(newVariant);
+
+      return {
+        success: true,
+        componentSetId: componentSet.id,
+        componentSetName: componentSet.name,
+        newVariantId: newVariant.id,
+        newVariantName: newVariant.name,
+        totalVariants: componentSet.children.length
+      };
+    `
+  },
+
+  bind_property_reference: {
+    version: 1,
+    description: 'Bind a node property to a component property',
+    script: `
+      const { nodeId, nodeProperty, componentPropertyKey } = args;
+
+      const node = figma.getNodeById(nodeId);
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      // Get existing references or create new object
+      const existingRefs = node.componentPropertyReferences || {};
+
+      // Set component property reference by replacing the entire object
+      node.componentPropertyReferences = {
+        ...existingRefs,
+        [nodeProperty]: componentPropertyKey
+      };
+
+      return {
+        success: true,
+        nodeId: node.id,
+        nodeName: node.name,
+        nodeProperty: nodeProperty,
+        componentPropertyKey: componentPropertyKey,
+        allReferences: node.componentPropertyReferences
+      };
+    `
+  },
+
+  set_nested_instance_exposure: {
+    version: 1,
+    description: 'Set isExposedInstance on a nested instance',
+    script: `
+      const { nodeId, isExposed } = args;
+      const node = figma.getNodeById(nodeId);
+
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      if (node.type !== "INSTANCE") {
+        throw new Error("Node is not an instance. Found type: " + node.type);
+      }
+
+      // Set the isExposedInstance flag
+      node.isExposedInstance = isExposed;
+
+      // Get parent to construct exposed instance ID
+      let exposedInstanceId = null;
+      if (isExposed && node.parent && node.parent.type === "INSTANCE") {
+        // Exposed instance ID format: I{parentId};{childId}
+        exposedInstanceId = "I" + node.parent.id + ";" + node.id;
+      }
+
+      return {
+        success: true,
+        nodeId: node.id,
+        nodeName: node.name,
+        isExposed: node.isExposedInstance,
+        exposedInstanceId: exposedInstanceId,
+        parentId: node.parent ? node.parent.id : null,
+        parentName: node.parent ? node.parent.name : null
+      };
+    `
+  },
+
+  expose_nested_instance_by_path: {
+    version: 1,
+    description: 'Find a nested instance by path and expose it',
+    script: `
+      const { parentInstanceId: parentId, childPath, isExposed } = args;
+
+      const parent = figma.getNodeById(parentId);
+      if (!parent) {
+        throw new Error("Parent node not found: " + parentId);
+      }
+
+      // Allow COMPONENT, COMPONENT_SET, or INSTANCE
+      // (You expose instances in component definitions, not just in instances)
+      const validTypes = ["COMPONENT", "COMPONENT_SET", "INSTANCE"];
+      if (!validTypes.includes(parent.type)) {
+        throw new Error(
+          "Parent node must be a COMPONENT, COMPONENT_SET, or INSTANCE. Found type: " + parent.type
+        );
+      }
+
+      // Navigate down the path
+      let currentNode = parent;
+      const traversedPath = [parent.name];
+
+      for (let i = 0; i < childPath.length; i++) {
+        const targetName = childPath[i];
+
+        if (!currentNode.children) {
+          throw new Error("Node '" + currentNode.name + "' has no children. Cannot navigate to '" + targetName + "'");
+        }
+
+        const child = currentNode.children.find(c => c.name === targetName);
+
+        if (!child) {
+          const availableNames = currentNode.children.map(c => c.name).join(', ');
+          throw new Error(
+            "Child '" + targetName + "' not found in '" + currentNode.name + "'. " +
+            "Available children: " + availableNames
+          );
+        }
+
+        currentNode = child;
+        traversedPath.push(child.name);
+      }
+
+      // Validate target is an instance
+      if (currentNode.type !== "INSTANCE") {
+        throw new Error(
+          "Target node '" + currentNode.name + "' is not an instance. Found type: " + currentNode.type + ". " +
+          "Only instances can be exposed."
+        );
+      }
+
+      // Set the isExposedInstance flag
+      currentNode.isExposedInstance = isExposed;
+
+      // Construct exposed instance ID
+      let exposedInstanceId = null;
+      if (isExposed && currentNode.parent && currentNode.parent.type === "INSTANCE") {
+        exposedInstanceId = "I" + currentNode.parent.id + ";" + currentNode.id;
+      }
+
+      return {
+        success: true,
+        targetNodeId: currentNode.id,
+        targetNodeName: currentNode.name,
+        isExposed: currentNode.isExposedInstance,
+        exposedInstanceId: exposedInstanceId,
+        traversedPath: traversedPath,
+        pathDepth: traversedPath.length - 1,
+        parentId: currentNode.parent ? currentNode.parent.id : null
+      };
+    `
+  },
+
+  swap_instance_component: {
+    version: 1,
+    description: 'Swap an instance to another component, keeping overrides',
+    script: `
+      const { instanceId, newComponentId } = args;
+
+      const instance = figma.getNodeById(instanceId);
+      if (!instance) {
+        throw new Error("Instance not found with ID: " + instanceId);
+      }
+
+      if (instance.type !== "INSTANCE") {
+        throw new Error("Node is not an instance. Found type: " + instance.type);
+      }
+
+      const newComponent = figma.getNodeById(newComponentId);
+      if (!newComponent) {
+        throw new Error("New component not found with ID: " + newComponentId);
+      }
+
+      if (newComponent.type !== "COMPONENT" && newComponent.type !== "COMPONENT_SET") {
+        throw new Error("Target node is not a component. Found type: " + newComponent.type);
+      }
+
+      // Get original component info before swap
+      const originalComponent = instance.mainComponent;
+      const originalComponentId = originalComponent ? originalComponent.id : null;
+      const originalComponentName = originalComponent ? originalComponent.name : 'Unknown';
+
+      // Perform the swap using swapComponent() which preserves overrides
+      instance.swapComponent(newComponent);
+
+      return {
+        success: true,
+        instanceId: instance.id,
+        instanceName: instance.name,
+        originalComponent: {
+          id: originalComponentId,
+          name: originalComponentName
+        },
+        newComponent: {
+          id: newComponent.id,
+          name: newComponent.name,
+          type: newComponent.type
+        },
+        overridesPreserved: true
+      };
+    `
+  }
+};
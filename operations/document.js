@@ -0,0 +1,684 @@
+/**
+ * Document Operations
+ *
+ * Scripts behind the read tools that inspect pages, nodes and the design system.
+ * Each reads its inputs from `args`; see operations/index.js.
+ */
+
+module.exports = {
+  get_design_system: {
+    version: 1,
+    description: 'List variable collections, variables and text styles',
+    script: `
+      const collections = await figma.variables.getLocalVariableCollectionsAsync();
+      const allVars = await figma.variables.getLocalVariablesAsync();
+      const textStyles = await figma.getLocalTextStylesAsync();
+      const paintStyles = await figma.getLocalPaintStylesAsync();
+      const effectStyles = await figma.getLocalEffectStylesAsync();
+
+      // Helper to format variable value
+      function formatValue(value, type) {
+        if (value.type === "VARIABLE_ALIAS") {
+          const aliasVar = allVars.find(v => v.id === value.id);
+          return { alias: aliasVar ? aliasVar.name : value.id };
+        }
+
+        if (type === "COLOR") {
+          const r = Math.round(value.r * 255);
+          const g = Math.round(value.g * 255);
+          const b = Math.round(value.b * 255);
+          const a = value.a !== undefined ? value.a : 1;
+          return a < 1 ? \`rgba(\${r},\${g},\${b},\${a})\` : \`rgb(\${r},\${g},\${b})\`;
+        }
+
+        if (type === "FLOAT") return value;
+
+        return value;
+      }
+
+      const varsByCollection = {};
+      collections.forEach(col => {
+        const vars = allVars.filter(v => v.variableCollectionId === col.id);
+        varsByCollection[col.name] = {
+          modes: col.modes.map(m => ({ name: m.name, modeId: m.modeId })),
+          variables: vars.map(v => {
+            const valuesByMode = {};
+            Object.entries(v.valuesByMode).forEach(([modeId, value]) => {
+              const mode = col.modes.find(m => m.modeId === modeId);
+              const modeName = mode ? mode.name : modeId;
+              valuesByMode[modeName] = formatValue(value, v.resolvedType);
+            });
+
+            return {
+              name: v.name,
+              type: v.resolvedType,
+              values: valuesByMode
+            };
+          })
+        };
+      });
+
+      return {
+        collections: args.includeVariables ? varsByCollection : {},
+        textStyles: args.includeStyles ? textStyles.map(s => ({
+          name: s.name,
+          id: s.id,
+          fontName: s.fontName,
+          fontSize: s.fontSize,
+          letterSpacing: s.letterSpacing,
+          lineHeight: s.lineHeight
+        })) : [],
+        paintStyles: args.includeStyles ? paintStyles.map(s => ({
+          name: s.name,
+          id: s.id,
+          paints: s.paints,
+          description: s.description
+        })) : [],
+        effectStyles: args.includeStyles ? effectStyles.map(s => ({
+          name: s.name,
+          id: s.id,
+          effects: s.effects,
+          description: s.description
+        })) : []
+      };
+    `
+  },
+
+  get_node_details: {
+    version: 1,
+    description: 'Read a node\'s properties, bindings and dimensions',
+    script: `
+      const { nodeId } = args;
+      const node = figma.getNodeById(nodeId);
+
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      const allVars = await figma.variables.getLocalVariablesAsync();
+
+      // Helper to resolve variable binding
+      function resolveVar(varId) {
+        const variable = allVars.find(v => v.id === varId);
+        return variable ? variable.name : varId;
+      }
+
+      // Extract basic properties
+      const details = {
+        identity: {
+          name: node.name,
+          id: node.id,
+          type: node.type
+        },
+        dimensions: {
+          width: node.width,
+          height: node.height
+        }
+      };
+
+      // Extract layout if frame/component
+      if (node.layoutMode) {
+        details.layout = {
+          mode: node.layoutMode,
+          primaryAxisSizingMode: node.primaryAxisSizingMode,
+          counterAxisSizingMode: node.counterAxisSizingMode,
+          itemSpacing: node.itemSpacing,
+          padding: {
+            left: node.paddingLeft,
+            right: node.paddingRight,
+            top: node.paddingTop,
+            bottom: node.paddingBottom
+          }
+        };
+      }
+
+      // Extract appearance
+      details.appearance = {
+        fills: node.fills ? node.fills.map((fill, i) => {
+          const fillData = {
+            type: fill.type,
+            visible: fill.visible,
+            opacity: fill.opacity
+          };
+
+          if (fill.type === 'SOLID' && fill.color) {
+            fillData.color = {
+              r: Math.round(fill.color.r * 255),
+              g: Math.round(fill.color.g * 255),
+              b: Math.round(fill.color.b * 255),
+              a: fill.color.a !== undefined ? fill.color.a : 1
+            };
+          }
+
+          // Check for variable binding
+          if (node.boundVariables && node.boundVariables.fills) {
+            const binding = node.boundVariables.fills[i];
+            if (binding && binding.id) {
+              fillData.boundTo = resolveVar(binding.id);
+            }
+          }
+
+          return fillData;
+        }) : [],
+        strokes: node.strokes ? node.strokes.map((stroke, i) => {
+          const strokeData = {
+            type: stroke.type,
+            visible: stroke.visible
+          };
+
+          if (stroke.type === 'SOLID' && stroke.color) {
+            strokeData.color = {
+              r: Math.round(stroke.color.r * 255),
+              g: Math.round(stroke.color.g * 255),
+              b: Math.round(stroke.color.b * 255),
+              a: stroke.color.a !== undefined ? stroke.color.a : 1
+            };
+          }
+
+          // Check for variable binding on stroke paint
+          if (stroke.boundVariables && stroke.boundVariables.color) {
+            const binding = stroke.boundVariables.color;
+            if (binding && binding.id) {
+              strokeData.boundTo = resolveVar(binding.id);
+            }
+          }
+
+          return strokeData;
+        }) : [],
+        strokeWeight: node.strokeWeight,
+        cornerRadius: node.cornerRadius,
+        opacity: node.opacity
+      };
+
+      // Extract bindings
+      details.bindings = {};
+      if (node.boundVariables) {
+        Object.keys(node.boundVariables).forEach(key => {
+          if (node.boundVariables[key] && node.boundVariables[key].id) {
+            details.bindings[key] = resolveVar(node.boundVariables[key].id);
+          }
+        });
+      }
+
+      // Extract children info
+      if (node.children) {
+        details.structure = {
+          childCount: node.children.length,
+          children: node.children.map(child => ({
+            id: child.id,
+            name: child.name,
+            type: child.type
+          }))
+        };
+      }
+
+      return details;
+    `
+  },
+
+  find_nodes_by_name: {
+    version: 1,
+    description: 'Find nodes whose name matches a pattern, wildcard or regex',
+    script: `
+      const { searchTerm, nodeType, scope, parentId, limit: maxLimit } = args;
+
+      // Helper: Convert wildcard pattern to regex
+      function wildcardToRegex(pattern) {
+        // Check if pattern looks like a regex (starts with ^ or ends with $ or contains unescaped special chars)
+        const isRegex = pattern.startsWith('^') || pattern.endsWith('$') || /[.+?|\\[\\]{}()]/.test(pattern.replace(/\\*/g, ''));
+
+        if (isRegex) {
+          try {
+            return new RegExp(pattern, 'i');
+          } catch (e) {
+            // If regex is invalid, fall back to exact match
+            return null;
+          }
+        }
+
+        // Has wildcards - convert to regex
+        if (pattern.includes('*')) {
+          const escaped = pattern.replace(/[.+?^$()|[\\]\\\\]/g, '\\\\$&');
+          const regex = escaped.replace(/\\*/g, '.*');
+          return new RegExp('^' + regex + '$', 'i');
+        }
+
+        // No wildcards - return null to use exact match
+        return null;
+      }
+
+      // Helper: Test if node name matches pattern
+      function matchesPattern(nodeName, pattern) {
+        const regex = wildcardToRegex(pattern);
+
+        if (regex) {
+          return regex.test(nodeName);
+        }
+
+        // Exact match (case-insensitive)
+        return nodeName.toLowerCase() === pattern.toLowerCase();
+      }
+
+      // Determine search root
+      let searchRoot;
+      if (scope === 'document') {
+        searchRoot = figma.root;
+      } else if (scope === 'parent' && parentId) {
+        searchRoot = figma.getNodeById(parentId);
+        if (!searchRoot) {
+          throw new Error(\`Parent node not found: \${parentId}\`);
+        }
+      } else if (scope === 'selection') {
+        // For selection, we'll handle differently below
+        searchRoot = null;
+      } else {
+        // Default: page scope
+        searchRoot = figma.currentPage;
+      }
+
+      // Find matching nodes
+      let allMatches = [];
+
+      if (scope === 'selection') {
+        // Search within selected nodes
+        for (const selected of figma.currentPage.selection) {
+          const matches = selected.findAll(node => {
+            const nameMatches = matchesPattern(node.name, searchTerm);
+            const typeMatches = !nodeType || node.type === nodeType;
+            return nameMatches && typeMatches;
+          });
+          allMatches = allMatches.concat(matches);
+        }
+      } else if (searchRoot) {
+        // Normal search
+        allMatches = searchRoot.findAll(node => {
+          const nameMatches = matchesPattern(node.name, searchTerm);
+          const typeMatches = !nodeType || node.type === nodeType;
+          return nameMatches && typeMatches;
+        });
+      }
+
+      // Limit results
+      const limitedMatches = maxLimit > 0 ? allMatches.slice(0, maxLimit) : allMatches;
+
+      // Map to return structure
+      const matches = limitedMatches.map(node => {
+        const info = {
+          id: node.id,
+          name: node.name,
+          type: node.type
+        };
+
+        // Add parent info if available
+        if (node.parent) {
+          info.parentId = node.parent.id;
+          info.parentName = node.parent.name;
+        }
+
+        // Add page info
+        let current = node;
+        while (current && current.type !== 'PAGE') {
+          current = current.parent;
+        }
+        if (current) {
+          info.pageId = current.id;
+          info.pageName = current.name;
+        }
+
+        // Add position and size if available
+        if ('x' in node) info.x = node.x;
+        if ('y' in node) info.y = node.y;
+        if ('width' in node) info.width = node.width;
+        if ('height' in node) info.height = node.height;
+
+        return info;
+      });
+
+      return {
+        matches,
+        totalMatches: allMatches.length,
+        returnedMatches: matches.length,
+        searchTerm,
+        scope,
+        nodeType: nodeType || 'all',
+        limited: allMatches.length > maxLimit
+      };
+    `
+  },
+
+  validate_responsive_layout: {
+    version: 1,
+    description: 'Check a subtree\'s sizing modes, alignment and overflow',
+    script: `
+      const rootNode = figma.getNodeById(args.nodeId);
+      if (!rootNode) {
+        throw new Error("Node not found: " + args.nodeId);
+      }
+
+      const { checkOverflow, checkSizingModes, checkAlignment, recursive } = args;
+
+      const issues = [];
+      let totalNodesChecked = 0;
+
+      /**
+       * Validate a single node and its children
+       */
+      function validateNode(node, depth = 0) {
+        totalNodesChecked++;
+
+        // Skip non-container nodes
+        if (!node.children || node.children.length === 0) {
+          return;
+        }
+
+        const isAutoLayout = node.layoutMode && node.layoutMode !== 'NONE';
+        const isVertical = node.layoutMode === 'VERTICAL';
+        const isHorizontal = node.layoutMode === 'HORIZONTAL';
+
+        // Check each child
+        for (const child of node.children) {
+          // Check 1: Overflow Detection
+          if (checkOverflow && isAutoLayout) {
+            checkOverflowIssues(node, child);
+          }
+
+          // Check 2: Sizing Mode Validation (Flexbox Fractal Pattern)
+          if (checkSizingModes && isAutoLayout) {
+            checkSizingModeIssues(node, child, isVertical, isHorizontal);
+          }
+
+          // Check 3: Alignment Validation
+          if (checkAlignment && isAutoLayout) {
+            checkAlignmentIssues(node, child, isVertical, isHorizontal);
+          }
+
+          // Recurse into child if enabled
+          if (recursive && child.children && child.children.length > 0) {
+            validateNode(child, depth + 1);
+          }
+        }
+      }
+
+      /**
+       * Check for overflow issues
+       */
+      function checkOverflowIssues(parent, child) {
+        // Only check if parent has FIXED sizing
+        const parentHasFixedWidth = parent.primaryAxisSizingMode === 'FIXED' && parent.layoutMode === 'HORIZONTAL';
+        const parentHasFixedHeight = parent.counterAxisSizingMode === 'FIXED' && parent.layoutMode === 'VERTICAL';
+
+        if (parent.layoutMode === 'VERTICAL' && parentHasFixedHeight) {
+          // Check if child height causes overflow
+          const childHeight = child.height || 0;
+          const parentHeight = parent.height || 0;
+          const parentPadding = (parent.paddingTop || 0) + (parent.paddingBottom || 0);
+          const availableHeight = parentHeight - parentPadding;
+
+          if (childHeight > availableHeight) {
+            issues.push({
+              nodeId: child.id,
+              nodeName: child.name,
+              parentId: parent.id,
+              parentName: parent.name,
+              issue: 'OVERFLOW',
+              severity: 'medium',
+              description: \`Content height (\${Math.round(childHeight)}px) exceeds container (\${Math.round(availableHeight)}px)\`,
+              recommendation: \`Set parent counterAxisSizingMode to 'AUTO' or reduce child height\`,
+              context: {
+                childHeight: Math.round(childHeight),
+                parentHeight: Math.round(parentHeight),
+                availableHeight: Math.round(availableHeight)
+              }
+            });
+          }
+        }
+
+        if (parent.layoutMode === 'HORIZONTAL' && parentHasFixedWidth) {
+          // Check if child width causes overflow
+          const childWidth = child.width || 0;
+          const parentWidth = parent.width || 0;
+          const parentPadding = (parent.paddingLeft || 0) + (parent.paddingRight || 0);
+          const availableWidth = parentWidth - parentPadding;
+
+          if (childWidth > availableWidth) {
+            issues.push({
+              nodeId: child.id,
+              nodeName: child.name,
+              parentId: parent.id,
+              parentName: parent.name,
+              issue: 'OVERFLOW',
+              severity: 'medium',
+              description: \`Content width (\${Math.round(childWidth)}px) exceeds container (\${Math.round(availableWidth)}px)\`,
+              recommendation: \`Set parent primaryAxisSizingMode to 'AUTO' or reduce child width\`,
+              context: {
+                childWidth: Math.round(childWidth),
+                parentWidth: Math.round(parentWidth),
+                availableWidth: Math.round(availableWidth)
+              }
+            });
+          }
+        }
+      }
+
+      /**
+       * Check for incorrect sizing modes (Flexbox Fractal Pattern violations)
+       */
+      function checkSizingModeIssues(parent, child, isVertical, isHorizontal) {
+        const childHorizontalSizing = child.layoutSizingHorizontal || 'HUG';
+        const childVerticalSizing = child.layoutSizingVertical || 'HUG';
+
+        // Flexbox Fractal Pattern rules:
+        // VERTICAL parent → children should be FILL/HUG
+        // HORIZONTAL parent → children should be HUG/FILL
+
+        if (isVertical) {
+          // Expected: FILL width, HUG height
+          if (childHorizontalSizing === 'FIXED') {
+            issues.push({
+              nodeId: child.id,
+              nodeName: child.name,
+              parentId: parent.id,
+              parentName: parent.name,
+              issue: 'INCORRECT_SIZING',
+              severity: 'low',
+              description: \`VERTICAL container child has FIXED width instead of FILL (less responsive)\`,
+              recommendation: \`Change layoutSizingHorizontal to 'FILL' for responsive width\`,
+              context: {
+                parentMode: 'VERTICAL',
+                currentHorizontal: childHorizontalSizing,
+                currentVertical: childVerticalSizing,
+                expectedHorizontal: 'FILL',
+                expectedVertical: 'HUG'
+              }
+            });
+          }
+
+          if (childVerticalSizing === 'FILL') {
+            issues.push({
+              nodeId: child.id,
+              nodeName: child.name,
+              parentId: parent.id,
+              parentName: parent.name,
+              issue: 'INCORRECT_SIZING',
+              severity: 'medium',
+              description: \`VERTICAL container child has FILL height (may cause overflow or unexpected behavior)\`,
+              recommendation: \`Change layoutSizingVertical to 'HUG' to respect content height\`,
+              context: {
+                parentMode: 'VERTICAL',
+                currentHorizontal: childHorizontalSizing,
+                currentVertical: childVerticalSizing,
+                expectedHorizontal: 'FILL',
+                expectedVertical: 'HUG'
+              }
+            });
+          }
+        }
+
+        if (isHorizontal) {
+          // Expected: HUG width, FILL height
+          if (childHorizontalSizing === 'FILL') {
+            issues.push({
+              nodeId: child.id,
+              nodeName: child.name,
+              parentId: parent.id,
+              parentName: parent.name,
+              issue: 'INCORRECT_SIZING',
+              severity: 'medium',
+              description: \`HORIZONTAL container child has FILL width (may cause overflow or unexpected behavior)\`,
+              recommendation: \`Change layoutSizingHorizontal to 'HUG' to respect content width\`,
+              context: {
+                parentMode: 'HORIZONTAL',
+                currentHorizontal: childHorizontalSizing,
+                currentVertical: childVerticalSizing,
+                expectedHorizontal: 'HUG',
+                expectedVertical: 'FILL'
+              }
+            });
+          }
+
+          if (childVerticalSizing === 'FIXED') {
+            issues.push({
+              nodeId: child.id,
+              nodeName: child.name,
+              parentId: parent.id,
+              parentName: parent.name,
+              issue: 'INCORRECT_SIZING',
+              severity: 'low',
+              description: \`HORIZONTAL container child has FIXED height instead of FILL (less responsive)\`,
+              recommendation: \`Change layoutSizingVertical to 'FILL' for responsive height\`,
+              context: {
+                parentMode: 'HORIZONTAL',
+                currentHorizontal: childHorizontalSizing,
+                currentVertical: childVerticalSizing,
+                expectedHorizontal: 'HUG',
+                expectedVertical: 'FILL'
+              }
+            });
+          }
+        }
+      }
+
+      /**
+       * Check for alignment anti-patterns
+       */
+      function checkAlignmentIssues(parent, child, isVertical, isHorizontal) {
+        // Check for common misalignment patterns
+        const childLayoutAlign = child.layoutAlign;
+        const childHorizontalSizing = child.layoutSizingHorizontal || 'HUG';
+        const childVerticalSizing = child.layoutSizingVertical || 'HUG';
+
+        // If child has FILL sizing, STRETCH alignment is redundant
+        if (isVertical && childHorizontalSizing === 'FILL' && childLayoutAlign === 'STRETCH') {
+          issues.push({
+            nodeId: child.id,
+            nodeName: child.name,
+            parentId: parent.id,
+            parentName: parent.name,
+            issue: 'REDUNDANT_ALIGNMENT',
+            severity: 'low',
+            description: \`Child has FILL width with STRETCH alignment (redundant)\`,
+            recommendation: \`Change layoutAlign to 'INHERIT' or remove FILL sizing\`,
+            context: {
+              layoutAlign: childLayoutAlign,
+              horizontalSizing: child.layoutSizingHorizontal
+            }
+          });
+        }
+
+        if (isHorizontal && childVerticalSizing === 'FILL' && childLayoutAlign === 'STRETCH') {
+          issues.push({
+            nodeId: child.id,
+            nodeName: child.name,
+            parentId: parent.id,
+            parentName: parent.name,
+            issue: 'REDUNDANT_ALIGNMENT',
+            severity: 'low',
+            description: \`Child has FILL height with STRETCH alignment (redundant)\`,
+            recommendation: \`Change layoutAlign to 'INHERIT' or remove FILL sizing\`,
+            context: {
+              layoutAlign: childLayoutAlign,
+              verticalSizing: child.layoutSizingVertical
+            }
+          });
+        }
+      }
+
+      // Start validation
+      validateNode(rootNode);
+
+      // Calculate summary
+      const isValid = issues.length === 0;
+      const issuesBySeverity = {
+        high: issues.filter(i => i.severity === 'high').length,
+        medium: issues.filter(i => i.severity === 'medium').length,
+        low: issues.filter(i => i.severity === 'low').length
+      };
+
+      return {
+        isValid: isValid,
+        nodeId: args.nodeId,
+        nodeName: rootNode.name,
+        totalIssues: issues.length,
+        totalNodesChecked: totalNodesChecked,
+        issuesBySeverity: issuesBySeverity,
+        issues: issues,
+        validationSettings: {
+          checkOverflow: checkOverflow,
+          checkSizingModes: checkSizingModes,
+          checkAlignment: checkAlignment,
+          recursive: recursive
+        }
+      };
+    `
+  },
+
+  get_page_structure: {
+    version: 1,
+    description: 'List the top-level nodes of a page, optionally with children',
+    script: `
+      const page = args.pageId ? await figma.getNodeByIdAsync(args.pageId) : figma.currentPage;
+      if (!page || page.type !== 'PAGE') {
+        throw new Error("Page not found: " + args.pageId);
+      }
+      // Other pages' children are only available once loaded (dynamic page loading)
+      if (page !== figma.currentPage && typeof page.loadAsync === 'function') {
+        await page.loadAsync();
+      }
+
+      const nodes = page.children.map(node => {
+        const nodeData = {
+          id: node.id,
+          name: node.name,
+          type: node.type,
+          width: node.width || 0,
+          height: node.height || 0,
+          x: node.x || 0,
+          y: node.y || 0,
+          visible: node.visible,
+          locked: node.locked,
+          childCount: 'children' in node ? node.children.length : 0
+        };
+
+        if (args.includeChildren && 'children' in node) {
+          nodeData.children = node.children.map(child => ({
+            id: child.id,
+            name: child.name,
+            type: child.type,
+            width: child.width || 0,
+            height: child.height || 0,
+            childCount: 'children' in child ? child.children.length : 0
+          }));
+        }
+
+        return nodeData;
+      });
+
+      return {
+        pageName: page.name,
+        pageId: page.id,
+        nodes: nodes,
+        totalNodes: nodes.length
+      };
+    `
+  }
+};
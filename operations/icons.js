@@ -0,0 +1,300 @@
+/**
+ * Icon Operations
+ *
+ * Scripts behind the icon tools. The server fetches the SVGs from Iconify;
+ * the scripts only build the components.
+ * Each reads its inputs from `args`; see operations/index.js.
+ */
+
+module.exports = {
+  create_icon_component: {
+    version: 1,
+    description: 'Create an icon component from SVG and color it',
+    script: `
+      const { svgContent, size } = args;
+
+      // Create node from SVG
+      const iconNode = figma.createNodeFromSvg(svgContent);
+
+      // Create component
+      const component = figma.createComponent();
+      component.name = args.componentName;
+
+      // Resize component to exact size
+      component.resize(size, size);
+
+      // Append icon to component
+      component.appendChild(iconNode);
+
+      // Center icon within component
+      iconNode.x = (component.width - iconNode.width) / 2;
+      iconNode.y = (component.height - iconNode.height) / 2;
+
+      // Set constraints to SCALE for proportional resizing
+      iconNode.constraints = {
+        horizontal: 'SCALE',
+        vertical: 'SCALE'
+      };
+
+      // Lock aspect ratio to maintain proportions
+      iconNode.lockAspectRatio();
+
+      // Find all vector paths for styling
+      const vectors = iconNode.findAll(node => node.type === 'VECTOR');
+
+      // Apply fixed stroke width for stroke icons (optical sizing best practice)
+      // This ensures stroke doesn't scale disproportionately
+      vectors.forEach(vector => {
+        if (vector.strokes && vector.strokes.length > 0) {
+          // Set fixed stroke width based on icon size (won't scale)
+          vector.strokeWeight = args.strokeWeight;
+        }
+      });
+
+      // Apply the color or color variable: strokes for stroke icons, fills otherwise
+      const { color, colorVariable, iconType } = args;
+      if ((color || colorVariable) && ['stroke', 'fill', 'duotone'].includes(iconType)) {
+        let colorVar = null;
+        if (colorVariable) {
+          colorVar = figma.variables.getLocalVariables().find(v => v.name === colorVariable);
+          if (!colorVar) {
+            throw new Error("Variable not found: " + colorVariable);
+          }
+        }
+
+        const hex = colorVar ? '000000' : color.replace('#', '');
+        const rgb = {
+          r: parseInt(hex.substring(0, 2), 16) / 255,
+          g: parseInt(hex.substring(2, 4), 16) / 255,
+          b: parseInt(hex.substring(4, 6), 16) / 255
+        };
+        const field = iconType === 'stroke' ? 'strokes' : 'fills';
+
+        vectors.forEach((vector, index) => {
+          const paint = { type: 'SOLID', color: rgb };
+          // Duotone: first layer lighter
+          if (iconType === 'duotone') paint.opacity = index === 0 ? 0.3 : 1.0;
+          vector[field] = [paint];
+          if (colorVar) vector.setBoundVariable(field, colorVar);
+          if (iconType === 'stroke' && vector.strokeWeight === 0) vector.strokeWeight = 2;
+        });
+      }
+
+      // Add to current page
+      figma.currentPage.appendChild(component);
+      figma.currentPage.selection = [component];
+      figma.viewport.scrollAndZoomIntoView([component]);
+
+      return {
+        success: true,
+        componentId: component.id,
+        componentName: component.name,
+        iconSet: args.prefix,
+        iconName: args.name,
+        variant: args.variant,
+        size: size,
+        iconType: args.iconType,
+        colorApplied: args.colorApplied,
+        svgUrl: "https://api.iconify.design/" + args.fullIconName + ".svg"
+      };
+    `
+  },
+
+  batch_create_icons: {
+    version: 2,
+    description: 'Create icon components from SVG, optionally as a component set',
+    script: `
+      const { iconsData, createComponentSet, componentSetName, failedIcons } = args;
+      const components = [];
+      const errors = [];
+
+      // Create each icon component
+      for (const iconData of iconsData) {
+        // Stop here if the MCP client cancelled (older plugins don't provide cancellation)
+        if (typeof cancellation !== 'undefined') cancellation.throwIfCancelled();
+        // Report how far the batch is (older plugins don't provide progress)
+        if (typeof progress !== 'undefined') progress.report(components.length + errors.length, iconsData.length, 'Creating ' + iconData.fullIconName);
+
+        try {
+          const { svgContent, iconType, fullIconName, iconPrefix, iconBaseName, iconSpec, color, colorVariable } = iconData;
+
+          // Create node from SVG
+          const iconNode = figma.createNodeFromSvg(svgContent);
+
+          // Create component
+          const component = figma.createComponent();
+          const iconSize = iconSpec.size || args.size;
+          component.resize(iconSize, iconSize);
+
+          // Determine component name
+          if (createComponentSet) {
+            if (iconSpec.variant) {
+              // ComponentSet with explicit variant
+              component.name = \`Type=\${iconBaseName}, Variant=\${iconSpec.variant}\`;
+            } else {
+              // ComponentSet without variant - use Type property
+              const capitalizedName = iconBaseName.charAt(0).toUpperCase() + iconBaseName.slice(1);
+              component.name = \`Type=\${capitalizedName}\`;
+            }
+          } else if (iconSpec.componentName) {
+            component.name = iconSpec.componentName;
+          } else {
+            component.name = \`Icon/\${iconBaseName.charAt(0).toUpperCase() + iconBaseName.slice(1)}\`;
+          }
+
+          // Append and center icon
+          component.appendChild(iconNode);
+          iconNode.x = (component.width - iconNode.width) / 2;
+          iconNode.y = (component.height - iconNode.height) / 2;
+
+          // Set constraints to SCALE for proportional resizing
+          iconNode.constraints = {
+            horizontal: 'SCALE',
+            vertical: 'SCALE'
+          };
+
+          // Lock aspect ratio to maintain proportions
+          iconNode.lockAspectRatio();
+
+          // Apply fixed stroke width for stroke icons (optical sizing best practice)
+          const vectors = iconNode.findAll(node => node.type === 'VECTOR');
+          vectors.forEach(vector => {
+            if (vector.strokes && vector.strokes.length > 0) {
+              vector.strokeWeight = iconData.strokeWidth;
+            }
+          });
+
+          // Apply color based on icon type and color data
+          if (color || colorVariable) {
+            const vectors = iconNode.findAll(node => node.type === 'VECTOR');
+
+            if (iconType === 'stroke') {
+              // Stroke icons (outline)
+              vectors.forEach(vector => {
+                if (color) {
+                  // Parse hex color
+                  const hex = color.replace('#', '');
+                  const r = parseInt(hex.substring(0, 2), 16) / 255;
+                  const g = parseInt(hex.substring(2, 4), 16) / 255;
+                  const b = parseInt(hex.substring(4, 6), 16) / 255;
+                  vector.strokes = [{ type: 'SOLID', color: { r, g, b } }];
+                  if (vector.strokeWeight === 0) vector.strokeWeight = 2;
+                }
+              });
+            } else if (iconType === 'fill') {
+              // Fill icons (solid)
+              vectors.forEach(vector => {
+                if (color) {
+                  // Parse hex color
+                  const hex = color.replace('#', '');
+                  const r = parseInt(hex.substring(0, 2), 16) / 255;
+                  const g = parseInt(hex.substring(2, 4), 16) / 255;
+                  const b = parseInt(hex.substring(4, 6), 16) / 255;
+                  vector.fills = [{ type: 'SOLID', color: { r, g, b } }];
+                }
+              });
+            } else if (iconType === 'duotone') {
+              // Duotone icons (multiple layers with opacity)
+              vectors.forEach((vector, index) => {
+                if (color) {
+                  const hex = color.replace('#', '');
+                  const r = parseInt(hex.substring(0, 2), 16) / 255;
+                  const g = parseInt(hex.substring(2, 4), 16) / 255;
+                  const b = parseInt(hex.substring(4, 6), 16) / 255;
+                  const opacity = index === 0 ? 0.3 : 1.0;
+                  vector.fills = [{ type: 'SOLID', color: { r, g, b }, opacity }];
+                }
+              });
+            }
+          }
+
+          components.push({
+            id: component.id,
+            name: component.name,
+            iconName: fullIconName,
+            iconType: iconType,
+            size: iconSize
+          });
+
+          // Don't add to page yet if creating ComponentSet
+          if (!createComponentSet) {
+            figma.currentPage.appendChild(component);
+          }
+        } catch (error) {
+          errors.push({
+            iconName: iconData.fullIconName,
+            error: error.message
+          });
+        }
+      }
+
+      let componentSetId = null;
+
+      // Create ComponentSet if requested
+      if (createComponentSet && components.length > 1) {
+        try {
+          // Get component nodes
+          const componentNodes = components.map(c =>
+            figma.getNodeById(c.id)
+          ).filter(Boolean);
+
+          if (componentNodes.length > 1) {
+            // Create ComponentSet from components
+            const componentSet = figma.combineAsVariants(componentNodes, figma.currentPage);
+            componentSet.name = componentSetName;
+
+            // Enable auto layout
+            componentSet.layoutMode = 'HORIZONTAL';
+            componentSet.primaryAxisSizingMode = 'AUTO';
+            componentSet.counterAxisSizingMode = 'AUTO';
+            componentSet.itemSpacing = 16;
+            componentSet.paddingLeft = 24;
+            componentSet.paddingRight = 24;
+            componentSet.paddingTop = 24;
+            componentSet.paddingBottom = 24;
+
+            // Add blue border
+            componentSet.strokes = [{
+              type: 'SOLID',
+              color: { r: 0.231, g: 0.510, b: 0.945 } // #3B82F6 (blue)
+            }];
+            componentSet.strokeWeight = 1;
+            componentSet.cornerRadius = 8;
+
+            componentSetId = componentSet.id;
+
+            // Select ComponentSet
+            figma.currentPage.selection = [componentSet];
+            figma.viewport.scrollAndZoomIntoView([componentSet]);
+          }
+        } catch (error) {
+          errors.push({
+            operation: 'ComponentSet creation',
+            error: error.message
+          });
+        }
+      } else if (components.length > 0) {
+        // Select all components
+        const componentNodes = components.map(c =>
+          figma.getNodeById(c.id)
+        ).filter(Boolean);
+
+        figma.currentPage.selection = componentNodes;
+        if (componentNodes.length > 0) {
+          figma.viewport.scrollAndZoomIntoView(componentNodes);
+        }
+      }
+
+      return {
+        success: true,
+        totalRequested: args.totalRequested,
+        componentsCreated: components.length,
+        componentSetCreated: componentSetId !== null,
+        componentSetId: componentSetId,
+        components: components,
+        failedFetches: failedIcons.length,
+        errors: errors.concat(failedIcons)
+      };
+    `
+  }
+};
@@ -0,0 +1,607 @@
+/**
+ * Image Operations
+ *
+ * Scripts behind the image and gradient fill tools.
+ * Each reads its inputs from `args`; see operations/index.js.
+ */
+
+module.exports = {
+  import_image_from_url: {
+    version: 1,
+    description: 'Fetch an image and add it to the file',
+    script: `
+      const { url: imageUrl, name: imageName } = args;
+
+      try {
+        // Import image from URL
+        const image = await figma.createImageAsync(imageUrl);
+
+        // Get image dimensions
+        const { width, height } = await image.getSizeAsync();
+
+        return {
+          success: true,
+          name: imageName,
+          imageHash: image.hash,
+          width: width,
+          height: height,
+          url: imageUrl
+        };
+      } catch (error) {
+        throw new Error(\`Failed to import image from \${imageUrl}: \${error ? error.message || error.toString() : 'Unknown error'}\`);
+      }
+    `
+  },
+
+  create_image_component: {
+    version: 1,
+    description: 'Create a component showing an image',
+    script: `
+      const {
+        url: imageUrl,
+        componentName: compName,
+        width: specifiedWidth = null,
+        height: specifiedHeight = null,
+        maxWidth: maxW = null,
+        maxHeight: maxH = null,
+        scaleMode: scale,
+        cornerRadius: radius
+      } = args;
+
+      try {
+        // Import image from URL
+        const image = await figma.createImageAsync(imageUrl);
+
+        // Get actual image dimensions
+        const { width: imgWidth, height: imgHeight } = await image.getSizeAsync();
+
+        // Calculate target dimensions
+        let targetWidth = specifiedWidth || imgWidth;
+        let targetHeight = specifiedHeight || imgHeight;
+
+        // If only one dimension specified, calculate the other maintaining aspect ratio
+        if (specifiedWidth && !specifiedHeight) {
+          targetHeight = Math.round((imgHeight / imgWidth) * specifiedWidth);
+        } else if (specifiedHeight && !specifiedWidth) {
+          targetWidth = Math.round((imgWidth / imgHeight) * specifiedHeight);
+        }
+
+        // Apply max constraints if specified
+        if (maxW && targetWidth > maxW) {
+          const ratio = maxW / targetWidth;
+          targetWidth = maxW;
+          targetHeight = Math.round(targetHeight * ratio);
+        }
+        if (maxH && targetHeight > maxH) {
+          const ratio = maxH / targetHeight;
+          targetHeight = maxH;
+          targetWidth = Math.round(targetWidth * ratio);
+        }
+
+        // Create component directly
+        const component = figma.createComponent();
+        component.name = compName;
+        component.resize(targetWidth, targetHeight);
+
+        // Set corner radius if specified
+        if (radius > 0) {
+          component.cornerRadius = radius;
+        }
+
+        // Set image fill
+        component.fills = [{
+          type: 'IMAGE',
+          imageHash: image.hash,
+          scaleMode: scale
+        }];
+
+        // Position component at origin
+        component.x = 0;
+        component.y = 0;
+
+        return {
+          success: true,
+          componentId: component.id,
+          componentName: component.name,
+          imageHash: image.hash,
+          width: targetWidth,
+          height: targetHeight
+        };
+      } catch (error) {
+        throw new Error(\`Failed to create image component: \${error.message}\`);
+      }
+    `
+  },
+
+  batch_create_image_components: {
+    version: 2,
+    description: 'Create several image components, optionally as a component set',
+    script: `
+      const {
+        images: imageSpecs,
+        createComponentSet: shouldCreateSet,
+        variantProperty: variantProp,
+        scaleMode: scale,
+        cornerRadius: radius
+      } = args;
+
+      const components = [];
+      const spacing = 100; // Space between components
+
+      try {
+        // Create each component
+        for (let i = 0; i < imageSpecs.length; i++) {
+          // Stop here if the MCP client cancelled (older plugins don't provide cancellation)
+          if (typeof cancellation !== 'undefined') cancellation.throwIfCancelled();
+          // Report how far the batch is (older plugins don't provide progress)
+          if (typeof progress !== 'undefined') progress.report(i, imageSpecs.length, 'Importing image ' + (i + 1));
+
+          const spec = imageSpecs[i];
+
+          // Import image
+          const image = await figma.createImageAsync(spec.url);
+
+          // Get actual image dimensions
+          const { width: imgWidth, height: imgHeight } = await image.getSizeAsync();
+
+          // Calculate target dimensions with aspect ratio preservation
+          let targetWidth = spec.width || imgWidth;
+          let targetHeight = spec.height || imgHeight;
+
+          // If only one dimension specified, calculate the other maintaining aspect ratio
+          if (spec.width && !spec.height) {
+            targetHeight = Math.round((imgHeight / imgWidth) * spec.width);
+          } else if (spec.height && !spec.width) {
+            targetWidth = Math.round((imgWidth / imgHeight) * spec.height);
+          }
+
+          // Apply max constraints if specified
+          if (spec.maxWidth && targetWidth > spec.maxWidth) {
+            const ratio = spec.maxWidth / targetWidth;
+            targetWidth = spec.maxWidth;
+            targetHeight = Math.round(targetHeight * ratio);
+          }
+          if (spec.maxHeight && targetHeight > spec.maxHeight) {
+            const ratio = spec.maxHeight / targetHeight;
+            targetHeight = spec.maxHeight;
+            targetWidth = Math.round(targetWidth * ratio);
+          }
+
+          // Create component directly
+          const component = figma.createComponent();
+          component.name = spec.name;
+          component.resize(targetWidth, targetHeight);
+
+          // Set image fill
+          component.fills = [{
+            type: 'IMAGE',
+            imageHash: image.hash,
+            scaleMode: scale
+          }];
+
+          // Set corner radius if specified
+          if (radius > 0) {
+            component.cornerRadius = radius;
+          }
+
+          // Position components in a row
+          component.x = i * spacing;
+          component.y = 0;
+
+          components.push({
+            id: component.id,
+            name: component.name,
+            node: component
+          });
+        }
+
+        let componentSetId = null;
+        let componentSetName = null;
+
+        // Combine into ComponentSet if requested
+        if (shouldCreateSet && components.length > 0) {
+          // Rename components with variant property pattern
+          components.forEach(comp => {
+            const variantValue = comp.name;
+            comp.node.name = \`\${variantProp}=\${variantValue}\`;
+          });
+
+          // Combine into ComponentSet
+          const componentSet = figma.combineAsVariants(
+            components.map(c => c.node),
+            figma.currentPage
+          );
+
+          // Set vertical layout with spacing
+          componentSet.layoutMode = 'VERTICAL';
+          componentSet.itemSpacing = 20;
+          componentSet.counterAxisAlignItems = 'MIN';
+          componentSet.primaryAxisAlignItems = 'MIN';
+
+          componentSetId = componentSet.id;
+          componentSetName = componentSet.name;
+        }
+
+        return {
+          success: true,
+          componentsCreated: components.length,
+          componentIds: components.map(c => c.id),
+          componentNames: components.map(c => c.name),
+          componentSetId: componentSetId,
+          componentSetName: componentSetName
+        };
+      } catch (error) {
+        throw new Error(\`Failed to batch create components: \${error.message}\`);
+      }
+    `
+  },
+
+  apply_image_fill: {
+    version: 1,
+    description: 'Fill a node with an image',
+    script: `
+      const { nodeId, imageUrl, scaleMode, opacity, rotation, filters, crop, tileScale } = args;
+
+      const node = figma.getNodeById(nodeId);
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      if (!('fills' in node)) {
+        throw new Error("Node does not support fills. Node type: " + node.type);
+      }
+
+      // Import image from URL
+      let image;
+      try {
+        image = await figma.createImageAsync(imageUrl);
+      } catch (err) {
+        throw new Error("Failed to load image: " + err.message);
+      }
+
+      // Build image fill paint object
+      const imageFill = {
+        type: 'IMAGE',
+        imageHash: image.hash,
+        scaleMode: scaleMode,
+        opacity: opacity
+      };
+
+      // Add rotation if specified
+      if (rotation !== 0) {
+        imageFill.rotation = rotation;
+      }
+
+      // Add filters if specified
+      if (Object.keys(filters).length > 0) {
+        imageFill.filters = filters;
+      }
+
+      // Add imageTransform for CROP mode
+      if (scaleMode === 'CROP' && crop) {
+        imageFill.imageTransform = [[1, 0, crop.x || 0], [0, 1, crop.y || 0]];
+      }
+
+      // Add scalingFactor for TILE mode
+      if (scaleMode === 'TILE') {
+        imageFill.scalingFactor = tileScale;
+      }
+
+      // Apply the fill
+      node.fills = [imageFill];
+
+      // Get image dimensions for return value
+      const { width, height } = await image.getSizeAsync();
+
+      return {
+        success: true,
+        nodeId: node.id,
+        nodeName: node.name,
+        nodeType: node.type,
+        imageHash: image.hash,
+        imageDimensions: { width, height },
+        appliedFill: {
+          scaleMode,
+          opacity,
+          rotation,
+          hasFilters: Object.keys(filters).length > 0
+        }
+      };
+    `
+  },
+
+  apply_gradient_fill: {
+    version: 1,
+    description: 'Fill a node with a gradient, optionally bound to color variables',
+    script: `
+      const { nodeId, gradientType, angle, opacity } = args;
+      const colorsJson = args.colors || null;
+      const colorVariablesJson = args.colorVariables || null;
+
+      const node = figma.getNodeById(nodeId);
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      if (!('fills' in node)) {
+        throw new Error("Node does not support fills. Node type: " + node.type);
+      }
+
+      // Helper function to parse color (hex or RGB object)
+      function parseColor(colorInput) {
+        if (typeof colorInput === 'string') {
+          // Parse hex color
+          const hex = colorInput.replace('#', '');
+          const r = parseInt(hex.substring(0, 2), 16) / 255;
+          const g = parseInt(hex.substring(2, 4), 16) / 255;
+          const b = parseInt(hex.substring(4, 6), 16) / 255;
+          const a = hex.length === 8 ? parseInt(hex.substring(6, 8), 16) / 255 : 1;
+          return { r, g, b, a };
+        } else if (typeof colorInput === 'object') {
+          // Already RGB object
+          return {
+            r: colorInput.r ?? 0,
+            g: colorInput.g ?? 0,
+            b: colorInput.b ?? 0,
+            a: colorInput.a ?? 1
+          };
+        }
+        throw new Error("Invalid color format: " + colorInput);
+      }
+
+      // Generate gradient stops - either from colors or colorVariables
+      let gradientStops;
+
+      if (colorVariablesJson) {
+        // MODE: Variable binding
+        // Build gradient stops with variable bindings
+        gradientStops = await Promise.all(colorVariablesJson.map(async (varSpec, index) => {
+          let variableId, position;
+
+          if (typeof varSpec === 'string') {
+            // Simple variable ID/name - distribute evenly
+            variableId = varSpec;
+            position = index / (colorVariablesJson.length - 1);
+          } else if (typeof varSpec === 'object') {
+            // Object with variableId and optional position
+            variableId = varSpec.variableId || varSpec.variable || varSpec.id;
+            position = varSpec.position !== undefined ? varSpec.position : index / (colorVariablesJson.length - 1);
+          }
+
+          // Find variable
+          let variable;
+          if (variableId.includes(':')) {
+            variable = figma.variables.getVariableById(variableId);
+          } else {
+            const variables = await figma.variables.getLocalVariablesAsync();
+            variable = variables.find(v => v.name === variableId);
+          }
+
+          if (!variable) {
+            throw new Error('Variable not found: ' + variableId);
+          }
+
+          if (variable.resolvedType !== 'COLOR') {
+            throw new Error('Variable must be COLOR type: ' + variableId);
+          }
+
+          // Return stop with variable binding
+          return {
+            position,
+            color: { r: 1, g: 1, b: 1, a: 1 }, // Placeholder - will be overridden by variable
+            boundVariables: {
+              color: {
+                type: 'VARIABLE_ALIAS',
+                id: variable.id
+              }
+            }
+          };
+        }));
+      } else {
+        // MODE: Static colors
+        gradientStops = colorsJson.map((colorSpec, index) => {
+          let color, position;
+
+          if (typeof colorSpec === 'string') {
+            // Simple hex color - distribute evenly
+            color = parseColor(colorSpec);
+            position = index / (colorsJson.length - 1);
+          } else if (typeof colorSpec === 'object') {
+            // Object with color and optional position
+            color = parseColor(colorSpec.color);
+            position = colorSpec.position !== undefined ? colorSpec.position : index / (colorsJson.length - 1);
+          }
+
+          return { color, position };
+        });
+      }
+
+      // Generate gradientTransform based on type and angle
+      let gradientTransform;
+
+      if (gradientType === 'linear') {
+        // Convert angle to radians
+        const angleRad = (angle * Math.PI) / 180;
+        const cos = Math.cos(angleRad);
+        const sin = Math.sin(angleRad);
+
+        // Transform matrix for linear gradient at given angle
+        gradientTransform = [
+          [cos, sin, 0.5 - cos * 0.5 - sin * 0.5],
+          [-sin, cos, 0.5 + sin * 0.5 - cos * 0.5]
+        ];
+      } else {
+        // For radial, angular, and diamond - use identity transform (centered)
+        gradientTransform = [[1, 0, 0], [0, 1, 0]];
+      }
+
+      // Map gradient type to Figma constant
+      const gradientTypeMap = {
+        'linear': 'GRADIENT_LINEAR',
+        'radial': 'GRADIENT_RADIAL',
+        'angular': 'GRADIENT_ANGULAR',
+        'diamond': 'GRADIENT_DIAMOND'
+      };
+
+      const figmaGradientType = gradientTypeMap[gradientType];
+      if (!figmaGradientType) {
+        throw new Error("Invalid gradient type: " + gradientType + ". Use: linear, radial, angular, diamond");
+      }
+
+      // Apply gradient fill
+      node.fills = [{
+        type: figmaGradientType,
+        gradientTransform: gradientTransform,
+        gradientStops: gradientStops,
+        opacity: opacity
+      }];
+
+      return {
+        success: true,
+        nodeId: node.id,
+        nodeName: node.name,
+        nodeType: node.type,
+        appliedGradient: {
+          type: gradientType,
+          angle: gradientType === 'linear' ? angle : null,
+          colorCount: gradientStops.length,
+          opacity: opacity,
+          variablesBound: colorVariablesJson ? true : false,
+          variableCount: colorVariablesJson ? colorVariablesJson.length : 0
+        }
+      };
+    `
+  },
+
+  batch_apply_images: {
+    version: 2,
+    description: 'Fill several nodes with images',
+    script: `
+      const { imageSpecs } = args;
+      const results = [];
+      const errors = [];
+      let imported = 0;
+
+      // Step 1: Import all images in parallel
+      const imageImportPromises = imageSpecs.map(async (spec, index) => {
+        try {
+          const image = await figma.createImageAsync(spec.imageUrl);
+          return { index, image, spec };
+        } catch (error) {
+          errors.push({
+            index,
+            nodeId: spec.nodeId,
+            error: error.message
+          });
+          return { index, image: null, spec };
+        } finally {
+          // Report imports as they finish (older plugins don't provide progress)
+          if (typeof progress !== 'undefined') progress.report(++imported, imageSpecs.length, 'Imported ' + imported + ' of ' + imageSpecs.length + ' images');
+        }
+      });
+
+      const importedImages = await Promise.all(imageImportPromises);
+
+      // Step 2: Apply images to nodes in parallel
+      const applyPromises = importedImages.map(async ({ index, image, spec }) => {
+        if (!image) {
+          return { success: false, index };
+        }
+
+        try {
+          const node = figma.getNodeById(spec.nodeId);
+          if (!node) {
+            errors.push({
+              index,
+              nodeId: spec.nodeId,
+              error: 'Node not found'
+            });
+            return { success: false, index };
+          }
+
+          // Validate node supports fills
+          if (!('fills' in node)) {
+            errors.push({
+              index,
+              nodeId: spec.nodeId,
+              error: 'Node does not support fills'
+            });
+            return { success: false, index };
+          }
+
+          // Parse scaleMode (default: FILL)
+          const scaleMode = spec.scaleMode || 'FILL';
+          const opacity = spec.opacity !== undefined ? spec.opacity : 1;
+
+          // Create image paint
+          const imagePaint = {
+            type: 'IMAGE',
+            scaleMode: scaleMode,
+            imageHash: image.hash,
+            opacity: opacity
+          };
+
+          // Apply optional transformations
+          if (spec.rotation !== undefined) {
+            const rotationRadians = (spec.rotation * Math.PI) / 180;
+            imagePaint.rotation = rotationRadians;
+          }
+
+          if (scaleMode === 'TILE' && spec.tileScale !== undefined) {
+            imagePaint.scalingFactor = spec.tileScale;
+          }
+
+          if (scaleMode === 'CROP' && spec.crop) {
+            imagePaint.imageTransform = [
+              [spec.crop.x, 0, 0],
+              [0, spec.crop.y, 0]
+            ];
+          }
+
+          // Apply filters if provided (nested in filters object)
+          if (spec.filters) {
+            imagePaint.filters = {};
+            if (spec.filters.exposure !== undefined) imagePaint.filters.exposure = spec.filters.exposure;
+            if (spec.filters.contrast !== undefined) imagePaint.filters.contrast = spec.filters.contrast;
+            if (spec.filters.saturation !== undefined) imagePaint.filters.saturation = spec.filters.saturation;
+            if (spec.filters.temperature !== undefined) imagePaint.filters.temperature = spec.filters.temperature;
+            if (spec.filters.tint !== undefined) imagePaint.filters.tint = spec.filters.tint;
+            if (spec.filters.highlights !== undefined) imagePaint.filters.highlights = spec.filters.highlights;
+            if (spec.filters.shadows !== undefined) imagePaint.filters.shadows = spec.filters.shadows;
+          }
+
+          // Apply fill
+          node.fills = [imagePaint];
+
+          results.push({
+            success: true,
+            index,
+            nodeId: spec.nodeId,
+            nodeName: node.name,
+            imageHash: image.hash,
+            scaleMode: scaleMode
+          });
+
+          return { success: true, index };
+        } catch (error) {
+          errors.push({
+            index,
+            nodeId: spec.nodeId,
+            error: error.message
+          });
+          return { success: false, index };
+        }
+      });
+
+      await Promise.all(applyPromises);
+
+      return {
+        totalRequested: imageSpecs.length,
+        successful: results.length,
+        failed: errors.length,
+        results: results,
+        errors: errors
+      };
+    `
+  }
+};
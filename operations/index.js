@@ -0,0 +1,84 @@
+/**
+ * Operation Registry
+ *
+ * Named, versioned plugin scripts, one or more per tool. A plugin with
+ * the `operations` capability is sent each script once per connection (or
+ * ships with it, see the handshake's `operations` list) and afterwards only
+ * receives { op, args }. Older plugins are sent the script itself, so tools
+ * call api.runOperation(name, args) either way.
+ *
+ * Operation IDs are <name>@<version>. Bump the version whenever a script
+ * changes, so plugins that already have the old one are sent the new one.
+ *
+ * Write tools run their operations through the change journal. Each journal
+ * mode (see JOURNAL_MODES in utils/journal.js) is an operation of its own,
+ * <name>@<version>+<mode>.<journal version>, so it can be bundled like the
+ * plain one. The journal version (JOURNAL_VERSION) changes with the journal
+ * code wrapped around every script.
+ */
+
+const document = require('./document');
+const components = require('./components');
+const nodes = require('./nodes');
+const layout = require('./layout');
+const variables = require('./variables');
+const images = require('./images');
+const icons = require('./icons');
+const { JOURNAL_MODES, JOURNAL_VERSION, journalChanges } = require('../utils/journal');
+
+// name -> { version, description, script }
+const OPERATIONS = {
+  ...document,
+  ...components,
+  ...nodes,
+  ...layout,
+  ...variables,
+  ...images,
+  ...icons
+};
+
+/**
+ * Look up an operation
+ * @param {string} name - Operation name, e.g. 'modify_node'
+ * @param {string} journalMode - Optional: Journal mode, to get the journaled variant
+ * @returns {Object} { id, name, version, description, script }
+ * @throws {Error} If no operation has that name or journal mode
+ */
+function getOperation(name, journalMode) {
+  const definition = OPERATIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown operation: ${name}`);
+  }
+
+  const operation = {
+    id: `${name}@${definition.version}`,
+    name,
+    ...definition
+  };
+  if (!journalMode) {
+    return operation;
+  }
+
+  if (!JOURNAL_MODES[journalMode]) {
+    throw new Error(`Unknown journal mode: ${journalMode}`);
+  }
+  return {
+    ...operation,
+    id: `${operation.id}+${journalMode}.${JOURNAL_VERSION}`,
+    script: journalChanges(operation.script, JOURNAL_MODES[journalMode])
+  };
+}
+
+/**
+ * List every registered operation (e.g. to bundle them with a plugin build)
+ * Includes the journaled variants
+ * @returns {Array} Operations as returned by getOperation
+ */
+function listOperations() {
+  return Object.keys(OPERATIONS).flatMap(name => [
+    getOperation(name),
+    ...Object.keys(JOURNAL_MODES).map(mode => getOperation(name, mode))
+  ]);
+}
+
+module.exports = { getOperation, listOperations };
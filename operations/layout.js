@@ -0,0 +1,1042 @@
+/**
+ * Layout Operations
+ *
+ * Scripts behind the auto-layout tools.
+ * Each reads its inputs from `args`; see operations/index.js.
+ */
+
+module.exports = {
+  create_auto_layout: {
+    version: 1,
+    description: 'Create an auto-layout frame',
+    script: `
+      const { fills, cornerRadius, x, y } = args;
+
+      const frame = figma.createFrame();
+      frame.name = args.name;
+
+      // Set auto-layout properties
+      frame.layoutMode = args.layoutMode;
+      frame.itemSpacing = args.itemSpacing;
+      frame.paddingLeft = args.paddingLeft;
+      frame.paddingRight = args.paddingRight;
+      frame.paddingTop = args.paddingTop;
+      frame.paddingBottom = args.paddingBottom;
+      frame.primaryAxisSizingMode = args.primaryAxisSizingMode;
+      frame.counterAxisSizingMode = args.counterAxisSizingMode;
+
+      // Set size - must be after sizing modes
+      frame.resize(args.width, args.height);
+
+      // Set fills
+      if (fills.length > 0) {
+        frame.fills = fills;
+      }
+
+      // Set corner radius
+      if (cornerRadius > 0) {
+        frame.cornerRadius = cornerRadius;
+      }
+
+      // Set position if provided
+      if (x !== undefined) frame.x = x;
+      if (y !== undefined) frame.y = y;
+
+      // Add to current page
+      figma.currentPage.appendChild(frame);
+
+      // Center in viewport if no position specified
+      if (x === undefined && y === undefined) {
+        figma.viewport.scrollAndZoomIntoView([frame]);
+      }
+
+      return {
+        id: frame.id,
+        name: frame.name,
+        width: frame.width,
+        height: frame.height,
+        x: frame.x,
+        y: frame.y,
+        layoutMode: frame.layoutMode,
+        itemSpacing: frame.itemSpacing,
+        primaryAxisSizingMode: frame.primaryAxisSizingMode,
+        counterAxisSizingMode: frame.counterAxisSizingMode,
+        padding: {
+          left: frame.paddingLeft,
+          right: frame.paddingRight,
+          top: frame.paddingTop,
+          bottom: frame.paddingBottom
+        },
+        success: true
+      };
+    `
+  },
+
+  apply_responsive_pattern: {
+    version: 1,
+    description: 'Set FILL/HUG sizing on auto-layout children, optionally recursively',
+    script: `
+      const { nodeId, recursive, dryRun, exceptionMap } = args;
+
+      const rootNode = figma.getNodeById(nodeId);
+      if (!rootNode) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      const changes = [];
+      const skipped = [];
+
+      /**
+       * Apply the Flexbox Fractal Pattern to a node's children
+       */
+      function applyPattern(node) {
+        // Only process auto-layout containers
+        if (node.layoutMode === 'NONE') {
+          return;
+        }
+
+        const isVertical = node.layoutMode === 'VERTICAL';
+        const isHorizontal = node.layoutMode === 'HORIZONTAL';
+
+        if (!isVertical && !isHorizontal) {
+          return;
+        }
+
+        // Process all direct children
+        for (const child of node.children) {
+          const childId = child.id;
+
+          // Check if this child is in exceptions list
+          if (exceptionMap[childId]) {
+            const exceptionSizing = exceptionMap[childId];
+
+            // Apply exception sizing
+            if (!dryRun) {
+              if (typeof exceptionSizing === 'string') {
+                // Simple string: 'FIXED' means both directions
+                child.layoutSizingHorizontal = exceptionSizing;
+                child.layoutSizingVertical = exceptionSizing;
+              } else {
+                // Object with horizontal/vertical specified
+                if (exceptionSizing.horizontal) {
+                  child.layoutSizingHorizontal = exceptionSizing.horizontal;
+                }
+                if (exceptionSizing.vertical) {
+                  child.layoutSizingVertical = exceptionSizing.vertical;
+                }
+              }
+            }
+
+            skipped.push({
+              id: childId,
+              name: child.name,
+              reason: 'exception',
+              sizing: exceptionSizing
+            });
+
+            // Still recurse into exception nodes if recursive enabled
+            if (recursive && child.children) {
+              applyPattern(child);
+            }
+
+            continue;
+          }
+
+          // Get current sizing
+          const currentHorizontal = child.layoutSizingHorizontal || 'HUG';
+          const currentVertical = child.layoutSizingVertical || 'HUG';
+
+          // Calculate target sizing based on parent's layoutMode
+          let targetHorizontal, targetVertical;
+
+          if (isVertical) {
+            // VERTICAL parent → children FILL width, HUG height
+            targetHorizontal = 'FILL';
+            targetVertical = 'HUG';
+          } else {
+            // HORIZONTAL parent → children HUG width, FILL height
+            targetHorizontal = 'HUG';
+            targetVertical = 'FILL';
+          }
+
+          // Only apply if there's a change
+          const horizontalChanged = currentHorizontal !== targetHorizontal;
+          const verticalChanged = currentVertical !== targetVertical;
+
+          if (horizontalChanged || verticalChanged) {
+            if (!dryRun) {
+              if (horizontalChanged) {
+                child.layoutSizingHorizontal = targetHorizontal;
+              }
+              if (verticalChanged) {
+                child.layoutSizingVertical = targetVertical;
+              }
+            }
+
+            changes.push({
+              id: childId,
+              name: child.name,
+              type: child.type,
+              parentMode: node.layoutMode,
+              before: {
+                horizontal: currentHorizontal,
+                vertical: currentVertical
+              },
+              after: {
+                horizontal: targetHorizontal,
+                vertical: targetVertical
+              },
+              applied: !dryRun
+            });
+          }
+
+          // Recurse into child if it has children and recursive is enabled
+          if (recursive && child.children) {
+            applyPattern(child);
+          }
+        }
+      }
+
+      // Start pattern application
+      applyPattern(rootNode);
+
+      return {
+        success: true,
+        nodeId: nodeId,
+        nodeName: rootNode.name,
+        recursive: recursive,
+        dryRun: dryRun,
+        totalChanges: changes.length,
+        totalExceptions: skipped.length,
+        changes: changes,
+        exceptions: skipped
+      };
+    `
+  },
+
+  add_children: {
+    version: 1,
+    description: 'Create child nodes inside a parent',
+    script: `
+      const { parentId, children } = args;
+
+      const parent = figma.getNodeById(parentId);
+      if (!parent) {
+        throw new Error("Parent node not found: " + parentId);
+      }
+
+      const createdNodes = [];
+
+      // Look up all variables once (performance optimization for bindings)
+      const allVars = await figma.variables.getLocalVariablesAsync();
+
+      for (const childSpec of children) {
+        let child = null;
+
+        switch (childSpec.type) {
+          case 'instance':
+            // Create instance of component
+            const component = figma.getNodeById(childSpec.componentId);
+            if (!component || component.type !== 'COMPONENT') {
+              throw new Error(\`Component not found: \${childSpec.componentId}\`);
+            }
+            child = component.createInstance();
+            child.name = childSpec.name;
+
+            // NEW: Set component properties if provided (Issue #2)
+            if (childSpec.componentProperties) {
+              child.setProperties(childSpec.componentProperties);
+            }
+            break;
+
+          case 'text':
+            // Create text node - it starts with Inter Regular font by default
+            // Must load Inter Regular first before doing anything
+            await figma.loadFontAsync({ family: 'Inter', style: 'Regular' });
+            child = figma.createText();
+            child.name = childSpec.name;
+
+            // Apply text style if provided
+            if (childSpec.textStyleId) {
+              const textStyle = figma.getStyleById(childSpec.textStyleId);
+              if (textStyle && textStyle.type === 'TEXT') {
+                // Load the font from the text style
+                await figma.loadFontAsync(textStyle.fontName);
+                // Apply text style (this changes the font)
+                child.textStyleId = childSpec.textStyleId;
+                // Now set the text content
+                child.characters = childSpec.characters || '';
+              } else {
+                throw new Error(\`Text style not found or invalid: \${childSpec.textStyleId}\`);
+              }
+            } else {
+              // Use manual font specifications with normalization
+              const fontFamily = childSpec.fontFamily || 'DM Sans';
+              const fontStyle = childSpec.fontStyle || 'Regular';
+
+              // Load font with normalization - inlined code
+              const normalizeFontStyle = function(styleName) {
+                const standardStyles = {
+                  'Thin': ['Thin', 'Hairline', 'Extra Thin'],
+                  'ExtraLight': ['ExtraLight', 'Extra Light', 'Extralight', 'Ultra Light', 'UltraLight'],
+                  'Light': ['Light'],
+                  'Regular': ['Regular', 'Normal', 'Book'],
+                  'Medium': ['Medium'],
+                  'SemiBold': ['SemiBold', 'Semi Bold', 'Semibold', 'Medium', 'Demi Bold', 'DemiBold'],
+                  'Bold': ['Bold'],
+                  'ExtraBold': ['ExtraBold', 'Extra Bold', 'Extrabold', 'Black', 'Heavy', 'Ultra Bold', 'UltraBold'],
+                  'Black': ['Black', 'Heavy', 'Extra Black', 'ExtraBlack', 'Ultra Black', 'UltraBlack']
+                };
+                for (const [standard, aliases] of Object.entries(standardStyles)) {
+                  if (standard.toLowerCase() === styleName.toLowerCase()) return aliases;
+                }
+                return [styleName];
+              };
+
+              const stylesToTry = normalizeFontStyle(fontStyle);
+              let loadedFont = null;
+
+              for (const styleVariant of stylesToTry) {
+                try {
+                  const fontName = { family: fontFamily, style: styleVariant };
+                  await figma.loadFontAsync(fontName);
+                  loadedFont = fontName;
+                  break;
+                } catch (err) {
+                  continue;
+                }
+              }
+
+              if (!loadedFont) {
+                throw new Error(\`Font "\${fontFamily}" does not have any of these styles: \${stylesToTry.join(', ')}. Please check available font styles in Figma.\`);
+              }
+
+              child.fontName = loadedFont;
+              child.fontSize = childSpec.fontSize || 16;
+              child.characters = childSpec.characters || '';
+            }
+
+            if (childSpec.fills) {
+              child.fills = childSpec.fills;
+            }
+
+            // Text alignment
+            if (childSpec.textAlignHorizontal) {
+              child.textAlignHorizontal = childSpec.textAlignHorizontal;
+            }
+            if (childSpec.textAlignVertical) {
+              child.textAlignVertical = childSpec.textAlignVertical;
+            }
+
+            // Line height
+            if (childSpec.lineHeight) {
+              child.lineHeight = childSpec.lineHeight;
+            }
+
+            // Text auto resize mode - CRITICAL for responsive text
+            // Set BEFORE adding to parent
+            if (childSpec.layoutSizingHorizontal === 'FILL' || childSpec.layoutSizingHorizontal === 'FIXED') {
+              child.textAutoResize = 'HEIGHT';  // Fixed width, auto height (enables wrapping)
+            } else {
+              child.textAutoResize = childSpec.textAutoResize || 'WIDTH_AND_HEIGHT';
+            }
+
+            // layoutSizing* will be applied after appendChild using childSpec
+            break;
+
+          case 'frame':
+            // Create frame
+            child = figma.createFrame();
+            child.name = childSpec.name;
+
+            // Set dimensions ONLY if explicitly specified (for FIXED sizing)
+            // If not specified, rely on responsive sizing (FILL/HUG) instead
+            if (childSpec.width !== undefined && childSpec.height !== undefined) {
+              child.resize(childSpec.width, childSpec.height);
+            } else if (childSpec.width !== undefined) {
+              child.resize(childSpec.width, child.height);
+            } else if (childSpec.height !== undefined) {
+              child.resize(child.width, childSpec.height);
+            }
+            // If no dimensions specified, don't resize - let responsive sizing handle it
+
+            // Set layout mode and properties
+            if (childSpec.layoutMode) {
+              child.layoutMode = childSpec.layoutMode;
+
+              // Item spacing
+              if (childSpec.itemSpacing !== undefined) {
+                child.itemSpacing = childSpec.itemSpacing;
+              }
+
+              // Padding - support both unified and individual
+              if (childSpec.padding !== undefined) {
+                child.paddingLeft = childSpec.padding;
+                child.paddingRight = childSpec.padding;
+                child.paddingTop = childSpec.padding;
+                child.paddingBottom = childSpec.padding;
+              }
+              if (childSpec.paddingLeft !== undefined) child.paddingLeft = childSpec.paddingLeft;
+              if (childSpec.paddingRight !== undefined) child.paddingRight = childSpec.paddingRight;
+              if (childSpec.paddingTop !== undefined) child.paddingTop = childSpec.paddingTop;
+              if (childSpec.paddingBottom !== undefined) child.paddingBottom = childSpec.paddingBottom;
+
+              // Alignment
+              if (childSpec.primaryAxisAlignItems) child.primaryAxisAlignItems = childSpec.primaryAxisAlignItems;
+              if (childSpec.counterAxisAlignItems) child.counterAxisAlignItems = childSpec.counterAxisAlignItems;
+
+              // Sizing modes
+              if (childSpec.primaryAxisSizingMode) child.primaryAxisSizingMode = childSpec.primaryAxisSizingMode;
+              if (childSpec.counterAxisSizingMode) child.counterAxisSizingMode = childSpec.counterAxisSizingMode;
+            }
+
+            // Corner radius - support both unified and individual
+            if (childSpec.cornerRadius !== undefined) {
+              child.cornerRadius = childSpec.cornerRadius;
+            }
+            if (childSpec.topLeftRadius !== undefined) child.topLeftRadius = childSpec.topLeftRadius;
+            if (childSpec.topRightRadius !== undefined) child.topRightRadius = childSpec.topRightRadius;
+            if (childSpec.bottomLeftRadius !== undefined) child.bottomLeftRadius = childSpec.bottomLeftRadius;
+            if (childSpec.bottomRightRadius !== undefined) child.bottomRightRadius = childSpec.bottomRightRadius;
+
+            // Layout sizing will be applied AFTER appendChild (deferred)
+
+            // Appearance
+            if (childSpec.fills) {
+              child.fills = childSpec.fills;
+            }
+            if (childSpec.strokes) {
+              child.strokes = childSpec.strokes;
+              if (childSpec.strokeWeight !== undefined) child.strokeWeight = childSpec.strokeWeight;
+            }
+            break;
+
+          case 'rectangle':
+            // Create rectangle
+            child = figma.createRectangle();
+            child.name = childSpec.name;
+
+            // Set dimensions ONLY if explicitly specified
+            if (childSpec.width !== undefined && childSpec.height !== undefined) {
+              child.resize(childSpec.width, childSpec.height);
+            } else if (childSpec.width !== undefined) {
+              child.resize(childSpec.width, child.height);
+            } else if (childSpec.height !== undefined) {
+              child.resize(child.width, childSpec.height);
+            }
+            // If no dimensions specified, don't resize
+
+            // Corner radius
+            if (childSpec.cornerRadius !== undefined) {
+              child.cornerRadius = childSpec.cornerRadius;
+            }
+
+            // Layout sizing will be applied AFTER appendChild (deferred)
+
+            // Appearance
+            if (childSpec.fills) {
+              child.fills = childSpec.fills;
+            }
+            if (childSpec.strokes) {
+              child.strokes = childSpec.strokes;
+              if (childSpec.strokeWeight !== undefined) child.strokeWeight = childSpec.strokeWeight;
+            }
+            break;
+        }
+
+        // NEW: Apply variable bindings if provided (Issue #3)
+        if (child && childSpec.bindings) {
+          for (const [property, bindingValue] of Object.entries(childSpec.bindings)) {
+            try {
+              // Support both formats:
+              // 1. Simple string: {fills: "Fills/card-background"}
+              // 2. Array format: {fills: [{type: "VARIABLE", variableName: "Fills/card-background"}]}
+              // 3. Object format: {paddingTop: {variableName: "Spacing/spacing-4"}}
+
+              let variableName;
+              if (typeof bindingValue === 'string') {
+                variableName = bindingValue;
+              } else if (Array.isArray(bindingValue) && bindingValue[0]?.variableName) {
+                variableName = bindingValue[0].variableName;
+              } else if (bindingValue?.variableName) {
+                variableName = bindingValue.variableName;
+              } else {
+                continue;
+              }
+
+              const variable = allVars.find(v => v.name === variableName);
+              if (variable) {
+                // Use same logic as bind_variable tool
+                if (property === 'fills') {
+                  const fills = child.fills && child.fills.length > 0
+                    ? child.fills
+                    : [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, visible: true }];
+                  const boundPaint = figma.variables.setBoundVariableForPaint(fills[0], 'color', variable);
+                  boundPaint.visible = true;
+                  child.fills = [boundPaint];
+                } else if (property === 'strokes') {
+                  const strokes = child.strokes && child.strokes.length > 0
+                    ? child.strokes
+                    : [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 }, visible: true }];
+                  const boundPaint = figma.variables.setBoundVariableForPaint(strokes[0], 'color', variable);
+                  boundPaint.visible = true;
+                  child.strokes = [boundPaint];
+                } else {
+                  child.setBoundVariable(property, variable);
+                }
+              }
+            } catch (err) {
+              // Continue on binding errors - don't fail entire operation
+              console.warn(\`Failed to bind \${property} to \${bindingValue}: \${err.message}\`);
+            }
+          }
+        }
+
+        // NEW: Apply styles if provided (effectStyleId, fillStyleId, strokeStyleId)
+        if (child) {
+          if (childSpec.effectStyleId) {
+            try {
+              child.effectStyleId = childSpec.effectStyleId;
+            } catch (err) {
+              console.warn(\`Failed to apply effect style: \${err.message}\`);
+            }
+          }
+          if (childSpec.fillStyleId) {
+            try {
+              child.fillStyleId = childSpec.fillStyleId;
+            } catch (err) {
+              console.warn(\`Failed to apply fill style: \${err.message}\`);
+            }
+          }
+          if (childSpec.strokeStyleId) {
+            try {
+              child.strokeStyleId = childSpec.strokeStyleId;
+            } catch (err) {
+              console.warn(\`Failed to apply stroke style: \${err.message}\`);
+            }
+          }
+        }
+
+        // NEW: Recursively add nested children if provided
+        if (child && childSpec.children && Array.isArray(childSpec.children)) {
+          // Recursively process nested children
+          for (const nestedChildSpec of childSpec.children) {
+            let nestedChild = null;
+
+            switch (nestedChildSpec.type) {
+              case 'instance':
+                const nestedComponent = figma.getNodeById(nestedChildSpec.componentId);
+                if (nestedComponent && nestedComponent.type === 'COMPONENT') {
+                  nestedChild = nestedComponent.createInstance();
+                  nestedChild.name = nestedChildSpec.name;
+                  if (nestedChildSpec.componentProperties) {
+                    nestedChild.setProperties(nestedChildSpec.componentProperties);
+                  }
+                }
+                break;
+
+              case 'text':
+                await figma.loadFontAsync({ family: 'Inter', style: 'Regular' });
+                nestedChild = figma.createText();
+                nestedChild.name = nestedChildSpec.name;
+
+                if (nestedChildSpec.textStyleId) {
+                  const textStyle = figma.getStyleById(nestedChildSpec.textStyleId);
+                  if (textStyle && textStyle.type === 'TEXT') {
+                    await figma.loadFontAsync(textStyle.fontName);
+                    nestedChild.textStyleId = nestedChildSpec.textStyleId;
+                    nestedChild.characters = nestedChildSpec.characters || '';
+                  }
+                } else {
+                  const fontFamily = nestedChildSpec.fontFamily || 'DM Sans';
+                  const fontStyle = nestedChildSpec.fontStyle || 'Regular';
+
+                  // Load font with normalization (same logic as parent text)
+                  const normalizeFontStyle = function(styleName) {
+                    const standardStyles = {
+                      'SemiBold': ['SemiBold', 'Semi Bold', 'Semibold', 'Medium', 'Demi Bold', 'DemiBold'],
+                      'Bold': ['Bold'],
+                      'Medium': ['Medium'],
+                      'Regular': ['Regular', 'Normal', 'Book'],
+                      'ExtraBold': ['ExtraBold', 'Extra Bold', 'Extrabold', 'Black', 'Heavy']
+                    };
+                    for (const [standard, aliases] of Object.entries(standardStyles)) {
+                      if (standard.toLowerCase() === styleName.toLowerCase()) return aliases;
+                    }
+                    return [styleName];
+                  };
+
+                  const stylesToTry = normalizeFontStyle(fontStyle);
+                  let loadedFont = null;
+                  for (const styleVariant of stylesToTry) {
+                    try {
+                      const fontName = { family: fontFamily, style: styleVariant };
+                      await figma.loadFontAsync(fontName);
+                      loadedFont = fontName;
+                      break;
+                    } catch (err) {
+                      continue;
+                    }
+                  }
+
+                  if (!loadedFont) {
+                    throw new Error(\`Font "\${fontFamily}" does not have any of these styles: \${stylesToTry.join(', ')}\`);
+                  }
+
+                  nestedChild.fontName = loadedFont;
+                  nestedChild.fontSize = nestedChildSpec.fontSize || 16;
+                  nestedChild.characters = nestedChildSpec.characters || '';
+                }
+
+                if (nestedChildSpec.textAlignHorizontal) {
+                  nestedChild.textAlignHorizontal = nestedChildSpec.textAlignHorizontal;
+                }
+
+                if (nestedChildSpec.fills) {
+                  nestedChild.fills = nestedChildSpec.fills;
+                }
+
+                // Line height
+                if (nestedChildSpec.lineHeight) {
+                  nestedChild.lineHeight = nestedChildSpec.lineHeight;
+                }
+
+                // Text auto resize mode - CRITICAL for responsive text
+                if (nestedChildSpec.layoutSizingHorizontal === 'FILL' || nestedChildSpec.layoutSizingHorizontal === 'FIXED') {
+                  nestedChild.textAutoResize = 'HEIGHT';
+                } else {
+                  nestedChild.textAutoResize = nestedChildSpec.textAutoResize || 'WIDTH_AND_HEIGHT';
+                }
+
+                // layoutSizing* will be applied after appendChild using nestedChildSpec
+                break;
+
+              case 'frame':
+                nestedChild = figma.createFrame();
+                nestedChild.name = nestedChildSpec.name;
+
+                // Set dimensions ONLY if explicitly specified (for FIXED sizing)
+                if (nestedChildSpec.width !== undefined && nestedChildSpec.height !== undefined) {
+                  nestedChild.resize(nestedChildSpec.width, nestedChildSpec.height);
+                } else if (nestedChildSpec.width !== undefined) {
+                  nestedChild.resize(nestedChildSpec.width, nestedChild.height);
+                } else if (nestedChildSpec.height !== undefined) {
+                  nestedChild.resize(nestedChild.width, nestedChildSpec.height);
+                }
+                // If no dimensions specified, don't resize - let responsive sizing handle it
+
+                if (nestedChildSpec.layoutMode) {
+                  nestedChild.layoutMode = nestedChildSpec.layoutMode;
+                  if (nestedChildSpec.itemSpacing !== undefined) nestedChild.itemSpacing = nestedChildSpec.itemSpacing;
+                  if (nestedChildSpec.padding !== undefined) {
+                    nestedChild.paddingLeft = nestedChildSpec.padding;
+                    nestedChild.paddingRight = nestedChildSpec.padding;
+                    nestedChild.paddingTop = nestedChildSpec.padding;
+                    nestedChild.paddingBottom = nestedChildSpec.padding;
+                  }
+                  if (nestedChildSpec.paddingLeft !== undefined) nestedChild.paddingLeft = nestedChildSpec.paddingLeft;
+                  if (nestedChildSpec.paddingRight !== undefined) nestedChild.paddingRight = nestedChildSpec.paddingRight;
+                  if (nestedChildSpec.paddingTop !== undefined) nestedChild.paddingTop = nestedChildSpec.paddingTop;
+                  if (nestedChildSpec.paddingBottom !== undefined) nestedChild.paddingBottom = nestedChildSpec.paddingBottom;
+                  if (nestedChildSpec.primaryAxisAlignItems) nestedChild.primaryAxisAlignItems = nestedChildSpec.primaryAxisAlignItems;
+                  if (nestedChildSpec.counterAxisAlignItems) nestedChild.counterAxisAlignItems = nestedChildSpec.counterAxisAlignItems;
+                  if (nestedChildSpec.primaryAxisSizingMode) nestedChild.primaryAxisSizingMode = nestedChildSpec.primaryAxisSizingMode;
+                  if (nestedChildSpec.counterAxisSizingMode) nestedChild.counterAxisSizingMode = nestedChildSpec.counterAxisSizingMode;
+                }
+
+                if (nestedChildSpec.cornerRadius !== undefined) nestedChild.cornerRadius = nestedChildSpec.cornerRadius;
+                if (nestedChildSpec.topLeftRadius !== undefined) nestedChild.topLeftRadius = nestedChildSpec.topLeftRadius;
+                if (nestedChildSpec.topRightRadius !== undefined) nestedChild.topRightRadius = nestedChildSpec.topRightRadius;
+                if (nestedChildSpec.bottomLeftRadius !== undefined) nestedChild.bottomLeftRadius = nestedChildSpec.bottomLeftRadius;
+                if (nestedChildSpec.bottomRightRadius !== undefined) nestedChild.bottomRightRadius = nestedChildSpec.bottomRightRadius;
+
+                // Layout sizing will be applied AFTER appendChild (deferred)
+
+                if (nestedChildSpec.fills) nestedChild.fills = nestedChildSpec.fills;
+                if (nestedChildSpec.strokes) {
+                  nestedChild.strokes = nestedChildSpec.strokes;
+                  if (nestedChildSpec.strokeWeight !== undefined) nestedChild.strokeWeight = nestedChildSpec.strokeWeight;
+                }
+                break;
+
+              case 'rectangle':
+                nestedChild = figma.createRectangle();
+                nestedChild.name = nestedChildSpec.name;
+
+                // Set dimensions ONLY if explicitly specified
+                if (nestedChildSpec.width !== undefined && nestedChildSpec.height !== undefined) {
+                  nestedChild.resize(nestedChildSpec.width, nestedChildSpec.height);
+                } else if (nestedChildSpec.width !== undefined) {
+                  nestedChild.resize(nestedChildSpec.width, nestedChild.height);
+                } else if (nestedChildSpec.height !== undefined) {
+                  nestedChild.resize(nestedChild.width, nestedChildSpec.height);
+                }
+                // If no dimensions specified, don't resize
+
+                if (nestedChildSpec.cornerRadius !== undefined) nestedChild.cornerRadius = nestedChildSpec.cornerRadius;
+
+                // Layout sizing will be applied AFTER appendChild (deferred)
+
+                if (nestedChildSpec.fills) nestedChild.fills = nestedChildSpec.fills;
+                if (nestedChildSpec.strokes) {
+                  nestedChild.strokes = nestedChildSpec.strokes;
+                  if (nestedChildSpec.strokeWeight !== undefined) nestedChild.strokeWeight = nestedChildSpec.strokeWeight;
+                }
+                break;
+            }
+
+            // Apply bindings to nested child
+            if (nestedChild && nestedChildSpec.bindings) {
+              for (const [property, bindingValue] of Object.entries(nestedChildSpec.bindings)) {
+                try {
+                  let variableName;
+                  if (typeof bindingValue === 'string') {
+                    variableName = bindingValue;
+                  } else if (Array.isArray(bindingValue) && bindingValue[0]?.variableName) {
+                    variableName = bindingValue[0].variableName;
+                  } else if (bindingValue?.variableName) {
+                    variableName = bindingValue.variableName;
+                  } else {
+                    continue;
+                  }
+
+                  const variable = allVars.find(v => v.name === variableName);
+                  if (variable) {
+                    if (property === 'fills') {
+                      const fills = nestedChild.fills && nestedChild.fills.length > 0
+                        ? nestedChild.fills
+                        : [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, visible: true }];
+                      const boundPaint = figma.variables.setBoundVariableForPaint(fills[0], 'color', variable);
+                      boundPaint.visible = true;
+                      nestedChild.fills = [boundPaint];
+                    } else if (property === 'strokes') {
+                      const strokes = nestedChild.strokes && nestedChild.strokes.length > 0
+                        ? nestedChild.strokes
+                        : [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 }, visible: true }];
+                      const boundPaint = figma.variables.setBoundVariableForPaint(strokes[0], 'color', variable);
+                      boundPaint.visible = true;
+                      nestedChild.strokes = [boundPaint];
+                    } else {
+                      nestedChild.setBoundVariable(property, variable);
+                    }
+                  }
+                } catch (err) {
+                  console.warn(\`Failed to bind \${property} on nested child: \${err.message}\`);
+                }
+              }
+            }
+
+            if (nestedChild) {
+              // AUTOMATIC RESPONSIVE DEFAULTS for nested children based on parent's layout mode
+              // Only apply if parent (child) is an auto-layout frame
+              try {
+                if (child.layoutMode && child.layoutMode !== 'NONE') {
+                  if (child.layoutMode === 'VERTICAL') {
+                    // VERTICAL parent → children should FILL width and HUG height
+                    if (nestedChildSpec.layoutSizingHorizontal === undefined) {
+                      nestedChild.layoutSizingHorizontal = 'FILL';
+                    }
+                    if (nestedChildSpec.layoutSizingVertical === undefined) {
+                      nestedChild.layoutSizingVertical = 'HUG';
+                    }
+                  } else if (child.layoutMode === 'HORIZONTAL') {
+                    // HORIZONTAL parent → children should HUG width and FILL height
+                    if (nestedChildSpec.layoutSizingHorizontal === undefined) {
+                      nestedChild.layoutSizingHorizontal = 'HUG';
+                    }
+                    if (nestedChildSpec.layoutSizingVertical === undefined) {
+                      nestedChild.layoutSizingVertical = 'FILL';
+                    }
+                  }
+                }
+              } catch (err) {
+                // Silently fail if responsive defaults can't be applied
+                console.warn('Could not apply responsive defaults to nested child:', err.message);
+              }
+
+              child.appendChild(nestedChild);
+
+              // Apply layout sizing for ALL nested node types (must be done AFTER appendChild)
+              // This enables declarative layout sizing specification (Issue #27)
+              if (nestedChildSpec.layoutSizingHorizontal || nestedChildSpec.layoutSizingVertical || nestedChildSpec.layoutAlign) {
+                try {
+                  if (nestedChildSpec.layoutSizingHorizontal) {
+                    nestedChild.layoutSizingHorizontal = nestedChildSpec.layoutSizingHorizontal;
+                  }
+                  if (nestedChildSpec.layoutSizingVertical) {
+                    nestedChild.layoutSizingVertical = nestedChildSpec.layoutSizingVertical;
+                  }
+                  if (nestedChildSpec.layoutAlign) {
+                    nestedChild.layoutAlign = nestedChildSpec.layoutAlign;
+                  }
+                } catch (err) {
+                  console.warn(\`Failed to apply layout sizing to nested child: \${err.message}\`);
+                }
+              }
+            }
+          }
+        }
+
+        if (child) {
+          // AUTOMATIC RESPONSIVE DEFAULTS based on parent's layout mode
+          // Only apply if parent is an auto-layout frame and user hasn't explicitly set these properties
+          try {
+            if (parent.layoutMode && parent.layoutMode !== 'NONE') {
+              if (parent.layoutMode === 'VERTICAL') {
+                // VERTICAL parent → children should FILL width and HUG height
+                if (childSpec.layoutSizingHorizontal === undefined) {
+                  child.layoutSizingHorizontal = 'FILL';
+                }
+                if (childSpec.layoutSizingVertical === undefined) {
+                  child.layoutSizingVertical = 'HUG';
+                }
+              } else if (parent.layoutMode === 'HORIZONTAL') {
+                // HORIZONTAL parent → children should HUG width and FILL height
+                if (childSpec.layoutSizingHorizontal === undefined) {
+                  child.layoutSizingHorizontal = 'HUG';
+                }
+                if (childSpec.layoutSizingVertical === undefined) {
+                  child.layoutSizingVertical = 'FILL';
+                }
+              }
+            }
+          } catch (err) {
+            // Silently fail if responsive defaults can't be applied (e.g., parent isn't auto-layout)
+            console.warn('Could not apply responsive defaults:', err.message);
+          }
+
+          parent.appendChild(child);
+
+          // Apply layout sizing for ALL node types (must be done AFTER appendChild)
+          // This enables declarative layout sizing specification (Issue #27)
+          if (childSpec.layoutSizingHorizontal || childSpec.layoutSizingVertical || childSpec.layoutAlign) {
+            try {
+              if (childSpec.layoutSizingHorizontal) {
+                child.layoutSizingHorizontal = childSpec.layoutSizingHorizontal;
+              }
+              if (childSpec.layoutSizingVertical) {
+                child.layoutSizingVertical = childSpec.layoutSizingVertical;
+              }
+              if (childSpec.layoutAlign) {
+                child.layoutAlign = childSpec.layoutAlign;
+              }
+            } catch (err) {
+              console.warn(\`Failed to apply layout sizing: \${err.message}\`);
+            }
+          }
+
+          createdNodes.push({
+            id: child.id,
+            name: child.name,
+            type: child.type
+          });
+        }
+      }
+
+      return {
+        parentId: parent.id,
+        parentName: parent.name,
+        childrenCreated: createdNodes.length,
+        children: createdNodes,
+        success: true
+      };
+    `
+  },
+
+  wrap_in_container: {
+    version: 1,
+    description: 'Wrap nodes in a new auto-layout container',
+    script: `
+      const { nodeIds, containerSpec, wrappedNodesLayout } = args;
+
+      // Get all nodes to wrap
+      const nodesToWrap = [];
+      for (const nodeId of nodeIds) {
+        const node = figma.getNodeById(nodeId);
+        if (!node) {
+          throw new Error(\`Node not found: \${nodeId}\`);
+        }
+        nodesToWrap.push(node);
+      }
+
+      // Get the parent of the first node (all nodes should be in same parent)
+      const firstNode = nodesToWrap[0];
+      const originalParent = firstNode.parent;
+      const insertIndex = originalParent.children.indexOf(firstNode);
+
+      // Create container frame
+      const container = figma.createFrame();
+      container.name = containerSpec.name;
+
+      // Set layout mode (required)
+      container.layoutMode = containerSpec.layoutMode;
+
+      // Set dimensions if specified (use FIXED sizing)
+      // HORIZONTAL: primaryAxis=horizontal(width), counterAxis=vertical(height)
+      // VERTICAL: primaryAxis=vertical(height), counterAxis=horizontal(width)
+      if (containerSpec.width !== undefined && containerSpec.height !== undefined) {
+        container.resize(containerSpec.width, containerSpec.height);
+        if (containerSpec.layoutMode === 'HORIZONTAL') {
+          container.primaryAxisSizingMode = 'FIXED';   // width (primary in HORIZONTAL)
+          container.counterAxisSizingMode = 'FIXED';   // height (counter in HORIZONTAL)
+        } else if (containerSpec.layoutMode === 'VERTICAL') {
+          container.counterAxisSizingMode = 'FIXED';   // width (counter in VERTICAL)
+          container.primaryAxisSizingMode = 'FIXED';   // height (primary in VERTICAL)
+        }
+      } else if (containerSpec.width !== undefined) {
+        container.resize(containerSpec.width, container.height);
+        if (containerSpec.layoutMode === 'HORIZONTAL') {
+          container.primaryAxisSizingMode = 'FIXED';   // width
+        } else if (containerSpec.layoutMode === 'VERTICAL') {
+          container.counterAxisSizingMode = 'FIXED';   // width
+        }
+      } else if (containerSpec.height !== undefined) {
+        container.resize(container.width, containerSpec.height);
+        if (containerSpec.layoutMode === 'HORIZONTAL') {
+          container.counterAxisSizingMode = 'FIXED';   // height
+        } else if (containerSpec.layoutMode === 'VERTICAL') {
+          container.primaryAxisSizingMode = 'FIXED';   // height
+        }
+      }
+      // If no dimensions, let it size based on children (AUTO/HUG)
+
+      // Set auto-layout properties
+      if (containerSpec.itemSpacing !== undefined) {
+        container.itemSpacing = containerSpec.itemSpacing;
+      }
+
+      // Padding
+      if (containerSpec.padding !== undefined) {
+        container.paddingLeft = containerSpec.padding;
+        container.paddingRight = containerSpec.padding;
+        container.paddingTop = containerSpec.padding;
+        container.paddingBottom = containerSpec.padding;
+      }
+      if (containerSpec.paddingLeft !== undefined) container.paddingLeft = containerSpec.paddingLeft;
+      if (containerSpec.paddingRight !== undefined) container.paddingRight = containerSpec.paddingRight;
+      if (containerSpec.paddingTop !== undefined) container.paddingTop = containerSpec.paddingTop;
+      if (containerSpec.paddingBottom !== undefined) container.paddingBottom = containerSpec.paddingBottom;
+
+      // Alignment
+      if (containerSpec.primaryAxisAlignItems) container.primaryAxisAlignItems = containerSpec.primaryAxisAlignItems;
+      if (containerSpec.counterAxisAlignItems) container.counterAxisAlignItems = containerSpec.counterAxisAlignItems;
+
+      // Sizing modes
+      if (containerSpec.primaryAxisSizingMode) container.primaryAxisSizingMode = containerSpec.primaryAxisSizingMode;
+      if (containerSpec.counterAxisSizingMode) container.counterAxisSizingMode = containerSpec.counterAxisSizingMode;
+
+      // Corner radius
+      if (containerSpec.cornerRadius !== undefined) {
+        container.cornerRadius = containerSpec.cornerRadius;
+      }
+      if (containerSpec.topLeftRadius !== undefined) container.topLeftRadius = containerSpec.topLeftRadius;
+      if (containerSpec.topRightRadius !== undefined) container.topRightRadius = containerSpec.topRightRadius;
+      if (containerSpec.bottomLeftRadius !== undefined) container.bottomLeftRadius = containerSpec.bottomLeftRadius;
+      if (containerSpec.bottomRightRadius !== undefined) container.bottomRightRadius = containerSpec.bottomRightRadius;
+
+      // Appearance
+      if (containerSpec.fills) container.fills = containerSpec.fills;
+      if (containerSpec.strokes) {
+        container.strokes = containerSpec.strokes;
+        if (containerSpec.strokeWeight !== undefined) container.strokeWeight = containerSpec.strokeWeight;
+      }
+
+      // Insert container into original parent at the position of first wrapped node
+      originalParent.insertChild(insertIndex, container);
+
+      // Apply responsive sizing to the container itself based on ITS parent's layout mode
+      try {
+        if (originalParent.layoutMode && originalParent.layoutMode !== 'NONE') {
+          if (originalParent.layoutMode === 'VERTICAL') {
+            // Parent is VERTICAL → container should FILL width, HUG height
+            container.layoutSizingHorizontal = 'FILL';
+            container.layoutSizingVertical = 'HUG';
+          } else if (originalParent.layoutMode === 'HORIZONTAL') {
+            // Parent is HORIZONTAL → container should HUG width, FILL height
+            container.layoutSizingHorizontal = 'HUG';
+            container.layoutSizingVertical = 'FILL';
+          }
+        }
+      } catch (err) {
+        console.log(\`Note: Could not apply responsive sizing to container \${container.name} - using default sizing\`);
+      }
+
+      // Move all nodes into container and apply wrapped layout
+      for (const node of nodesToWrap) {
+        container.appendChild(node);
+
+        // Apply wrapped nodes layout (wrapped in try-catch for nodes that don't support sizing)
+        try {
+          if (wrappedNodesLayout === 'AUTO') {
+            // Automatic responsive defaults based on container direction
+            // Only works for auto-layout frames and text nodes
+            if (containerSpec.layoutMode === 'VERTICAL') {
+              node.layoutSizingHorizontal = 'FILL';
+              node.layoutSizingVertical = 'HUG';
+            } else if (containerSpec.layoutMode === 'HORIZONTAL') {
+              node.layoutSizingHorizontal = 'HUG';
+              node.layoutSizingVertical = 'FILL';
+            }
+          } else if (typeof wrappedNodesLayout === 'object') {
+            // Explicit layout settings
+            if (wrappedNodesLayout.layoutSizingHorizontal) {
+              node.layoutSizingHorizontal = wrappedNodesLayout.layoutSizingHorizontal;
+            }
+            if (wrappedNodesLayout.layoutSizingVertical) {
+              node.layoutSizingVertical = wrappedNodesLayout.layoutSizingVertical;
+            }
+            if (wrappedNodesLayout.layoutAlign) {
+              node.layoutAlign = wrappedNodesLayout.layoutAlign;
+            }
+          }
+        } catch (err) {
+          // Silently ignore if node doesn't support layoutSizing (e.g., rectangles, images)
+          // These nodes will keep their fixed size and be positioned by container alignment
+          console.log(\`Note: Could not apply layout sizing to \${node.name} (\${node.type}) - using fixed sizing\`);
+        }
+      }
+
+      // Apply variable bindings to container if specified
+      if (containerSpec.bindings) {
+        const allVars = await figma.variables.getLocalVariablesAsync();
+
+        for (const [property, bindingValue] of Object.entries(containerSpec.bindings)) {
+          try {
+            const variableName = typeof bindingValue === 'string' ? bindingValue : bindingValue.variableName;
+            const variable = allVars.find(v => v.name === variableName);
+
+            if (variable) {
+              if (property === 'fills') {
+                const fills = container.fills && container.fills.length > 0
+                  ? container.fills
+                  : [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, visible: true }];
+                const boundPaint = figma.variables.setBoundVariableForPaint(fills[0], 'color', variable);
+                boundPaint.visible = true;
+                container.fills = [boundPaint];
+              } else if (property === 'strokes') {
+                const strokes = container.strokes && container.strokes.length > 0
+                  ? container.strokes
+                  : [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 }, visible: true }];
+                const boundPaint = figma.variables.setBoundVariableForPaint(strokes[0], 'color', variable);
+                boundPaint.visible = true;
+                container.strokes = [boundPaint];
+              } else {
+                container.setBoundVariable(property, variable);
+              }
+            }
+          } catch (err) {
+            console.warn(\`Failed to bind \${property}: \${err.message}\`);
+          }
+        }
+      }
+
+      return {
+        containerId: container.id,
+        containerName: container.name,
+        wrappedNodeIds: nodesToWrap.map(n => n.id),
+        wrappedNodeNames: nodesToWrap.map(n => n.name),
+        success: true
+      };
+    `
+  }
+};
@@ -0,0 +1,877 @@
+/**
+ * Node Operations
+ *
+ * Scripts behind the tools that create, edit, move and copy single nodes.
+ * Each reads its inputs from `args`; see operations/index.js.
+ */
+
+module.exports = {
+  modify_node: {
+    version: 1,
+    description: 'Set properties on a node; width/height resize, padding sets all four sides',
+    script: `
+      const { nodeId, properties } = args;
+
+      const node = figma.getNodeById(nodeId);
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      const modified = {};
+
+      // Helper function to validate gradient paint
+      const validateGradient = (paint, paintType) => {
+        if (!paint.type || !paint.type.includes('GRADIENT')) return;
+
+        // Validate gradientStops
+        if (!paint.gradientStops || !Array.isArray(paint.gradientStops)) {
+          throw new Error(\`Gradient \${paintType} require gradientStops array\`);
+        }
+
+        for (const stop of paint.gradientStops) {
+          if (!stop.color || typeof stop.position !== 'number') {
+            throw new Error(\`Each gradient stop must have color and position\`);
+          }
+          if (stop.position < 0 || stop.position > 1) {
+            throw new Error(\`Gradient stop position must be between 0 and 1\`);
+          }
+        }
+
+        // Validate gradientHandlePositions OR gradientTransform
+        // Figma API accepts either format
+        const hasHandlePositions = paint.gradientHandlePositions && Array.isArray(paint.gradientHandlePositions);
+        const hasTransform = paint.gradientTransform && Array.isArray(paint.gradientTransform);
+
+        if (!hasHandlePositions && !hasTransform) {
+          throw new Error(\`Gradient \${paintType} require either gradientHandlePositions or gradientTransform\`);
+        }
+
+        // If using gradientHandlePositions, validate it has 3 positions
+        if (hasHandlePositions && paint.gradientHandlePositions.length !== 3) {
+          throw new Error(\`gradientHandlePositions must have exactly 3 positions\`);
+        }
+
+        // If using gradientTransform, validate it's a 2x3 matrix
+        if (hasTransform) {
+          if (paint.gradientTransform.length !== 2 ||
+              paint.gradientTransform[0].length !== 3 ||
+              paint.gradientTransform[1].length !== 3) {
+            throw new Error(\`gradientTransform must be a 2x3 matrix: [[a, b, c], [d, e, f]]\`);
+          }
+        }
+      };
+
+      // Validate gradient fills if present
+      if (properties.fills) {
+        for (const fill of properties.fills) {
+          validateGradient(fill, 'fills');
+        }
+      }
+
+      // Validate gradient strokes if present
+      if (properties.strokes) {
+        for (const stroke of properties.strokes) {
+          validateGradient(stroke, 'strokes');
+        }
+      }
+
+      // Handle width and height separately (requires resize for non-auto-layout nodes)
+      if (properties.width !== undefined || properties.height !== undefined) {
+        const newWidth = properties.width !== undefined ? properties.width : node.width;
+        const newHeight = properties.height !== undefined ? properties.height : node.height;
+
+        try {
+          node.resize(newWidth, newHeight);
+          if (properties.width !== undefined) modified.width = newWidth;
+          if (properties.height !== undefined) modified.height = newHeight;
+        } catch (error) {
+          console.warn(\`Failed to resize: \${error.message}\`);
+        }
+      }
+
+      // Apply each property
+      for (const [key, value] of Object.entries(properties)) {
+        // Skip width and height (already handled above)
+        if (key === 'width' || key === 'height') continue;
+
+        try {
+          if (key === 'padding') {
+            // Set all padding sides
+            node.paddingLeft = value;
+            node.paddingRight = value;
+            node.paddingTop = value;
+            node.paddingBottom = value;
+            modified.padding = value;
+          } else {
+            node[key] = value;
+            modified[key] = value;
+          }
+        } catch (error) {
+          console.warn(\`Failed to set \${key}: \${error.message}\`);
+        }
+      }
+
+      return {
+        nodeId: node.id,
+        nodeName: node.name,
+        nodeType: node.type,
+        modified: modified,
+        success: true
+      };
+    `
+  },
+
+  copy_bindings: {
+    version: 1,
+    description: 'Copy variable, text and instance swap bindings from one node to another',
+    script: `
+      const { sourceNodeId: sourceId, targetNodeId: targetId, bindingTypes } = args;
+
+      const sourceNode = figma.getNodeById(sourceId);
+      const targetNode = figma.getNodeById(targetId);
+
+      if (!sourceNode) {
+        throw new Error("Source node not found: " + sourceId);
+      }
+
+      if (!targetNode) {
+        throw new Error("Target node not found: " + targetId);
+      }
+
+      const copiedBindings = {
+        variables: [],
+        text: [],
+        instanceSwap: []
+      };
+
+      // 1. Copy variable bindings (boundVariables)
+      if (bindingTypes.includes('variables') && sourceNode.boundVariables) {
+        for (const [field, binding] of Object.entries(sourceNode.boundVariables)) {
+          try {
+            // Handle both single variable and array of variables
+            if (Array.isArray(binding)) {
+              // For fields like fills, strokes that can have multiple bindings
+              const variableIds = binding.map(b => b.id);
+              targetNode.setBoundVariable(field, variableIds);
+              copiedBindings.variables.push({
+                field: field,
+                variableIds: variableIds,
+                count: variableIds.length
+              });
+            } else {
+              // For fields with single variable binding
+              targetNode.setBoundVariable(field, binding.id);
+              copiedBindings.variables.push({
+                field: field,
+                variableId: binding.id
+              });
+            }
+          } catch (err) {
+            // Field might not be supported on target node type
+            copiedBindings.variables.push({
+              field: field,
+              error: "Not supported on target node: " + err.message
+            });
+          }
+        }
+      }
+
+      // 2. Copy component property bindings (componentPropertyReferences)
+      if (sourceNode.type === 'INSTANCE' && targetNode.type === 'INSTANCE') {
+        if (sourceNode.componentPropertyReferences) {
+          for (const [field, propertyKey] of Object.entries(sourceNode.componentPropertyReferences)) {
+            try {
+              // Determine binding type
+              if (field === 'mainComponent' && bindingTypes.includes('instanceSwap')) {
+                // INSTANCE_SWAP binding
+                targetNode.componentPropertyReferences = {
+                  ...targetNode.componentPropertyReferences,
+                  [field]: propertyKey
+                };
+                copiedBindings.instanceSwap.push({
+                  field: field,
+                  propertyKey: propertyKey
+                });
+              } else if (field === 'characters' && bindingTypes.includes('text')) {
+                // TEXT binding
+                targetNode.componentPropertyReferences = {
+                  ...targetNode.componentPropertyReferences,
+                  [field]: propertyKey
+                };
+                copiedBindings.text.push({
+                  field: field,
+                  propertyKey: propertyKey
+                });
+              } else if (bindingTypes.includes('text')) {
+                // Other component property bindings (BOOLEAN, etc.)
+                targetNode.componentPropertyReferences = {
+                  ...targetNode.componentPropertyReferences,
+                  [field]: propertyKey
+                };
+                copiedBindings.text.push({
+                  field: field,
+                  propertyKey: propertyKey
+                });
+              }
+            } catch (err) {
+              copiedBindings.text.push({
+                field: field,
+                propertyKey: propertyKey,
+                error: "Failed to copy: " + err.message
+              });
+            }
+          }
+        }
+      }
+
+      return {
+        success: true,
+        sourceNodeId: sourceId,
+        targetNodeId: targetId,
+        bindingTypes: bindingTypes,
+        copiedBindings: copiedBindings,
+        totalCopied:
+          copiedBindings.variables.length +
+          copiedBindings.text.length +
+          copiedBindings.instanceSwap.length
+      };
+    `
+  },
+
+  copy_direct_properties: {
+    version: 1,
+    description: 'Copy opacity, visibility, lock, blend mode and auto-layout settings',
+    script: `
+      const { sourceNodeId: sourceId, targetNodeId: targetId } = args;
+
+      const sourceNode = figma.getNodeById(sourceId);
+      const targetNode = figma.getNodeById(targetId);
+
+      if (!sourceNode) {
+        throw new Error("Source node not found: " + sourceId);
+      }
+
+      if (!targetNode) {
+        throw new Error("Target node not found: " + targetId);
+      }
+
+      const copiedProps = [];
+
+      // Copy common properties
+      const propertiesToCopy = [
+        'opacity',
+        'visible',
+        'locked',
+        'blendMode'
+      ];
+
+      for (const prop of propertiesToCopy) {
+        try {
+          if (sourceNode[prop] !== undefined && targetNode[prop] !== undefined) {
+            targetNode[prop] = sourceNode[prop];
+            copiedProps.push({ property: prop, value: sourceNode[prop] });
+          }
+        } catch (err) {
+          copiedProps.push({ property: prop, error: err.message });
+        }
+      }
+
+      // Copy layout properties if both are auto-layout frames
+      if (sourceNode.layoutMode !== 'NONE' && targetNode.layoutMode !== 'NONE') {
+        const layoutProps = [
+          'layoutMode',
+          'primaryAxisSizingMode',
+          'counterAxisSizingMode',
+          'primaryAxisAlignItems',
+          'counterAxisAlignItems',
+          'itemSpacing',
+          'paddingLeft',
+          'paddingRight',
+          'paddingTop',
+          'paddingBottom'
+        ];
+
+        for (const prop of layoutProps) {
+          try {
+            if (sourceNode[prop] !== undefined && targetNode[prop] !== undefined) {
+              targetNode[prop] = sourceNode[prop];
+              copiedProps.push({ property: prop, value: sourceNode[prop] });
+            }
+          } catch (err) {
+            copiedProps.push({ property: prop, error: err.message });
+          }
+        }
+      }
+
+      return { copiedProperties: copiedProps };
+    `
+  },
+
+  copy_styles: {
+    version: 1,
+    description: 'Copy fill, stroke, effect and text styles (and unbound fills/strokes)',
+    script: `
+      const { sourceNodeId: sourceId, targetNodeId: targetId } = args;
+
+      const sourceNode = figma.getNodeById(sourceId);
+      const targetNode = figma.getNodeById(targetId);
+
+      if (!sourceNode) {
+        throw new Error("Source node not found: " + sourceId);
+      }
+
+      if (!targetNode) {
+        throw new Error("Target node not found: " + targetId);
+      }
+
+      const copiedStyles = [];
+
+      // Copy effect style
+      if (sourceNode.effectStyleId && sourceNode.effectStyleId !== '') {
+        try {
+          targetNode.effectStyleId = sourceNode.effectStyleId;
+          copiedStyles.push({ type: 'effect', styleId: sourceNode.effectStyleId });
+        } catch (err) {
+          copiedStyles.push({ type: 'effect', error: err.message });
+        }
+      }
+
+      // Copy fill style
+      if (sourceNode.fillStyleId && sourceNode.fillStyleId !== '') {
+        try {
+          targetNode.fillStyleId = sourceNode.fillStyleId;
+          copiedStyles.push({ type: 'fill', styleId: sourceNode.fillStyleId });
+        } catch (err) {
+          copiedStyles.push({ type: 'fill', error: err.message });
+        }
+      }
+
+      // Copy stroke style
+      if (sourceNode.strokeStyleId && sourceNode.strokeStyleId !== '') {
+        try {
+          targetNode.strokeStyleId = sourceNode.strokeStyleId;
+          copiedStyles.push({ type: 'stroke', styleId: sourceNode.strokeStyleId });
+        } catch (err) {
+          copiedStyles.push({ type: 'stroke', error: err.message });
+        }
+      }
+
+      // Copy fills directly (if not using fill style and not bound to variables)
+      if ((!sourceNode.fillStyleId || sourceNode.fillStyleId === '') &&
+          sourceNode.fills && sourceNode.fills.length > 0 &&
+          (!sourceNode.boundVariables || !sourceNode.boundVariables.fills)) {
+        try {
+          targetNode.fills = JSON.parse(JSON.stringify(sourceNode.fills));
+          copiedStyles.push({ type: 'fills', count: sourceNode.fills.length });
+        } catch (err) {
+          copiedStyles.push({ type: 'fills', error: err.message });
+        }
+      }
+
+      // Copy strokes directly (if not using stroke style and not bound to variables)
+      if ((!sourceNode.strokeStyleId || sourceNode.strokeStyleId === '') &&
+          sourceNode.strokes && sourceNode.strokes.length > 0 &&
+          (!sourceNode.boundVariables || !sourceNode.boundVariables.strokes)) {
+        try {
+          targetNode.strokes = JSON.parse(JSON.stringify(sourceNode.strokes));
+          copiedStyles.push({ type: 'strokes', count: sourceNode.strokes.length });
+        } catch (err) {
+          copiedStyles.push({ type: 'strokes', error: err.message });
+        }
+      }
+
+      // Copy text styles from child text nodes
+      function copyTextStylesRecursive(sourceParent, targetParent) {
+        const copiedTextStyles = [];
+
+        if (sourceParent.children && targetParent.children) {
+          const minLength = Math.min(sourceParent.children.length, targetParent.children.length);
+
+          for (let i = 0; i < minLength; i++) {
+            const sourceChild = sourceParent.children[i];
+            const targetChild = targetParent.children[i];
+
+            // Copy text style if source child is text node
+            if (sourceChild.type === 'TEXT' && targetChild.type === 'TEXT') {
+              if (sourceChild.textStyleId && sourceChild.textStyleId !== '') {
+                try {
+                  targetChild.textStyleId = sourceChild.textStyleId;
+                  copiedTextStyles.push({
+                    nodeId: targetChild.id,
+                    nodeName: targetChild.name,
+                    styleId: sourceChild.textStyleId
+                  });
+                } catch (err) {
+                  copiedTextStyles.push({
+                    nodeId: targetChild.id,
+                    error: err.message
+                  });
+                }
+              }
+            }
+
+            // Recurse into children
+            if (sourceChild.children && targetChild.children) {
+              copiedTextStyles.push(...copyTextStylesRecursive(sourceChild, targetChild));
+            }
+          }
+        }
+
+        return copiedTextStyles;
+      }
+
+      const textStyles = copyTextStylesRecursive(sourceNode, targetNode);
+      if (textStyles.length > 0) {
+        copiedStyles.push({ type: 'textStyles', styles: textStyles });
+      }
+
+      return { copiedStyles: copiedStyles };
+    `
+  },
+
+  create_text_node: {
+    version: 1,
+    description: 'Create a text node in the first font style that loads',
+    script: `
+      // Load the first of the font's style variations that exists
+      let loadedFont = null;
+      for (const style of args.fontStyles) {
+        try {
+          await figma.loadFontAsync({ family: args.fontFamily, style });
+          loadedFont = { family: args.fontFamily, style };
+          break;
+        } catch (err) {
+          // This style doesn't exist for this font, try the next
+        }
+      }
+      if (!loadedFont) {
+        throw new Error(\`Font "\${args.fontFamily}" does not have any of these styles: \${args.fontStyles.join(', ')}. Please check available font styles in Figma.\`);
+      }
+
+      const text = figma.createText();
+      text.fontName = loadedFont;
+      text.fontSize = args.fontSize;
+      text.characters = args.characters;
+
+      // Set text color
+      const color = args.textColor;
+      text.fills = [{
+        type: 'SOLID',
+        color: { r: color.r, g: color.g, b: color.b }
+      }];
+
+      // Apply text style if specified
+      if (args.textStyleName) {
+        const styles = await figma.getLocalTextStylesAsync();
+        const style = styles.find(s => s.name === args.textStyleName);
+        if (style) {
+          text.textStyleId = style.id;
+        }
+      }
+
+      // Add to current page
+      figma.currentPage.appendChild(text);
+
+      // Center in viewport
+      figma.viewport.scrollAndZoomIntoView([text]);
+
+      return {
+        id: text.id,
+        characters: text.characters,
+        fontName: text.fontName,
+        fontSize: text.fontSize,
+        success: true
+      };
+    `
+  },
+
+  batch_modify_nodes: {
+    version: 2,
+    description: 'Set properties on several nodes',
+    script: `
+      const { modifications } = args;
+
+      const results = [];
+      let successCount = 0;
+      let errorCount = 0;
+
+      for (const mod of modifications) {
+        // Stop here if the MCP client cancelled (older plugins don't provide cancellation)
+        if (typeof cancellation !== 'undefined') cancellation.throwIfCancelled();
+        // Report how far the batch is (older plugins don't provide progress)
+        if (typeof progress !== 'undefined') progress.report(results.length, modifications.length, 'Modifying ' + mod.nodeId);
+
+        try {
+          const node = figma.getNodeById(mod.nodeId);
+          if (!node) {
+            results.push({
+              nodeId: mod.nodeId,
+              success: false,
+              error: "Node not found"
+            });
+            errorCount++;
+            continue;
+          }
+
+          const properties = mod.properties;
+          const modified = {};
+
+          // Apply each property (reuse modify_node logic)
+          if (properties.fills !== undefined) {
+            node.fills = properties.fills;
+            modified.fills = true;
+          }
+
+          if (properties.strokes !== undefined) {
+            node.strokes = properties.strokes;
+            modified.strokes = true;
+          }
+
+          if (properties.opacity !== undefined) {
+            node.opacity = properties.opacity;
+            modified.opacity = true;
+          }
+
+          if (properties.visible !== undefined) {
+            node.visible = properties.visible;
+            modified.visible = true;
+          }
+
+          if (properties.locked !== undefined) {
+            node.locked = properties.locked;
+            modified.locked = true;
+          }
+
+          if (properties.cornerRadius !== undefined) {
+            if ('cornerRadius' in node) {
+              node.cornerRadius = properties.cornerRadius;
+              modified.cornerRadius = true;
+            }
+          }
+
+          if (properties.layoutMode !== undefined) {
+            if ('layoutMode' in node) {
+              node.layoutMode = properties.layoutMode;
+              modified.layoutMode = true;
+            }
+          }
+
+          if (properties.itemSpacing !== undefined) {
+            if ('itemSpacing' in node) {
+              node.itemSpacing = properties.itemSpacing;
+              modified.itemSpacing = true;
+            }
+          }
+
+          // Padding properties
+          if (properties.paddingLeft !== undefined && 'paddingLeft' in node) {
+            node.paddingLeft = properties.paddingLeft;
+            modified.paddingLeft = true;
+          }
+          if (properties.paddingRight !== undefined && 'paddingRight' in node) {
+            node.paddingRight = properties.paddingRight;
+            modified.paddingRight = true;
+          }
+          if (properties.paddingTop !== undefined && 'paddingTop' in node) {
+            node.paddingTop = properties.paddingTop;
+            modified.paddingTop = true;
+          }
+          if (properties.paddingBottom !== undefined && 'paddingBottom' in node) {
+            node.paddingBottom = properties.paddingBottom;
+            modified.paddingBottom = true;
+          }
+
+          results.push({
+            nodeId: mod.nodeId,
+            nodeName: node.name,
+            nodeType: node.type,
+            modified: modified,
+            success: true
+          });
+          successCount++;
+        } catch (err) {
+          results.push({
+            nodeId: mod.nodeId,
+            success: false,
+            error: err.message
+          });
+          errorCount++;
+        }
+      }
+
+      return {
+        success: true,
+        totalModifications: modifications.length,
+        successCount: successCount,
+        errorCount: errorCount,
+        results: results
+      };
+    `
+  },
+
+  set_text_truncation: {
+    version: 1,
+    description: 'Set ellipsis truncation, max lines and auto-resize on a text node',
+    script: `
+      const { textNodeId, truncation, maxLines, autoResize } = args;
+
+      const textNode = figma.getNodeById(textNodeId);
+      if (!textNode) {
+        throw new Error("Text node not found: " + textNodeId);
+      }
+
+      if (textNode.type !== "TEXT") {
+        throw new Error("Node is not a text node: " + textNode.type);
+      }
+
+      // Set truncation mode
+      textNode.textTruncation = truncation;
+
+      // Set max lines if provided
+      if (maxLines) {
+        textNode.maxLines = maxLines;
+      }
+
+      // Set auto resize mode if provided
+      if (autoResize) {
+        textNode.textAutoResize = autoResize;
+      }
+
+      return {
+        textNodeId: textNode.id,
+        textNodeName: textNode.name,
+        textTruncation: textNode.textTruncation,
+        maxLines: textNode.maxLines,
+        textAutoResize: textNode.textAutoResize,
+        success: true
+      };
+    `
+  },
+
+  rename_node: {
+    version: 1,
+    description: 'Rename a node',
+    script: `
+      const node = figma.getNodeById(args.nodeId);
+      if (!node) {
+        throw new Error("Node not found");
+      }
+
+      const oldName = node.name;
+      node.name = args.name;
+
+      return {
+        nodeId: node.id,
+        oldName: oldName,
+        newName: node.name,
+        nodeType: node.type
+      };
+    `
+  },
+
+  delete_node: {
+    version: 1,
+    description: 'Remove a node',
+    script: `
+      const node = figma.getNodeById(args.nodeId);
+
+      if (!node) {
+        throw new Error(\`Node with ID "\${args.nodeId}" not found\`);
+      }
+
+      // Store node info before deletion
+      const nodeInfo = {
+        id: node.id,
+        name: node.name,
+        type: node.type
+      };
+
+      // Attempt to remove the node
+      try {
+        node.remove();
+      } catch (error) {
+        throw new Error(\`Failed to delete node: \${error.message}. Note: Cannot delete children of instance nodes.\`);
+      }
+
+      return {
+        deleted: true,
+        nodeInfo
+      };
+    `
+  },
+
+  clone_node: {
+    version: 1,
+    description: 'Duplicate a node, renamed and offset',
+    script: `
+      const sourceNode = figma.getNodeById(args.nodeId);
+
+      if (!sourceNode) {
+        throw new Error("Node not found: " + args.nodeId);
+      }
+
+      // Clone the node
+      const clonedNode = sourceNode.clone();
+
+      // Rename if specified
+      if (args.newName) {
+        clonedNode.name = args.newName;
+      }
+
+      // Position offset from original
+      clonedNode.x = sourceNode.x + args.offsetX;
+      clonedNode.y = sourceNode.y + args.offsetY;
+
+      // Add to same parent as source
+      if (sourceNode.parent && sourceNode.parent.type !== "PAGE") {
+        sourceNode.parent.appendChild(clonedNode);
+      } else {
+        figma.currentPage.appendChild(clonedNode);
+      }
+
+      // Center in viewport
+      figma.viewport.scrollAndZoomIntoView([clonedNode]);
+
+      return {
+        success: true,
+        clonedNodeId: clonedNode.id,
+        clonedNodeName: clonedNode.name,
+        clonedNodeType: clonedNode.type,
+        sourceNodeId: sourceNode.id,
+        sourceNodeName: sourceNode.name,
+        sourceNodeType: sourceNode.type,
+        position: {
+          x: clonedNode.x,
+          y: clonedNode.y
+        }
+      };
+    `
+  },
+
+  reorder_children: {
+    version: 1,
+    description: 'Put a parent\'s children in the given order',
+    script: `
+      const parent = figma.getNodeById(args.parentId);
+      if (!parent) throw new Error("Parent node not found: " + args.parentId);
+      if (!parent.children) throw new Error("Node has no children: " + args.parentId);
+
+      const { childOrder } = args;
+      const currentChildren = parent.children;
+
+      // Validate all IDs are children of this parent
+      for (const childId of childOrder) {
+        if (!currentChildren.find(c => c.id === childId)) {
+          throw new Error("Child " + childId + " is not a child of parent " + parent.id);
+        }
+      }
+
+      // Reorder by removing and re-inserting at correct index
+      for (let i = 0; i < childOrder.length; i++) {
+        const child = figma.getNodeById(childOrder[i]);
+        parent.insertChild(i, child);
+      }
+
+      return {
+        success: true,
+        parentId: parent.id,
+        parentName: parent.name,
+        parentType: parent.type,
+        totalChildren: parent.children.length,
+        newOrder: parent.children.map(c => ({ id: c.id, name: c.name, type: c.type }))
+      };
+    `
+  },
+
+  move_child: {
+    version: 1,
+    description: 'Move a child to another index in its parent',
+    script: `
+      const parent = figma.getNodeById(args.parentId);
+      if (!parent) throw new Error("Parent node not found: " + args.parentId);
+      if (!parent.children) throw new Error("Node has no children: " + args.parentId);
+
+      const child = figma.getNodeById(args.nodeId);
+      if (!child) throw new Error("Child node not found: " + args.nodeId);
+
+      // Validate child belongs to this parent
+      if (child.parent.id !== parent.id) {
+        throw new Error("Node " + child.id + " is not a child of parent " + parent.id);
+      }
+
+      // Validate index is within bounds
+      const maxIndex = parent.children.length - 1;
+      const { newIndex } = args;
+      if (newIndex < 0 || newIndex > maxIndex) {
+        throw new Error("Index " + newIndex + " out of bounds (0 to " + maxIndex + ")");
+      }
+
+      // Move to new index
+      parent.insertChild(newIndex, child);
+
+      return {
+        success: true,
+        parentId: parent.id,
+        parentName: parent.name,
+        parentType: parent.type,
+        movedNode: { id: child.id, name: child.name, type: child.type },
+        newIndex: newIndex,
+        totalChildren: parent.children.length,
+        newOrder: parent.children.map(c => ({ id: c.id, name: c.name, type: c.type }))
+      };
+    `
+  },
+
+  move_node: {
+    version: 1,
+    description: 'Move a node to another parent, optionally at an index',
+    script: `
+      const { nodeId, newParentId, index } = args;
+
+      const node = figma.getNodeById(nodeId);
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      const newParent = figma.getNodeById(newParentId);
+      if (!newParent) {
+        throw new Error("New parent not found: " + newParentId);
+      }
+
+      // Validate newParent supports children
+      if (!newParent.children) {
+        throw new Error("New parent cannot have children: " + newParent.type);
+      }
+
+      const oldParent = node.parent;
+      const oldParentId = oldParent ? oldParent.id : null;
+      const oldParentName = oldParent ? oldParent.name : 'root';
+
+      // Perform the move
+      if (index !== undefined) {
+        // Validate index
+        const maxIndex = newParent.children.length;
+        if (index < 0 || index > maxIndex) {
+          throw new Error("Index " + index + " out of bounds (0 to " + maxIndex + ")");
+        }
+        newParent.insertChild(index, node);
+      } else {
+        newParent.appendChild(node);
+      }
+
+      return {
+        success: true,
+        nodeId: node.id,
+        nodeName: node.name,
+        nodeType: node.type,
+        oldParentId: oldParentId,
+        oldParentName: oldParentName,
+        newParentId: newParent.id,
+        newParentName: newParent.name,
+        newParentType: newParent.type,
+        finalIndex: newParent.children.indexOf(node),
+        newParentChildCount: newParent.children.length
+      };
+    `
+  }
+};
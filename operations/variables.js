@@ -0,0 +1,291 @@
+/**
+ * Variable and Style Operations
+ *
+ * Scripts behind the variable binding and text style tools.
+ * Each reads its inputs from `args`; see operations/index.js.
+ */
+
+module.exports = {
+  bind_variable: {
+    version: 1,
+    description: 'Bind a variable to a node property',
+    script: `
+      const { nodeId, variableName, property } = args;
+
+      const node = figma.getNodeById(nodeId);
+      if (!node) {
+        throw new Error("Node not found: " + nodeId);
+      }
+
+      // Find variable by name
+      const allVars = await figma.variables.getLocalVariablesAsync();
+      const variable = allVars.find(v => v.name === variableName);
+
+      if (!variable) {
+        throw new Error("Variable not found: " + variableName);
+      }
+
+      // Bind variable to property
+      if (property === 'fills') {
+        // For fills, use setBoundVariableForPaint on first fill
+        const fills = node.fills && node.fills.length > 0 ? node.fills : [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, visible: true }];
+        const boundPaint = figma.variables.setBoundVariableForPaint(fills[0], 'color', variable);
+        boundPaint.visible = true;  // Explicitly ensure visibility
+        node.fills = [boundPaint];
+      } else if (property === 'strokes') {
+        // For strokes, use setBoundVariableForPaint on first stroke
+        const strokes = node.strokes && node.strokes.length > 0 ? node.strokes : [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 }, visible: true }];
+        const boundPaint = figma.variables.setBoundVariableForPaint(strokes[0], 'color', variable);
+        boundPaint.visible = true;  // Explicitly ensure visibility
+        node.strokes = [boundPaint];
+      } else {
+        // For other properties (width, height, padding, etc.)
+        node.setBoundVariable(property, variable);
+      }
+
+      return {
+        nodeId: node.id,
+        nodeName: node.name,
+        variableName: variable.name,
+        variableId: variable.id,
+        property: property,
+        success: true
+      };
+    `
+  },
+
+  batch_bind_variables: {
+    version: 2,
+    description: 'Bind variables to properties of several nodes',
+    script: `
+      const { bindings } = args;
+
+      // Look up all variables once (performance optimization)
+      const allVars = await figma.variables.getLocalVariablesAsync();
+
+      const results = [];
+      let successCount = 0;
+      let errorCount = 0;
+
+      for (const binding of bindings) {
+        // Report how far the batch is (older plugins don't provide progress)
+        if (typeof progress !== 'undefined') progress.report(results.length, bindings.length, 'Binding ' + binding.variableName);
+
+        try {
+          const node = figma.getNodeById(binding.nodeId);
+          if (!node) {
+            results.push({
+              nodeId: binding.nodeId,
+              variableName: binding.variableName,
+              property: binding.property,
+              success: false,
+              error: "Node not found"
+            });
+            errorCount++;
+            continue;
+          }
+
+          const variable = allVars.find(v => v.name === binding.variableName);
+          if (!variable) {
+            results.push({
+              nodeId: binding.nodeId,
+              nodeName: node.name,
+              variableName: binding.variableName,
+              property: binding.property,
+              success: false,
+              error: "Variable not found"
+            });
+            errorCount++;
+            continue;
+          }
+
+          // Apply binding using same logic as bind_variable tool
+          const property = binding.property;
+
+          if (property === 'fills') {
+            // For fills, use setBoundVariableForPaint
+            const fills = node.fills && node.fills.length > 0
+              ? node.fills
+              : [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, visible: true }];
+            const boundPaint = figma.variables.setBoundVariableForPaint(fills[0], 'color', variable);
+            boundPaint.visible = true;
+            node.fills = [boundPaint];
+          } else if (property === 'strokes') {
+            // For strokes, use setBoundVariableForPaint
+            const strokes = node.strokes && node.strokes.length > 0
+              ? node.strokes
+              : [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 }, visible: true }];
+            const boundPaint = figma.variables.setBoundVariableForPaint(strokes[0], 'color', variable);
+            boundPaint.visible = true;
+            node.strokes = [boundPaint];
+          } else {
+            // For other properties (width, height, padding, etc.)
+            node.setBoundVariable(property, variable);
+          }
+
+          results.push({
+            nodeId: binding.nodeId,
+            nodeName: node.name,
+            nodeType: node.type,
+            variableName: binding.variableName,
+            variableId: variable.id,
+            property: binding.property,
+            success: true
+          });
+          successCount++;
+        } catch (err) {
+          results.push({
+            nodeId: binding.nodeId,
+            variableName: binding.variableName,
+            property: binding.property,
+            success: false,
+            error: err.message
+          });
+          errorCount++;
+        }
+      }
+
+      return {
+        success: true,
+        totalBindings: bindings.length,
+        successCount: successCount,
+        errorCount: errorCount,
+        results: results
+      };
+    `
+  },
+
+  create_variable: {
+    version: 1,
+    description: 'Create a variable in a collection',
+    script: `
+      // Find or create the collection
+      const collections = figma.variables.getLocalVariableCollections();
+      let collection = collections.find(c => c.name === args.collectionName);
+
+      if (!collection) {
+        collection = figma.variables.createVariableCollection(args.collectionName);
+      }
+
+      // Create the variable
+      const variable = figma.variables.createVariable(args.variableName, collection.id, args.variableType);
+
+      // Set values for each mode
+      const modeValues = args.modeValues;
+      const singleValue = args.value;
+
+      if (Object.keys(modeValues).length > 0) {
+        // Multi-mode variable (e.g., Tokens with Light/Dark)
+        for (const [modeName, val] of Object.entries(modeValues)) {
+          const mode = collection.modes.find(m => m.name === modeName);
+          if (mode) {
+            if (val.alias) {
+              // Set alias to another variable
+              const targetVar = figma.variables.getLocalVariables().find(v => v.name === val.alias);
+              if (targetVar) {
+                variable.setValueForMode(mode.modeId, { type: 'VARIABLE_ALIAS', id: targetVar.id });
+              }
+            } else {
+              variable.setValueForMode(mode.modeId, val);
+            }
+          }
+        }
+      } else if (singleValue !== null && singleValue !== undefined) {
+        // Single-mode variable (e.g., Primitives)
+        const defaultMode = collection.modes[0];
+        variable.setValueForMode(defaultMode.modeId, singleValue);
+      }
+
+      return {
+        variableId: variable.id,
+        variableName: variable.name,
+        collectionName: collection.name,
+        type: variable.resolvedType
+      };
+    `
+  },
+
+  delete_text_style: {
+    version: 1,
+    description: 'Delete a text style by ID or name',
+    script: `
+      let deleted = 0;
+      let styles = [];
+
+      if (args.styleId) {
+        // Delete by ID
+        const style = figma.getStyleById(args.styleId);
+        if (style && style.type === 'TEXT') {
+          styles.push({ id: style.id, name: style.name });
+          style.remove();
+          deleted = 1;
+        }
+      } else {
+        // Delete by name (all matching)
+        const allStyles = figma.getLocalTextStyles();
+        const matchingStyles = allStyles.filter(s => s.name === args.name);
+
+        for (const style of matchingStyles) {
+          styles.push({ id: style.id, name: style.name, fontSize: style.fontSize, fontFamily: style.fontName.family });
+          style.remove();
+          deleted++;
+        }
+      }
+
+      return {
+        deleted,
+        styles
+      };
+    `
+  },
+
+  create_text_style: {
+    version: 1,
+    description: 'Create a text style in the first font style that loads',
+    script: `
+      // Load the first of the font's style variations that exists
+      let loadedFont = null;
+      for (const style of args.fontStyles) {
+        try {
+          await figma.loadFontAsync({ family: args.fontFamily, style });
+          loadedFont = { family: args.fontFamily, style };
+          break;
+        } catch (err) {
+          // This style doesn't exist for this font, try the next
+        }
+      }
+      if (!loadedFont) {
+        throw new Error(\`Font "\${args.fontFamily}" does not have any of these styles: \${args.fontStyles.join(', ')}. Please check available font styles in Figma.\`);
+      }
+
+      const { lineHeight, letterSpacing } = args;
+
+      const textStyle = figma.createTextStyle();
+      textStyle.name = args.name;
+      textStyle.fontName = loadedFont;
+      textStyle.fontSize = args.fontSize;
+
+      if (lineHeight) {
+        if (lineHeight.unit === "AUTO") {
+          textStyle.lineHeight = { unit: "AUTO" };
+        } else if (lineHeight.unit === "PIXELS") {
+          textStyle.lineHeight = { unit: "PIXELS", value: lineHeight.value };
+        } else if (lineHeight.unit === "PERCENT") {
+          textStyle.lineHeight = { unit: "PERCENT", value: lineHeight.value };
+        }
+      }
+
+      if (letterSpacing) {
+        textStyle.letterSpacing = letterSpacing;
+      }
+
+      return {
+        id: textStyle.id,
+        name: textStyle.name,
+        fontName: textStyle.fontName,
+        fontSize: textStyle.fontSize,
+        lineHeight: textStyle.lineHeight
+      };
+    `
+  }
+};
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Figmatic Relay
+ *
+ * Self-hosted stand-in for the PartyKit relay: same discovery and session
+ * rooms, running on this machine.
+ *
+ * @example
+ * const { createRelayServer } = require('./relay');
+ *
+ * const relay = createRelayServer({ port: 1999 });
+ * await relay.start();
+ *
+ * CLI usage (then start the MCP server with FIGMATIC_MODE=partykit PARTYKIT_HOST=localhost:1999):
+ *   node relay/index.js
+ */
+
+const { createRelayServer, parseRoomUrl } = require('./server');
+
+module.exports = {
+  createRelayServer,
+  parseRoomUrl
+};
+
+// CLI usage
+if (require.main === module) {
+  const relay = createRelayServer({
+    logger: {
+      log: (message) => process.stderr.write(`[relay] ${message}\n`),
+      error: (message, error) => process.stderr.write(`[relay] ${message} ${error}\n`)
+    }
+  });
+
+  relay.start().catch((error) => {
+    process.stderr.write(`[relay] Failed to start: ${error.message}\n`);
+    process.exit(1);
+  });
+
+  const shutdown = () => relay.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
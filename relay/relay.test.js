@@ -0,0 +1,263 @@
+/**
+ * Tests for the local relay
+ *
+ * Runs the PartyKit transport end to end, offline:
+ * bridge (FIGMATIC_MODE=partykit) -> relay -> mock plugin
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = parseInt(process.env.RELAY_TEST_PORT || '18090', 10);
+
+// Keep the transport's session watcher away from the real ~/.figmatic
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'figmatic-relay-test-'));
+process.env.HOME = home;
+process.env.FIGMATIC_MODE = 'partykit';
+process.env.PARTYKIT_HOST = `localhost:${PORT}`;
+// Fast heartbeat, so eviction is observable within the test
+process.env.FIGMA_HEARTBEAT_INTERVAL_MS = '100';
+process.env.FIGMA_HEARTBEAT_TIMEOUT_MS = '400';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const bridge = require('../bridge/server');
+const { executeTool } = require('../tools');
+const { createAPIContext } = require('../utils/context');
+const { createMockPlugin, seedDemoDocument } = require('../mock-plugin');
+const { createRelayServer, parseRoomUrl } = require('./index');
+const { createPartyKitTransport } = require('../bridge/transports/partykit');
+const { CAPABILITIES } = require('../bridge/core/protocol');
+
+const noop = () => {};
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function run() {
+  console.log('Testing parseRoomUrl...');
+
+  assert.deepStrictEqual(parseRoomUrl('/parties/main/session-abc?_pk=1'), { party: 'main', room: 'session-abc' });
+  assert.strictEqual(parseRoomUrl('/'), null);
+
+  console.log('✓ parseRoomUrl passed');
+
+  const relay = createRelayServer({ port: PORT });
+  await relay.start();
+  await bridge.startServer();
+
+  const plugin = createMockPlugin({
+    url: `ws://localhost:${PORT}/parties/main/session-relay-file`,
+    discoveryUrl: `ws://localhost:${PORT}/parties/main/discovery`,
+    fileKey: 'relay-file',
+    fileName: 'Relay File'
+  });
+  const seeded = await seedDemoDocument(plugin.figma);
+
+  try {
+    console.log('\nTesting PartyKit transport through the relay...');
+
+    // Bridge discovers the file, joins its session room and pairs with the plugin
+    await plugin.connect();
+    await waitFor(() => bridge.isConnected());
+    assert.deepStrictEqual(bridge.listConnectedFiles().map(f => f.fileId), ['relay-file']);
+
+    const api = createAPIContext();
+    const page = await executeTool('get_page_structure', {}, noop, api);
+    assert.strictEqual(page.totalNodes, 2);
+
+    const screenshot = await executeTool('get_screenshot', { nodeId: seeded.buttonId, scale: 1 }, noop, api);
+    assert.strictEqual(fs.readFileSync(screenshot.path)[0], 0x89, 'Binary frames are forwarded unchanged');
+    fs.unlinkSync(screenshot.path);
+
+    console.log('✓ PartyKit transport passed');
+
+    console.log('\nTesting relay pairing...');
+
+    // Anyone can join the session room; without the token they can't pair
+    for (const token of ['wrong-token', undefined]) {
+      const intruder = new WebSocket(`ws://localhost:${PORT}/parties/main/session-relay-file`);
+      await new Promise((resolve, reject) => {
+        intruder.on('open', resolve);
+        intruder.on('error', reject);
+      });
+      intruder.send(JSON.stringify({ type: 'handshake', source: 'figma-plugin', fileKey: 'intruder', token }));
+      await new Promise(resolve => setTimeout(resolve, 200));
+      intruder.close();
+    }
+    assert.deepStrictEqual(bridge.listConnectedFiles().map(f => f.fileId), ['relay-file'], 'Wrong or missing token must not pair');
+    assert.strictEqual((await executeTool('get_page_structure', {}, noop, api)).totalNodes, 2, 'The real plugin stays paired');
+
+    console.log('✓ Relay pairing passed');
+
+    console.log('\nTesting discovery replay...');
+
+    // A server joining after the announcement still learns about the file
+    const lateJoiner = new WebSocket(`ws://localhost:${PORT}/parties/main/discovery`);
+    const announcement = await new Promise((resolve, reject) => {
+      lateJoiner.on('message', (data) => resolve(JSON.parse(data.toString())));
+      lateJoiner.on('error', reject);
+    });
+    lateJoiner.close();
+    assert.deepStrictEqual(announcement, { type: 'figma-file-announce', fileId: 'relay-file', fileName: 'Relay File' });
+
+    const unknown = new WebSocket(`ws://localhost:${PORT}/not-a-room`);
+    const code = await new Promise(resolve => unknown.on('close', resolve));
+    assert.strictEqual(code, 4004);
+
+    console.log('✓ Discovery replay passed');
+
+    console.log('\nTesting file session tools...');
+
+    const second = createMockPlugin({
+      url: `ws://localhost:${PORT}/parties/main/session-relay-second`,
+      discoveryUrl: `ws://localhost:${PORT}/parties/main/discovery`,
+      fileKey: 'relay-second',
+      fileName: 'Second File'
+    });
+    second.figma.createFrame().name = 'Second Frame';
+    await second.connect();
+
+    try {
+      let listed;
+      await waitFor(() => bridge.listFigmaFiles().files.length === 2);
+      listed = await executeTool('list_figma_files', {}, noop, api);
+      assert.strictEqual(listed.activeFileId, 'relay-file');
+      assert.deepStrictEqual(listed.files.map(f => [f.fileId, f.active, f.connected]), [
+        ['relay-file', true, true],
+        ['relay-second', false, false]
+      ]);
+
+      const switched = await executeTool('switch_figma_file', { fileId: 'relay-second' }, noop, api);
+      assert.deepStrictEqual(switched, {
+        fileId: 'relay-second',
+        fileName: 'Second File',
+        previousFileId: 'relay-file',
+        connected: true,
+        pinned: false
+      });
+      assert.deepStrictEqual((await executeTool('get_page_structure', {}, noop, api)).nodes.map(n => n.name), ['Second Frame']);
+
+      const pinned = await executeTool('pin_figma_file', {}, noop, api);
+      assert.deepStrictEqual(pinned, { fileId: 'relay-second', pinnedFileId: 'relay-second', connected: true });
+      assert.strictEqual((await executeTool('list_figma_files', {}, noop, api)).files[1].pinned, true);
+
+      // Switching away on purpose releases the pin
+      await executeTool('switch_figma_file', { fileId: 'relay-file' }, noop, api);
+      listed = await executeTool('list_figma_files', {}, noop, api);
+      assert.strictEqual(listed.pinnedFileId, null);
+      assert.strictEqual(bridge.getStatus().activeFileId, 'relay-file');
+    } finally {
+      await second.disconnect();
+    }
+
+    console.log('✓ File session tools passed');
+
+    console.log('\nTesting relay heartbeat...');
+
+    // A plugin without the heartbeat capability never answers ping messages; it isn't evicted
+    const legacy = createMockPlugin({
+      url: `ws://localhost:${PORT}/parties/main/session-relay-legacy`,
+      discoveryUrl: `ws://localhost:${PORT}/parties/main/discovery`,
+      fileKey: 'relay-legacy',
+      fileName: 'Legacy File',
+      capabilities: [CAPABILITIES.SCRIPT_ARGS]
+    });
+    await legacy.connect();
+
+    try {
+      await waitFor(() => bridge.listFigmaFiles().files.some(f => f.fileId === 'relay-legacy'));
+      await executeTool('switch_figma_file', { fileId: 'relay-legacy' }, noop, api);
+      await waitFor(() => bridge.listConnectedFiles().some(f => f.fileId === 'relay-legacy'));
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      assert.deepStrictEqual(bridge.listConnectedFiles().map(f => f.fileId), ['relay-legacy'], 'Legacy relay plugin is not evicted');
+    } finally {
+      await executeTool('switch_figma_file', { fileId: 'relay-file' }, noop, api);
+      await legacy.disconnect();
+    }
+
+    // A plugin that announced heartbeat and goes silent is evicted, and pairs again once it answers
+    await waitFor(() => bridge.listConnectedFiles().some(f => f.fileId === 'relay-file'));
+    plugin.setAnswersPings(false);
+    await waitFor(() => bridge.listConnectedFiles().length === 0);
+    plugin.setAnswersPings(true);
+    await waitFor(() => bridge.listConnectedFiles().some(f => f.fileId === 'relay-file'));
+    assert.strictEqual((await executeTool('get_page_structure', {}, noop, api)).totalNodes, 2, 'The evicted plugin pairs again');
+
+    console.log('✓ Relay heartbeat passed');
+  } finally {
+    await plugin.disconnect();
+    bridge.stopServer();
+    await relay.stop();
+  }
+
+  console.log('\nTesting pinned files...');
+
+  // Own relay, so files announced above aren't replayed
+  const quietRelay = createRelayServer({ port: PORT + 1 });
+  await quietRelay.start();
+  const sessions = createPartyKitTransport({
+    host: `localhost:${PORT + 1}`,
+    fileTimeout: 200,
+    pruneInterval: 50,
+    logger: { log: noop, error: noop }
+  });
+  const announcer = new WebSocket(`ws://localhost:${PORT + 1}/parties/main/discovery`);
+  const announce = (fileId) => announcer.send(JSON.stringify({ type: 'figma-file-announce', fileId, fileName: fileId }));
+  let busyTimer = null;
+
+  try {
+    await sessions.start();
+    await new Promise((resolve, reject) => {
+      announcer.on('open', resolve);
+      announcer.on('error', reject);
+    });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    announce('quiet');
+    await waitFor(() => sessions.getState().activeFileId === 'quiet');
+    busyTimer = setInterval(() => announce('busy'), 50);
+    await waitFor(() => sessions.getState().discoveredFiles.length === 2);
+
+    // Pinned: quiet stays active although busy is still announcing
+    sessions.pinFile('quiet');
+    await new Promise(resolve => setTimeout(resolve, 400));
+    const state = sessions.getState();
+    assert.strictEqual(state.activeFileId, 'quiet', 'Pinned file is not switched away from');
+    assert.deepStrictEqual(state.discoveredFiles.find(f => f.fileId === 'quiet'), {
+      ...state.discoveredFiles.find(f => f.fileId === 'quiet'),
+      active: true,
+      pinned: true,
+      stale: true
+    });
+
+    // Unpinned: the usual stale-file recovery moves on
+    sessions.pinFile(null);
+    await waitFor(() => sessions.getState().activeFileId === 'busy');
+    assert.ok(!sessions.getState().discoveredFiles.some(f => f.fileId === 'quiet'));
+  } finally {
+    clearInterval(busyTimer);
+    announcer.close();
+    sessions.stop();
+    await quietRelay.stop();
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  console.log('✓ Pinned files passed');
+
+  console.log('\n✅ All relay tests passed!\n');
+}
+
+run().then(
+  () => process.exit(0),
+  (error) => {
+    console.error('\n❌ Relay tests failed:', error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,169 @@
+/**
+ * Local PartyKit-Compatible Relay
+ *
+ * Implements the two kinds of rooms the PartyKit transport and the plugin use,
+ * on `ws://<host>:<port>/parties/<party>/<room>`:
+ * - `discovery`: plugins announce their open file with
+ *   `{ type: 'figma-file-announce', fileId, fileName }`. Announcements are
+ *   broadcast to the room and replayed to late joiners until they go stale.
+ * - `session-<fileId>`: every message (text or binary) is forwarded unchanged
+ *   to the other connections in the room - the plugin and the MCP server.
+ *
+ * Point the bridge at it with PARTYKIT_HOST=localhost:<port> so design-file
+ * traffic never leaves the machine.
+ */
+
+const { WebSocketServer } = require('ws');
+
+const DISCOVERY_ROOM = 'discovery';
+const ANNOUNCEMENT_TTL_MS = 30000; // Same as the transport's FILE_TIMEOUT_MS
+
+/**
+ * Parse a PartyKit room URL (pure)
+ * @param {string} url - Request URL, e.g. /parties/main/session-abc?_pk=123
+ * @returns {Object|null} { party, room } or null if not a room URL
+ */
+function parseRoomUrl(url) {
+  const { pathname } = new URL(url, 'ws://relay');
+  const match = pathname.match(/^\/parties\/([^/]+)\/([^/]+)\/?$/);
+  if (!match) return null;
+
+  return { party: decodeURIComponent(match[1]), room: decodeURIComponent(match[2]) };
+}
+
+/**
+ * Create the relay server
+ * @param {Object} options - Relay options
+ * @param {number} options.port - Port to listen on (default: FIGMATIC_RELAY_PORT or 1999)
+ * @param {string} options.host - Bind address (default: FIGMATIC_RELAY_HOST or 127.0.0.1)
+ * @param {Object} options.logger - Logger instance (default: silent)
+ * @returns {Object} Relay instance
+ */
+function createRelayServer(options = {}) {
+  const {
+    port = parseInt(process.env.FIGMATIC_RELAY_PORT || '1999', 10),
+    host = process.env.FIGMATIC_RELAY_HOST || '127.0.0.1',
+    logger = { log: () => {}, error: () => {} }
+  } = options;
+
+  let wss = null;
+  const rooms = new Map(); // "party/room" -> Set<WebSocket>
+  const announcements = new Map(); // "party/fileId" -> { message, receivedAt }
+
+  function broadcast(key, sender, data, isBinary) {
+    for (const peer of rooms.get(key) || []) {
+      if (peer !== sender && peer.readyState === peer.OPEN) {
+        peer.send(data, { binary: isBinary });
+      }
+    }
+  }
+
+  /**
+   * Remember a file announcement so MCP servers that join later still see the file
+   */
+  function recordAnnouncement(party, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'figma-file-announce' && message.fileId) {
+      announcements.set(`${party}/${message.fileId}`, { message: JSON.stringify(message), receivedAt: Date.now() });
+    }
+  }
+
+  function replayAnnouncements(ws, party) {
+    const now = Date.now();
+    for (const [key, { message, receivedAt }] of announcements) {
+      if (now - receivedAt > ANNOUNCEMENT_TTL_MS) {
+        announcements.delete(key);
+      } else if (key.startsWith(`${party}/`)) {
+        ws.send(message);
+      }
+    }
+  }
+
+  function handleConnection(ws, req) {
+    const target = parseRoomUrl(req.url);
+    if (!target) {
+      ws.close(4004, 'Unknown room');
+      return;
+    }
+
+    const key = `${target.party}/${target.room}`;
+    if (!rooms.has(key)) rooms.set(key, new Set());
+    rooms.get(key).add(ws);
+
+    logger.log(`→ ${req.socket.remoteAddress} joined ${key} (${rooms.get(key).size} connected)`);
+
+    if (target.room === DISCOVERY_ROOM) {
+      replayAnnouncements(ws, target.party);
+    }
+
+    ws.on('message', (data, isBinary) => {
+      if (target.room === DISCOVERY_ROOM && !isBinary) {
+        recordAnnouncement(target.party, data);
+      }
+      broadcast(key, ws, data, isBinary);
+    });
+
+    ws.on('close', () => {
+      // Already gone if the relay was stopped
+      const peers = rooms.get(key);
+      if (!peers) return;
+
+      peers.delete(ws);
+      if (peers.size === 0) rooms.delete(key);
+      logger.log(`← Left ${key}`);
+    });
+
+    ws.on('error', (error) => {
+      logger.error(`Relay socket error in ${key}:`, error.message);
+    });
+  }
+
+  return {
+    /**
+     * Start listening
+     * @returns {Promise<void>} Resolves once the port is bound
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        wss = new WebSocketServer({ port, host });
+        wss.once('listening', () => {
+          logger.log(`✓ Relay listening on ws://${host}:${port}/parties/main/<room>`);
+          resolve();
+        });
+        wss.once('error', reject);
+        wss.on('connection', handleConnection);
+      });
+    },
+
+    /**
+     * Close every connection and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        if (!wss) return resolve();
+        wss.clients.forEach(client => client.terminate());
+        wss.close(() => resolve());
+        wss = null;
+        rooms.clear();
+        announcements.clear();
+      });
+    },
+
+    /**
+     * List rooms and their connection counts (for debugging)
+     * @returns {Array} [{ room, connections }]
+     */
+    getRooms() {
+      return Array.from(rooms.entries()).map(([room, peers]) => ({ room, connections: peers.size }));
+    }
+  };
+}
+
+module.exports = { createRelayServer, parseRoomUrl };
@@ -0,0 +1,260 @@
+/**
+ * Resource Registry
+ *
+ * MCP resources served by the bridge. Event resources reflect what the
+ * plugin pushes as the designer works (selection, current page, document
+ * changes), so agents can subscribe instead of polling get_page_structure.
+ * Data resources (design system, variables, pages, components, screenshots)
+ * are read with the READ tools, so clients can attach design context
+ * without spending tool calls.
+ *
+ * figma://<resource>[/<param>] follows the active file,
+ * figma://files/<fileId>/<resource>[/<param>] a specific one.
+ */
+
+const fs = require('fs');
+const readTools = require('../tools/read-tools');
+const { CAPABILITIES } = require('../bridge/core/protocol');
+
+const MIME_TYPE = 'application/json';
+
+const noop = () => {};
+
+// resource -> plugin event that updates it
+const EVENT_RESOURCES = {
+  selection: {
+    event: 'selection-changed',
+    name: 'Selection',
+    description: 'Nodes currently selected in Figma ({ id, name, type })'
+  },
+  'current-page': {
+    event: 'current-page-changed',
+    name: 'Current page',
+    description: 'Page open in Figma ({ id, name })'
+  },
+  'document-changes': {
+    event: 'document-changed',
+    name: 'Document changes',
+    description: 'Most recent edits in the file (up to 100): created, deleted and changed node IDs'
+  }
+};
+
+// resource -> READ tool behind it; param names the URI's last segment.
+// Any edit to the file may change them, so they update on document-changed.
+const DATA_RESOURCES = {
+  'design-system': {
+    name: 'Design system',
+    description: 'Variable collections, text, paint and effect styles (get_design_system, cached for 15 minutes or until the file changes)',
+    read: (api) => readTools.get_design_system(api, {}, noop)
+  },
+  variables: {
+    param: 'collection',
+    name: 'Variable collection',
+    description: 'Modes and variables of one collection, by collection name (from figma://design-system)',
+    read: async (api, collection) => {
+      const designSystem = await readTools.get_design_system(api, {}, noop);
+      if (!designSystem.collections[collection]) {
+        throw new Error(`Variable collection not found: ${collection}`);
+      }
+      return { collection, ...designSystem.collections[collection] };
+    }
+  },
+  pages: {
+    param: 'pageId',
+    name: 'Page',
+    description: 'Top-level nodes of a page and their children (get_page_structure)',
+    read: (api, pageId) => readTools.get_page_structure(api, { pageId, includeChildren: true }, noop)
+  },
+  components: {
+    param: 'id',
+    name: 'Component',
+    description: 'Component or component set metadata: properties, variants, dimensions (get_component_metadata)',
+    read: (api, id) => readTools.get_component_metadata(api, { componentId: id }, noop)
+  },
+  screenshots: {
+    param: 'nodeId',
+    name: 'Screenshot',
+    description: 'PNG render of a node at 2x (get_screenshot)',
+    mimeType: 'image/png',
+    read: async (api, nodeId) => {
+      const screenshot = await readTools.get_screenshot(api, { nodeId, scale: 2, format: 'PNG' }, noop);
+      try {
+        return fs.readFileSync(screenshot.path);
+      } finally {
+        fs.unlinkSync(screenshot.path);
+      }
+    }
+  }
+};
+
+/**
+ * Get a resource's definition
+ * @param {string} resource - Resource name, e.g. 'selection' or 'pages'
+ * @returns {Object|null} Entry of EVENT_RESOURCES or DATA_RESOURCES
+ */
+function getDefinition(resource) {
+  return EVENT_RESOURCES[resource] || DATA_RESOURCES[resource] || null;
+}
+
+/**
+ * Parse a figma:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} { resource, fileId, param } (fileId undefined for the active file,
+ *   param undefined for resources without one) or null if unknown
+ */
+function parseResourceUri(uri) {
+  const match = /^figma:\/\/(?:files\/([^/]+)\/)?([a-z-]+)(?:\/([^/]+))?$/.exec(uri);
+  const definition = match && getDefinition(match[2]);
+  if (!definition || Boolean(definition.param) !== (match[3] !== undefined)) {
+    return null;
+  }
+
+  return {
+    resource: match[2],
+    fileId: match[1] ? decodeURIComponent(match[1]) : undefined,
+    param: match[3] !== undefined ? decodeURIComponent(match[3]) : undefined
+  };
+}
+
+/**
+ * List resources for the active file
+ * @returns {Array} MCP resource definitions
+ */
+function listResources() {
+  return Object.entries({ ...EVENT_RESOURCES, ...DATA_RESOURCES })
+    .filter(([, info]) => !info.param)
+    .map(([resource, info]) => ({
+      uri: `figma://${resource}`,
+      name: info.name,
+      description: `${info.description}. Follows the active file; subscribe for updates.`,
+      mimeType: info.mimeType || MIME_TYPE
+    }));
+}
+
+/**
+ * List URI templates: resources with a parameter, and every resource of a specific file
+ * @returns {Array} MCP resource template definitions
+ */
+function listResourceTemplates() {
+  const resources = Object.entries({ ...EVENT_RESOURCES, ...DATA_RESOURCES });
+  const path = (resource, info) => (info.param ? `${resource}/{${info.param}}` : resource);
+
+  return [
+    ...resources.filter(([, info]) => info.param).map(([resource, info]) => ({
+      uriTemplate: `figma://${path(resource, info)}`,
+      name: info.name,
+      description: `${info.description}. Follows the active file.`,
+      mimeType: info.mimeType || MIME_TYPE
+    })),
+    ...resources.map(([resource, info]) => ({
+      uriTemplate: `figma://files/{fileId}/${path(resource, info)}`,
+      name: `${info.name} (by file)`,
+      description: `${info.description}. fileId comes from list_connected_files.`,
+      mimeType: info.mimeType || MIME_TYPE
+    }))
+  ];
+}
+
+/**
+ * Check whether a plugin event changed a resource
+ * @param {string} uri - Resource URI
+ * @param {Object} event - { fileId, event } from the bridge
+ * @param {string} activeFileId - File the figma://<resource> URIs follow
+ * @returns {boolean}
+ */
+function isUpdatedByEvent(uri, event, activeFileId) {
+  const target = parseResourceUri(uri);
+  if (!target || (target.fileId || activeFileId) !== event.fileId) {
+    return false;
+  }
+
+  const definition = getDefinition(target.resource);
+  return (definition.event || 'document-changed') === event.event;
+}
+
+/**
+ * URIs without a parameter whose content changed because of a plugin event
+ * @param {Object} event - { fileId, event } from the bridge
+ * @param {string} activeFileId - File the figma://<resource> URIs follow
+ * @returns {Array<string>} Resource URIs to report as updated
+ */
+function resourceUrisForEvent(event, activeFileId) {
+  return Object.keys({ ...EVENT_RESOURCES, ...DATA_RESOURCES })
+    .flatMap(resource => [`figma://files/${encodeURIComponent(event.fileId)}/${resource}`, `figma://${resource}`])
+    .filter(uri => isUpdatedByEvent(uri, event, activeFileId));
+}
+
+/**
+ * Check that a resource can be subscribed to
+ * Updates are pushed by the plugin, so it must support events
+ * @param {string} uri - Resource URI
+ * @param {Object} api - API context for the resource's file
+ * @throws {Error} If the URI is unknown, or PLUGIN_OUTDATED if the plugin can't push events
+ */
+function checkSubscription(uri, api) {
+  if (!parseResourceUri(uri)) {
+    throw new Error(`Resource not found: ${uri}`);
+  }
+
+  api.requireCapability(CAPABILITIES.EVENTS, `Subscribing to ${uri}`);
+}
+
+/**
+ * Read a resource
+ * Selection and page come from the latest plugin event, or are asked for
+ * once if the plugin hasn't sent one since connecting. Data resources run
+ * their READ tool.
+ * @param {string} uri - Resource URI
+ * @param {Object} api - API context for the resource's file
+ * @returns {Promise<Object>} MCP read result { contents: [{ uri, mimeType, text }] },
+ *   or { uri, mimeType, blob } (base64) for screenshots
+ */
+async function readResource(uri, api) {
+  const target = parseResourceUri(uri);
+  if (!target) {
+    throw new Error(`Resource not found: ${uri}`);
+  }
+
+  const dataResource = DATA_RESOURCES[target.resource];
+  if (dataResource) {
+    const result = await dataResource.read(api, target.param);
+    return {
+      contents: [dataResource.mimeType
+        ? { uri, mimeType: dataResource.mimeType, blob: result.toString('base64') }
+        : { uri, mimeType: MIME_TYPE, text: JSON.stringify({ fileId: target.fileId || api.getStatus().activeFileId, ...result }, null, 2) }]
+    };
+  }
+
+  const events = api.getFileEvents() || { selection: null, currentPage: null, documentChanges: [], updatedAt: null };
+  const fileId = target.fileId || api.getStatus().activeFileId;
+  let data;
+
+  if (target.resource === 'document-changes') {
+    api.requireCapability(CAPABILITIES.EVENTS, `Reading ${uri}`);
+    data = { fileId, changes: events.documentChanges, updatedAt: events.updatedAt };
+  } else {
+    const key = target.resource === 'selection' ? 'selection' : 'currentPage';
+    let value = events[key];
+
+    if (value === null) {
+      const { context } = await api.getFigmaContext();
+      value = context[key];
+    }
+
+    data = { fileId, [key]: value, updatedAt: events.updatedAt };
+  }
+
+  return {
+    contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(data, null, 2) }]
+  };
+}
+
+module.exports = {
+  parseResourceUri,
+  listResources,
+  listResourceTemplates,
+  isUpdatedByEvent,
+  resourceUrisForEvent,
+  checkSubscription,
+  readResource
+};
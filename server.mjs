@@ -3,16 +3,18 @@
  * Figmatic MCP Server - Official SDK Implementation
  *
  * Production-ready MCP server using @modelcontextprotocol/sdk:
- * - Official SDK Server and StdioServerTransport
+ * - Official SDK Server with StdioServerTransport (default)
+ *   or StreamableHTTPServerTransport (MCP_TRANSPORT=http)
  * - Embedded WebSocket bridge for Figma Plugin API
  * - Production-ready error handling
  * - Proper logging to stderr (never stdout)
  * - Graceful shutdown
  *
- * Protocol: MCP v2024-11-05 (stdio transport)
+ * Protocol: MCP v2024-11-05 (stdio) / Streamable HTTP with session IDs (http)
  * Architecture:
  *   - Stdin: JSON-RPC requests from Claude Code (via SDK)
  *   - Stdout: JSON-RPC responses to Claude Code (via SDK)
+ *   - Port 3000 (http mode): POST/GET/DELETE /mcp, one MCP session per client
  *   - Stderr: Server logs and diagnostics
  *   - Port 8080: WebSocket bridge to Figma Plugin
  *
@@ -25,13 +27,34 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { createMcpExpressApp } from '@modelcontextprotocol/sdk/server/express.js';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'node:crypto';
 
 // Note: Using dynamic imports for CommonJS modules
-let getToolCatalog, executeTool, createAPIContext, logToolCall, wsServer;
+let getToolCatalog, executeTool, requiresFigma, isReadOnlyTool, createAPIContext, logToolCall, createProgressReporter, wsServer;
+let resources, errors, metrics, getCacheStats;
+
+// MCP transport selection: 'stdio' (default) or 'http' (Streamable HTTP)
+const MCP_TRANSPORT = (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+const MCP_PORT = parseInt(process.env.MCP_PORT || '3000', 10);
+const MCP_HOST = process.env.MCP_HOST || '127.0.0.1';
+
+// Optional Prometheus endpoint on its own port (also served at /metrics in HTTP mode)
+const METRICS_PORT = process.env.FIGMATIC_METRICS_PORT ? parseInt(process.env.FIGMATIC_METRICS_PORT, 10) : null;
+
+// Active HTTP sessions (sessionId -> StreamableHTTPServerTransport)
+const httpSessions = new Map();
 
 /**
  * Log to stderr (never stdout - that's reserved for JSON-RPC)
@@ -42,6 +65,394 @@ function log(message, level = 'info') {
   process.stderr.write(`[${timestamp}] ${prefix} ${message}\n`);
 }
 
+/**
+ * Create an MCP server instance with the tool catalog, resources and dispatch registered.
+ * Stdio mode uses one instance; HTTP mode creates one per session.
+ */
+function createMcpServer() {
+  // Create MCP server instance
+  const server = new Server(
+    {
+      name: 'figmatic-mcp-server',
+      version: '1.0.0',
+      description: 'Figma AI Agent Bridge - Progressive Disclosure API for design system automation'
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true }
+      }
+    }
+  );
+
+  registerResourceHandlers(server);
+
+  // Register tools/list handler
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const tools = getToolCatalog();
+    log(`Listing ${tools.length} available tools`);
+
+    return {
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema
+      }))
+    };
+  });
+
+  // Register tools/call handler
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const startTime = Date.now();
+
+    log(`Executing tool: ${name}`);
+
+    // Log tool call start
+    logToolCall({
+      requestId: request.params._meta?.requestId || 'unknown',
+      toolName: name,
+      arguments: args,
+      status: 'started'
+    });
+
+    try {
+      // Create API context (extra.signal fires on notifications/cancelled,
+      // args.fileId routes every script to that file instead of the active one,
+      // readOnly lets its scripts run alongside other reads and be replayed if the plugin reloads,
+      // sessionId keeps the change history of each MCP session apart)
+      const api = createAPIContext({
+        signal: extra.signal,
+        fileId: args?.fileId,
+        readOnly: isReadOnlyTool(name),
+        sessionId: extra.sessionId
+      });
+
+      // Check Figma connection (FILE tools are answered by the bridge;
+      // a reloading plugin's calls are held until it reconnects)
+      if (requiresFigma(name) && !api.isConnected() && !api.isReconnecting()) {
+        const duration = Date.now() - startTime;
+
+        logToolCall({
+          requestId: request.params._meta?.requestId || 'unknown',
+          toolName: name,
+          arguments: args,
+          status: 'error',
+          error: {
+            code: -32001,
+            message: 'Figma plugin not connected'
+          },
+          duration
+        });
+
+        if (args?.fileId) {
+          throw errors.createFigmaError(
+            errors.ERROR_CODES.NOT_CONNECTED,
+            `Figma file not connected: ${args.fileId}. Use list_connected_files to see connected files.`
+          );
+        }
+
+        throw errors.createFigmaError(
+          errors.ERROR_CODES.NOT_CONNECTED,
+          'Figma plugin not connected. Please open Figma Desktop and run the "AI Agent Bridge" plugin.'
+        );
+      }
+
+      // Progress callback - forwarded as notifications/progress when the client sent a progressToken
+      const sendProgress = createProgressReporter({
+        progressToken: request.params._meta?.progressToken,
+        sendNotification: extra.sendNotification,
+        log
+      });
+
+      // Execute tool
+      const result = await executeTool(name, args, sendProgress, api);
+      const duration = Date.now() - startTime;
+
+      // Log success
+      logToolCall({
+        requestId: request.params._meta?.requestId || 'unknown',
+        toolName: name,
+        arguments: args,
+        status: 'success',
+        result,
+        duration
+      });
+
+      log(`Tool ${name} completed in ${duration}ms`);
+      metrics.recordToolCall(name, { duration, status: 'success' });
+
+      // Return result in MCP format
+      return {
+        content: [
+          {
+            type: 'text',
+            text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+          }
+        ],
+        isError: false
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+
+      // Client cancelled - the SDK drops the response, so only record it
+      if (extra.signal.aborted) {
+        logToolCall({
+          requestId: request.params._meta?.requestId || 'unknown',
+          toolName: name,
+          arguments: args,
+          status: 'cancelled',
+          duration
+        });
+
+        log(`Tool ${name} cancelled after ${duration}ms`, 'warn');
+        metrics.recordToolCall(name, { duration, status: 'cancelled' });
+        throw error;
+      }
+
+      // Log error
+      logToolCall({
+        requestId: request.params._meta?.requestId || 'unknown',
+        toolName: name,
+        arguments: args,
+        status: 'error',
+        error: {
+          code: error.code || -32000,
+          message: error.message || 'Tool execution failed',
+          stack: error.stack
+        },
+        duration
+      });
+
+      log(`Tool ${name} failed: ${error.message}`, 'error');
+
+      // Unknown tools are a protocol error - SDK will handle JSON-RPC error formatting
+      const structured = errors.toStructuredError(error);
+      metrics.recordToolCall(name, { duration, status: 'error', code: structured.code });
+      if (structured.code === errors.ERROR_CODES.TOOL_NOT_FOUND) {
+        throw error;
+      }
+
+      // Everything else is a tool result the agent can act on (e.g. load the font and retry)
+      return {
+        content: [
+          {
+            type: 'text',
+            text: errors.formatStructuredError(structured)
+          }
+        ],
+        structuredContent: { error: structured },
+        isError: true
+      };
+    }
+  });
+
+  return server;
+}
+
+/**
+ * Register resources/* handlers and forward plugin events to subscribers.
+ * Subscriptions belong to this server instance (one per HTTP session).
+ */
+function registerResourceHandlers(server) {
+  const subscriptions = new Set();
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: resources.listResources()
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: resources.listResourceTemplates()
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+    const target = resources.parseResourceUri(uri);
+    const api = createAPIContext({ signal: extra.signal, fileId: target?.fileId, readOnly: true });
+
+    return resources.readResource(uri, api);
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const target = resources.parseResourceUri(uri);
+
+    resources.checkSubscription(uri, createAPIContext({ fileId: target?.fileId }));
+    subscriptions.add(uri);
+    log(`Subscribed to ${uri} (${subscriptions.size} subscription(s))`);
+
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const stopListening = wsServer.onFigmaEvent((event) => {
+    if (subscriptions.size === 0) return;
+
+    const { activeFileId } = wsServer.getStatus();
+    for (const uri of subscriptions) {
+      if (resources.isUpdatedByEvent(uri, event, activeFileId)) {
+        server.sendResourceUpdated({ uri }).catch((error) => {
+          log(`Failed to send update for ${uri}: ${error.message}`, 'warn');
+        });
+      }
+    }
+  });
+
+  server.onclose = () => {
+    stopListening();
+    subscriptions.clear();
+  };
+}
+
+/**
+ * Serve MCP over stdin/stdout (one client per process)
+ */
+async function startStdioTransport() {
+  log('MCP Server ready - connecting to stdio transport...');
+  log('');
+
+  const server = createMcpServer();
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+
+  log('✅ Connected to stdio transport - ready for requests');
+}
+
+/**
+ * Serve MCP Streamable HTTP on /mcp with one session per client.
+ * Several agents (and the dashboard) can share this process and its bridge.
+ */
+async function startHttpTransport() {
+  // Binds to loopback by default, which enables DNS rebinding protection
+  const app = createMcpExpressApp({ host: MCP_HOST });
+
+  app.post('/mcp', withHttpErrors(async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? httpSessions.get(sessionId) : null;
+
+    if (!transport) {
+      if (sessionId) {
+        return sendHttpError(res, 404, -32001, `Session not found: ${sessionId}`);
+      }
+      if (!isInitializeRequest(req.body)) {
+        return sendHttpError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          httpSessions.set(id, transport);
+          log(`HTTP session started: ${id} (${httpSessions.size} active)`);
+        }
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId && httpSessions.delete(transport.sessionId)) {
+          log(`HTTP session closed: ${transport.sessionId} (${httpSessions.size} active)`);
+        }
+      };
+
+      const server = createMcpServer();
+      await server.connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  }));
+
+  // GET opens the server-to-client SSE stream, DELETE ends the session
+  const handleSessionRequest = withHttpErrors(async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const transport = sessionId ? httpSessions.get(sessionId) : null;
+
+    if (!transport) {
+      return sendHttpError(res, sessionId ? 404 : 400, -32000, 'Invalid or missing session ID');
+    }
+
+    await transport.handleRequest(req, res);
+  });
+
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(collectMetrics());
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      transport: 'http',
+      sessions: httpSessions.size,
+      bridge: wsServer.getStatus()
+    });
+  });
+
+  // Body parser failures (malformed JSON, oversized bodies) would get Express's HTML error page
+  app.use((error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+      return sendHttpError(res, 400, -32700, 'Parse error: Invalid JSON');
+    }
+    log(`HTTP ${req.method} ${req.path} failed: ${error.message}`, 'error');
+    sendHttpError(res, error.status || 500, -32603, `Internal error: ${error.message}`);
+  });
+
+  await new Promise((resolve, reject) => {
+    const httpServer = app.listen(MCP_PORT, MCP_HOST, resolve);
+    httpServer.on('error', reject);
+  });
+
+  log(`✅ Streamable HTTP transport listening on http://${MCP_HOST}:${MCP_PORT}/mcp`);
+}
+
+/**
+ * Render metrics for a Prometheus scrape
+ */
+function collectMetrics() {
+  return metrics.renderMetrics({
+    bridge: wsServer.getStatus(),
+    cache: getCacheStats()
+  });
+}
+
+/**
+ * Send a JSON-RPC error over plain HTTP (no session to route it through)
+ */
+function sendHttpError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * Wrap an async Express handler so a rejection becomes a 500 JSON-RPC error
+ * Express 4 ignores rejected promises, and an unhandled rejection ends the
+ * process - and every other HTTP session with it.
+ */
+function withHttpErrors(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      log(`HTTP ${req.method} /mcp failed: ${error.message}`, 'error');
+      if (!res.headersSent) {
+        sendHttpError(res, 500, -32603, `Internal error: ${error.message}`);
+      } else {
+        res.end();
+      }
+    }
+  };
+}
+
 /**
  * Main server initialization
  */
@@ -51,6 +462,20 @@ async function main() {
     const toolsModule = await import('./tools/index.js');
     getToolCatalog = toolsModule.default?.getToolCatalog || toolsModule.getToolCatalog;
     executeTool = toolsModule.default?.executeTool || toolsModule.executeTool;
+    requiresFigma = toolsModule.default?.requiresFigma || toolsModule.requiresFigma;
+    isReadOnlyTool = toolsModule.default?.isReadOnlyTool || toolsModule.isReadOnlyTool;
+
+    const resourcesModule = await import('./resources/index.js');
+    resources = resourcesModule.default || resourcesModule;
+
+    const errorsModule = await import('./bridge/core/errors.js');
+    errors = errorsModule.default || errorsModule;
+
+    const metricsModule = await import('./utils/metrics.js');
+    metrics = metricsModule.default || metricsModule;
+
+    const cacheModule = await import('./utils/cache.js');
+    getCacheStats = cacheModule.default?.getCacheStats || cacheModule.getCacheStats;
 
     const contextModule = await import('./utils/context.js');
     createAPIContext = contextModule.default?.createAPIContext || contextModule.createAPIContext;
@@ -58,6 +483,9 @@ async function main() {
     const loggerModule = await import('./utils/logger.js');
     logToolCall = loggerModule.default?.logToolCall || loggerModule.logToolCall;
 
+    const progressModule = await import('./utils/progress.js');
+    createProgressReporter = progressModule.default?.createProgressReporter || progressModule.createProgressReporter;
+
     // Start embedded WebSocket bridge
     const wsServerModule = await import('./bridge/server.js');
     wsServer = wsServerModule.default || wsServerModule;
@@ -67,18 +495,25 @@ async function main() {
     log('║   Figmatic MCP Server (Official SDK)  ║');
     log('╚════════════════════════════════════════╝');
     log('');
-    log('Transport: Official @modelcontextprotocol/sdk');
+    log(`Transport: Official @modelcontextprotocol/sdk (${MCP_TRANSPORT})`);
 
     // Get configured WebSocket port
     const wsPort = parseInt(process.env.FIGMA_WS_PORT || '8080', 10);
     log(`WebSocket Bridge: Starting on port ${wsPort}...`);
 
     // Start WebSocket bridge for Figma communication
-    wsServer.startServer();
+    await wsServer.startServer();
+    wsServer.onRequestComplete(metrics.recordBridgeRequest);
 
     log(`WebSocket Bridge: ✅ Running on ws://localhost:${wsPort}`);
     log('');
 
+    if (METRICS_PORT) {
+      await metrics.createMetricsServer({ port: METRICS_PORT, collect: collectMetrics }).start();
+      log(`Metrics: ✅ http://127.0.0.1:${METRICS_PORT}/metrics`);
+      log('');
+    }
+
     // Count available tools
     const countToolsModule = await import('./scripts/count-tools.js');
     const countAndCategorizeTools = countToolsModule.default?.countAndCategorizeTools || countToolsModule.countAndCategorizeTools;
@@ -94,138 +529,13 @@ async function main() {
       log('');
     }
 
-    // Create MCP server instance
-    const server = new Server(
-      {
-        name: 'figmatic-mcp-server',
-        version: '1.0.0',
-        description: 'Figma AI Agent Bridge - Progressive Disclosure API for design system automation'
-      },
-      {
-        capabilities: {
-          tools: {}
-        }
-      }
-    );
-
-    // Register tools/list handler
-    server.setRequestHandler(ListToolsRequestSchema, async () => {
-      const tools = getToolCatalog();
-      log(`Listing ${tools.length} available tools`);
-
-      return {
-        tools: tools.map(tool => ({
-          name: tool.name,
-          description: tool.description,
-          inputSchema: tool.inputSchema
-        }))
-      };
-    });
-
-    // Register tools/call handler
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-      const startTime = Date.now();
-
-      log(`Executing tool: ${name}`);
-
-      // Log tool call start
-      logToolCall({
-        requestId: request.params._meta?.requestId || 'unknown',
-        toolName: name,
-        arguments: args,
-        status: 'started'
-      });
-
-      try {
-        // Create API context
-        const api = createAPIContext();
-
-        // Check Figma connection
-        if (!api.isConnected || !api.isConnected()) {
-          const duration = Date.now() - startTime;
-
-          logToolCall({
-            requestId: request.params._meta?.requestId || 'unknown',
-            toolName: name,
-            arguments: args,
-            status: 'error',
-            error: {
-              code: -32001,
-              message: 'Figma plugin not connected'
-            },
-            duration
-          });
-
-          throw new Error(
-            'Figma plugin not connected. Please open Figma Desktop and run the "AI Agent Bridge" plugin.'
-          );
-        }
-
-        // Progress callback (for future streaming support)
-        const sendProgress = (data) => {
-          log(`Progress: ${JSON.stringify(data)}`);
-        };
-
-        // Execute tool
-        const result = await executeTool(name, args, sendProgress, api);
-        const duration = Date.now() - startTime;
-
-        // Log success
-        logToolCall({
-          requestId: request.params._meta?.requestId || 'unknown',
-          toolName: name,
-          arguments: args,
-          status: 'success',
-          result,
-          duration
-        });
-
-        log(`Tool ${name} completed in ${duration}ms`);
-
-        // Return result in MCP format
-        return {
-          content: [
-            {
-              type: 'text',
-              text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-            }
-          ],
-          isError: false
-        };
-
-      } catch (error) {
-        const duration = Date.now() - startTime;
-
-        // Log error
-        logToolCall({
-          requestId: request.params._meta?.requestId || 'unknown',
-          toolName: name,
-          arguments: args,
-          status: 'error',
-          error: {
-            code: error.code || -32000,
-            message: error.message || 'Tool execution failed',
-            stack: error.stack
-          },
-          duration
-        });
-
-        log(`Tool ${name} failed: ${error.message}`, 'error');
-
-        // Re-throw error - SDK will handle JSON-RPC error formatting
-        throw error;
-      }
-    });
-
-    // Connect to stdio transport
-    log('MCP Server ready - connecting to stdio transport...');
-    log('');
-
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-
-    log('✅ Connected to stdio transport - ready for requests');
+    if (MCP_TRANSPORT === 'http') {
+      await startHttpTransport();
+    } else if (MCP_TRANSPORT === 'stdio') {
+      await startStdioTransport();
+    } else {
+      throw new Error(`Invalid MCP_TRANSPORT: ${MCP_TRANSPORT}. Must be 'stdio' or 'http'.`);
+    }
 
   } catch (error) {
     log(`Failed to start server: ${error.message}`, 'error');
@@ -239,6 +549,11 @@ async function main() {
  */
 function cleanup() {
   log('Shutting down MCP server');
+
+  for (const transport of httpSessions.values()) {
+    transport.close().catch(() => {});
+  }
+  httpSessions.clear();
   // WebSocket server cleanup is handled by its own process handlers
 }
 
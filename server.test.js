@@ -0,0 +1,108 @@
+/**
+ * Tests for the MCP server in HTTP mode
+ *
+ * Starts server.mjs with MCP_TRANSPORT=http in a child process and talks to /mcp
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const assert = require('assert');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+const PORT = parseInt(process.env.SERVER_TEST_PORT || '18093', 10);
+const WS_PORT = parseInt(process.env.SERVER_TEST_WS_PORT || '18094', 10);
+const MCP_URL = `http://127.0.0.1:${PORT}/mcp`;
+
+async function waitForHealth(child, timeout = 10000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      const response = await fetch(`http://127.0.0.1:${PORT}/health`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting for the server');
+}
+
+async function run() {
+  // Keep the pairing token and tool call log away from the real ~/.figmatic
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'figmatic-server-test-'));
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.mjs')], {
+    env: {
+      ...process.env,
+      HOME: home,
+      MCP_TRANSPORT: 'http',
+      MCP_PORT: String(PORT),
+      FIGMA_WS_PORT: String(WS_PORT),
+      FIGMATIC_PAIRING_TOKEN: 'server-test-token'
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+  try {
+    await waitForHealth(child);
+
+    console.log('Testing malformed JSON...');
+
+    const malformed = await fetch(MCP_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: '{"jsonrpc": "2.0", "method": '
+    });
+    assert.strictEqual(malformed.status, 400);
+    assert.ok(malformed.headers.get('content-type').startsWith('application/json'), 'Not an HTML error page');
+    assert.deepStrictEqual(await malformed.json(), {
+      jsonrpc: '2.0',
+      error: { code: -32700, message: 'Parse error: Invalid JSON' },
+      id: null
+    });
+
+    console.log('✓ malformed JSON passed');
+
+    console.log('\nTesting HTTP sessions...');
+
+    const client = new Client({ name: 'server-test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(MCP_URL)));
+    const { tools } = await client.listTools();
+    assert.ok(tools.some(tool => tool.name === 'get_page_structure'));
+
+    const noSession = await fetch(MCP_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.strictEqual(noSession.status, 400);
+    assert.strictEqual((await noSession.json()).error.code, -32000);
+
+    const health = await (await fetch(`http://127.0.0.1:${PORT}/health`)).json();
+    assert.strictEqual(health.sessions, 1);
+    await client.close();
+
+    console.log('✓ HTTP sessions passed');
+  } catch (error) {
+    console.error(stderr);
+    throw error;
+  } finally {
+    child.kill('SIGTERM');
+    if (child.exitCode === null) {
+      await new Promise(resolve => child.once('exit', resolve));
+    }
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ All tests passed!\n');
+}
+
+run().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Test Runner
+ *
+ * Runs every *.test.js file in the repository in its own Node process
+ * (tests start servers and call process.exit, so they must not share one).
+ * Exits non-zero if any test file fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = __dirname;
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'coverage']);
+
+function findTestFiles(dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (IGNORED_DIRS.has(entry.name)) continue;
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findTestFiles(fullPath));
+    } else if (entry.name.endsWith('.test.js')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+const testFiles = findTestFiles(ROOT);
+const failed = [];
+
+for (const file of testFiles) {
+  const relative = path.relative(ROOT, file);
+  console.log(`\n▶ ${relative}`);
+
+  const result = spawnSync(process.execPath, [file], { stdio: 'inherit', timeout: 60000 });
+  if (result.status !== 0) {
+    failed.push(relative);
+  }
+}
+
+console.log(`\n${testFiles.length - failed.length}/${testFiles.length} test files passed`);
+
+if (failed.length > 0) {
+  console.log(`Failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
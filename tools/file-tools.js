@@ -0,0 +1,114 @@
+/**
+ * File Tools
+ *
+ * Tools for working with several connected Figma files at once.
+ * Answered by the bridge itself - they never send a script to Figma.
+ */
+
+/**
+ * Tool: list_connected_files
+ * List every file with the plugin connected
+ */
+async function listConnectedFiles(api, args, sendProgress) {
+  const files = api.listConnectedFiles().map(file => ({
+    ...file,
+    connectedAt: new Date(file.connectedAt).toISOString(),
+    lastSeen: new Date(file.lastSeen).toISOString()
+  }));
+
+  // Files whose plugin is reloading; their calls are held until it reconnects
+  const { activeFileId, reconnectingFiles } = api.getStatus();
+
+  sendProgress({ status: `${files.length} file(s) connected` });
+
+  return {
+    activeFileId,
+    files,
+    totalFiles: files.length,
+    reconnectingFiles
+  };
+}
+
+/**
+ * Tool: set_active_file
+ * Make a connected file the default target for tools without a fileId
+ */
+async function setActiveFile(api, args, sendProgress) {
+  const { fileId } = args;
+
+  if (!fileId) {
+    throw new Error('fileId is required. Use list_connected_files to see connected files.');
+  }
+
+  const previous = api.listConnectedFiles().find(file => file.active);
+  const activeFile = api.setActiveFile(fileId);
+
+  sendProgress({ status: `Active file: ${activeFile.fileName || activeFile.fileId}` });
+
+  return {
+    activeFileId: activeFile.fileId,
+    fileName: activeFile.fileName,
+    previousActiveFileId: previous ? previous.fileId : null
+  };
+}
+
+/**
+ * Tool: list_figma_files
+ * List files announced to the PartyKit relay (partykit mode)
+ */
+async function listFigmaFiles(api, args, sendProgress) {
+  const { activeFileId, pinnedFileId, files } = api.listFigmaFiles();
+
+  sendProgress({ status: `${files.length} file(s) announced` });
+
+  return {
+    activeFileId,
+    pinnedFileId,
+    files: files.map(file => ({ ...file, lastSeen: new Date(file.lastSeen).toISOString() })),
+    totalFiles: files.length
+  };
+}
+
+/**
+ * Tool: switch_figma_file
+ * Join another announced file's session and make it the active file
+ */
+async function switchFigmaFile(api, args, sendProgress) {
+  const { fileId } = args;
+
+  if (!fileId) {
+    throw new Error('fileId is required. Use list_figma_files to see announced files.');
+  }
+
+  sendProgress({ status: `Switching to ${fileId}...` });
+  const result = await api.switchFigmaFile(fileId);
+
+  if (!result.connected) {
+    sendProgress({ status: `Joined ${fileId}, waiting for its plugin to pair` });
+  }
+
+  return result;
+}
+
+/**
+ * Tool: pin_figma_file
+ * Keep a file active while it briefly stops announcing, instead of
+ * switching to another file
+ */
+async function pinFigmaFile(api, args, sendProgress) {
+  const { fileId, pinned = true } = args;
+
+  const result = await api.pinFigmaFile(fileId, pinned);
+
+  sendProgress({ status: result.pinnedFileId ? `Pinned ${result.pinnedFileId}` : 'No file pinned' });
+
+  return result;
+}
+
+module.exports = {
+  list_connected_files: listConnectedFiles,
+  set_active_file: setActiveFile,
+  list_figma_files: listFigmaFiles,
+  switch_figma_file: switchFigmaFile,
+  pin_figma_file: pinFigmaFile
+};
@@ -0,0 +1,94 @@
+/**
+ * History Tools
+ *
+ * Inspect and undo the changes write tools made to a file.
+ * See utils/history.js for what is recorded.
+ */
+
+const { getChangeHistory, getLastChanges, markUndone } = require('../utils/history');
+const { resolveFileId, getSessionTransaction } = require('../utils/transactions');
+const { restoreChanges } = require('../utils/journal');
+const { ERROR_CODES, createFigmaError } = require('../bridge/core/errors');
+const { CAPABILITIES } = require('../bridge/core/protocol');
+
+/**
+ * Format a history record for tool results
+ * @param {Object} record - History record
+ * @returns {Object} Record with entries keyed by nodeId
+ */
+function formatRecord(record) {
+  return {
+    ...record,
+    entries: record.entries.map(({ id, ...entry }) => ({ nodeId: id, ...entry }))
+  };
+}
+
+/**
+ * Tool: get_change_history
+ * List the changes write tools made to the file in this session, newest first
+ */
+async function getChangeHistoryTool(api, args, sendProgress) {
+  const { limit = 20 } = args;
+  const fileId = resolveFileId(api);
+  const changes = fileId ? getChangeHistory(api.sessionId, fileId, { limit }) : [];
+
+  sendProgress({ status: `${changes.length} change(s) in history` });
+
+  return {
+    fileId,
+    changes: changes.map(formatRecord),
+    totalChanges: changes.length
+  };
+}
+
+/**
+ * Tool: undo_last_changes
+ * Undo the last n tool calls that changed the file (newest first)
+ */
+async function undoLastChanges(api, args, sendProgress) {
+  const { n = 1 } = args;
+  const fileId = resolveFileId(api);
+
+  if (!Number.isInteger(n) || n < 1) {
+    throw createFigmaError(ERROR_CODES.INVALID_PARAMS, 'n must be a positive integer');
+  }
+
+  const transaction = getSessionTransaction(fileId, api.sessionId);
+  if (transaction) {
+    throw createFigmaError(
+      ERROR_CODES.INVALID_PARAMS,
+      `Transaction ${transaction.id} is open on file ${fileId}. Use rollback_transaction to undo its changes.`,
+      { transactionId: transaction.id }
+    );
+  }
+
+  const records = getLastChanges(api.sessionId, fileId, n);
+  if (records.length === 0) {
+    return { undone: [], restored: 0, skipped: [] };
+  }
+
+  // The restore script finds nodes with figma.getNodeByIdAsync
+  api.requireCapability(CAPABILITIES.ASYNC_NODE_LOOKUP, 'undo_last_changes');
+
+  sendProgress({ status: `Undoing ${records.length} change(s)...` });
+
+  // Newest record first, and each record's entries are replayed backwards
+  const entries = records.slice().reverse().flatMap(record => record.entries);
+  const response = await api.executeInFigma(restoreChanges(), { entries });
+  markUndone(records);
+
+  const { restored, skipped } = response.result;
+
+  sendProgress({ status: `Undid ${records.length} change(s)` });
+
+  return {
+    undone: records.map(record => ({ changeId: record.changeId, tool: record.tool, timestamp: record.timestamp })),
+    restored,
+    skipped
+  };
+}
+
+module.exports = {
+  get_change_history: getChangeHistoryTool,
+  undo_last_changes: undoLastChanges
+};
@@ -12,24 +12,199 @@ const schemas = require('./schemas');
 const readTools = require('./read-tools');
 const writeTools = require('./write-tools');
 const iconTools = require('./icon-tools');
+const fileTools = require('./file-tools');
+const transactionTools = require('./transaction-tools');
+const historyTools = require('./history-tools');
+const { isReadOnlyMode } = require('../utils/policy');
+const { createDryRunContext } = require('../utils/dryRun');
+const { createJournalContext } = require('../utils/journal');
+const { recordChange } = require('../utils/history');
+const { clearCache } = require('../utils/cache');
+const {
+  resolveFileId,
+  getSessionTransaction,
+  rollbackTransaction
+} = require('../utils/transactions');
+const { ERROR_CODES, createFigmaError } = require('../bridge/core/errors');
 
 /**
  * Get complete tool catalog
+ * In read-only mode, tools that can edit the file are left out
  * @returns {Array} Array of tool definitions
  */
 function getToolCatalog() {
-  return schemas.getAllSchemas();
+  const catalog = schemas.getAllSchemas();
+  return isReadOnlyMode() ? catalog.filter(schema => isAllowedInReadOnlyMode(schema.name)) : catalog;
+}
+
+/**
+ * Check whether a tool runs a script in Figma
+ * FILE tools are answered by the bridge and work with no plugin connected
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+function requiresFigma(name) {
+  return !fileTools[name] && name !== 'get_change_history';
+}
+
+// Tools that never modify the document: all of read-tools.js plus a few reads elsewhere
+const READ_ONLY_TOOLS = new Set([
+  ...Object.keys(readTools),
+  ...Object.keys(fileTools),
+  'get_component_properties',
+  'get_instance_properties',
+  'search_icons',
+  'get_change_history'
+]);
+
+/**
+ * Check whether a tool only reads from Figma
+ * Read-only calls are safe to replay after the plugin reconnects
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+function isReadOnlyTool(name) {
+  return READ_ONLY_TOOLS.has(name);
+}
+
+/**
+ * Check whether a tool may run while the server is in read-only mode
+ * execute_figma_script stays: its scripts are checked and run with read-only
+ * policy, which refuses any edit (see utils/policy.js)
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+function isAllowedInReadOnlyMode(name) {
+  return isReadOnlyTool(name) || name === 'execute_figma_script';
 }
 
 /**
  * Execute a tool by name
+ * With args.dryRun, a tool that edits the file only reports what it would change.
+ * Otherwise its edits are journaled and recorded in the change history.
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Function} sendProgress - Progress callback: ({ status, progress?, total? })
+ * @param {Object} api - API context (api.signal cancels in-flight Figma scripts)
+ * @returns {Promise<Object>} Tool result, or { dryRun, changes, result } for dry runs
+ */
+async function executeTool(name, args = {}, sendProgress, api) {
+  // Cancelled before dispatch (e.g. notifications/cancelled arrived while queued)
+  if (api.signal && api.signal.aborted) {
+    throw createFigmaError(ERROR_CODES.CANCELLED, `Tool call cancelled: ${name}`);
+  }
+
+  if (isReadOnlyMode() && !isAllowedInReadOnlyMode(name)) {
+    throw createFigmaError(
+      ERROR_CODES.PERMISSION_DENIED,
+      `Tool ${name} is disabled: the server runs in read-only mode (FIGMATIC_READ_ONLY)`
+    );
+  }
+
+  const edits = Boolean(writeTools[name] || iconTools[name]) && !isReadOnlyTool(name);
+
+  if (args.dryRun && edits) {
+    const dryRun = createDryRunContext(api);
+    try {
+      const result = await routeTool(name, args, sendProgress, dryRun.api);
+      return { dryRun: true, changes: dryRun.changes, result };
+    } finally {
+      await dryRun.end();
+    }
+  }
+
+  if (edits) {
+    return runJournaled(name, args, sendProgress, api);
+  }
+
+  return routeTool(name, args, sendProgress, api);
+}
+
+/**
+ * Run a tool that edits the file with its scripts journaled
+ * The changes are recorded in the change history. Inside a transaction they
+ * also join the transaction, and a failing tool rolls the transaction back.
+ * Refused while another session's transaction is open on the file.
  * @param {string} name - Tool name
  * @param {Object} args - Tool arguments
  * @param {Function} sendProgress - Progress callback
  * @param {Object} api - API context
  * @returns {Promise<Object>} Tool result
  */
-async function executeTool(name, args, sendProgress, api) {
+async function runJournaled(name, args, sendProgress, api) {
+  const fileId = resolveFileId(api);
+  const transaction = getSessionTransaction(fileId, api.sessionId);
+  // Outside a transaction, a failed script's edits stay applied and aren't recorded
+  // (the plugin only reports the error), but earlier scripts of the call are
+  const journal = createJournalContext(api, transaction ? 'transaction' : 'journal');
+
+  const record = () => {
+    if (journal.entries.length === 0) return;
+    recordChange({
+      sessionId: api.sessionId,
+      fileId,
+      tool: name,
+      args,
+      entries: journal.entries,
+      transactionId: transaction ? transaction.id : null
+    });
+    if (transaction) {
+      transaction.entries.push(...journal.entries);
+      transaction.removals.push(...journal.removals);
+    }
+  };
+
+  try {
+    const result = await routeTool(name, args, sendProgress, journal.api);
+    record();
+    if (transaction) {
+      transaction.tools.push(name);
+    }
+    return result;
+  } catch (error) {
+    record();
+    if (!transaction) {
+      throw error;
+    }
+
+    const thrown = error instanceof Error ? error : Object.assign(new Error(error.message), error);
+    try {
+      const { restored, skipped } = await rollbackTransaction(transaction);
+      thrown.details = { ...thrown.details, transaction: { transactionId: transaction.id, rolledBack: true, restored, skipped } };
+    } catch (rollbackError) {
+      thrown.details = { ...thrown.details, transaction: { transactionId: transaction.id, rolledBack: false, rollbackError: rollbackError.message } };
+    }
+    throw thrown;
+  } finally {
+    // The edits may touch variables or styles; the plugin's document-changed event can come later
+    clearCache(fileId);
+  }
+}
+
+/**
+ * Run a tool's implementation
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Function} sendProgress - Progress callback
+ * @param {Object} api - API context
+ * @returns {Promise<Object>} Tool result
+ */
+async function routeTool(name, args, sendProgress, api) {
+  // Route to FILE tools
+  if (fileTools[name]) {
+    return await fileTools[name](api, args, sendProgress);
+  }
+
+  // Route to TRANSACTION tools
+  if (transactionTools[name]) {
+    return await transactionTools[name](api, args, sendProgress);
+  }
+
+  // Route to HISTORY tools
+  if (historyTools[name]) {
+    return await historyTools[name](api, args, sendProgress);
+  }
+
   // Route to READ tools
   if (readTools[name]) {
     return await readTools[name](api, args, sendProgress);
@@ -54,5 +229,7 @@ async function executeTool(name, args, sendProgress, api) {
 
 module.exports = {
   getToolCatalog,
+  requiresFigma,
+  isReadOnlyTool,
   executeTool
 };
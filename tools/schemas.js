@@ -1139,7 +1139,7 @@ const validateResponsiveLayout = {
 
 const getPageStructure = {
   name: 'get_page_structure',
-  description: 'Get all top-level nodes on current page with optional children. Quick page overview without requiring nodeId upfront. Returns page info and all top-level nodes with their properties.',
+  description: 'Get all top-level nodes on current page (or another page by pageId) with optional children. Quick page overview without requiring nodeId upfront. Returns page info and all top-level nodes with their properties.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -1147,6 +1147,10 @@ const getPageStructure = {
         type: 'boolean',
         description: 'Include first-level children of each top-level node',
         default: false
+      },
+      pageId: {
+        type: 'string',
+        description: 'Optional: Page to describe (default: current page)'
       }
     }
   }
@@ -2307,7 +2311,7 @@ const exposeNestedInstanceByPath = {
 
 const executeFigmaScript = {
   name: 'execute_figma_script',
-  description: 'Execute arbitrary Figma Plugin API code. Use this for custom operations, complex workflows, or when existing tools don\'t cover your needs. The script runs in the Figma plugin context with full API access.',
+  description: 'Execute arbitrary Figma Plugin API code. Use this for custom operations, complex workflows, or when existing tools don\'t cover your needs. The script runs in the Figma plugin context with full API access, subject to the server\'s script policy (denied APIs, node creation limits, read-only checks). In read-only mode, scripts that set properties or call editing methods fail. Policy violations fail with POLICY_VIOLATION, and syntax errors with SCRIPT_ERROR and a line number, before the script is sent.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -2504,7 +2508,7 @@ const batchCreateIcons = {
 // Export all schemas
 
 function getAllSchemas() {
-  return [
+  const readingTools = [
     // READ tools
     getDesignSystem,
     getScreenshot,
@@ -2520,6 +2524,10 @@ function getAllSchemas() {
     getPageStructure,
     getComponentProperties,
     getInstanceProperties,
+    searchIcons
+  ];
+
+  const editingTools = [
     // WRITE tools
     createComponent,
     convertToComponent,
@@ -2570,10 +2578,68 @@ function getAllSchemas() {
     // UTILITY tools
     executeFigmaScript,
     // ICON tools
-    searchIcons,
     createIconComponent,
     batchCreateIcons
   ];
+
+  return [
+    ...readingTools.map(withFileIdArgument),
+    ...editingTools.map(withDryRunArgument).map(withFileIdArgument),
+    // TRANSACTION tools
+    ...[beginTransaction, commitTransaction, rollbackTransaction].map(withFileIdArgument),
+    // HISTORY tools
+    ...[getChangeHistory, undoLastChanges].map(withFileIdArgument),
+    // FILE tools (answered by the bridge, not routed to a file)
+    listConnectedFiles,
+    setActiveFile,
+    // FILE tools for PartyKit relay sessions
+    listFigmaFiles,
+    switchFigmaFile,
+    pinFigmaFile
+  ];
+}
+
+/**
+ * Add the optional dryRun argument every tool that edits the file accepts
+ * @param {Object} schema - Tool schema
+ * @returns {Object} Schema with inputSchema.properties.dryRun
+ */
+function withDryRunArgument(schema) {
+  return {
+    ...schema,
+    inputSchema: {
+      ...schema.inputSchema,
+      properties: {
+        ...schema.inputSchema.properties,
+        dryRun: {
+          type: 'boolean',
+          default: false,
+          description: 'Optional: Only report what would change (property before/after values, nodes created, moved or deleted) without editing the file. Created nodes get placeholder IDs like "dry-run:1".'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Add the optional fileId argument every Figma tool accepts
+ * @param {Object} schema - Tool schema
+ * @returns {Object} Schema with inputSchema.properties.fileId
+ */
+function withFileIdArgument(schema) {
+  return {
+    ...schema,
+    inputSchema: {
+      ...schema.inputSchema,
+      properties: {
+        ...schema.inputSchema.properties,
+        fileId: {
+          type: 'string',
+          description: 'Optional: Target a specific connected Figma file (see list_connected_files). Defaults to the active file.'
+        }
+      }
+    }
+  };
 }
 
 const searchIcons = {
@@ -2604,6 +2670,141 @@ const searchIcons = {
   }
 };
 
+// TRANSACTION Tools
+
+const beginTransaction = {
+  name: 'begin_transaction',
+  description: 'Start a transaction on a Figma file. Until commit_transaction or rollback_transaction, every tool that edits the file records how to undo its changes, and a tool that fails rolls the whole transaction back. Nodes deleted inside a transaction are hidden until commit. One transaction per file; other sessions can\'t edit the file until it ends.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      label: {
+        type: 'string',
+        description: 'Optional: What the transaction does (returned by commit_transaction and rollback_transaction)'
+      }
+    }
+  }
+};
+
+const commitTransaction = {
+  name: 'commit_transaction',
+  description: 'Keep every change made since begin_transaction and end the transaction. Nodes deleted inside the transaction are removed now.',
+  inputSchema: {
+    type: 'object',
+    properties: {}
+  }
+};
+
+const rollbackTransaction = {
+  name: 'rollback_transaction',
+  description: 'Undo every change made since begin_transaction and end the transaction: restores previous property values and positions, brings back deleted nodes and removes created ones. Returns changes that could not be undone in skipped.',
+  inputSchema: {
+    type: 'object',
+    properties: {}
+  }
+};
+
+// HISTORY Tools
+
+const getChangeHistory = {
+  name: 'get_change_history',
+  description: 'List the changes write tools made to a Figma file in this session, newest first: the tool, its arguments, when it ran, and the before/after value of every property, position, size, binding or node it changed. Changes undone by undo_last_changes or rollback_transaction are marked undone. History is kept in server memory and lost when the server restarts.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      limit: {
+        type: 'number',
+        description: 'Optional: Maximum number of changes to return (default: 20)'
+      }
+    }
+  }
+};
+
+const undoLastChanges = {
+  name: 'undo_last_changes',
+  description: 'Undo the last n tool calls that changed a Figma file in this session, newest first: restores previous property values and positions and removes created nodes. Deleted nodes can only be brought back inside a transaction; changes that could not be undone are returned in skipped. Not available while a transaction is open (use rollback_transaction). Only changes made since the server started can be undone.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      n: {
+        type: 'number',
+        description: 'Optional: Number of tool calls to undo (default: 1)'
+      }
+    }
+  }
+};
+
+// FILE Tools (multiple connected files)
+
+const listConnectedFiles = {
+  name: 'list_connected_files',
+  description: 'List every Figma file with the plugin currently connected, including which one is active. Tools without a fileId argument run against the active file.',
+  inputSchema: {
+    type: 'object',
+    properties: {}
+  }
+};
+
+const setActiveFile = {
+  name: 'set_active_file',
+  description: 'Make a connected Figma file the active file, so tools called without a fileId run against it.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      fileId: {
+        type: 'string',
+        description: 'File ID from list_connected_files'
+      }
+    },
+    required: ['fileId']
+  }
+};
+
+// FILE Tools (PartyKit relay sessions)
+
+const listFigmaFiles = {
+  name: 'list_figma_files',
+  description: 'List Figma files announced to the PartyKit relay (FIGMATIC_MODE=partykit), with which one the bridge has joined and whether it is pinned. A stale file has stopped announcing.',
+  inputSchema: {
+    type: 'object',
+    properties: {}
+  }
+};
+
+const switchFigmaFile = {
+  name: 'switch_figma_file',
+  description: 'Join an announced Figma file\'s relay session and make it the active file (PartyKit mode). Waits up to 10s for its plugin to pair. Releases any pin on the previous file.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      fileId: {
+        type: 'string',
+        description: 'File ID from list_figma_files'
+      }
+    },
+    required: ['fileId']
+  }
+};
+
+const pinFigmaFile = {
+  name: 'pin_figma_file',
+  description: 'Pin a Figma file so the bridge stays on it when it briefly stops announcing, instead of switching to another file (PartyKit mode). Pinning another file switches to it.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      fileId: {
+        type: 'string',
+        description: 'Optional: File ID from list_figma_files. Defaults to the active file.'
+      },
+      pinned: {
+        type: 'boolean',
+        default: true,
+        description: 'Optional: false to unpin'
+      }
+    }
+  }
+};
+
 module.exports = {
   getAllSchemas,
   // Individual exports for reference
@@ -2665,5 +2866,15 @@ module.exports = {
   executeFigmaScript,
   createIconComponent,
   batchCreateIcons,
-  searchIcons
+  searchIcons,
+  listConnectedFiles,
+  setActiveFile,
+  listFigmaFiles,
+  switchFigmaFile,
+  pinFigmaFile,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+  getChangeHistory,
+  undoLastChanges
 };
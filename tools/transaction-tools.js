@@ -0,0 +1,78 @@
+/**
+ * Transaction Tools
+ *
+ * Group several write tools into one all-or-nothing change.
+ * See utils/transactions.js for how edits are journaled and undone.
+ */
+
+const {
+  resolveFileId,
+  beginTransaction,
+  requireTransaction,
+  rollbackTransaction,
+  commitTransaction,
+  describeTransaction
+} = require('../utils/transactions');
+const { CAPABILITIES } = require('../bridge/core/protocol');
+
+/**
+ * Tool: begin_transaction
+ * Journal every edit to the file until commit_transaction or rollback_transaction
+ */
+async function beginTransactionTool(api, args, sendProgress) {
+  // Rollback and commit find nodes with figma.getNodeByIdAsync
+  api.requireCapability(CAPABILITIES.ASYNC_NODE_LOOKUP, 'begin_transaction');
+
+  const transaction = beginTransaction(resolveFileId(api), { label: args.label, sessionId: api.sessionId });
+
+  sendProgress({ status: `Transaction ${transaction.id} started on file ${transaction.fileId}` });
+
+  return describeTransaction(transaction);
+}
+
+/**
+ * Tool: commit_transaction
+ * Keep the transaction's edits and remove nodes deleted inside it
+ */
+async function commitTransactionTool(api, args, sendProgress) {
+  const transaction = requireTransaction(resolveFileId(api), api.sessionId);
+
+  sendProgress({ status: `Committing transaction ${transaction.id}...` });
+
+  const { removed } = await commitTransaction(transaction);
+
+  sendProgress({ status: `Transaction ${transaction.id} committed` });
+
+  return {
+    ...describeTransaction(transaction),
+    committed: true,
+    removedNodes: removed
+  };
+}
+
+/**
+ * Tool: rollback_transaction
+ * Undo every edit made since begin_transaction
+ */
+async function rollbackTransactionTool(api, args, sendProgress) {
+  const transaction = requireTransaction(resolveFileId(api), api.sessionId);
+
+  sendProgress({ status: `Rolling back ${transaction.entries.length} change(s) of transaction ${transaction.id}...` });
+
+  const { restored, skipped } = await rollbackTransaction(transaction);
+
+  sendProgress({ status: `Transaction ${transaction.id} rolled back` });
+
+  return {
+    ...describeTransaction(transaction),
+    rolledBack: true,
+    restored,
+    skipped
+  };
+}
+
+module.exports = {
+  begin_transaction: beginTransactionTool,
+  commit_transaction: commitTransactionTool,
+  rollback_transaction: rollbackTransactionTool
+};
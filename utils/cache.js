@@ -1,59 +1,76 @@
 /**
  * Layer 0 Caching Utilities
  *
- * Caches design system data (variables, styles, effects)
+ * Caches design system data (variables, styles, effects) per file
  * TTL: 15 minutes (design system rarely changes)
+ * An entry is also stale once its file changed after it was cached.
  */
 
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes in milliseconds
 
-let designSystemCache = {
-  data: null,
-  timestamp: 0
-};
+const designSystemCache = new Map(); // fileId -> { data, timestamp }
+
+// Lookups since startup (not reset by clearCache)
+let lookups = { hits: 0, misses: 0 };
 
 /**
- * Get cached design system if still valid
- * @returns {Object|null} Cached data or null if expired/empty
+ * Get a file's cached design system if still valid
+ * @param {string} fileId - File ID
+ * @param {number} changedAt - When the file last changed in ms (default: never)
+ * @returns {Object|null} Cached data or null if expired/empty/changed since
  */
-function getCachedDesignSystem() {
+function getCachedDesignSystem(fileId, changedAt = 0) {
+  const entry = designSystemCache.get(fileId);
   const now = Date.now();
-  if (designSystemCache.data && (now - designSystemCache.timestamp) < CACHE_TTL) {
-    return designSystemCache.data;
+  if (entry && (now - entry.timestamp) < CACHE_TTL && entry.timestamp > changedAt) {
+    lookups.hits++;
+    return entry.data;
   }
+  lookups.misses++;
   return null;
 }
 
 /**
- * Set design system cache
+ * Set a file's design system cache
+ * @param {string} fileId - File ID
  * @param {Object} data - Design system data to cache
  */
-function setCachedDesignSystem(data) {
-  designSystemCache.data = data;
-  designSystemCache.timestamp = Date.now();
+function setCachedDesignSystem(fileId, data) {
+  designSystemCache.set(fileId, { data, timestamp: Date.now() });
 }
 
 /**
  * Clear the cache manually
+ * @param {string} fileId - File to clear (default: every file)
  */
-function clearCache() {
-  designSystemCache = { data: null, timestamp: 0 };
+function clearCache(fileId) {
+  if (fileId === undefined) {
+    designSystemCache.clear();
+  } else {
+    designSystemCache.delete(fileId);
+  }
 }
 
 /**
  * Get cache stats
+ * age and remaining are those of the oldest entry
  * @returns {Object} Cache statistics
  */
 function getCacheStats() {
   const now = Date.now();
-  const age = designSystemCache.timestamp ? now - designSystemCache.timestamp : 0;
-  const remaining = designSystemCache.timestamp ? Math.max(0, CACHE_TTL - age) : 0;
+  const oldest = Math.min(...Array.from(designSystemCache.values(), entry => entry.timestamp));
+  const age = designSystemCache.size > 0 ? now - oldest : 0;
+  const remaining = designSystemCache.size > 0 ? Math.max(0, CACHE_TTL - age) : 0;
 
   return {
-    cached: designSystemCache.data !== null,
+    cached: designSystemCache.size > 0,
+    files: designSystemCache.size,
     age: Math.floor(age / 1000), // seconds
     remaining: Math.floor(remaining / 1000), // seconds
-    ttl: CACHE_TTL / 1000 // seconds
+    ttl: CACHE_TTL / 1000, // seconds
+    hits: lookups.hits,
+    misses: lookups.misses,
+    hitRatio: lookups.hits + lookups.misses > 0 ? lookups.hits / (lookups.hits + lookups.misses) : 0
   };
 }
 
@@ -0,0 +1,31 @@
+/**
+ * Tests for the design system cache
+ */
+
+const assert = require('assert');
+const { getCachedDesignSystem, setCachedDesignSystem, clearCache, getCacheStats } = require('./cache');
+
+console.log('Testing design system cache...');
+
+// Each file has its own entry
+setCachedDesignSystem('file-a', { collections: { A: {} } });
+setCachedDesignSystem('file-b', { collections: { B: {} } });
+assert.deepStrictEqual(getCachedDesignSystem('file-a'), { collections: { A: {} } });
+assert.deepStrictEqual(getCachedDesignSystem('file-b'), { collections: { B: {} } });
+assert.strictEqual(getCachedDesignSystem('file-c'), null, 'Other files miss');
+assert.strictEqual(getCacheStats().files, 2);
+
+// An edit reported after the entry was cached makes it stale
+assert.strictEqual(getCachedDesignSystem('file-a', Date.now() + 1), null);
+assert.ok(getCachedDesignSystem('file-a', Date.now() - 60000), 'Earlier edits keep it');
+
+clearCache('file-a');
+assert.strictEqual(getCachedDesignSystem('file-a'), null);
+assert.ok(getCachedDesignSystem('file-b'), 'Clearing one file keeps the others');
+
+clearCache();
+assert.strictEqual(getCacheStats().cached, false);
+
+console.log('✓ design system cache passed');
+
+console.log('\n✅ All tests passed!\n');
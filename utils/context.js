@@ -6,12 +6,20 @@
  */
 
 const path = require('path');
+const { getOperation } = require('../operations');
 
 /**
  * Creates API context for tools
- * @returns {Object} API object with executeInFigma, lib functions, etc.
+ * @param {Object} options - Context options
+ * @param {AbortSignal} options.signal - Cancels every script this tool call sends to Figma
+ * @param {string} options.fileId - File every script is sent to (default: active file)
+ * @param {boolean} options.readOnly - Tool only reads, so its scripts run alongside other reads and are replayed if the plugin reloads mid-call
+ * @param {string} options.sessionId - MCP session the call belongs to (change history is kept per session)
+ * @returns {Object} API object with executeInFigma, runOperation, lib functions, etc.
  */
-function createAPIContext() {
+function createAPIContext(options = {}) {
+  const { signal, fileId, readOnly = false, sessionId = null } = options;
+
   // Import local helper functions
   const lib = require('../helpers');
 
@@ -20,9 +28,29 @@ function createAPIContext() {
 
   return {
     // WebSocket bridge functions
-    executeInFigma: wsServer.executeInFigma,
-    getAllVariables: wsServer.getAllVariables,
-    isConnected: wsServer.isConnected,
+    // options.operation: send the script as a named operation (see operations/)
+    // options.onProgress: receives { progress, total, status } as the script reports them
+    executeInFigma: (script, args, options = {}) => wsServer.executeInFigma(script, { signal, fileId, readOnly, args, operation: options.operation, onProgress: options.onProgress }),
+    runOperation: (name, args, options = {}) => {
+      const operation = getOperation(name);
+      return wsServer.executeInFigma(operation.script, { signal, fileId, readOnly, args, operation: operation.id, onProgress: options.onProgress });
+    },
+    getAllVariables: () => wsServer.getAllVariables({ signal, fileId, readOnly: true }),
+    getFigmaContext: () => wsServer.getFigmaContext(fileId),
+    getFileEvents: () => wsServer.getFileEvents(fileId),
+    isConnected: () => wsServer.isConnected(fileId),
+    isReconnecting: () => wsServer.isReconnecting(fileId),
+    hasCapability: (capability) => wsServer.hasCapability(capability, fileId),
+    requireCapability: (capability, feature) => wsServer.requireCapability(capability, fileId, feature),
+    getStatus: wsServer.getStatus,
+    listConnectedFiles: wsServer.listConnectedFiles,
+    setActiveFile: wsServer.setActiveFile,
+    listFigmaFiles: wsServer.listFigmaFiles,
+    switchFigmaFile: wsServer.switchFigmaFile,
+    pinFigmaFile: wsServer.pinFigmaFile,
+    signal,
+    fileId,
+    sessionId,
 
     // All lib helper functions
     ...lib
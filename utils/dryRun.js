@@ -0,0 +1,471 @@
+/**
+ * Dry Run
+ *
+ * Runs a write tool against a recording `figma` instead of the real one.
+ * Reads go to the file as usual; property writes, moves, removals, created
+ * nodes and other edits are collected and returned next to the tool's
+ * result, and nothing in the file changes.
+ *
+ * The recording covers the Plugin API the tools use (node properties,
+ * figma.create*, appendChild/insertChild, remove, resize, set* methods and
+ * figma.variables). Nodes that would be created get placeholder IDs such as
+ * "dry-run:1". It is a preview, not a sandbox: reads still see the file as
+ * it is, apart from properties the tool call already changed.
+ *
+ * All scripts of one tool call share a recorder, kept in the plugin under
+ * globalThis[DRY_RUNS_KEY] until the call ends, so later scripts see the
+ * earlier ones' planned changes and placeholder nodes.
+ */
+
+const crypto = require('crypto');
+const { getOperation } = require('../operations');
+
+const DRY_RUNS_KEY = '__figmaticDryRuns';
+
+const CHANGE_KINDS = ['modified', 'created', 'moved', 'deleted', 'calls'];
+
+/**
+ * Create a recording `figma` (runs inside the plugin)
+ * Must not use anything outside its own body: it is sent as source
+ * @param {Object} figma - The plugin's figma global
+ * @returns {Object} { figma, changes() }
+ */
+function createRecorder(figma) {
+  const ENTITY_MUTATORS = /^(set[A-Z]|remove$|remove[A-Z]|append|insert|swap|detach|resize|rescale|clone$|createInstance$|add[A-Z]|edit[A-Z]|delete[A-Z]|rename[A-Z]|reset)/;
+  const PASSTHROUGH_CREATORS = /^create(Image|Video|VariableAlias)/;
+  const GROUPERS = {
+    group: 'GROUP',
+    combineAsVariants: 'COMPONENT_SET',
+    flatten: 'VECTOR',
+    union: 'BOOLEAN_OPERATION',
+    subtract: 'BOOLEAN_OPERATION',
+    intersect: 'BOOLEAN_OPERATION',
+    exclude: 'BOOLEAN_OPERATION'
+  };
+  // Read-only methods of nodes created during the dry run
+  const VIRTUAL_READS = {
+    findAll: () => [],
+    findChildren: () => [],
+    findAllWithCriteria: () => [],
+    findOne: () => null,
+    findChild: () => null,
+    getPluginData: () => '',
+    getSharedPluginData: () => ''
+  };
+  const CREATED_TYPES = {
+    createNodeFromSvg: 'FRAME',
+    createComponentFromNode: 'COMPONENT',
+    createPaintStyle: 'PAINT',
+    createTextStyle: 'TEXT',
+    createEffectStyle: 'EFFECT',
+    createGridStyle: 'GRID'
+  };
+
+  const proxies = new WeakMap(); // target -> proxy
+  const targets = new WeakMap(); // proxy -> target
+  const overlays = new WeakMap(); // target -> Map(property -> planned value)
+  const virtual = new WeakSet(); // targets created during the dry run
+  const modified = new Map(); // target -> { nodeId, name, type, properties }
+  const created = [];
+  const moved = [];
+  const deleted = [];
+  const calls = [];
+  const createdById = new Map();
+  let nextId = 1;
+
+  function isCreator(key) {
+    return typeof key === 'string' && ((key.startsWith('create') && !PASSTHROUGH_CREATORS.test(key)) || key === 'ungroup' || key in GROUPERS);
+  }
+
+  function isEntity(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+      typeof value.id === 'string' && value.type !== 'VARIABLE_ALIAS';
+  }
+
+  function unwrap(value) {
+    if (value && typeof value === 'object' && targets.has(value)) return targets.get(value);
+    if (Array.isArray(value)) return value.map(unwrap);
+    // Callbacks (findAll, findOne, ...) see recorded nodes too
+    if (typeof value === 'function') return (...params) => value(...params.map(wrap));
+    return value;
+  }
+
+  function wrap(value) {
+    if (value && typeof value === 'object' && targets.has(value)) return value;
+    if (value && typeof value.then === 'function') return value.then(wrap);
+    if (Array.isArray(value)) return value.map(wrap);
+    if (isEntity(value)) return entity(value);
+    return value;
+  }
+
+  function read(target, key) {
+    const planned = overlays.get(target);
+    if (planned && planned.has(key)) return planned.get(key);
+    try {
+      return target[key];
+    } catch (error) {
+      return undefined; // e.g. mainComponent in dynamic-page files
+    }
+  }
+
+  function describe(value) {
+    if (value === undefined || typeof value === 'symbol') return null;
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+      const target = item && typeof item === 'object' && targets.has(item) ? targets.get(item) : item;
+      return isEntity(target) ? { id: target.id, type: target.type } : item;
+    }));
+  }
+
+  function record(target, property, before, after) {
+    if (!modified.has(target)) {
+      modified.set(target, {
+        nodeId: target === figma ? null : target.id,
+        name: target === figma ? 'figma' : target.name,
+        type: target.type,
+        properties: {}
+      });
+    }
+    const properties = modified.get(target).properties;
+    if (!(property in properties)) {
+      properties[property] = { before: describe(before) };
+    }
+    properties[property].after = describe(after);
+  }
+
+  function assign(target, key, value) {
+    if (virtual.has(target)) {
+      target[key] = value;
+      return;
+    }
+    record(target, key, read(target, key), value);
+    if (!overlays.has(target)) overlays.set(target, new Map());
+    overlays.get(target).set(key, value);
+  }
+
+  function move(parent, child, index) {
+    const childTarget = unwrap(child);
+    const from = read(childTarget, 'parent');
+    const parentProxy = entity(parent);
+    const childProxy = entity(childTarget);
+
+    const fromTarget = unwrap(from);
+    if (fromTarget && virtual.has(fromTarget)) {
+      fromTarget.children = fromTarget.children.filter(item => item !== childProxy);
+    }
+    if (virtual.has(parent)) {
+      const position = index === undefined ? parent.children.length : index;
+      parent.children.splice(position, 0, childProxy);
+    }
+
+    if (virtual.has(childTarget)) {
+      childTarget.parent = parentProxy;
+      return;
+    }
+
+    if (!overlays.has(childTarget)) overlays.set(childTarget, new Map());
+    overlays.get(childTarget).set('parent', parentProxy);
+
+    const previous = moved.find(entry => entry.nodeId === childTarget.id);
+    if (previous) {
+      previous.toParentId = parent.id;
+      previous.index = index === undefined ? null : index;
+      return;
+    }
+    moved.push({
+      nodeId: childTarget.id,
+      name: childTarget.name,
+      fromParentId: from ? from.id : null,
+      toParentId: parent.id,
+      index: index === undefined ? null : index
+    });
+  }
+
+  function create(type, via, init) {
+    const target = {
+      id: `dry-run:${nextId++}`,
+      type,
+      name: init.name || type.charAt(0) + type.slice(1).toLowerCase().replace(/_/g, ' '),
+      parent: init.parent || null,
+      children: [],
+      width: init.width !== undefined ? init.width : 100,
+      height: init.height !== undefined ? init.height : 100,
+      removed: false
+    };
+    if (type === 'VARIABLE_COLLECTION') {
+      target.modes = [{ modeId: `${target.id}:mode`, name: 'Mode 1' }];
+      target.defaultModeId = target.modes[0].modeId;
+    }
+
+    virtual.add(target);
+    created.push({ target, via, source: init.source });
+    const proxy = entity(target);
+    createdById.set(target.id, proxy);
+    if (init.parent && virtual.has(unwrap(init.parent))) {
+      unwrap(init.parent).children.push(proxy);
+    }
+    return proxy;
+  }
+
+  function createFrom(key, params) {
+    const page = () => wrap(figma.currentPage);
+
+    if (key in GROUPERS) {
+      const [nodes, parent] = params;
+      const group = create(GROUPERS[key], key, { parent: parent || page() });
+      nodes.forEach(node => move(unwrap(group), node));
+      return group;
+    }
+
+    if (key === 'ungroup') {
+      const group = unwrap(params[0]);
+      const parent = read(group, 'parent');
+      const children = wrap(read(group, 'children')) || [];
+      children.forEach(child => move(unwrap(parent), child));
+      plan(group, 'remove', []);
+      return children;
+    }
+
+    const type = CREATED_TYPES[key] || key.replace(/^create/, '').replace(/Async$/, '').replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+    const init = { source: params[0] && targets.has(params[0]) ? params[0].id : undefined };
+    if (/^createVariable/.test(key)) {
+      init.name = params[0];
+    } else if (key === 'createPage') {
+      init.parent = wrap(figma.root);
+    } else if (!/Style$/.test(key)) {
+      init.parent = page();
+    }
+    return create(type, key, init);
+  }
+
+  function plan(target, method, params) {
+    const self = entity(target);
+
+    if (method === 'appendChild' || method === 'insertChild') {
+      const [index, child] = method === 'insertChild' ? params : [undefined, params[0]];
+      move(target, child, index);
+      return undefined;
+    }
+
+    if (method === 'resize' || method === 'resizeWithoutConstraints') {
+      assign(target, 'width', params[0]);
+      assign(target, 'height', params[1]);
+      return undefined;
+    }
+
+    if (method === 'clone' || method === 'createInstance') {
+      return create(method === 'clone' ? target.type : 'INSTANCE', method, {
+        name: read(target, 'name'),
+        parent: method === 'clone' ? read(target, 'parent') : wrap(figma.currentPage),
+        width: read(target, 'width'),
+        height: read(target, 'height'),
+        source: target.id
+      });
+    }
+
+    if (virtual.has(target)) {
+      if (method === 'remove') {
+        const entry = created.findIndex(item => item.target === target);
+        if (entry !== -1) created.splice(entry, 1);
+        return undefined;
+      }
+      calls.push({ nodeId: target.id, method, args: describe(params) });
+      return undefined;
+    }
+
+    if (method === 'remove') {
+      deleted.push({ nodeId: target.id, name: target.name, type: target.type });
+      if (!overlays.has(target)) overlays.set(target, new Map());
+      overlays.get(target).set('removed', true);
+      return undefined;
+    }
+
+    if (method === 'setBoundVariable') {
+      const [field, variable] = params;
+      const bound = read(target, 'boundVariables') || {};
+      record(target, `boundVariables.${field}`, bound[field], variable ? { type: 'VARIABLE_ALIAS', id: variable.id } : null);
+      return undefined;
+    }
+
+    if (method === 'setProperties') {
+      const current = read(target, 'componentProperties') || {};
+      Object.entries(params[0] || {}).forEach(([name, value]) => {
+        record(target, `componentProperties.${name}`, current[name] ? current[name].value : undefined, value);
+      });
+      return undefined;
+    }
+
+    if (method === 'swapComponent') {
+      record(target, 'mainComponent', read(target, 'mainComponent'), params[0]);
+      return undefined;
+    }
+
+    calls.push({ nodeId: target.id, name: target.name, method, args: describe(params) });
+    return method === 'detachInstance' ? self : undefined;
+  }
+
+  function entity(target) {
+    if (proxies.has(target)) return proxies.get(target);
+
+    const proxy = new Proxy(target, {
+      get(obj, key) {
+        const value = read(obj, key);
+        const isMethod = typeof value === 'function' || (virtual.has(obj) && value === undefined);
+        if (isMethod && typeof key === 'string' && ENTITY_MUTATORS.test(key)) return (...params) => plan(obj, key, params);
+        if (virtual.has(obj) && value === undefined && key in VIRTUAL_READS) return VIRTUAL_READS[key];
+        if (typeof value !== 'function') return wrap(value);
+        return (...params) => wrap(value.apply(obj, params.map(unwrap)));
+      },
+      set(obj, key, value) {
+        assign(obj, key, value);
+        return true;
+      }
+    });
+
+    proxies.set(target, proxy);
+    targets.set(proxy, target);
+    return proxy;
+  }
+
+  function namespace(target) {
+    if (proxies.has(target)) return proxies.get(target);
+
+    const proxy = new Proxy(target, {
+      get(obj, key) {
+        const planned = overlays.get(obj);
+        if (planned && planned.has(key)) return planned.get(key);
+        const value = obj[key];
+        if (typeof value === 'function') {
+          if (isCreator(key)) return (...params) => createFrom(key, params);
+          if (key === 'getNodeById' || key === 'getNodeByIdAsync') {
+            return (id) => createdById.has(id)
+              ? (key === 'getNodeById' ? createdById.get(id) : Promise.resolve(createdById.get(id)))
+              : wrap(value.call(obj, id));
+          }
+          return (...params) => wrap(value.apply(obj, params.map(unwrap)));
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value) && !isEntity(value)) return namespace(value);
+        return wrap(value);
+      },
+      set(obj, key, value) {
+        record(figma, key, read(obj, key), value);
+        if (!overlays.has(obj)) overlays.set(obj, new Map());
+        overlays.get(obj).set(key, value);
+        return true;
+      }
+    });
+
+    proxies.set(target, proxy);
+    targets.set(proxy, target);
+    return proxy;
+  }
+
+  function changes() {
+    return {
+      modified: Array.from(modified.values())
+        .map(entry => {
+          const properties = {};
+          Object.entries(entry.properties).forEach(([property, diff]) => {
+            if (JSON.stringify(diff.before) !== JSON.stringify(diff.after)) properties[property] = diff;
+          });
+          return { ...entry, properties };
+        })
+        .filter(entry => Object.keys(entry.properties).length > 0),
+      created: created.map(({ target, via, source }) => ({
+        id: target.id,
+        type: target.type,
+        name: target.name,
+        parentId: target.parent ? target.parent.id : null,
+        via,
+        ...(source ? { source } : {})
+      })),
+      moved,
+      deleted,
+      calls
+    };
+  }
+
+  return { figma: namespace(figma), changes };
+}
+
+// Sent as source with its own file name, so errors thrown by the file
+// still point at the script's line (see parseScriptLocation)
+const RECORDER_SOURCE = JSON.stringify(`return ${createRecorder}\n//# sourceURL=figmatic-dry-run.js`);
+
+/**
+ * Wrap a script so it runs against a recording `figma` (pure)
+ * Everything is added on the first and last lines, so line numbers still match
+ * @param {string} script - Script body
+ * @param {string} runId - Reuse the recorder kept for this dry run (default: a fresh recorder)
+ * @returns {string} Script that resolves to { result, changes } with the run's changes so far
+ */
+function planChanges(script, runId = null) {
+  const fresh = `new Function(${RECORDER_SOURCE})()(figma)`;
+  const recorder = runId === null
+    ? fresh
+    : `((runs) => runs[${JSON.stringify(runId)}] || (runs[${JSON.stringify(runId)}] = ${fresh}))` +
+      `(globalThis.${DRY_RUNS_KEY} || (globalThis.${DRY_RUNS_KEY} = {}))`;
+
+  return `return ((recorder) => (async (figma) => {${script}\n})(recorder.figma)` +
+    `.then(result => ({ result, changes: recorder.changes() })))(${recorder});`;
+}
+
+/**
+ * Script that drops a dry run's recorder from the plugin (pure)
+ * @param {string} runId - Dry run ID
+ * @returns {string} Script body
+ */
+function endDryRun(runId) {
+  return `if (globalThis.${DRY_RUNS_KEY}) delete globalThis.${DRY_RUNS_KEY}[${JSON.stringify(runId)}];\nreturn null;`;
+}
+
+/**
+ * Create an API context whose scripts only record what they would change
+ * Call end() once the tool is done, so the plugin drops the recorder.
+ * @param {Object} api - API context from createAPIContext
+ * @returns {Object} { api, changes, end() } - changes holds every script's changes so far
+ */
+function createDryRunContext(api) {
+  const runId = crypto.randomUUID();
+  const changes = { modified: [], created: [], moved: [], deleted: [], calls: [] };
+  let started = false;
+
+  const executeInFigma = async (script, args, options = {}) => {
+    started = true;
+    const response = await api.executeInFigma(planChanges(script, runId), args, { onProgress: options.onProgress });
+    const { result, changes: planned } = response.result;
+    CHANGE_KINDS.forEach(kind => { changes[kind] = planned[kind]; });
+    return { ...response, result };
+  };
+
+  return {
+    api: {
+      ...api,
+      executeInFigma,
+      // Operations are sent as plain scripts, so the recorder can wrap them
+      runOperation: (name, args, options = {}) => executeInFigma(getOperation(name).script, args, options)
+    },
+    changes,
+
+    /**
+     * Drop the recorder from the plugin
+     * Best-effort: if the call was cancelled or the plugin is gone, the
+     * recorder stays until the plugin reloads
+     * @returns {Promise<void>}
+     */
+    async end() {
+      if (!started) return;
+      try {
+        await api.executeInFigma(endDryRun(runId));
+      } catch (error) {
+        // Nothing to report to the caller, the dry run itself is done
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRecorder,
+  planChanges,
+  endDryRun,
+  createDryRunContext
+};
@@ -0,0 +1,160 @@
+/**
+ * Tests for dry runs of write scripts
+ */
+
+const assert = require('assert');
+const { planChanges, createDryRunContext } = require('./dryRun');
+const { createMockFigma, seedDemoDocument } = require('../mock-plugin');
+const { parseScriptLocation } = require('../bridge/core/errors');
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+function runPlanned(figma, script, args = {}) {
+  return new AsyncFunction('figma', 'cancellation', 'args', planChanges(script))(figma, null, args);
+}
+
+(async () => {
+  const figma = createMockFigma();
+  const seeded = await seedDemoDocument(figma);
+  const screen = figma.getNodeById(seeded.screenId);
+  const label = figma.getNodeById(seeded.labelId);
+  const button = figma.getNodeById(seeded.buttonId);
+
+  console.log('Testing property changes...');
+
+  const edit = await runPlanned(figma, `
+    const node = figma.getNodeById(args.nodeId);
+    node.name = 'Home';
+    node.fills = [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 } }];
+    node.resize(400, node.height);
+    node.x = node.x;
+    return { id: node.id, name: node.name };
+  `, { nodeId: seeded.screenId });
+
+  assert.deepStrictEqual(edit.result, { id: seeded.screenId, name: 'Home' }, 'The script reads its own changes');
+  assert.strictEqual(screen.name, 'Screen', 'Nothing was changed');
+  assert.strictEqual(screen.width, 390);
+  assert.strictEqual(edit.changes.modified.length, 1);
+
+  const [modified] = edit.changes.modified;
+  assert.strictEqual(modified.nodeId, seeded.screenId);
+  assert.deepStrictEqual(modified.properties.name, { before: 'Screen', after: 'Home' });
+  assert.deepStrictEqual(modified.properties.width, { before: 390, after: 400 });
+  assert.strictEqual(modified.properties.fills.before[0].color.r, 1);
+  assert.ok(!('height' in modified.properties), 'Unchanged values are left out');
+  assert.ok(!('x' in modified.properties));
+
+  const bind = await runPlanned(figma, `
+    const node = figma.getNodeById(args.nodeId);
+    const variable = (await figma.variables.getLocalVariablesAsync())[0];
+    node.setBoundVariable('itemSpacing', variable);
+    node.setPluginData('reviewed', 'yes');
+  `, { nodeId: seeded.buttonId });
+  assert.deepStrictEqual(bind.changes.modified[0].properties['boundVariables.itemSpacing'], {
+    before: null,
+    after: { type: 'VARIABLE_ALIAS', id: seeded.variableId }
+  });
+  assert.deepStrictEqual(bind.changes.calls, [{ nodeId: seeded.buttonId, name: 'Button', method: 'setPluginData', args: ['reviewed', 'yes'] }]);
+  assert.deepStrictEqual(button.boundVariables, {});
+
+  console.log('✓ Property changes passed');
+
+  console.log('\nTesting created, moved and deleted nodes...');
+
+  const pageSize = figma.currentPage.children.length;
+  const wrap = await runPlanned(figma, `
+    const node = figma.getNodeById(args.nodeId);
+    const parent = node.parent;
+    const container = figma.createFrame();
+    container.name = 'Wrapper';
+    container.layoutMode = 'VERTICAL';
+    parent.insertChild(parent.children.indexOf(node), container);
+    container.appendChild(node);
+    const copy = node.clone();
+    container.appendChild(copy);
+    return { containerId: container.id, children: container.children.map(child => child.id), parentId: node.parent.id };
+  `, { nodeId: seeded.labelId });
+
+  assert.deepStrictEqual(wrap.result, {
+    containerId: 'dry-run:1',
+    children: [seeded.labelId, 'dry-run:2'],
+    parentId: 'dry-run:1'
+  });
+  assert.deepStrictEqual(wrap.changes.created, [
+    { id: 'dry-run:1', type: 'FRAME', name: 'Wrapper', parentId: seeded.buttonId, via: 'createFrame' },
+    { id: 'dry-run:2', type: 'TEXT', name: 'Label', parentId: 'dry-run:1', via: 'clone', source: seeded.labelId }
+  ]);
+  assert.deepStrictEqual(wrap.changes.moved, [
+    { nodeId: seeded.labelId, name: 'Label', fromParentId: seeded.buttonId, toParentId: 'dry-run:1', index: null }
+  ]);
+  assert.strictEqual(label.parent, button);
+  assert.strictEqual(figma.currentPage.children.length, pageSize, 'No frame was added');
+
+  const removal = await runPlanned(figma, `
+    const node = figma.getNodeById(args.nodeId);
+    node.remove();
+    const scratch = figma.createRectangle();
+    scratch.remove();
+    return node.removed;
+  `, { nodeId: seeded.screenId });
+  assert.strictEqual(removal.result, true);
+  assert.deepStrictEqual(removal.changes.deleted, [{ nodeId: seeded.screenId, name: 'Screen', type: 'FRAME' }]);
+  assert.deepStrictEqual(removal.changes.created, [], 'Nodes created and removed again are left out');
+  assert.ok(figma.getNodeById(seeded.screenId), 'The node is still there');
+
+  console.log('✓ Created, moved and deleted nodes passed');
+
+  console.log('\nTesting script errors...');
+
+  await assert.rejects(
+    runPlanned(figma, 'const node = figma.getNodeById("1:999");\nnode.name = "x";'),
+    (error) => parseScriptLocation(error.stack).line === 2
+  );
+
+  console.log('✓ Script errors passed');
+
+  console.log('\nTesting createDryRunContext...');
+
+  const sent = [];
+  const api = {
+    executeInFigma: async (script, args) => {
+      sent.push(script);
+      return { success: true, result: await new AsyncFunction('figma', 'cancellation', 'args', script)(figma, null, args) };
+    },
+    helper: 'kept'
+  };
+  const dryRun = createDryRunContext(api);
+
+  const first = await dryRun.api.executeInFigma('const f = figma.createFrame(); f.name = "A"; return f.id;');
+  const second = await dryRun.api.runOperation('modify_node', { nodeId: seeded.screenId, properties: { name: 'B' } });
+  assert.strictEqual(first.result, 'dry-run:1');
+  assert.ok(second.result, 'Operations run as recorded scripts');
+  assert.strictEqual(dryRun.api.helper, 'kept');
+  assert.deepStrictEqual(dryRun.changes.created.map(node => node.id), ['dry-run:1']);
+  assert.deepStrictEqual(dryRun.changes.modified[0].properties.name, { before: 'Screen', after: 'B' });
+  assert.strictEqual(sent.length, 2);
+
+  const next = await dryRun.api.executeInFigma('return figma.createFrame().id;');
+  assert.strictEqual(next.result, 'dry-run:2', 'Placeholder IDs continue across scripts');
+
+  // Later scripts see earlier placeholder nodes and planned values
+  const later = await dryRun.api.executeInFigma(`
+    const frame = figma.getNodeById(args.frameId);
+    frame.name = 'Renamed';
+    return [frame.type, figma.getNodeById(args.nodeId).name];
+  `, { frameId: first.result, nodeId: seeded.screenId });
+  assert.deepStrictEqual(later.result, ['FRAME', 'B']);
+  assert.deepStrictEqual(dryRun.changes.created.map(node => [node.id, node.name]), [['dry-run:1', 'Renamed'], ['dry-run:2', 'Frame']]);
+  assert.strictEqual(dryRun.changes.modified.length, 1, 'Changes are not counted twice');
+
+  await dryRun.end();
+  assert.deepStrictEqual(globalThis.__figmaticDryRuns, {}, 'The plugin drops the recorder');
+  assert.strictEqual(screen.name, 'Screen');
+
+  console.log('✓ createDryRunContext passed');
+
+  console.log('\n✅ All dry run tests passed!\n');
+})().catch((error) => {
+  console.error('\n❌ Dry run tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+/**
+ * Change History
+ *
+ * Every call to a tool that edits a file is journaled (see journal.js) and
+ * recorded here: which tool ran, with what arguments, and the before/after
+ * state of each node it changed. undo_last_changes replays the newest
+ * records backwards.
+ *
+ * History is kept per MCP session and file, in memory, and ends when the
+ * server stops. Only the newest MAX_RECORDS records are kept.
+ */
+
+const crypto = require('crypto');
+
+const MAX_RECORDS = 200;
+
+const histories = new Map(); // `${sessionId}:${fileId}` -> [record]
+
+function historyKey(sessionId, fileId) {
+  return `${sessionId || 'default'}:${fileId}`;
+}
+
+/**
+ * Record a tool call's journaled changes
+ * @param {Object} change - { sessionId, fileId, tool, args, entries, transactionId }
+ * @returns {Object} The record
+ */
+function recordChange(change) {
+  const key = historyKey(change.sessionId, change.fileId);
+  const history = histories.get(key) || [];
+
+  const record = {
+    changeId: crypto.randomUUID(),
+    tool: change.tool,
+    arguments: change.args,
+    timestamp: new Date().toISOString(),
+    transactionId: change.transactionId || null,
+    entries: change.entries,
+    undone: false
+  };
+  history.push(record);
+  if (history.length > MAX_RECORDS) {
+    history.splice(0, history.length - MAX_RECORDS);
+  }
+  histories.set(key, history);
+  return record;
+}
+
+/**
+ * Get a file's change history, newest first
+ * @param {string} sessionId - MCP session ID
+ * @param {string} fileId - File ID
+ * @param {Object} options - { limit, includeUndone }
+ * @returns {Array} Records
+ */
+function getChangeHistory(sessionId, fileId, options = {}) {
+  const { limit = 20, includeUndone = true } = options;
+  const history = histories.get(historyKey(sessionId, fileId)) || [];
+  return history
+    .filter(record => includeUndone || !record.undone)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Get the newest records that have not been undone yet, newest first
+ * @param {string} sessionId - MCP session ID
+ * @param {string} fileId - File ID
+ * @param {number} n - Number of records
+ * @returns {Array} Records
+ */
+function getLastChanges(sessionId, fileId, n) {
+  return getChangeHistory(sessionId, fileId, { limit: n, includeUndone: false });
+}
+
+/**
+ * Mark records as undone
+ * @param {Array} records - Records from getLastChanges
+ */
+function markUndone(records) {
+  for (const record of records) {
+    record.undone = true;
+  }
+}
+
+/**
+ * Mark every record of a rolled back transaction as undone
+ * @param {string} transactionId - Transaction ID
+ */
+function discardTransaction(transactionId) {
+  for (const history of histories.values()) {
+    markUndone(history.filter(record => record.transactionId === transactionId));
+  }
+}
+
+module.exports = {
+  MAX_RECORDS,
+  recordChange,
+  getChangeHistory,
+  getLastChanges,
+  markUndone,
+  discardTransaction
+};
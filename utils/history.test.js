@@ -0,0 +1,53 @@
+/**
+ * Tests for the change history
+ */
+
+const assert = require('assert');
+const {
+  MAX_RECORDS,
+  recordChange,
+  getChangeHistory,
+  getLastChanges,
+  markUndone,
+  discardTransaction
+} = require('./history');
+
+console.log('Testing change history...');
+
+const entry = (before, after) => ({ kind: 'set', id: '1:1', property: 'name', before, after });
+
+recordChange({ sessionId: 'a', fileId: 'file', tool: 'rename_node', args: { name: 'One' }, entries: [entry('Zero', 'One')] });
+recordChange({ sessionId: 'a', fileId: 'file', tool: 'rename_node', args: { name: 'Two' }, entries: [entry('One', 'Two')], transactionId: 'tx' });
+recordChange({ sessionId: 'b', fileId: 'file', tool: 'modify_node', args: {}, entries: [] });
+
+const history = getChangeHistory('a', 'file');
+assert.deepStrictEqual(history.map(record => record.arguments.name), ['Two', 'One'], 'Newest first');
+assert.strictEqual(history[0].transactionId, 'tx');
+assert.strictEqual(history[1].transactionId, null);
+assert.ok(history[0].changeId && history[0].timestamp);
+assert.strictEqual(getChangeHistory('b', 'file').length, 1, 'Sessions are kept apart');
+assert.strictEqual(getChangeHistory('a', 'other').length, 0, 'Files are kept apart');
+assert.strictEqual(getChangeHistory('a', 'file', { limit: 1 }).length, 1);
+
+console.log('✓ Change history passed');
+
+console.log('\nTesting undone records...');
+
+discardTransaction('tx');
+assert.strictEqual(getChangeHistory('a', 'file')[0].undone, true, 'Rolled back transactions are undone');
+
+const last = getLastChanges('a', 'file', 5);
+assert.deepStrictEqual(last.map(record => record.arguments.name), ['One'], 'Undone records are skipped');
+markUndone(last);
+assert.deepStrictEqual(getLastChanges('a', 'file', 5), []);
+
+for (let i = 0; i < MAX_RECORDS + 10; i++) {
+  recordChange({ sessionId: 'c', fileId: 'file', tool: 'rename_node', args: { i }, entries: [] });
+}
+const capped = getChangeHistory('c', 'file', { limit: Infinity });
+assert.strictEqual(capped.length, MAX_RECORDS, 'Only the newest records are kept');
+assert.strictEqual(capped[0].arguments.i, MAX_RECORDS + 9);
+
+console.log('✓ Undone records passed');
+
+console.log('\n✅ All change history tests passed!\n');
@@ -0,0 +1,532 @@
+/**
+ * Change Journal
+ *
+ * Runs a script against a journaling `figma`: edits are applied as usual,
+ * and before each one the journal records what is needed to undo it (the
+ * previous property value, the old parent and index, the ID of a created
+ * node), plus the value it was changed to. The entries are returned next to
+ * the script's result and can be replayed backwards with restoreChanges.
+ *
+ * Some edits can't be undone, such as flatten, detachInstance or removing a
+ * node outside a transaction. They are journaled as `irreversible` and
+ * reported when restoring. With deferRemovals, remove() hides the node
+ * instead and lists it for removal on commit, so it can be restored.
+ */
+
+// Entry kinds: set, move, resize, create, bind, swap, call, irreversible
+
+/**
+ * Create a journaling `figma` (runs inside the plugin)
+ * Must not use anything outside its own body: it is sent as source
+ * @param {Object} figma - The plugin's figma global
+ * @param {boolean} deferRemovals - Hide removed nodes instead of removing them
+ * @returns {Object} { figma, journal() } - journal() returns { entries, removals }
+ */
+function createJournal(figma, deferRemovals) {
+  const PASSTHROUGH_CREATORS = /^create(Image|Video|VariableAlias)/;
+  const GROUPERS = ['group', 'combineAsVariants', 'union', 'subtract', 'intersect', 'exclude'];
+  const IRREVERSIBLE = ['flatten', 'ungroup', 'createComponentFromNode', 'detachInstance', 'deleteComponentProperty'];
+  const MUTATORS = /^(set[A-Z]|remove$|remove[A-Z]|append|insert|swap|detach|resize|rescale|clone$|createInstance$|add[A-Z]|edit[A-Z]|delete[A-Z]|rename[A-Z]|reset)/;
+
+  const proxies = new WeakMap(); // target -> proxy
+  const targets = new WeakMap(); // proxy -> target
+  const paths = new WeakMap(); // namespace object (figma.viewport, ...) -> 'viewport'
+  const entries = [];
+  const removals = [];
+
+  function isEntity(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+      typeof value.id === 'string' && value.type !== 'VARIABLE_ALIAS';
+  }
+
+  function unwrap(value) {
+    if (value && typeof value === 'object' && targets.has(value)) return targets.get(value);
+    if (Array.isArray(value)) return value.map(unwrap);
+    // Callbacks (findAll, findOne, ...) see journaling nodes too
+    if (typeof value === 'function') return (...params) => value(...params.map(wrap));
+    return value;
+  }
+
+  function wrap(value) {
+    if (value && typeof value === 'object' && targets.has(value)) return value;
+    if (value && typeof value.then === 'function') return value.then(wrap);
+    if (Array.isArray(value)) return value.map(wrap);
+    if (isEntity(value)) return proxy(value, entityHandler);
+    return value;
+  }
+
+  function read(target, key) {
+    try {
+      return target[key];
+    } catch (error) {
+      return undefined; // e.g. mainComponent in dynamic-page files
+    }
+  }
+
+  // Values are stored as JSON: nodes become { $ref }, figma.mixed { $mixed }
+  function encode(value) {
+    if (value === undefined) return { $undefined: true };
+    if (typeof value === 'symbol') return { $mixed: true };
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+      const target = item && typeof item === 'object' && targets.has(item) ? targets.get(item) : item;
+      return isEntity(target) ? { $ref: target.id } : item;
+    }));
+  }
+
+  // Namespaces have no ID: they are found again by their path from `figma`
+  function targetOf(target) {
+    if (target === figma) return { id: null };
+    if (paths.has(target)) return { id: null, path: paths.get(target) };
+    return { id: target.id };
+  }
+
+  function irreversible(target, method) {
+    entries.push({ kind: 'irreversible', ...targetOf(target), name: target.name, method });
+  }
+
+  function position(node) {
+    const parent = node.parent;
+    return { kind: 'move', id: node.id, parentId: parent ? parent.id : null, index: parent ? parent.children.indexOf(node) : null };
+  }
+
+  function moved(entry, node) {
+    const { parentId, index } = position(node);
+    entry.after = { parentId, index };
+  }
+
+  function assign(target, key, value) {
+    const entry = { kind: 'set', ...targetOf(target), property: key, before: encode(read(target, key)) };
+    entries.push(entry);
+    target[key] = unwrap(value);
+    entry.after = encode(read(target, key));
+  }
+
+  // Undo with `method(...undoArgs)`; the call that was made is kept in `applied`
+  function undoCall(target, method, undoArgs, real, appliedMethod = method) {
+    entries.push({ kind: 'call', id: target.id, method, args: undoArgs, applied: { method: appliedMethod, args: encode(real) } });
+  }
+
+  function apply(target, method, params) {
+    return target[method](...params);
+  }
+
+  function mutate(target, method, params) {
+    const real = params.map(unwrap);
+    const id = target.id;
+
+    if (method === 'appendChild' || method === 'insertChild') {
+      const child = method === 'appendChild' ? real[0] : real[1];
+      const entry = position(child);
+      entries.push(entry);
+      const result = apply(target, method, real);
+      moved(entry, child);
+      return wrap(result);
+    }
+
+    if (method === 'remove') {
+      if (!deferRemovals) {
+        irreversible(target, method);
+        return apply(target, method, real);
+      }
+      assign(target, 'visible', false);
+      removals.push(id);
+      return undefined;
+    }
+
+    if (method === 'resize' || method === 'resizeWithoutConstraints') {
+      const entry = { kind: 'resize', id, method, width: target.width, height: target.height };
+      entries.push(entry);
+      apply(target, method, real);
+      entry.after = { width: target.width, height: target.height };
+      return undefined;
+    }
+
+    if (method === 'rescale') {
+      undoCall(target, method, [1 / real[0]], real);
+      return apply(target, method, real);
+    }
+
+    if (method === 'clone' || method === 'createInstance') {
+      const node = apply(target, method, real);
+      entries.push({ kind: 'create', id: node.id, type: node.type });
+      return wrap(node);
+    }
+
+    if (method === 'setBoundVariable') {
+      const bound = (target.boundVariables || {})[real[0]];
+      entries.push({ kind: 'bind', id, field: real[0], variableId: bound && bound.id ? bound.id : null, after: real[1] ? real[1].id : null });
+      return apply(target, method, real);
+    }
+
+    if (method === 'setProperties') {
+      const current = target.componentProperties || {};
+      const before = {};
+      Object.keys(real[0] || {}).forEach(name => {
+        if (current[name]) before[name] = current[name].value;
+      });
+      undoCall(target, method, [before], real);
+      return apply(target, method, real);
+    }
+
+    if (method === 'setPluginData' || method === 'setSharedPluginData') {
+      const keys = real.slice(0, -1);
+      const before = target[method.replace(/^set/, 'get')](...keys);
+      undoCall(target, method, [...keys, before], real);
+      return apply(target, method, real);
+    }
+
+    if (method === 'setValueForMode' && target.valuesByMode && real[0] in target.valuesByMode) {
+      undoCall(target, method, [real[0], encode(target.valuesByMode[real[0]])], real);
+      return apply(target, method, real);
+    }
+
+    if (method === 'swapComponent') {
+      const main = read(target, 'mainComponent');
+      entries.push({ kind: 'swap', id, componentId: main ? main.id : null, after: real[0] ? real[0].id : null });
+      return apply(target, method, real);
+    }
+
+    if (method === 'addMode') {
+      const modeId = apply(target, method, real);
+      undoCall(target, 'removeMode', [modeId], real, method);
+      return modeId;
+    }
+
+    if (method === 'renameMode') {
+      const mode = (target.modes || []).find(item => item.modeId === real[0]);
+      if (mode) {
+        undoCall(target, method, [real[0], mode.name], real);
+      } else {
+        irreversible(target, method);
+      }
+      return apply(target, method, real);
+    }
+
+    if (method === 'addComponentProperty') {
+      const name = apply(target, method, real);
+      undoCall(target, 'deleteComponentProperty', [name], real, method);
+      return name;
+    }
+
+    if (method === 'editComponentProperty') {
+      const definition = (target.componentPropertyDefinitions || {})[real[0]];
+      const name = apply(target, method, real);
+      if (definition) {
+        undoCall(target, method, [name, { name: real[0].split('#')[0], defaultValue: definition.defaultValue }], real);
+      } else {
+        irreversible(target, method);
+      }
+      return name;
+    }
+
+    // setRangeFontSize(start, end, value) is undone with getRangeFontSize(start, end)
+    const range = /^setRange(\w+)$/.exec(method);
+    if (range && typeof target[`getRange${range[1]}`] === 'function') {
+      const before = target[`getRange${range[1]}`](real[0], real[1]);
+      if (typeof before === 'symbol') {
+        irreversible(target, method);
+      } else {
+        undoCall(target, method, [real[0], real[1], encode(before)], real);
+      }
+      return apply(target, method, real);
+    }
+
+    // setFillStyleIdAsync(id), setReactionsAsync(reactions): one value with a matching property
+    const setter = /^set(\w+?)(Async)?$/.exec(method);
+    const property = setter ? setter[1].charAt(0).toLowerCase() + setter[1].slice(1) : null;
+    if (property && real.length === 1 && property in target && typeof read(target, property) !== 'function') {
+      undoCall(target, method, [encode(read(target, property))], real);
+      return wrap(apply(target, method, real));
+    }
+
+    irreversible(target, method);
+    return wrap(apply(target, method, real));
+  }
+
+  function create(target, key, params) {
+    const real = params.map(unwrap);
+
+    if (GROUPERS.includes(key)) {
+      const moves = real[0].map(position);
+      const node = target[key](...real);
+      moves.forEach((entry, index) => moved(entry, real[0][index]));
+      entries.push({ kind: 'create', id: node.id, type: node.type }, ...moves);
+      return wrap(node);
+    }
+
+    if (IRREVERSIBLE.includes(key)) {
+      irreversible(figma, key);
+      return wrap(target[key](...real));
+    }
+
+    const node = target[key](...real);
+    if (node && typeof node.then === 'function') {
+      return node.then(created => {
+        entries.push({ kind: 'create', id: created.id, type: created.type });
+        return wrap(created);
+      });
+    }
+    entries.push({ kind: 'create', id: node.id, type: node.type });
+    return wrap(node);
+  }
+
+  const entityHandler = {
+    get(obj, key) {
+      const value = read(obj, key);
+      if (typeof value !== 'function') return wrap(value);
+      if (typeof key === 'string' && IRREVERSIBLE.includes(key)) return (...params) => { irreversible(obj, key); return wrap(value.apply(obj, params.map(unwrap))); };
+      if (typeof key === 'string' && MUTATORS.test(key)) return (...params) => mutate(obj, key, params);
+      return (...params) => wrap(value.apply(obj, params.map(unwrap)));
+    },
+    set(obj, key, value) {
+      assign(obj, key, value);
+      return true;
+    }
+  };
+
+  const namespaceHandler = {
+    get(obj, key) {
+      const value = obj[key];
+      if (typeof value === 'function') {
+        const creates = typeof key === 'string' &&
+          ((key.startsWith('create') && !PASSTHROUGH_CREATORS.test(key)) || GROUPERS.includes(key) || IRREVERSIBLE.includes(key));
+        if (creates) return (...params) => create(obj, key, params);
+        return (...params) => wrap(value.apply(obj, params.map(unwrap)));
+      }
+      if (value && typeof value === 'object' && !Array.isArray(value) && !isEntity(value)) {
+        if (!paths.has(value)) paths.set(value, paths.has(obj) ? `${paths.get(obj)}.${key}` : key);
+        return proxy(value, namespaceHandler);
+      }
+      return wrap(value);
+    },
+    set(obj, key, value) {
+      assign(obj, key, value);
+      return true;
+    }
+  };
+
+  function proxy(target, handler) {
+    if (!proxies.has(target)) {
+      const wrapped = new Proxy(target, handler);
+      proxies.set(target, wrapped);
+      targets.set(wrapped, target);
+    }
+    return proxies.get(target);
+  }
+
+  return {
+    figma: proxy(figma, namespaceHandler),
+    journal: () => ({ entries, removals })
+  };
+}
+
+/**
+ * Undo journal entries, newest first (runs inside the plugin)
+ * Must not use anything outside its own body: it is sent as source
+ * @param {Object} figma - The plugin's figma global
+ * @param {Array} entries - Entries from createJournal, oldest first
+ * @returns {Promise<Object>} { restored, skipped: [{ id, kind, property?, method?, reason }] }
+ */
+async function restoreEntries(figma, entries) {
+  const skipped = [];
+  let restored = 0;
+
+  async function lookup(id, path) {
+    if (path) return path.split('.').reduce((namespace, key) => namespace && namespace[key], figma);
+    if (id === null) return figma;
+    const finders = [
+      () => figma.getNodeByIdAsync(id),
+      () => figma.variables.getVariableByIdAsync(id),
+      () => figma.variables.getVariableCollectionByIdAsync(id),
+      () => figma.getStyleByIdAsync(id)
+    ];
+    for (const find of finders) {
+      try {
+        const found = await find();
+        if (found) return found;
+      } catch (error) {
+        // Not this kind of ID
+      }
+    }
+    return null;
+  }
+
+  async function decode(value) {
+    if (Array.isArray(value)) return Promise.all(value.map(decode));
+    if (!value || typeof value !== 'object') return value;
+    if (value.$undefined) return undefined;
+    if (value.$mixed) throw new Error('the previous value was mixed');
+    if (value.$ref) return lookup(value.$ref);
+
+    const decoded = {};
+    for (const [key, item] of Object.entries(value)) decoded[key] = await decode(item);
+    return decoded;
+  }
+
+  async function loadFonts(node) {
+    if (node.type !== 'TEXT') return;
+    const fonts = typeof node.getRangeAllFontNames === 'function' && node.characters.length > 0
+      ? node.getRangeAllFontNames(0, node.characters.length)
+      : [node.fontName];
+    await Promise.all(fonts.filter(font => typeof font === 'object').map(font => figma.loadFontAsync(font)));
+  }
+
+  for (const entry of entries.slice().reverse()) {
+    const label = { id: entry.id, kind: entry.kind, ...(entry.path ? { path: entry.path } : {}), ...(entry.property ? { property: entry.property } : {}), ...(entry.method ? { method: entry.method } : {}) };
+
+    if (entry.kind === 'irreversible') {
+      skipped.push({ ...label, reason: 'cannot be undone' });
+      continue;
+    }
+
+    try {
+      const target = await lookup(entry.id, entry.path);
+      if (!target || target.removed) {
+        // A created node that is gone already needs no undoing
+        if (entry.kind !== 'create') skipped.push({ ...label, reason: 'no longer exists' });
+        continue;
+      }
+
+      if (entry.kind === 'set') {
+        const value = await decode(entry.before);
+        await loadFonts(target);
+        if (entry.property === 'fontName' && value && typeof value === 'object') await figma.loadFontAsync(value);
+        target[entry.property] = value;
+      } else if (entry.kind === 'move') {
+        const parent = entry.parentId === null ? null : await lookup(entry.parentId);
+        if (!parent) throw new Error('the previous parent no longer exists');
+        parent.insertChild(Math.min(entry.index, parent.children.length), target);
+      } else if (entry.kind === 'resize') {
+        target[entry.method](entry.width, entry.height);
+      } else if (entry.kind === 'create') {
+        target.remove();
+      } else if (entry.kind === 'bind') {
+        target.setBoundVariable(entry.field, entry.variableId ? await figma.variables.getVariableByIdAsync(entry.variableId) : null);
+      } else if (entry.kind === 'swap') {
+        target.swapComponent(await lookup(entry.componentId));
+      } else if (entry.kind === 'call') {
+        await loadFonts(target);
+        await target[entry.method](...(await decode(entry.args)));
+      }
+      restored++;
+    } catch (error) {
+      skipped.push({ ...label, reason: error.message });
+    }
+  }
+
+  return { restored, skipped };
+}
+
+// Sent as source with their own file name, so errors thrown while applying
+// an edit still point at the script's line (see parseScriptLocation)
+const JOURNAL_SOURCE = JSON.stringify(`return ${createJournal}\n//# sourceURL=figmatic-journal.js`);
+const RESTORE_SOURCE = JSON.stringify(`return ${restoreEntries}\n//# sourceURL=figmatic-restore.js`);
+
+/**
+ * Wrap a script so its edits are journaled (pure)
+ * Everything is added on the first and last lines, so line numbers still match.
+ * @param {string} script - Script body
+ * @param {Object} options - Journal options
+ * @param {boolean} options.deferRemovals - Hide removed nodes until commit instead of removing them
+ * @param {boolean} options.undoOnError - If the script throws, undo its own edits before passing the error on
+ *   (default: true). Otherwise they stay applied, like an unjournaled script's.
+ * @returns {string} Script that resolves to { result, journal: { entries, removals } }
+ */
+function journalChanges(script, options = {}) {
+  const { undoOnError = true } = options;
+  const onError = undoOnError
+    ? ' error => restore(figma, journal.journal().entries).then(() => { throw error; })))'
+    : ' error => { throw error; }))';
+  return `return ((journal, restore) => (async (figma) => {${script}\n})(journal.figma)` +
+    '.then(result => ({ result, journal: journal.journal() }),' +
+    onError +
+    `(new Function(${JOURNAL_SOURCE})()(figma, ${Boolean(options.deferRemovals)}), new Function(${RESTORE_SOURCE})());`;
+}
+
+/**
+ * Build the script that undoes journal entries (pure)
+ * Send it with args { entries }
+ * @returns {string} Script resolving to { restored, skipped }
+ */
+function restoreChanges() {
+  return `return new Function(${RESTORE_SOURCE})()(figma, args.entries);`;
+}
+
+/**
+ * Build the script that removes nodes whose removal was deferred (pure)
+ * Send it with args { nodeIds }
+ * @returns {string} Script resolving to { removed }
+ */
+function applyRemovals() {
+  return `
+    let removed = 0;
+    for (const id of args.nodeIds) {
+      const node = await figma.getNodeByIdAsync(id);
+      if (node && !node.removed) {
+        node.remove();
+        removed++;
+      }
+    }
+    return { removed };
+  `;
+}
+
+/**
+ * Journal modes used by the server
+ * `journal`: any write tool call. A failed script's edits stay applied, as without the journal.
+ * `transaction`: inside a transaction. Removals are deferred and a failed script undoes its edits.
+ */
+const JOURNAL_MODES = {
+  journal: { undoOnError: false },
+  transaction: { deferRemovals: true, undoOnError: true }
+};
+
+// Part of every journaled operation ID (see operations/). Bump it whenever
+// createJournal, restoreEntries or journalChanges change what is sent, so
+// plugins holding older journaled operations are sent the new ones.
+const JOURNAL_VERSION = 2;
+
+/**
+ * Create an API context whose scripts are journaled
+ * Operations run as their journaled variant (see operations/), so they are
+ * still sent to the plugin once per connection.
+ * @param {Object} api - API context from createAPIContext
+ * @param {string} mode - Key of JOURNAL_MODES
+ * @returns {Object} { api, entries, removals } - entries and removals fill up as scripts run
+ */
+function createJournalContext(api, mode) {
+  const { getOperation } = require('../operations');
+  const entries = [];
+  const removals = [];
+
+  const collect = (response) => {
+    const { result, journal } = response.result;
+    entries.push(...journal.entries);
+    removals.push(...journal.removals);
+    return { ...response, result };
+  };
+
+  return {
+    api: {
+      ...api,
+      executeInFigma: async (script, args, options = {}) => collect(await api.executeInFigma(journalChanges(script, JOURNAL_MODES[mode]), args, { onProgress: options.onProgress })),
+      runOperation: async (name, args, options = {}) => {
+        const operation = getOperation(name, mode);
+        return collect(await api.executeInFigma(operation.script, args, { operation: operation.id, onProgress: options.onProgress }));
+      }
+    },
+    entries,
+    removals
+  };
+}
+
+module.exports = {
+  createJournal,
+  restoreEntries,
+  journalChanges,
+  restoreChanges,
+  applyRemovals,
+  JOURNAL_MODES,
+  JOURNAL_VERSION,
+  createJournalContext
+};
@@ -0,0 +1,148 @@
+/**
+ * Tests for the change journal
+ */
+
+const assert = require('assert');
+const { journalChanges, restoreChanges, applyRemovals, createJournalContext } = require('./journal');
+const { createMockFigma, seedDemoDocument } = require('../mock-plugin');
+const { parseScriptLocation } = require('../bridge/core/errors');
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+function run(figma, script, args = {}) {
+  return new AsyncFunction('figma', 'cancellation', 'args', script)(figma, null, args);
+}
+
+(async () => {
+  const figma = createMockFigma();
+  const seeded = await seedDemoDocument(figma);
+  const screen = figma.getNodeById(seeded.screenId);
+  const label = figma.getNodeById(seeded.labelId);
+  const button = figma.getNodeById(seeded.buttonId);
+  const pageSize = figma.currentPage.children.length;
+  const screenFills = JSON.stringify(screen.fills);
+
+  console.log('Testing journaled edits...');
+
+  const edit = await run(figma, journalChanges(`
+    const screen = figma.getNodeById(args.screenId);
+    const label = figma.getNodeById(args.labelId);
+    const variable = await figma.variables.getVariableByIdAsync(args.variableId);
+    screen.name = 'Home';
+    screen.fills = [];
+    screen.resize(400, 900);
+    screen.setPluginData('owner', 'agent');
+    screen.setBoundVariable('itemSpacing', variable);
+    label.characters = 'Buy now';
+    const card = figma.createFrame();
+    card.name = 'Card';
+    screen.appendChild(card);
+    card.appendChild(label);
+    return { cardId: card.id, labelParent: label.parent.id };
+  `), { screenId: seeded.screenId, labelId: seeded.labelId, variableId: seeded.variableId });
+
+  const cardId = edit.result.cardId;
+  assert.strictEqual(edit.result.labelParent, cardId);
+  assert.strictEqual(screen.name, 'Home', 'Edits are applied');
+  assert.strictEqual(label.parent.id, cardId);
+  assert.deepStrictEqual(
+    edit.journal.entries.map(entry => entry.kind),
+    ['set', 'set', 'resize', 'call', 'bind', 'set', 'create', 'set', 'move', 'move']
+  );
+  assert.deepStrictEqual(edit.journal.entries[0], { kind: 'set', id: seeded.screenId, property: 'name', before: 'Screen', after: 'Home' });
+  assert.deepStrictEqual(edit.journal.entries[2].after, { width: 400, height: 900 });
+  assert.deepStrictEqual(edit.journal.entries[3].applied, { method: 'setPluginData', args: ['owner', 'agent'] });
+  assert.deepStrictEqual(edit.journal.removals, []);
+
+  const undo = await run(figma, restoreChanges(), { entries: edit.journal.entries });
+  assert.deepStrictEqual(undo, { restored: 10, skipped: [] });
+  assert.strictEqual(screen.name, 'Screen');
+  assert.strictEqual(JSON.stringify(screen.fills), screenFills);
+  assert.deepStrictEqual([screen.width, screen.height], [390, 844]);
+  assert.strictEqual(screen.getPluginData('owner'), '');
+  assert.deepStrictEqual(screen.boundVariables, {});
+  assert.strictEqual(label.characters, 'Click me');
+  assert.strictEqual(label.parent, button);
+  assert.strictEqual(figma.getNodeById(cardId), null, 'Created nodes are removed');
+  assert.strictEqual(figma.currentPage.children.length, pageSize);
+
+  console.log('✓ Journaled edits passed');
+
+  console.log('\nTesting removals...');
+
+  const removal = await run(figma, journalChanges(`
+    figma.getNodeById(args.nodeId).remove();
+  `, { deferRemovals: true }), { nodeId: seeded.screenId });
+  assert.deepStrictEqual(removal.journal.removals, [seeded.screenId]);
+  assert.strictEqual(screen.visible, false, 'Deferred removals hide the node');
+  assert.ok(figma.getNodeById(seeded.screenId));
+
+  await run(figma, restoreChanges(), { entries: removal.journal.entries });
+  assert.strictEqual(screen.visible, true);
+
+  const hidden = await run(figma, journalChanges('figma.getNodeById(args.nodeId).remove();', { deferRemovals: true }), { nodeId: seeded.screenId });
+  assert.deepStrictEqual(await run(figma, applyRemovals(), { nodeIds: hidden.journal.removals }), { removed: 1 });
+  assert.strictEqual(figma.getNodeById(seeded.screenId), null);
+
+  const copy = await run(figma, journalChanges('const copy = figma.getNodeById(args.nodeId).clone(); copy.remove(); return copy.id;'), { nodeId: seeded.labelId });
+  const lost = await run(figma, restoreChanges(), { entries: copy.journal.entries });
+  assert.deepStrictEqual(lost.skipped, [{ id: copy.result, kind: 'irreversible', method: 'remove', reason: 'cannot be undone' }]);
+
+  console.log('✓ Removals passed');
+
+  console.log('\nTesting namespace edits...');
+
+  const zoomed = await run(figma, journalChanges('figma.viewport.zoom = 2;'));
+  assert.deepStrictEqual(zoomed.journal.entries, [{ kind: 'set', id: null, path: 'viewport', property: 'zoom', before: 1, after: 2 }],
+    'Namespaces are journaled by their path');
+  assert.deepStrictEqual(await run(figma, restoreChanges(), { entries: zoomed.journal.entries }), { restored: 1, skipped: [] });
+  assert.strictEqual(figma.viewport.zoom, 1);
+
+  console.log('✓ Namespace edits passed');
+
+  console.log('\nTesting failed scripts...');
+
+  await assert.rejects(
+    run(figma, journalChanges('const label = figma.getNodeById(args.nodeId);\nlabel.name = "Broken";\nlabel.resize(-1, 10);'), { nodeId: seeded.labelId }),
+    (error) => parseScriptLocation(error.stack).line === 3
+  );
+  assert.strictEqual(label.name, 'Label', 'A failed script undoes its own edits');
+
+  await assert.rejects(
+    run(figma, journalChanges('const label = figma.getNodeById(args.nodeId);\nlabel.name = "Kept";\nlabel.resize(-1, 10);', { undoOnError: false }), { nodeId: seeded.labelId })
+  );
+  assert.strictEqual(label.name, 'Kept', 'Without undoOnError the edits stay applied');
+  label.name = 'Label';
+
+  console.log('✓ Failed scripts passed');
+
+  console.log('\nTesting createJournalContext...');
+
+  const sent = [];
+  const api = {
+    executeInFigma: async (script, args, options = {}) => {
+      sent.push(options.operation);
+      return { success: true, result: await run(figma, script, args) };
+    },
+    helper: 'kept'
+  };
+  const journaled = createJournalContext(api, 'journal');
+
+  const renamed = await journaled.api.executeInFigma('figma.getNodeById(args.nodeId).name = "Renamed"; return "ok";', { nodeId: seeded.labelId });
+  await journaled.api.runOperation('modify_node', { nodeId: seeded.labelId, properties: { opacity: 0.5 } });
+  assert.strictEqual(renamed.result, 'ok', 'Results come back without the journal');
+  assert.strictEqual(journaled.api.helper, 'kept');
+  assert.deepStrictEqual(sent, [undefined, 'modify_node@1+journal.2'], 'Operations run as their journaled variant');
+  assert.deepStrictEqual(journaled.entries.map(entry => entry.property), ['name', 'opacity']);
+
+  await run(figma, restoreChanges(), { entries: journaled.entries });
+  assert.strictEqual(label.name, 'Label');
+  assert.strictEqual(label.opacity, 1);
+
+  console.log('✓ createJournalContext passed');
+
+  console.log('\n✅ All journal tests passed!\n');
+})().catch((error) => {
+  console.error('\n❌ Journal tests failed:', error);
+  process.exit(1);
+});
@@ -16,7 +16,7 @@ const LOG_FILE = path.join(__dirname, '../tool-calls.jsonl');
  * @param {string} data.requestId - Request ID
  * @param {string} data.toolName - Tool name
  * @param {Object} data.arguments - Tool arguments
- * @param {string} data.status - 'started' | 'success' | 'error'
+ * @param {string} data.status - 'started' | 'success' | 'error' | 'cancelled'
  * @param {*} data.result - Tool result (if success)
  * @param {Object} data.error - Error details (if error)
  * @param {number} data.duration - Duration in ms (if completed)
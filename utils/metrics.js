@@ -0,0 +1,215 @@
+/**
+ * Metrics
+ *
+ * Counters and histograms for tool calls and bridge round trips, rendered
+ * in the Prometheus text format. Connection, queue and cache numbers are
+ * read from the bridge and cache when scraped.
+ *
+ * Served at /metrics by the HTTP transport, and on FIGMATIC_METRICS_PORT
+ * when that is set (works with stdio too).
+ */
+
+const http = require('http');
+
+const SECONDS_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const BYTES_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304, 16777216];
+
+// name -> { type, help, buckets? }
+const DEFINITIONS = {
+  figmatic_tool_calls_total: { type: 'counter', help: 'Tool calls by tool and outcome (success, error, cancelled)' },
+  figmatic_tool_errors_total: { type: 'counter', help: 'Failed tool calls by tool and error code' },
+  figmatic_tool_duration_seconds: { type: 'histogram', help: 'Tool call latency', buckets: SECONDS_BUCKETS },
+  figmatic_bridge_round_trip_seconds: { type: 'histogram', help: 'Time from sending a script to the plugin until its result arrived', buckets: SECONDS_BUCKETS },
+  figmatic_bridge_request_bytes: { type: 'histogram', help: 'Size of scripts sent to the plugin', buckets: BYTES_BUCKETS },
+  figmatic_bridge_response_bytes: { type: 'histogram', help: 'Size of results received from the plugin, including binary parts', buckets: BYTES_BUCKETS }
+};
+
+let series = new Map(); // name -> Map(labelKey -> { labels, value } | { labels, counts, sum, count })
+
+/**
+ * Find or create the series for a metric and label set
+ * @param {string} name - Metric name (from DEFINITIONS)
+ * @param {Object} labels - Label values
+ * @returns {Object} Series entry
+ */
+function getSeries(name, labels) {
+  const definition = DEFINITIONS[name];
+  const key = JSON.stringify(labels);
+
+  if (!series.has(name)) series.set(name, new Map());
+  const byLabels = series.get(name);
+
+  if (!byLabels.has(key)) {
+    byLabels.set(key, definition.type === 'histogram'
+      ? { labels, counts: definition.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return byLabels.get(key);
+}
+
+function increment(name, labels = {}) {
+  getSeries(name, labels).value++;
+}
+
+function observe(name, value, labels = {}) {
+  const entry = getSeries(name, labels);
+  DEFINITIONS[name].buckets.forEach((bound, index) => {
+    if (value <= bound) entry.counts[index]++;
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+/**
+ * Record a finished tool call
+ * @param {string} tool - Tool name
+ * @param {Object} outcome - { duration (ms), status: 'success'|'error'|'cancelled', code (error code) }
+ */
+function recordToolCall(tool, outcome) {
+  increment('figmatic_tool_calls_total', { tool, status: outcome.status });
+  observe('figmatic_tool_duration_seconds', outcome.duration / 1000, { tool });
+
+  if (outcome.status === 'error') {
+    increment('figmatic_tool_errors_total', { tool, code: String(outcome.code || 'TOOL_ERROR') });
+  }
+}
+
+/**
+ * Record a script the plugin answered (see the bridge's onRequestComplete)
+ * @param {Object} report - { duration (ms), requestBytes, responseBytes }
+ */
+function recordBridgeRequest(report) {
+  observe('figmatic_bridge_round_trip_seconds', report.duration / 1000);
+  observe('figmatic_bridge_request_bytes', report.requestBytes);
+  observe('figmatic_bridge_response_bytes', report.responseBytes);
+}
+
+/**
+ * Forget everything recorded so far
+ */
+function resetMetrics() {
+  series = new Map();
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function renderHeader(lines, name, type, help) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+}
+
+function renderGauge(lines, name, help, value, type = 'gauge') {
+  renderHeader(lines, name, type, help);
+  lines.push(`${name} ${value}`);
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @param {Object} snapshot - Values read at scrape time
+ * @param {Object} snapshot.bridge - Bridge stats (getStatus)
+ * @param {Object} snapshot.cache - Cache stats (getCacheStats)
+ * @returns {string} Metrics text
+ */
+function renderMetrics(snapshot) {
+  const { bridge, cache } = snapshot;
+  const lines = [];
+
+  Object.entries(DEFINITIONS).forEach(([name, definition]) => {
+    renderHeader(lines, name, definition.type, definition.help);
+    const byLabels = series.get(name);
+    if (!byLabels) return;
+
+    byLabels.forEach(entry => {
+      if (definition.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        return;
+      }
+
+      definition.buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    });
+  });
+
+  renderGauge(lines, 'figmatic_bridge_connected_files', 'Figma files with a connected plugin', bridge.connectedFiles);
+  renderGauge(lines, 'figmatic_bridge_reconnecting_files', 'Files waiting for their plugin to reconnect', bridge.reconnectingFiles.length);
+  renderGauge(lines, 'figmatic_bridge_pending_requests', 'Scripts sent to a plugin and not answered yet', bridge.pendingRequests);
+  renderGauge(lines, 'figmatic_bridge_queued_requests', 'Scripts waiting for their turn in a file queue', bridge.queuedRequests);
+  renderGauge(lines, 'figmatic_bridge_requests_total', 'Requests sent to plugins since startup', bridge.totalRequests, 'counter');
+  renderGauge(lines, 'figmatic_bridge_uptime_seconds', 'Seconds since the bridge started', Math.floor(bridge.uptime / 1000));
+
+  renderGauge(lines, 'figmatic_cache_hits_total', 'Design system cache hits', cache.hits, 'counter');
+  renderGauge(lines, 'figmatic_cache_misses_total', 'Design system cache misses', cache.misses, 'counter');
+  renderGauge(lines, 'figmatic_cache_hit_ratio', 'Design system cache hits / lookups since startup', cache.hitRatio);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Create a standalone metrics HTTP server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+ * @param {Function} options.collect - Returns the metrics text
+ * @returns {Object} { start(), stop() }
+ */
+function createMetricsServer(options) {
+  const { port, host = '127.0.0.1', collect } = options;
+  let server = null;
+
+  return {
+    /**
+     * Start listening
+     * @returns {Promise<void>} Resolves once the port is bound
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server = http.createServer((req, res) => {
+          if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+          }
+
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+          res.end(collect());
+        });
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+    },
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server = null;
+      });
+    }
+  };
+}
+
+module.exports = {
+  recordToolCall,
+  recordBridgeRequest,
+  resetMetrics,
+  renderMetrics,
+  createMetricsServer
+};
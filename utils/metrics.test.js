@@ -0,0 +1,104 @@
+/**
+ * Tests for Prometheus metrics
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { recordToolCall, recordBridgeRequest, resetMetrics, renderMetrics, createMetricsServer } = require('./metrics');
+const { getCachedDesignSystem, setCachedDesignSystem, getCacheStats } = require('./cache');
+
+const PORT = parseInt(process.env.METRICS_TEST_PORT || '18097', 10);
+
+const bridge = {
+  connectedFiles: 2,
+  reconnectingFiles: ['reload'],
+  pendingRequests: 1,
+  queuedRequests: 3,
+  totalRequests: 42,
+  uptime: 61500
+};
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${PORT}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+async function run() {
+  console.log('Testing renderMetrics...');
+
+  recordToolCall('get_page_structure', { duration: 40, status: 'success' });
+  recordToolCall('get_page_structure', { duration: 1200, status: 'success' });
+  recordToolCall('create_text', { duration: 80, status: 'error', code: 'FONT_NOT_LOADED' });
+  recordToolCall('create_text', { duration: 5, status: 'cancelled' });
+  recordBridgeRequest({ duration: 30, requestBytes: 900, responseBytes: 5000 });
+
+  // One miss, then a hit
+  assert.strictEqual(getCachedDesignSystem('file-a'), null);
+  setCachedDesignSystem('file-a', { variables: [] });
+  assert.ok(getCachedDesignSystem('file-a'));
+  assert.strictEqual(getCacheStats().hitRatio, 0.5);
+
+  const text = renderMetrics({ bridge, cache: getCacheStats() });
+  const lines = text.split('\n');
+
+  assert.ok(lines.includes('# TYPE figmatic_tool_calls_total counter'));
+  assert.ok(lines.includes('figmatic_tool_calls_total{tool="get_page_structure",status="success"} 2'));
+  assert.ok(lines.includes('figmatic_tool_calls_total{tool="create_text",status="cancelled"} 1'));
+  assert.ok(lines.includes('figmatic_tool_errors_total{tool="create_text",code="FONT_NOT_LOADED"} 1'));
+
+  // Buckets are cumulative
+  assert.ok(lines.includes('figmatic_tool_duration_seconds_bucket{tool="get_page_structure",le="0.05"} 1'));
+  assert.ok(lines.includes('figmatic_tool_duration_seconds_bucket{tool="get_page_structure",le="2.5"} 2'));
+  assert.ok(lines.includes('figmatic_tool_duration_seconds_bucket{tool="get_page_structure",le="+Inf"} 2'));
+  assert.ok(lines.includes('figmatic_tool_duration_seconds_count{tool="get_page_structure"} 2'));
+
+  assert.ok(lines.includes('figmatic_bridge_round_trip_seconds_bucket{le="0.05"} 1'));
+  assert.ok(lines.includes('figmatic_bridge_request_bytes_bucket{le="1024"} 1'));
+  assert.ok(lines.includes('figmatic_bridge_response_bytes_bucket{le="4096"} 0'));
+  assert.ok(lines.includes('figmatic_bridge_response_bytes_sum 5000'));
+
+  assert.ok(lines.includes('figmatic_bridge_queued_requests 3'));
+  assert.ok(lines.includes('figmatic_bridge_reconnecting_files 1'));
+  assert.ok(lines.includes('figmatic_bridge_uptime_seconds 61'));
+  assert.ok(lines.includes('figmatic_cache_hit_ratio 0.5'));
+
+  // Label values are escaped
+  recordToolCall('odd"name\\', { duration: 1, status: 'success' });
+  assert.ok(renderMetrics({ bridge, cache: getCacheStats() }).includes('tool="odd\\"name\\\\"'));
+
+  console.log('✓ renderMetrics passed');
+
+  console.log('\nTesting createMetricsServer...');
+
+  const server = createMetricsServer({ port: PORT, collect: () => renderMetrics({ bridge, cache: getCacheStats() }) });
+  await server.start();
+  try {
+    const scraped = await get('/metrics');
+    assert.strictEqual(scraped.status, 200);
+    assert.ok(scraped.type.startsWith('text/plain; version=0.0.4'));
+    assert.ok(scraped.body.includes('figmatic_bridge_pending_requests 1'));
+
+    assert.strictEqual((await get('/other')).status, 404);
+  } finally {
+    await server.stop();
+  }
+
+  resetMetrics();
+  assert.ok(!renderMetrics({ bridge, cache: getCacheStats() }).includes('figmatic_tool_calls_total{'));
+
+  console.log('✓ createMetricsServer passed');
+  console.log('\n✅ All metrics tests passed!\n');
+}
+
+run().then(
+  () => process.exit(0),
+  (error) => {
+    console.error('\n❌ Metrics tests failed:', error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,457 @@
+/**
+ * Script Policy
+ *
+ * Checks execute_figma_script code before it is sent to the plugin: syntax
+ * errors are reported locally with line numbers, denied APIs are rejected,
+ * readOnly rejects scripts that edit the file, and maxCreatedNodes limits how
+ * many nodes a script creates. For both, the script runs with a guarded
+ * `figma` that refuses edits or stops creating past the limit.
+ *
+ * The policy is read from FIGMATIC_SCRIPT_POLICY (a JSON file), falling back
+ * to ~/.figmatic/script-policy.json. Read-only server mode (FIGMATIC_READ_ONLY)
+ * always turns on readOnly:
+ *
+ *   { "denyApis": ["figma.closePlugin", ".remove()", "figma.currentPage="],
+ *     "maxCreatedNodes": 200, "readOnly": false }
+ *
+ * API rules: `figma.closePlugin` matches any use of that path, a leading `.`
+ * matches the member on any object, `*` stands for the rest of a name, and
+ * a trailing `()`, `=` or `[` only matches calls, assignments or computed
+ * access. Scripts are scanned with strings and comments masked out, so the
+ * checks are best-effort: deny `eval()`, `Function()` and `figma[` as well
+ * when scripts must not reach around them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ERROR_CODES, createFigmaError } = require('../bridge/core/errors');
+const { CONFIG_DIR } = require('../bridge/config/sessionWatcher');
+
+const POLICY_FILE = path.join(CONFIG_DIR, 'script-policy.json');
+
+const DEFAULT_POLICY = {
+  // Closing the plugin drops the bridge connection for everyone on the file
+  denyApis: ['figma.closePlugin'],
+  maxCreatedNodes: null,
+  readOnly: false
+};
+
+// Rules added in read-only mode: calls and assignments that change the file
+const READ_ONLY_RULES = [
+  'figma.create*()', 'figma.group()', 'figma.ungroup()', 'figma.flatten()', 'figma.union()',
+  'figma.subtract()', 'figma.intersect()', 'figma.exclude()', 'figma.combineAsVariants()', 'figma.*=',
+  '.remove()', '.appendChild()', '.insertChild()', '.resize()', '.resizeWithoutConstraints()', '.rescale()',
+  '.clone()', '.detachInstance()', '.swapComponent()', '.createInstance()', '.set*()',
+  '.characters=', '.fills=', '.strokes=', '.effects=', '.fillStyleId=', '.strokeStyleId=', '.effectStyleId=',
+  '.textStyleId=', '.fontName=', '.fontSize=', '.layoutMode=', '.itemSpacing=', '.padding*=',
+  '.cornerRadius=', '.strokeWeight=', '.constraints=', '.layoutAlign=', '.layoutGrow=', '.layoutSizing*=',
+  '.primaryAxis*=', '.counterAxis*=', '.isExposedInstance=', '.clipsContent=', '.selection=',
+  '.name=', '.visible=', '.locked=', '.opacity=', '.x=', '.y=', '.rotation=', '.blendMode=', '.description=',
+  '.textAlign*=', '.letterSpacing=', '.lineHeight=', '.textCase=', '.textDecoration='
+];
+
+// figma.create* methods that don't add nodes to the document
+const NON_NODE_CREATORS = [
+  'createImage', 'createImageAsync', 'createVideoAsync', 'createVariable', 'createVariableCollection',
+  'createVariableAlias', 'createVariableAliasByIdAsync', 'createPaintStyle', 'createTextStyle',
+  'createEffectStyle', 'createGridStyle'
+];
+
+// Keywords after which `/` starts a regular expression rather than a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await']);
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+/**
+ * Check whether the server runs in read-only mode
+ * Set with FIGMATIC_READ_ONLY=1 (or true/yes)
+ * @returns {boolean}
+ */
+function isReadOnlyMode() {
+  return /^(1|true|yes)$/i.test(process.env.FIGMATIC_READ_ONLY || '');
+}
+
+/**
+ * Read the script policy
+ * @returns {Object} { denyApis, maxCreatedNodes, readOnly } with defaults for missing fields
+ * @throws {Error} If the policy file exists but isn't valid JSON
+ */
+function loadScriptPolicy() {
+  const file = process.env.FIGMATIC_SCRIPT_POLICY || POLICY_FILE;
+  const mode = isReadOnlyMode() ? { readOnly: true } : {};
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !process.env.FIGMATIC_SCRIPT_POLICY) {
+      return { ...DEFAULT_POLICY, ...mode };
+    }
+    throw new Error(`Cannot read script policy ${file}: ${error.message}`);
+  }
+
+  try {
+    return { ...DEFAULT_POLICY, ...JSON.parse(text), ...mode };
+  } catch (error) {
+    throw new Error(`Invalid script policy ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Report a syntax error the way the plugin would hit it (pure)
+ * @param {string} script - Script body
+ * @returns {Object|null} { message, line, column, source } or null if the script compiles
+ */
+function checkSyntax(script) {
+  try {
+    // Compiled like the plugin does, so only real plugin syntax errors count
+    new AsyncFunction('figma', 'cancellation', 'args', script);
+    return null;
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+
+    return { message: `SyntaxError: ${error.message}`, ...locateSyntaxError(script) };
+  }
+}
+
+/**
+ * Find where a script that doesn't compile goes wrong (pure)
+ * AsyncFunction errors carry no position; vm.Script's stack does
+ * @param {string} script - Script body
+ * @returns {Object} { line, column, source } (null line if it can't tell)
+ */
+function locateSyntaxError(script) {
+  const lines = script.split('\n');
+
+  try {
+    new vm.Script(`(async function (figma, cancellation, args) {\n${script}\n})`, { filename: 'script' });
+  } catch (error) {
+    // Stack starts "script:<line>", then the source line and a ^ under the error
+    const [header, , marker = ''] = error.stack.split('\n');
+    const match = /:(\d+)$/.exec(header);
+    if (match) {
+      const wrappedLine = parseInt(match[1], 10) - 1;
+      const line = Math.min(Math.max(wrappedLine, 1), lines.length);
+      const column = wrappedLine === line && marker.includes('^') ? marker.indexOf('^') + 1 : null;
+      return { line, column, source: lines[line - 1].trim() };
+    }
+  }
+
+  return { line: null, column: null };
+}
+
+/**
+ * Blank out strings, comments and regular expressions, keeping offsets and newlines (pure)
+ * Template literal text is blanked too; code inside ${...} is kept
+ * @param {string} script - Script body
+ * @returns {string} Same-length string with only code left
+ */
+function maskNonCode(script) {
+  const out = script.split('');
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (out[i] !== '\n') out[i] = ' ';
+    }
+  };
+
+  const templateDepths = []; // brace depth at each open ${ in a template literal
+  let depth = 0;
+  let lastToken = ''; // last significant character or word, to tell regexes from division
+  let i = 0;
+
+  const scanTemplate = (start) => {
+    let j = start;
+    while (j < script.length && script[j] !== '`') {
+      if (script[j] === '\\') {
+        j += 2;
+      } else if (script[j] === '$' && script[j + 1] === '{') {
+        blank(start, j);
+        templateDepths.push(depth);
+        depth++;
+        lastToken = '{';
+        return j + 2;
+      } else {
+        j++;
+      }
+    }
+    blank(start, j);
+    lastToken = '`';
+    return j + 1;
+  };
+
+  while (i < script.length) {
+    const char = script[i];
+    const next = script[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = script.indexOf('\n', i);
+      const stop = end === -1 ? script.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = script.indexOf('*/', i + 2);
+      const stop = end === -1 ? script.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"' || char === '\'') {
+      let j = i + 1;
+      while (j < script.length && script[j] !== char && script[j] !== '\n') {
+        j += script[j] === '\\' ? 2 : 1;
+      }
+      blank(i + 1, j);
+      lastToken = char;
+      i = j + 1;
+    } else if (char === '`') {
+      i = scanTemplate(i + 1);
+    } else if (char === '}' && templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === depth - 1) {
+      templateDepths.pop();
+      depth--;
+      i = scanTemplate(i + 1);
+    } else if (char === '/' && (lastToken === '' || /^[(,=:[!&|?{};+\-*%<>~^]$/.test(lastToken) || REGEX_KEYWORDS.has(lastToken))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < script.length && script[j] !== '\n' && (inClass || script[j] !== '/')) {
+        if (script[j] === '\\') j++;
+        else if (script[j] === '[') inClass = true;
+        else if (script[j] === ']') inClass = false;
+        j++;
+      }
+      blank(i + 1, j);
+      lastToken = '/regex';
+      i = j + 1;
+    } else if (/[\w$]/.test(char)) {
+      const word = /^[\w$]+/.exec(script.slice(i))[0];
+      lastToken = word;
+      i += word.length;
+    } else {
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      if (!/\s/.test(char)) lastToken = char;
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+/**
+ * Turn an API rule into a regular expression over masked code (pure)
+ * @param {string} rule - e.g. 'figma.closePlugin', '.remove()', 'figma.currentPage=', 'figma['
+ * @returns {RegExp} Global regex matching uses of the API
+ */
+function compileApiRule(rule) {
+  const match = /^(\.)?([\w$*]+(?:\.[\w$*]+)*)(\(\)|=|\[)?$/.exec(rule.trim());
+  if (!match) {
+    throw new Error(`Invalid denyApis rule: ${rule}`);
+  }
+
+  const [, anyReceiver, memberPath, suffix] = match;
+  const segments = memberPath.split('.').map(segment => segment.split('*').map(escapeRegex).join('[\\w$]+'));
+
+  const prefix = anyReceiver ? '\\??\\.\\s*' : '(?<![\\w$.])';
+  const body = segments.join('\\s*\\??\\.\\s*');
+  const endings = {
+    '()': '\\s*(?:\\?\\.\\s*)?\\(',
+    '=': '\\s*(?:[-+*/%&|^]|\\*\\*|<<|>>>?|&&|\\|\\||\\?\\?)?=(?![=>])',
+    '[': '\\s*(?:\\?\\.\\s*)?\\['
+  };
+
+  return new RegExp(`${prefix}${body}${suffix ? endings[suffix] : '(?![\\w$])'}`, 'g');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the places a script breaks the policy (pure)
+ * @param {string} script - Script body
+ * @param {Object} policy - { denyApis, readOnly }
+ * @returns {Array} [{ rule, reason, line, column, source }] in script order
+ */
+function findPolicyViolations(script, policy) {
+  const code = maskNonCode(script);
+  const lines = script.split('\n');
+  const rules = [
+    ...(policy.denyApis || []).map(rule => ({ rule, reason: 'denied API' })),
+    ...(policy.readOnly ? READ_ONLY_RULES.map(rule => ({ rule, reason: 'edits the file in read-only mode' })) : [])
+  ];
+
+  const violations = [];
+  rules.forEach(({ rule, reason }) => {
+    const regex = compileApiRule(rule);
+    let match;
+    while ((match = regex.exec(code)) !== null) {
+      const before = code.slice(0, match.index);
+      const line = before.split('\n').length;
+      violations.push({
+        rule,
+        reason,
+        line,
+        column: match.index - before.lastIndexOf('\n'),
+        source: lines[line - 1].trim()
+      });
+    }
+  });
+
+  return violations.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Guard `figma` and everything reached through it (runs inside the plugin)
+ * Must not use anything outside its own body: it is sent as source
+ * Nodes, styles, variables and figma's namespaces are wrapped as the script
+ * reaches them. With readOnly, setting a property or calling a method that
+ * edits the file throws. With maxCreatedNodes, figma.create* calls (except
+ * `skip`) and clone()/createInstance() on nodes throw past the limit.
+ * @param {Object} figma - The plugin's figma global
+ * @param {Object} limits - { readOnly, maxCreatedNodes, skip }
+ * @returns {Object} Guarded `figma`
+ */
+function guardFigma(figma, limits) {
+  const EDITS = /^(set[A-Z]|remove|append|insert|swap|detach|resize|rescale|clone$|create|add[A-Z]|edit[A-Z]|delete|rename[A-Z]|reset|import|group$|ungroup$|flatten$|union$|subtract$|intersect$|exclude$|combineAsVariants$|commitUndo$|triggerUndo$|saveVersionHistory|closePlugin$)/;
+
+  const proxies = new WeakMap(); // target -> proxy
+  const targets = new WeakMap(); // proxy -> target
+  const namespaces = new WeakSet([figma]);
+  let created = 0;
+
+  function refuse(what) {
+    throw new Error('Script policy: ' + what + ' is not allowed (edits the file in read-only mode)');
+  }
+
+  function counts(obj, key) {
+    if (typeof limits.maxCreatedNodes !== 'number' || typeof key !== 'string') return false;
+    return obj === figma ? key.startsWith('create') && !limits.skip.includes(key) : key === 'clone' || key === 'createInstance';
+  }
+
+  function unwrap(value) {
+    if (value && typeof value === 'object' && targets.has(value)) return targets.get(value);
+    if (Array.isArray(value)) return value.map(unwrap);
+    // Callbacks (findAll, findOne, ...) see guarded nodes too
+    if (typeof value === 'function') return (...params) => value(...params.map(wrap));
+    return value;
+  }
+
+  function wrap(value, namespace) {
+    if (value && typeof value === 'object' && targets.has(value)) return value;
+    if (value && typeof value.then === 'function') return value.then(item => wrap(item));
+    if (Array.isArray(value)) return value.map(item => wrap(item));
+    if (!value || typeof value !== 'object' || value.type === 'VARIABLE_ALIAS') return value;
+    if (typeof value.id !== 'string' && !namespace) return value;
+    if (!proxies.has(value)) {
+      if (namespace) namespaces.add(value);
+      const wrapped = new Proxy(value, handler);
+      proxies.set(value, wrapped);
+      targets.set(wrapped, value);
+    }
+    return proxies.get(value);
+  }
+
+  const handler = {
+    get(obj, key) {
+      const value = obj[key];
+      // Proxies must return frozen data properties unchanged
+      const own = Object.getOwnPropertyDescriptor(obj, key);
+      if (own && !own.configurable && !own.writable && 'value' in own) return value;
+      if (typeof value !== 'function') return wrap(value, namespaces.has(obj));
+      return (...params) => {
+        if (limits.readOnly && typeof key === 'string' && EDITS.test(key)) refuse('.' + key + '()');
+        if (counts(obj, key) && ++created > limits.maxCreatedNodes) {
+          throw new Error('Script policy: more than ' + limits.maxCreatedNodes + ' nodes created (maxCreatedNodes)');
+        }
+        return wrap(value.apply(obj, params.map(unwrap)));
+      };
+    },
+    set(obj, key, value) {
+      if (limits.readOnly) refuse('.' + String(key) + '=');
+      obj[key] = unwrap(value);
+      return true;
+    },
+    defineProperty(obj, key, descriptor) {
+      if (limits.readOnly) refuse('.' + String(key) + '=');
+      return Reflect.defineProperty(obj, key, descriptor);
+    },
+    deleteProperty(obj, key) {
+      if (limits.readOnly) refuse('delete .' + String(key));
+      return Reflect.deleteProperty(obj, key);
+    }
+  };
+
+  return wrap(figma, true);
+}
+
+// Sent as source with its own file name, so errors thrown by the guard
+// still point at the script's line (see parseScriptLocation)
+const GUARD_SOURCE = JSON.stringify(`return ${guardFigma}\n//# sourceURL=figmatic-policy.js`);
+
+/**
+ * Wrap a script so it runs with a guarded `figma` (pure)
+ * Everything is added on the first and last lines, so line numbers still match
+ * @param {string} script - Script body
+ * @param {Object} limits - { readOnly, maxCreatedNodes } (see guardFigma)
+ * @returns {string} Script that runs the original with a guarded `figma`
+ */
+function guardScript(script, limits) {
+  const options = JSON.stringify({ readOnly: Boolean(limits.readOnly), maxCreatedNodes: limits.maxCreatedNodes, skip: NON_NODE_CREATORS });
+  return `return (async (figma) => {${script}\n})(new Function(${GUARD_SOURCE})()(figma, ${options}));`;
+}
+
+/**
+ * Wrap a script so node creation past a limit throws (pure)
+ * Counts figma.create* calls plus clone() and createInstance() on any node the
+ * script gets from `figma`
+ * @param {string} script - Script body
+ * @param {number} maxCreatedNodes - Most nodes the script may create
+ * @returns {string} Script that runs the original with a guarded `figma`
+ */
+function limitCreatedNodes(script, maxCreatedNodes) {
+  return guardScript(script, { maxCreatedNodes });
+}
+
+/**
+ * Check a script against the policy and prepare it for sending (pure)
+ * @param {string} script - Script body from execute_figma_script
+ * @param {Object} policy - From loadScriptPolicy
+ * @returns {string} Script to send (wrapped when maxCreatedNodes is set)
+ * @throws {Error} SCRIPT_ERROR for syntax errors, POLICY_VIOLATION for denied code
+ */
+function applyScriptPolicy(script, policy) {
+  const syntaxError = checkSyntax(script);
+  if (syntaxError) {
+    const { message, ...location } = syntaxError;
+    throw createFigmaError(ERROR_CODES.SCRIPT_ERROR, message, location);
+  }
+
+  const violations = findPolicyViolations(script, policy);
+  if (violations.length > 0) {
+    const [first] = violations;
+    throw createFigmaError(
+      ERROR_CODES.POLICY_VIOLATION,
+      `Script policy: ${first.rule} is not allowed (${first.reason})` +
+        (violations.length > 1 ? `, and ${violations.length - 1} more violation(s)` : ''),
+      { line: first.line, column: first.column, source: first.source, violations }
+    );
+  }
+
+  // The text checks can be reached around (node['na' + 'me'] = ...), so
+  // read-only scripts also run with a `figma` that refuses edits
+  const limited = Number.isInteger(policy.maxCreatedNodes) && policy.maxCreatedNodes >= 0;
+  return policy.readOnly || limited
+    ? guardScript(script, { readOnly: policy.readOnly, maxCreatedNodes: limited ? policy.maxCreatedNodes : undefined })
+    : script;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  isReadOnlyMode,
+  loadScriptPolicy,
+  checkSyntax,
+  maskNonCode,
+  compileApiRule,
+  findPolicyViolations,
+  guardScript,
+  limitCreatedNodes,
+  applyScriptPolicy
+};
@@ -0,0 +1,177 @@
+/**
+ * Tests for the execute_figma_script policy
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_POLICY,
+  isReadOnlyMode,
+  loadScriptPolicy,
+  checkSyntax,
+  maskNonCode,
+  findPolicyViolations,
+  limitCreatedNodes,
+  applyScriptPolicy
+} = require('./policy');
+const { classifyPluginError, parseScriptLocation } = require('../bridge/core/errors');
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+const rules = (script, policy) => findPolicyViolations(script, policy).map(v => `${v.line}:${v.rule}`);
+
+console.log('Testing syntax checks...');
+
+assert.strictEqual(checkSyntax('const page = figma.currentPage;\nreturn await page.loadAsync();'), null);
+assert.deepStrictEqual(checkSyntax('const a = 1;\nconst b = ;\nreturn b;'), {
+  message: "SyntaxError: Unexpected token ';'",
+  line: 2,
+  column: 11,
+  source: 'const b = ;'
+});
+assert.strictEqual(checkSyntax('const args = 1;').line, 1, 'Redeclaring a script global is caught too');
+assert.strictEqual(checkSyntax('return {\n  a: 1,').line, 2, 'Unexpected end points at the last line');
+
+console.log('✓ Syntax checks passed');
+
+console.log('\nTesting code masking...');
+
+const source = 'a("figma.closePlugin()"); // figma.closePlugin()\nb(/x\\/y/g, `t ${figma.root.name} t`);';
+const masked = maskNonCode(source);
+assert.ok(!masked.includes('closePlugin'), 'Strings and comments are blanked');
+assert.ok(masked.includes('figma.root.name'), 'Template expressions are kept');
+assert.ok(!masked.includes('x\\/y'), 'Regular expressions are blanked');
+assert.strictEqual(masked.length, source.length, 'Offsets are kept');
+assert.strictEqual(masked.split('\n').length, 2, 'Newlines are kept');
+assert.ok(maskNonCode('const half = width / 2 / scale;').includes('width / 2 / scale'), 'Division is code');
+
+console.log('✓ Code masking passed');
+
+console.log('\nTesting API rules...');
+
+assert.deepStrictEqual(rules('figma.notify("bye");\nfigma.closePlugin();', DEFAULT_POLICY), ['2:figma.closePlugin']);
+assert.deepStrictEqual(rules('const close = figma ?. closePlugin;', DEFAULT_POLICY), ['1:figma.closePlugin']);
+assert.deepStrictEqual(rules('// figma.closePlugin()\nconst s = "figma.closePlugin";', DEFAULT_POLICY), []);
+
+const strict = { denyApis: ['.remove()', 'figma.currentPage=', 'figma[', 'eval()'] };
+assert.deepStrictEqual(
+  rules('node.remove();\nfigma.currentPage = page;\nfigma["closePlugin"]();\neval(code);', strict),
+  ['1:.remove()', '2:figma.currentPage=', '3:figma[', '4:eval()']
+);
+assert.deepStrictEqual(
+  rules('const page = figma.currentPage;\nif (figma.currentPage === page) list.removeAll();\nconst f = (remove) => remove;', strict),
+  [],
+  'Reads, comparisons and other names are allowed'
+);
+assert.throws(() => findPolicyViolations('', { denyApis: ['figma closePlugin'] }), /Invalid denyApis rule/);
+
+const readOnly = { denyApis: [], readOnly: true };
+assert.deepStrictEqual(
+  rules('const frame = figma.createFrame();\nnode.fills = [];\nnode.setPluginData("k", "v");\nnode.paddingLeft += 4;', readOnly),
+  ['1:figma.create*()', '2:.fills=', '3:.set*()', '4:.padding*=']
+);
+assert.deepStrictEqual(rules('node.name = "Audited";\nnode.x += 10;\nif (node.x === 0) count++;', readOnly), ['1:.name=', '2:.x=']);
+assert.deepStrictEqual(
+  rules('const seen = new Map();\nseen.set(node.id, { fills: node.fills, name: node.name });\nreturn figma.currentPage.findAll(n => n.fills === null);', readOnly),
+  []
+);
+
+console.log('✓ API rules passed');
+
+console.log('\nTesting created node limits...');
+
+async function runGuarded(script, max) {
+  const created = [];
+  const createNode = () => {
+    const node = { id: `1:${created.length}`, clone: () => createNode() };
+    created.push(node);
+    return node;
+  };
+  const figma = {
+    createFrame: createNode,
+    createImage: () => ({ hash: 'abc' }),
+    getNodeById: (id) => created.find(node => node.id === id) || null,
+    root: { name: 'File' }
+  };
+  const result = await new AsyncFunction('figma', 'cancellation', 'args', limitCreatedNodes(script, max))(figma, null, {});
+  return { result, created };
+}
+
+(async () => {
+  const within = await runGuarded('figma.createFrame();\nfigma.createImage();\nreturn figma.root.name;', 1);
+  assert.strictEqual(within.result, 'File');
+  assert.deepStrictEqual(within.created.map(node => node.id), ['1:0'], 'Non-node creators are not counted');
+
+  await assert.rejects(runGuarded('for (let i = 0; i < 3; i++) figma.createFrame();', 2), (error) => {
+    assert.strictEqual(classifyPluginError(error.message), 'POLICY_VIOLATION');
+    return /more than 2 nodes created/.test(error.message);
+  });
+
+  // Nodes the script gets from figma count their copies too
+  await assert.rejects(
+    runGuarded('const frame = figma.createFrame();\nframe.clone();\nfigma.getNodeById(frame.id).clone();', 2),
+    /more than 2 nodes created/
+  );
+  const cloned = await runGuarded('const frame = figma.createFrame();\nreturn frame.clone().clone().id;', 3);
+  assert.strictEqual(cloned.result, '1:2', 'Clones of clones are counted within the limit');
+
+  // Line numbers in plugin stacks still match the submitted script
+  await assert.rejects(runGuarded('const a = 1;\nnull.x;', 5), (error) => parseScriptLocation(error.stack).line === 2);
+
+  console.log('✓ Created node limits passed');
+
+  console.log('\nTesting applyScriptPolicy...');
+
+  assert.throws(
+    () => applyScriptPolicy('return (', DEFAULT_POLICY),
+    (error) => error.code === 'SCRIPT_ERROR' && error.details.line === 1
+  );
+  assert.throws(
+    () => applyScriptPolicy('const n = figma.getNodeById("1:2");\nn.remove();\nfigma.closePlugin();', { denyApis: ['figma.closePlugin', '.remove()'] }),
+    (error) => error.code === 'POLICY_VIOLATION' &&
+      /\.remove\(\) is not allowed \(denied API\), and 1 more/.test(error.message) &&
+      error.details.line === 2 && error.details.source === 'n.remove();' && error.details.violations.length === 2
+  );
+  assert.strictEqual(applyScriptPolicy('return 1;', DEFAULT_POLICY), 'return 1;');
+  assert.ok(applyScriptPolicy('return 1;', { ...DEFAULT_POLICY, maxCreatedNodes: 0 }).startsWith('return (async (figma) => {return 1;'));
+  assert.ok(applyScriptPolicy('return 1;', { ...DEFAULT_POLICY, readOnly: true }).startsWith('return (async (figma) => {return 1;'),
+    'Read-only scripts run with a guarded figma');
+
+  console.log('✓ applyScriptPolicy passed');
+
+  console.log('\nTesting loadScriptPolicy...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'figmatic-policy-test-'));
+  try {
+    const file = path.join(dir, 'policy.json');
+    fs.writeFileSync(file, JSON.stringify({ maxCreatedNodes: 10 }));
+    process.env.FIGMATIC_SCRIPT_POLICY = file;
+    assert.deepStrictEqual(loadScriptPolicy(), { denyApis: ['figma.closePlugin'], maxCreatedNodes: 10, readOnly: false });
+
+    fs.writeFileSync(file, '{ not json');
+    assert.throws(() => loadScriptPolicy(), /Invalid script policy/);
+
+    process.env.FIGMATIC_SCRIPT_POLICY = path.join(dir, 'missing.json');
+    assert.throws(() => loadScriptPolicy(), /Cannot read script policy/, 'A policy that was asked for must exist');
+
+    fs.writeFileSync(file, JSON.stringify({ readOnly: false }));
+    process.env.FIGMATIC_SCRIPT_POLICY = file;
+    process.env.FIGMATIC_READ_ONLY = 'true';
+    assert.strictEqual(isReadOnlyMode(), true);
+    assert.strictEqual(loadScriptPolicy().readOnly, true, 'Read-only mode overrides the policy file');
+    process.env.FIGMATIC_READ_ONLY = '0';
+    assert.strictEqual(isReadOnlyMode(), false);
+  } finally {
+    delete process.env.FIGMATIC_SCRIPT_POLICY;
+    delete process.env.FIGMATIC_READ_ONLY;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('✓ loadScriptPolicy passed');
+
+  console.log('\n✅ All policy tests passed!\n');
+})().catch((error) => {
+  console.error('\n❌ Policy tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+/**
+ * MCP Progress Reporting
+ *
+ * Turns the `sendProgress` callback every tool receives into
+ * MCP `notifications/progress` messages for the request's progressToken.
+ *
+ * Tools report progress as:
+ *   sendProgress({ status })                   - status-only step
+ *   sendProgress({ status, progress, total })  - done/total counts
+ *
+ * Both kinds share one counter so the progress value stays monotonic
+ * (required by the MCP spec): status-only steps add one, and counts are
+ * offset by the steps sent before the first count. A status-only step
+ * after counting has begun adds one to the total as well. Updates that
+ * would not move forward are dropped.
+ */
+
+/**
+ * Create a sendProgress callback bound to one tool call
+ * @param {Object} options - Reporter options
+ * @param {string|number} options.progressToken - Token from request.params._meta (may be undefined)
+ * @param {Function} options.sendNotification - SDK notification sender (from request handler extra)
+ * @param {Function} options.log - Optional logger for every update
+ * @returns {Function} sendProgress(data)
+ */
+function createProgressReporter(options) {
+  const { progressToken, sendNotification, log } = options;
+
+  let lastProgress = null;
+  let lastTotal;
+  // Offset added to counts, set by the first counted update
+  let base = null;
+
+  return function sendProgress(data = {}) {
+    if (log) log(`Progress: ${JSON.stringify(data)}`);
+
+    // Client did not ask for progress
+    if (progressToken === undefined || progressToken === null || !sendNotification) {
+      return;
+    }
+
+    let progress;
+    let total;
+    if (typeof data.progress === 'number') {
+      if (base === null) {
+        base = lastProgress === null ? 0 : lastProgress + 1;
+      }
+      progress = base + data.progress;
+      if (typeof data.total === 'number') {
+        total = base + data.total;
+      }
+    } else {
+      progress = lastProgress === null ? 1 : lastProgress + 1;
+      if (base !== null) {
+        base += 1;
+        if (lastTotal !== undefined) {
+          total = lastTotal + 1;
+        }
+      }
+    }
+
+    // Drop out-of-order updates rather than violate monotonicity
+    if (lastProgress !== null && progress <= lastProgress) {
+      return;
+    }
+    lastProgress = progress;
+    lastTotal = total;
+
+    const params = { progressToken, progress };
+    if (total !== undefined) {
+      params.total = total;
+    }
+    if (data.status) {
+      params.message = data.status;
+    }
+
+    Promise.resolve(sendNotification({ method: 'notifications/progress', params }))
+      .catch(() => {
+        // Client went away mid-call; the tool keeps running
+      });
+  };
+}
+
+module.exports = { createProgressReporter };
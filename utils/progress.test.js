@@ -0,0 +1,56 @@
+/**
+ * Tests for MCP Progress Reporting
+ */
+
+const assert = require('assert');
+const { createProgressReporter } = require('./progress');
+
+function collect(progressToken) {
+  const sent = [];
+  const sendProgress = createProgressReporter({
+    progressToken,
+    sendNotification: async (notification) => { sent.push(notification); }
+  });
+  return { sent, sendProgress };
+}
+
+console.log('Testing createProgressReporter...');
+
+// No progressToken: nothing is sent
+const silent = collect(undefined);
+silent.sendProgress({ status: 'Working...' });
+assert.strictEqual(silent.sent.length, 0, 'Should not notify without a progressToken');
+
+// Status-only updates count steps
+const steps = collect('tok-1');
+steps.sendProgress({ status: 'Fetching...' });
+steps.sendProgress({ status: 'Done' });
+assert.deepStrictEqual(steps.sent.map(n => n.params), [
+  { progressToken: 'tok-1', progress: 1, message: 'Fetching...' },
+  { progressToken: 'tok-1', progress: 2, message: 'Done' }
+]);
+assert.strictEqual(steps.sent[0].method, 'notifications/progress');
+
+// Counted updates carry done/total
+const counted = collect(7);
+counted.sendProgress({ status: 'Start', progress: 0, total: 3 });
+counted.sendProgress({ status: 'Icon 1', progress: 1, total: 3 });
+counted.sendProgress({ status: 'Stale', progress: 1, total: 3 });
+counted.sendProgress({ status: 'All', progress: 3, total: 3 });
+assert.deepStrictEqual(counted.sent.map(n => [n.params.progress, n.params.total]), [[0, 3], [1, 3], [3, 3]],
+  'Non-increasing progress should be dropped');
+
+// Status steps and counts share one counter
+const mixed = collect('tok-2');
+mixed.sendProgress({ status: 'Checking...' });
+mixed.sendProgress({ status: 'Item 1', progress: 0, total: 2 });
+mixed.sendProgress({ status: 'Item 2', progress: 1, total: 2 });
+mixed.sendProgress({ status: 'Saving...' });
+mixed.sendProgress({ status: 'Done', progress: 2, total: 2 });
+assert.deepStrictEqual(mixed.sent.map(n => [n.params.progress, n.params.total]), [
+  [1, undefined], [2, 4], [3, 4], [4, 5], [5, 5]
+], 'Progress should keep rising across status steps and counts');
+
+console.log('✓ createProgressReporter passed');
+
+console.log('\n✅ All tests passed!\n');
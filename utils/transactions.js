@@ -0,0 +1,174 @@
+/**
+ * Transactions
+ *
+ * Every tool that edits a file runs its scripts through the change journal
+ * (see journal.js). Between begin_transaction and commit_transaction the
+ * entries are collected on the transaction, so the whole group of edits can
+ * be undone at once. A tool that fails inside a
+ * transaction rolls the transaction back.
+ *
+ * Nodes removed inside a transaction are hidden until commit, so a rollback
+ * can bring them back. One transaction per file; transactions are held in
+ * memory and end when the server stops.
+ *
+ * A transaction belongs to the MCP session that began it. While it is open,
+ * other sessions can't edit the file, so a rollback only ever undoes the
+ * owner's edits.
+ */
+
+const crypto = require('crypto');
+const { restoreChanges, applyRemovals } = require('./journal');
+const { discardTransaction } = require('./history');
+const { ERROR_CODES, createFigmaError } = require('../bridge/core/errors');
+
+const transactions = new Map(); // fileId -> transaction
+
+/**
+ * Find the file a tool call targets
+ * @param {Object} api - API context
+ * @returns {string|null} api.fileId, else the active file
+ */
+function resolveFileId(api) {
+  return api.fileId || api.getStatus().activeFileId || null;
+}
+
+/**
+ * Open a transaction on a file
+ * @param {string} fileId - File ID
+ * @param {Object} options - { label, sessionId }
+ * @returns {Object} The transaction
+ * @throws {Error} INVALID_PARAMS if the file already has an open transaction
+ */
+function beginTransaction(fileId, options = {}) {
+  if (!fileId) {
+    throw createFigmaError(ERROR_CODES.NOT_CONNECTED, 'No Figma file to start a transaction on');
+  }
+  if (transactions.has(fileId)) {
+    const open = transactions.get(fileId);
+    throw createFigmaError(
+      ERROR_CODES.INVALID_PARAMS,
+      `Transaction ${open.id} is already open on file ${fileId}. Commit or roll it back first.`,
+      { transactionId: open.id }
+    );
+  }
+
+  const transaction = {
+    id: crypto.randomUUID(),
+    fileId,
+    sessionId: options.sessionId || null,
+    label: options.label || null,
+    startedAt: new Date().toISOString(),
+    tools: [],
+    entries: [],
+    removals: []
+  };
+  transactions.set(fileId, transaction);
+  return transaction;
+}
+
+/**
+ * Get a file's open transaction
+ * @param {string} fileId - File ID
+ * @returns {Object|null}
+ */
+function getTransaction(fileId) {
+  return transactions.get(fileId) || null;
+}
+
+/**
+ * Get a file's open transaction if it belongs to a session
+ * @param {string} fileId - File ID
+ * @param {string|null} sessionId - MCP session of the tool call
+ * @returns {Object|null} The session's transaction, or null if none is open
+ * @throws {Error} INVALID_PARAMS if another session's transaction is open
+ */
+function getSessionTransaction(fileId, sessionId) {
+  const transaction = getTransaction(fileId);
+  if (transaction && transaction.sessionId !== (sessionId || null)) {
+    throw createFigmaError(
+      ERROR_CODES.INVALID_PARAMS,
+      `Transaction ${transaction.id} of another session is open on file ${fileId}. Edits wait until it is committed or rolled back.`,
+      { transactionId: transaction.id, fileId }
+    );
+  }
+  return transaction;
+}
+
+/**
+ * Get the session's open transaction on a file or fail
+ * @param {string} fileId - File ID
+ * @param {string|null} sessionId - MCP session of the tool call
+ * @returns {Object}
+ * @throws {Error} INVALID_PARAMS if no transaction is open, or it belongs to another session
+ */
+function requireTransaction(fileId, sessionId) {
+  const transaction = getSessionTransaction(fileId, sessionId);
+  if (!transaction) {
+    throw createFigmaError(ERROR_CODES.INVALID_PARAMS, `No open transaction on file ${fileId}. Call begin_transaction first.`);
+  }
+  return transaction;
+}
+
+/**
+ * Undo everything a transaction changed and close it
+ * Its records in the change history are marked undone.
+ * Runs without the tool call's signal, so a cancelled call still rolls back.
+ * The transaction stays open if the plugin can't be reached.
+ * @param {Object} transaction - Open transaction
+ * @returns {Promise<Object>} { restored, skipped }
+ */
+async function rollbackTransaction(transaction) {
+  const wsServer = require('../bridge/server');
+  const response = await wsServer.executeInFigma(restoreChanges(), {
+    fileId: transaction.fileId,
+    args: { entries: transaction.entries }
+  });
+  transactions.delete(transaction.fileId);
+  discardTransaction(transaction.id);
+  return response.result;
+}
+
+/**
+ * Make a transaction's changes final and close it
+ * Removes the nodes that were hidden instead of removed
+ * @param {Object} transaction - Open transaction
+ * @returns {Promise<Object>} { removed }
+ */
+async function commitTransaction(transaction) {
+  const wsServer = require('../bridge/server');
+  const response = transaction.removals.length > 0
+    ? await wsServer.executeInFigma(applyRemovals(), {
+      fileId: transaction.fileId,
+      args: { nodeIds: transaction.removals }
+    })
+    : { result: { removed: 0 } };
+  transactions.delete(transaction.fileId);
+  return response.result;
+}
+
+/**
+ * Summarize a transaction for tool results
+ * @param {Object} transaction - Transaction
+ * @returns {Object} { transactionId, fileId, label, startedAt, tools, changes }
+ */
+function describeTransaction(transaction) {
+  return {
+    transactionId: transaction.id,
+    fileId: transaction.fileId,
+    label: transaction.label,
+    startedAt: transaction.startedAt,
+    tools: transaction.tools.slice(),
+    changes: transaction.entries.length
+  };
+}
+
+module.exports = {
+  resolveFileId,
+  beginTransaction,
+  getTransaction,
+  getSessionTransaction,
+  requireTransaction,
+  rollbackTransaction,
+  commitTransaction,
+  describeTransaction
+};